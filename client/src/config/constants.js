@@ -3,6 +3,8 @@
  *
  * Central configuration file containing all game constants.
  * Modify these values to adjust game physics, dimensions, and behavior.
+ * Gameplay rules the server also enforces (world size, player size, physics)
+ * live in shared/constants.js and are re-exported here under their client names.
  *
  * @module config/constants
  *
@@ -13,11 +15,31 @@
  * - Player Dimensions
  * - Physics Constants
  * - Gliding Mechanics
+ * - Simulation Timing
+ * - Level Streaming
  * - Colors
  * - Multiplayer Settings
  * - Attack/Combat Settings
  */
 
+import {
+  SCENE_HEIGHT,
+  GROUND_WIDTH,
+  GROUND_HEIGHT,
+  GROUND_POSITION_Y,
+  GROUND_TOP_Y,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  PLAYER_START_X,
+  PLAYER_START_Y,
+  GRAVITY,
+  DEFAULT_JUMP_STRENGTH,
+  FAST_FALL,
+  MOVE_SPEED,
+  GLIDE_GRAVITY,
+  GLIDE_MAX_SPEED
+} from '../../../shared/constants.js';
+
 // ========================================
 // SERVER CONFIGURATION
 // ========================================
@@ -39,7 +61,7 @@ export const SERVER_URL = window.location.hostname === 'localhost'
 export const targetAspect = 16 / 9;
 
 /** @constant {number} Height of the visible scene in world units */
-export const sceneHeight = 15;
+export const sceneHeight = SCENE_HEIGHT;
 
 /** @constant {number} Width of the visible scene (calculated from aspect ratio) */
 export const sceneWidth = sceneHeight * targetAspect; // ~17.78
@@ -49,26 +71,26 @@ export const sceneWidth = sceneHeight * targetAspect; // ~17.78
 // ========================================
 
 /** @constant {number} Width of the ground platform */
-export const groundWidth = sceneWidth * 0.9;
+export const groundWidth = GROUND_WIDTH;
 
 /** @constant {number} Height/thickness of the ground platform */
-export const groundHeight = 0.3;
+export const groundHeight = GROUND_HEIGHT;
 
 /** @constant {number} Y position of the ground platform center */
-export const groundPositionY = -sceneHeight / 2 - 0.6;
+export const groundPositionY = GROUND_POSITION_Y;
 
 /** @constant {number} Y position of the ground's top surface */
-export const groundTopY = groundPositionY + groundHeight / 2;
+export const groundTopY = GROUND_TOP_Y;
 
 // ========================================
 // PLAYER DIMENSIONS
 // ========================================
 
 /** @constant {number} Player collision box width */
-export const playerWidth = 0.8;
+export const playerWidth = PLAYER_WIDTH;
 
 /** @constant {number} Player collision box height */
-export const playerHeight = 1.4;
+export const playerHeight = PLAYER_HEIGHT;
 
 /** @constant {number} Player collision box depth */
 export const playerDepth = 0.8;
@@ -78,30 +100,50 @@ export const playerDepth = 0.8;
 // ========================================
 
 /** @constant {number} Gravity acceleration (negative = downward) */
-export const gravity = -25;
+export const gravity = GRAVITY;
 
 /** @constant {number} Default jump velocity */
-export const defaultJumpStrength = 15;
+export const defaultJumpStrength = DEFAULT_JUMP_STRENGTH;
 
 /** @constant {number} Fast fall velocity when holding down */
-export const fastFall = -15;
+export const fastFall = FAST_FALL;
 
 /** @constant {number} Horizontal movement speed */
-export const moveSpeed = 7;
+export const moveSpeed = MOVE_SPEED;
 
 // ========================================
 // GLIDING MECHANICS
 // ========================================
 
 /** @constant {number} Reduced gravity while gliding */
-export const glideGravity = -8;
+export const glideGravity = GLIDE_GRAVITY;
 
 /** @constant {number} Maximum fall speed while gliding */
-export const glideMaxSpeed = -3;
+export const glideMaxSpeed = GLIDE_MAX_SPEED;
 
 /** @constant {number} Player rotation angle while gliding (radians) */
 export const glideRotationAngle = -Math.PI / 2;
 
+// ========================================
+// SIMULATION TIMING
+// ========================================
+
+/** Length of one physics tick and respawn delay (seconds), shared with the server */
+export { FIXED_TIMESTEP, RESPAWN_DELAY } from '../../../shared/constants.js';
+
+/** @constant {number} Longest frame simulated at once (seconds); longer hitches slow the game down */
+export const MAX_FRAME_TIME = 0.25;
+
+// ========================================
+// LEVEL STREAMING
+// ========================================
+
+/** @constant {number} Levels kept loaded above the player's level */
+export const LEVELS_LOADED_AHEAD = 2;
+
+/** @constant {number} Levels kept loaded below the player's level; levels further away are unloaded */
+export const LEVELS_LOADED_BEHIND = 1;
+
 // ========================================
 // COLORS (Hex values)
 // ========================================
@@ -123,10 +165,10 @@ export const spikeHitColor = 0xff6666;
 // ========================================
 
 /** @constant {number} Player starting X position */
-export const playerStartPositionX = 0;
+export const playerStartPositionX = PLAYER_START_X;
 
 /** @constant {number} Player starting Y position (on top of ground) */
-export const playerStartPositionY = groundTopY + playerHeight / 2;
+export const playerStartPositionY = PLAYER_START_Y;
 
 // ========================================
 // MULTIPLAYER SETTINGS
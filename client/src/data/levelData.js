@@ -1,8 +1,9 @@
 /**
  * levelData.js - Procedural Level Generation
  *
- * Generates all game levels using a seeded random number generator.
- * Ensures reproducible level layouts while providing variety.
+ * Generates a tower of levels from a seed using a seeded random number generator.
+ * The same seed (and options) always produces the same layout, so a seed is
+ * all that's needed to share a tower or replay a run on it.
  *
  * @module data/levelData
  *
@@ -11,13 +12,22 @@
  * 2. Distributes platforms vertically throughout level
  * 3. Ensures minimum gaps between platforms (reachable jumps)
  * 4. Avoids overlapping platforms
- * 5. Places spike hazards on some platforms
+ * 5. Places spike hazards on some platforms (how many depends on the difficulty)
  * 6. Generates walls for wall-jumping sections
+ * 7. Checks the level can be climbed (see levelSolver) and repairs or regenerates it,
+ *    adding stepping platforms if regenerating doesn't help
+ * 8. Adds moving, crumbling and blinking platforms where there is room for them,
+ *    out of the way of the jumps the level is climbed with
+ * 9. Floats collectibles above some of the platforms
  *
  * ## Level Structure:
  * Each level contains:
  * - platforms: Array of [x, y, width, height, isSpike]
  * - walls: Array of [x, y, width, height]
+ * - movingPlatforms: Array of [x, y, width, height, axis, range, speed]
+ * - crumblingPlatforms: Array of [x, y, width, height]
+ * - blinkingPlatforms: Array of [x, y, width, height, onTime, offTime, offset]
+ * - collectibles: Array of [x, y]
  * - color: Platform color for visual variety
  * - backgroundColor: Scene background color (optional)
  * - startY: Y offset for level positioning
@@ -27,36 +37,75 @@
  * - No overlapping platforms
  * - Minimum gaps between consecutive platforms
  * - Spikes placed on inner platforms (not edges)
+ * - The top platform of every level is reachable from the level below
+ *   with the difficulty's physics, without wall tricks on platforms, as far
+ *   as the solver can tell: it doesn't account for walls or platform
+ *   undersides in the way of a jump (see levelSolver)
+ * - Moving, crumbling and blinking platforms are extra routes: the level is
+ *   climbable without them. They come from their own random sequence, so
+ *   adding them never changes the rest of a seed's layout. Collectibles get
+ *   a third sequence for the same reason.
+ * - Collectibles float a short jump above a normal (non-spike) platform
  *
- * @exports {Array} LEVELS - Array of generated level data
+ * ## Difficulty:
+ * Platform widths, the gap between consecutive platforms and the number of
+ * spikes come from the difficulty profile (see shared/difficultyProfiles.js),
+ * so the same seed builds a different tower on each difficulty.
+ *
+ * ## Endless Towers:
+ * createLevelGenerator builds a tower one level at a time, so endless mode
+ * can keep generating levels as the player climbs. With the ramp option the
+ * layout gets harder every level (more spikes, narrower platforms, wider
+ * gaps) until ENDLESS_RAMP_LEVELS; every level still goes through the
+ * solver.
+ *
+ * ## Seeds:
+ * Seeds are unsigned 32-bit integers. DEFAULT_SEED is the classic tower
+ * (also used for multiplayer races); the daily seed is the UTC date as YYYYMMDD.
+ *
+ * Hand-built towers don't come from here: they are loaded from level packs
+ * (see levelPack.js), which carry their own colors instead of LEVEL_CONFIGS.
+ *
+ * @exports {Function} generateLevels - Generates a level set from a seed
+ * @exports {Function} createLevelGenerator - Generates a seed's tower one level at a time (endless towers)
  * @exports {number} LEVEL_HEIGHT - Height of each level in world units
+ * @exports {number} LEVEL_ORIGIN_Y - World Y of level 1's origin (level Y values are relative to it)
+ * @exports {number} DEFAULT_SEED - Seed of the classic tower
  */
 
-/** @constant {number} Height of each level in world units */
-const LEVEL_HEIGHT = 15;
-
-/** @constant {number} Total number of levels to generate */
-const NUM_LEVELS = 20;
+// Level height and count are shared with the server's finish check
+import {
+    LEVEL_HEIGHT,
+    NUM_LEVELS,
+    GROUND_POSITION_Y,
+    GROUND_WIDTH,
+    GROUND_HEIGHT,
+    PLAYER_WIDTH,
+    PLAYER_HEIGHT,
+    MAX_PLATFORM_SPEED,
+    COLLECTIBLE_SIZE
+} from '../../../shared/constants.js';
+import { getDifficultyProfile, DEFAULT_DIFFICULTY } from '../../../shared/difficultyProfiles.js';
+import { getJumpProfile, toSurface, toWallSurface, canReach, findReachable, findJumpTree } from './levelSolver.js';
 
 /** @constant {number} Number of platforms per level */
 const PLATFORMS_PER_LEVEL = 12;
 
-/** @constant {number} Number of spike platforms per level */
-const SPIKES_PER_LEVEL = 6;
-
 // ========================================
 // RANDOM NUMBER GENERATION
 // ========================================
 
-/** @constant {number} Seed for reproducible level generation */
-const SEED = 12345;
+/** @constant {number} Seed of the classic tower */
+const DEFAULT_SEED = 12345;
+
+/** @constant {number} Largest valid seed (seeds are unsigned 32-bit integers) */
+const MAX_SEED = 0xFFFFFFFF;
 
 // ========================================
 // PLATFORM CONSTRAINTS
 // ========================================
 
-const MIN_PLATFORM_WIDTH = 1.5;
-const MAX_PLATFORM_WIDTH = 5.5;
+// Platform widths come from the difficulty profile
 const MIN_X = -20.0;
 const MAX_X = 20.0;
 const MIN_FIRST_Y = 1.0;
@@ -74,13 +123,88 @@ const WALL_WIDTH = 0.3;
 const WALLS_PER_LEVEL = 5;
 const MIN_WALL_X_GAP = 6.0;
 
+// ========================================
+// MOVING PLATFORM CONSTRAINTS
+// ========================================
+
+const MOVING_PLATFORMS_PER_LEVEL = 2;
+const MIN_MOVING_PLATFORM_WIDTH = 2.0;
+const MAX_MOVING_PLATFORM_WIDTH = 3.5;
+const MIN_PATH_RANGE = 3.0;
+const MAX_PATH_RANGE = 8.0;
+const MIN_MOVING_PLATFORM_SPEED = 1.5;
+const MAX_MOVING_PLATFORM_SPEED = MAX_PLATFORM_SPEED * 0.75;
+
+// ========================================
+// TIMED PLATFORM CONSTRAINTS
+// ========================================
+
+const CRUMBLING_PLATFORMS_PER_LEVEL = 2;
+const BLINKING_PLATFORMS_PER_LEVEL = 2;
+const MIN_TIMED_PLATFORM_WIDTH = 2.0;
+const MAX_TIMED_PLATFORM_WIDTH = 4.0;
+const MIN_BLINK_ON_TIME = 1.5;
+const MAX_BLINK_ON_TIME = 3.0;
+const MIN_BLINK_OFF_TIME = 1.0;
+const MAX_BLINK_OFF_TIME = 1.5;
+
+// ========================================
+// COLLECTIBLE CONSTRAINTS
+// ========================================
+
+const COLLECTIBLES_PER_LEVEL = 3;
+const MIN_COLLECTIBLE_HEIGHT = 0.8; // Above the platform's top
+const MAX_COLLECTIBLE_HEIGHT = 2.5;
+
+// ========================================
+// EXTRA PLATFORM PLACEMENT
+// ========================================
+
+/** @constant {number} Space kept free above and below extra platforms (and moving platforms' paths), so they never squeeze the player */
+const EXTRA_PLATFORM_CLEARANCE = PLAYER_HEIGHT + 0.3;
+
+/** @constant {number} Mixed into the seed for the extra platforms' own random sequence */
+const EXTRA_PLATFORM_SEED_SALT = 0x9E3779B9;
+
+/** @constant {number} Mixed into the seed for the collectibles' own random sequence */
+const COLLECTIBLE_SEED_SALT = 0x85EBCA6B;
+
 // ========================================
 // GENERATION CONSTRAINTS
 // ========================================
 
-const MIN_CONSECUTIVE_X_GAP = 7.5;
 const MAX_GENERATION_ATTEMPTS = 30;
 
+/** @constant {number} Times a level is regenerated before stepping platforms are added to it */
+const MAX_LEVEL_ATTEMPTS = 10;
+
+/** @constant {number} Most stepping platforms added to a level that still can't be climbed */
+const MAX_STEPPING_PLATFORMS = 8;
+
+/** @constant {Array<number>} Rises tried for a stepping platform, as fractions of the highest jump */
+const STEPPING_RISES = [0.9, 0.7, 0.5, 0.3, 0.1, 0];
+
+/** @constant {Array<number>} Horizontal distances tried for a stepping platform from its takeoff (world units) */
+const STEPPING_DISTANCES = [8, 6, 4, 2, 0];
+
+// ========================================
+// ENDLESS TOWERS
+// ========================================
+
+/** @constant {number} Levels an endless tower takes to ramp up to its peak layout */
+const ENDLESS_RAMP_LEVELS = 30;
+
+/** @constant {Object} Hardest layout an endless tower ramps up to (harder than every difficulty's own) */
+const ENDLESS_PEAK_LAYOUT = {
+    spikesPerLevel: 9,
+    minPlatformWidth: 1.0,
+    maxPlatformWidth: 3.5,
+    minConsecutiveXGap: 9.5
+};
+
+/** @constant {number} World Y of a level's origin above its startY (matches LevelManager.spawnLevel) */
+const LEVEL_ORIGIN_Y = GROUND_POSITION_Y + 1;
+
 /**
  * Mulberry32 seeded pseudo-random number generator.
  * Produces reproducible random sequences from a seed.
@@ -96,17 +220,17 @@ function mulberry32(a) {
     }
 }
 
-/** Seeded random function instance */
-const random = mulberry32(SEED);
-
 /**
- * Generates a random float between min and max using seeded PRNG.
- * @param {number} min - Minimum value (inclusive)
- * @param {number} max - Maximum value (exclusive)
- * @returns {number} Random float in range
+ * Creates a seeded range function.
+ * Each generated level set gets its own so generation never shares state.
+ * @param {number} seed - The seed value
+ * @returns {Function} getRandom(min, max) returning a float in [min, max)
  */
-function getRandom(min, max) {
-    return random() * (max - min) + min;
+function createRandom(seed) {
+    const random = mulberry32(seed);
+    return function getRandom(min, max) {
+        return random() * (max - min) + min;
+    };
 }
 
 /**
@@ -157,19 +281,21 @@ function wallOverlapsPlatforms(wallX, wallY, wallWidth, wallHeight, platforms) {
 /**
  * Generates a new array of walls for a single level.
  * Walls are vertical obstacles: [x, y, width, height]
+ * @param {Function} getRandom - Seeded range function
  * @param {Array} platforms - Array of platforms to avoid overlapping with
+ * @param {number} wallsPerLevel - Number of walls to place
  */
-function generateWalls(platforms) {
+function generateWalls(getRandom, platforms, wallsPerLevel) {
     const walls = [];
 
-    if (WALLS_PER_LEVEL <= 0) return walls;
+    if (wallsPerLevel <= 0) return walls;
 
     // Generate walls distributed throughout the level height
-    const levelSpacing = (MAX_FINAL_Y - MIN_FIRST_Y) / WALLS_PER_LEVEL;
+    const levelSpacing = (MAX_FINAL_Y - MIN_FIRST_Y) / wallsPerLevel;
 
     let lastX = 0; // Track last wall X position to maintain spacing
 
-    for (let i = 0; i < WALLS_PER_LEVEL; i++) {
+    for (let i = 0; i < wallsPerLevel; i++) {
         let wallPlaced = false;
         let totalAttempts = 0;
 
@@ -219,17 +345,167 @@ function generateWalls(platforms) {
     return walls;
 }
 
+/**
+ * Finds a spot for an extra platform where it (plus room for the player) is
+ * clear of everything placed so far, and reserves it.
+ * @param {Function} getRandom - Seeded range function
+ * @param {Array} obstacles - Boxes [x, y, width, height] already in the level (the spot is added)
+ * @param {number} width - Width of the area the platform covers (its whole path if it moves)
+ * @param {number} height - Height of the area the platform covers
+ * @param {Array} jumpAreas - Boxes [x, y, width, height] the player passes through, which the platform must stay out of
+ * @returns {{x: number, y: number}|null} Center of the spot, or null if none was found
+ */
+function findClearSpot(getRandom, obstacles, width, height, jumpAreas) {
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+        const x = getRandom(MIN_X + width / 2, MAX_X - width / 2);
+        const y = getRandom(MIN_FIRST_Y + height / 2, MAX_FINAL_Y - height / 2);
+
+        const clearWidth = width + PLAYER_WIDTH * 2;
+        const clearHeight = height + EXTRA_PLATFORM_CLEARANCE * 2;
+        const isBlocked = obstacles.some(([obstacleX, obstacleY, obstacleWidth, obstacleHeight]) =>
+            rectanglesOverlap(x, y, clearWidth, clearHeight, obstacleX, obstacleY, obstacleWidth, obstacleHeight)
+        ) || jumpAreas.some(([areaX, areaY, areaWidth, areaHeight]) =>
+            rectanglesOverlap(x, y, width, height, areaX, areaY, areaWidth, areaHeight)
+        );
+
+        if (!isBlocked) {
+            obstacles.push([x, y, width, height]);
+            return { x, y };
+        }
+    }
+    return null;
+}
+
+/**
+ * Generates the moving platforms for a single level.
+ * Moving platforms: [x, y, width, height, axis, range, speed]
+ * The whole area a platform's path sweeps over must be clear, including of
+ * the jumps the level is climbed with, so a platform can never knock the
+ * player off the route or block it.
+ * @param {Function} getRandom - Seeded range function (separate from the level's layout)
+ * @param {Array} obstacles - Boxes already in the level (placed platforms are added)
+ * @param {Array} jumpAreas - Boxes [x, y, width, height] of the jumps the level is climbed with
+ * @param {number} movingPlatformsPerLevel - Number of moving platforms to try to place
+ */
+function generateMovingPlatforms(getRandom, obstacles, jumpAreas, movingPlatformsPerLevel) {
+    const movingPlatforms = [];
+
+    for (let i = 0; i < movingPlatformsPerLevel; i++) {
+        const axis = getRandom(0, 1) < 0.5 ? 'x' : 'y';
+        const width = getRandom(MIN_MOVING_PLATFORM_WIDTH, MAX_MOVING_PLATFORM_WIDTH);
+        const range = getRandom(MIN_PATH_RANGE, MAX_PATH_RANGE);
+        const speed = getRandom(MIN_MOVING_PLATFORM_SPEED, MAX_MOVING_PLATFORM_SPEED);
+
+        const sweptWidth = axis === 'x' ? width + range : width;
+        const sweptHeight = axis === 'y' ? PLATFORM_HEIGHT + range : PLATFORM_HEIGHT;
+        const spot = findClearSpot(getRandom, obstacles, sweptWidth, sweptHeight, jumpAreas);
+        if (spot) {
+            movingPlatforms.push([spot.x, spot.y, width, PLATFORM_HEIGHT, axis, range, speed]);
+        }
+    }
+
+    return movingPlatforms;
+}
+
+/**
+ * Generates the crumbling platforms for a single level.
+ * Crumbling platforms: [x, y, width, height]
+ * @param {Function} getRandom - Seeded range function (separate from the level's layout)
+ * @param {Array} obstacles - Boxes already in the level (placed platforms are added)
+ * @param {Array} jumpAreas - Boxes [x, y, width, height] of the jumps the level is climbed with
+ * @param {number} crumblingPlatformsPerLevel - Number of crumbling platforms to try to place
+ */
+function generateCrumblingPlatforms(getRandom, obstacles, jumpAreas, crumblingPlatformsPerLevel) {
+    const crumblingPlatforms = [];
+
+    for (let i = 0; i < crumblingPlatformsPerLevel; i++) {
+        const width = getRandom(MIN_TIMED_PLATFORM_WIDTH, MAX_TIMED_PLATFORM_WIDTH);
+        const spot = findClearSpot(getRandom, obstacles, width, PLATFORM_HEIGHT, jumpAreas);
+        if (spot) {
+            crumblingPlatforms.push([spot.x, spot.y, width, PLATFORM_HEIGHT]);
+        }
+    }
+
+    return crumblingPlatforms;
+}
+
+/**
+ * Generates the blinking platforms for a single level.
+ * Blinking platforms: [x, y, width, height, onTime, offTime, offset]
+ * @param {Function} getRandom - Seeded range function (separate from the level's layout)
+ * @param {Array} obstacles - Boxes already in the level (placed platforms are added)
+ * @param {Array} jumpAreas - Boxes [x, y, width, height] of the jumps the level is climbed with
+ * @param {number} blinkingPlatformsPerLevel - Number of blinking platforms to try to place
+ */
+function generateBlinkingPlatforms(getRandom, obstacles, jumpAreas, blinkingPlatformsPerLevel) {
+    const blinkingPlatforms = [];
+
+    for (let i = 0; i < blinkingPlatformsPerLevel; i++) {
+        const width = getRandom(MIN_TIMED_PLATFORM_WIDTH, MAX_TIMED_PLATFORM_WIDTH);
+        const onTime = getRandom(MIN_BLINK_ON_TIME, MAX_BLINK_ON_TIME);
+        const offTime = getRandom(MIN_BLINK_OFF_TIME, MAX_BLINK_OFF_TIME);
+        const offset = getRandom(0, onTime + offTime);
+
+        const spot = findClearSpot(getRandom, obstacles, width, PLATFORM_HEIGHT, jumpAreas);
+        if (spot) {
+            blinkingPlatforms.push([spot.x, spot.y, width, PLATFORM_HEIGHT, onTime, offTime, offset]);
+        }
+    }
+
+    return blinkingPlatforms;
+}
+
+/**
+ * Generates the collectibles for a single level.
+ * Collectibles: [x, y]
+ * Each one floats above a random normal platform, clear of everything else.
+ * @param {Function} getRandom - Seeded range function (separate from the level's layout)
+ * @param {Array} platforms - Level platforms [x, y, width, height, isSpike]
+ * @param {Array} obstacles - Boxes already in the level (placed collectibles are added)
+ * @param {number} collectiblesPerLevel - Number of collectibles to try to place
+ */
+function generateCollectibles(getRandom, platforms, obstacles, collectiblesPerLevel) {
+    const collectibles = [];
+    const perches = platforms.filter(platform => !platform[4]);
+    if (perches.length === 0) return collectibles;
+
+    for (let i = 0; i < collectiblesPerLevel; i++) {
+        for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+            const [platX, platY, platWidth, platHeight] = perches[Math.floor(getRandom(0, perches.length))];
+            const x = getRandom(platX - platWidth / 2, platX + platWidth / 2);
+            const y = platY + platHeight / 2 + getRandom(MIN_COLLECTIBLE_HEIGHT, MAX_COLLECTIBLE_HEIGHT);
+
+            const isBlocked = y > MAX_FINAL_Y || obstacles.some(([obstacleX, obstacleY, obstacleWidth, obstacleHeight]) =>
+                rectanglesOverlap(x, y, COLLECTIBLE_SIZE, COLLECTIBLE_SIZE, obstacleX, obstacleY, obstacleWidth, obstacleHeight)
+            );
+
+            if (!isBlocked) {
+                collectibles.push([x, y]);
+                obstacles.push([x, y, COLLECTIBLE_SIZE, COLLECTIBLE_SIZE]);
+                break;
+            }
+        }
+    }
+
+    return collectibles;
+}
+
 /**
  * Generates a new array of platforms for a single level.
  * Now includes spike platform selection.
+ * @param {Function} getRandom - Seeded range function
+ * @param {number} platformsPerLevel - Number of platforms to place
+ * @param {number} spikesPerLevel - Number of platforms to turn into spikes
+ * @param {Object} layout - Difficulty generation parameters { minPlatformWidth, maxPlatformWidth, minConsecutiveXGap }
  */
-function generatePlatforms() {
+function generatePlatforms(getRandom, platformsPerLevel, spikesPerLevel, layout) {
+    const { minPlatformWidth, maxPlatformWidth, minConsecutiveXGap } = layout;
     const platforms = [];
     let currentY = getRandom(MIN_FIRST_Y, MAX_FIRST_Y);
 
     // --- Generate first platform ---
     const firstX = getRandom(MIN_X, MAX_X);
-    const firstWidth = getRandom(MIN_PLATFORM_WIDTH, MAX_PLATFORM_WIDTH);
+    const firstWidth = getRandom(minPlatformWidth, maxPlatformWidth);
     platforms.push([
         firstX,
         currentY,
@@ -242,14 +518,14 @@ function generatePlatforms() {
 
     // --- Calculate Y gaps ---
     // (This already ensures a minimum vertical distance)
-    const numRemaining = PLATFORMS_PER_LEVEL - 1;
+    const numRemaining = platformsPerLevel - 1;
     const remainingHeight = MAX_FINAL_Y - currentY;
     const avgGap = remainingHeight / numRemaining;
     const minYGap = avgGap * 0.8;
     const maxYGap = avgGap * 1.2;
 
     // --- Generate remaining platforms ---
-    for (let i = 1; i < PLATFORMS_PER_LEVEL; i++) {
+    for (let i = 1; i < platformsPerLevel; i++) {
         // 1. Get Y position
         currentY += getRandom(minYGap, maxYGap);
         if (currentY > MAX_FINAL_Y) { // Clamp
@@ -257,7 +533,7 @@ function generatePlatforms() {
         }
 
         // 2. Get Width
-        const currentWidth = getRandom(MIN_PLATFORM_WIDTH, MAX_PLATFORM_WIDTH);
+        const currentWidth = getRandom(minPlatformWidth, maxPlatformWidth);
 
         // 3. Get X position, ensuring min gap from the last platform
         let currentX;
@@ -267,7 +543,7 @@ function generatePlatforms() {
             attempts++;
             // Keep trying if the horizontal distance is too small
         } while (
-            Math.abs(currentX - lastX) < MIN_CONSECUTIVE_X_GAP &&
+            Math.abs(currentX - lastX) < minConsecutiveXGap &&
             attempts < MAX_GENERATION_ATTEMPTS
         );
         // If it fails after 10 attempts, it will just use the last generated X,
@@ -289,7 +565,7 @@ function generatePlatforms() {
     // --- Randomly select platforms to be spikes ---
     // Don't make the first or last platform spikes for better gameplay
     const selectablePlatforms = platforms.slice(1, -1); // Exclude first and last
-    const numSelectableSpikes = Math.min(SPIKES_PER_LEVEL, selectablePlatforms.length);
+    const numSelectableSpikes = Math.min(spikesPerLevel, selectablePlatforms.length);
 
     // Shuffle and select platforms to be spikes
     const shuffledIndices = [];
@@ -338,18 +614,376 @@ const LEVEL_CONFIGS = [
     { number: 20, startY: 285, color: 0xffcc00, backgroundColor: 0x302a1a, },
 ];
 
-// --- Main Loop to Generate All Levels ---
-const LEVELS = [];
-for (let i = 0; i < NUM_LEVELS; i++) {
-    const config = LEVEL_CONFIGS[i];
-    const platforms = generatePlatforms(); // Generate platforms first
-    const walls = generateWalls(platforms); // Generate walls, avoiding platform overlap
-
-    LEVELS.push({
-        ...config, // Spread the number, startY, color, backgroundColor
-        platforms: platforms,
-        walls: walls
-    });
+/** @constant {number} Number of levels in a generated tower */
+const LEVEL_COUNT = LEVEL_CONFIGS.length;
+
+// ========================================
+// REACHABILITY
+// ========================================
+
+/**
+ * Converts a level's platforms and walls to solver surfaces in world coordinates.
+ * @param {Array} platforms - Level platforms [x, y, width, height, isSpike]
+ * @param {Array} walls - Level walls [x, y, width, height]
+ * @param {number} startY - Level's Y offset
+ * @returns {{platforms: Array<Object>, walls: Array<Object>}} Surfaces, in the same order
+ */
+function getLevelSurfaces(platforms, walls, startY) {
+    const originY = startY + LEVEL_ORIGIN_Y;
+    return {
+        platforms: platforms.map(([x, y, width, height]) => toSurface(x, y + originY, width, height)),
+        walls: walls.map(([x, y, width, height]) => toWallSurface(x, y + originY, width, height))
+    };
+}
+
+/**
+ * Gets the areas of the jumps a level's routes use, as boxes in level coordinates.
+ * Routes lead up to the level's top platform and to every surface the next
+ * level's routes start from; the jumps from those surfaces up into the
+ * next level count too.
+ * @param {Object} level - Level layout from layOutNextLevel
+ * @param {Object} nextLevel - Layout of the level above
+ * @returns {Array} Boxes [x, y, width, height]
+ */
+function getRouteAreas(level, nextLevel) {
+    const originY = level.startY + LEVEL_ORIGIN_Y;
+    const jumpsOut = [...nextLevel.jumps.values()].filter(jump => level.surfaces.includes(jump.from));
+    const areas = new Set(jumpsOut.map(jump => jump.area));
+
+    for (const target of [level.surfaces[level.surfaces.length - 1], ...jumpsOut.map(jump => jump.from)]) {
+        for (let jump = level.jumps.get(target); jump && !areas.has(jump.area); jump = level.jumps.get(jump.from)) {
+            areas.add(jump.area);
+        }
+    }
+
+    return [...areas].map(({ left, right, bottom, top }) =>
+        [(left + right) / 2, (bottom + top) / 2 - originY, right - left, top - bottom]
+    );
+}
+
+/**
+ * Checks that the top platform of a level can be reached, repairing the level if needed.
+ * Repairs turn the highest spike the player can land on back into a normal
+ * platform until the top is reachable or no spike helps.
+ * @param {Object} profile - Jump profile of the difficulty
+ * @param {Array<Object>} reached - Surfaces reachable below this level
+ * @param {Array} platforms - Level platforms (spike flags may be cleared)
+ * @param {Array} walls - Level walls
+ * @param {number} startY - Level's Y offset
+ * @returns {Array<Object>|null} Surfaces reachable in this level (the top platform's last), or null if it can't be climbed
+ */
+function solveLevel(profile, reached, platforms, walls, startY) {
+    const surfaces = getLevelSurfaces(platforms, walls, startY);
+    const top = surfaces.platforms[surfaces.platforms.length - 1];
+
+    for (;;) {
+        // Spikes can't be landed on
+        const candidates = [
+            ...surfaces.platforms.filter((_, index) => !platforms[index][4]),
+            ...surfaces.walls
+        ];
+        const isReachable = findReachable(profile, reached, candidates);
+        const reachedHere = candidates.filter((_, index) => isReachable[index]);
+
+        if (reachedHere.includes(top)) return [...reachedHere.filter(surface => surface !== top), top];
+
+        const takeoffs = [...reached, ...reachedHere];
+        let repairIndex = -1;
+        platforms.forEach((platform, index) => {
+            const isHigher = repairIndex === -1 || platform[1] > platforms[repairIndex][1];
+            if (platform[4] && isHigher && takeoffs.some(from => canReach(profile, from, surfaces.platforms[index]))) {
+                repairIndex = index;
+            }
+        });
+
+        if (repairIndex === -1) return null;
+        platforms[repairIndex][4] = false;
+    }
+}
+
+/**
+ * Finds a spot for a stepping platform the player can jump onto from a surface,
+ * on the way to a target surface and clear of the level's platforms and walls.
+ * Higher spots are tried first; a step level with its takeoff must at least
+ * get closer to the target.
+ * @param {Object} profile - Jump profile of the difficulty
+ * @param {Object} from - Surface to step up from (world coordinates, may be in the level below)
+ * @param {Object} target - Surface the steps lead to (world coordinates)
+ * @param {Array} obstacles - Boxes [x, y, width, height] to keep clear of, in level coordinates
+ * @param {number} width - Width of the stepping platform
+ * @param {number} originY - World Y of the level's origin
+ * @returns {{x: number, y: number}|null} Center of the spot in level coordinates, or null if none fits
+ */
+function findSteppingSpot(profile, from, target, obstacles, width, originY) {
+    const fromX = (from.left + from.right) / 2;
+    const targetX = (target.left + target.right) / 2;
+    const direction = targetX >= fromX ? 1 : -1;
+
+    for (const rise of STEPPING_RISES) {
+        const top = Math.max(from.top, Math.min(from.top + rise * profile.maxRise, target.top));
+        const y = Math.min(top - PLATFORM_HEIGHT / 2 - originY, MAX_FINAL_Y);
+
+        // Towards the target first, then away from it
+        for (const side of [direction, -direction]) {
+            for (const distance of STEPPING_DISTANCES) {
+                const x = Math.max(MIN_X + width / 2, Math.min(fromX + side * distance, MAX_X - width / 2));
+                if (top === from.top && Math.abs(x - targetX) >= Math.abs(fromX - targetX)) continue;
+
+                const isBlocked = obstacles.some(([obstacleX, obstacleY, obstacleWidth, obstacleHeight]) =>
+                    rectanglesOverlap(x, y, width + PLAYER_WIDTH * 2, PLATFORM_HEIGHT + EXTRA_PLATFORM_CLEARANCE * 2,
+                        obstacleX, obstacleY, obstacleWidth, obstacleHeight)
+                );
+                if (!isBlocked && canReach(profile, from, toSurface(x, y + originY, width, PLATFORM_HEIGHT))) {
+                    return { x, y };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Makes a level that regenerating couldn't fix climbable by adding stepping
+ * platforms. Each one goes a jump up from the highest surface the player can
+ * get to that has room next to it, towards the top platform, until the top
+ * can be reached.
+ * @param {Object} profile - Jump profile of the difficulty
+ * @param {Array<Object>} reached - Surfaces reachable below this level
+ * @param {Array} platforms - Level platforms (steps are inserted before the top platform, spike flags may be cleared)
+ * @param {Array} walls - Level walls
+ * @param {number} startY - Level's Y offset
+ * @param {number} width - Width of the stepping platforms
+ * @returns {Array<Object>|null} Surfaces reachable in this level (the top platform's last), or null if no steps fit
+ */
+function addSteppingPlatforms(profile, reached, platforms, walls, startY, width) {
+    const originY = startY + LEVEL_ORIGIN_Y;
+
+    // Steps up from the level below can end up under this level's origin, so keep clear of its surfaces too
+    const reachedBoxes = reached.map(({ left, right, top, bottom = top - PLATFORM_HEIGHT }) =>
+        [(left + right) / 2, (top + bottom) / 2 - originY, right - left, top - bottom]
+    );
+
+    for (let step = 0; step < MAX_STEPPING_PLATFORMS; step++) {
+        const surfaces = getLevelSurfaces(platforms, walls, startY);
+        const candidates = [
+            ...surfaces.platforms.filter((_, index) => !platforms[index][4]),
+            ...surfaces.walls
+        ];
+        const isReachable = findReachable(profile, reached, candidates);
+        const takeoffs = [...reached, ...candidates.filter((_, index) => isReachable[index])]
+            .sort((a, b) => b.top - a.top);
+        const top = surfaces.platforms[surfaces.platforms.length - 1];
+
+        let spot = null;
+        for (let i = 0; i < takeoffs.length && !spot; i++) {
+            spot = findSteppingSpot(profile, takeoffs[i], top, [...platforms, ...walls, ...reachedBoxes], width, originY);
+        }
+        if (!spot) return null;
+        platforms.splice(platforms.length - 1, 0, [spot.x, spot.y, width, PLATFORM_HEIGHT, false]);
+
+        const reachedHere = solveLevel(profile, reached, platforms, walls, startY);
+        if (reachedHere) return reachedHere;
+    }
+    return null;
+}
+
+// ========================================
+// LEVEL SET GENERATION
+// ========================================
+
+/**
+ * Generates a full level set from a seed.
+ * Levels are generated in order from a single random sequence, so the same
+ * seed and options always produce the same tower. Levels that can't be
+ * climbed with the difficulty's physics are repaired, regenerated if
+ * repairing isn't enough, and given stepping platforms as a last resort.
+ * @param {number} seed - Unsigned 32-bit seed
+ * @param {Object} [options={}] - Generation options (see createLevelGenerator for the rest)
+ * @param {number} [options.numLevels=NUM_LEVELS] - Number of levels in the tower
+ * @returns {Array<Object>} Level data { number, startY, color, backgroundColor, platforms, walls, movingPlatforms, crumblingPlatforms, blinkingPlatforms, collectibles }
+ */
+function generateLevels(seed, options = {}) {
+    const { numLevels = NUM_LEVELS } = options;
+    const generateNextLevel = createLevelGenerator(seed, options);
+
+    const levels = [];
+    for (let i = 0; i < numLevels; i++) {
+        levels.push(generateNextLevel());
+    }
+    return levels;
+}
+
+/**
+ * Creates a generator that builds a seed's tower one level at a time.
+ * Each call returns the next level up, exactly as generateLevels would
+ * generate it, so endless towers can keep growing as the player climbs.
+ * @param {number} seed - Unsigned 32-bit seed
+ * @param {Object} [options={}] - Generation options
+ * @param {number} [options.platformsPerLevel=PLATFORMS_PER_LEVEL] - Platforms per level
+ * @param {number} [options.spikesPerLevel] - Spike platforms per level (default: the difficulty's)
+ * @param {number} [options.wallsPerLevel=WALLS_PER_LEVEL] - Walls per level
+ * @param {number} [options.movingPlatformsPerLevel=MOVING_PLATFORMS_PER_LEVEL] - Moving platforms per level (fewer if there's no room)
+ * @param {number} [options.crumblingPlatformsPerLevel=CRUMBLING_PLATFORMS_PER_LEVEL] - Crumbling platforms per level (fewer if there's no room)
+ * @param {number} [options.blinkingPlatformsPerLevel=BLINKING_PLATFORMS_PER_LEVEL] - Blinking platforms per level (fewer if there's no room)
+ * @param {number} [options.collectiblesPerLevel=COLLECTIBLES_PER_LEVEL] - Collectibles per level (fewer if there's no room)
+ * @param {string} [options.difficulty=DEFAULT_DIFFICULTY] - Difficulty profile id the tower is laid out for and must be climbable on
+ * @param {boolean} [options.ramp=false] - Make the layout harder with every level (endless towers)
+ * @returns {Function} Returns the next level's data on each call
+ */
+function createLevelGenerator(seed, options = {}) {
+    const {
+        platformsPerLevel = PLATFORMS_PER_LEVEL,
+        difficulty = DEFAULT_DIFFICULTY,
+        wallsPerLevel = WALLS_PER_LEVEL,
+        movingPlatformsPerLevel = MOVING_PLATFORMS_PER_LEVEL,
+        crumblingPlatformsPerLevel = CRUMBLING_PLATFORMS_PER_LEVEL,
+        blinkingPlatformsPerLevel = BLINKING_PLATFORMS_PER_LEVEL,
+        collectiblesPerLevel = COLLECTIBLES_PER_LEVEL,
+        ramp = false
+    } = options;
+    const { physics, generation } = getDifficultyProfile(difficulty);
+    const baseLayout = { ...generation, spikesPerLevel: options.spikesPerLevel ?? generation.spikesPerLevel };
+
+    const getRandom = createRandom(seed);
+    const getExtraRandom = createRandom((seed ^ EXTRA_PLATFORM_SEED_SALT) >>> 0);
+    const getCollectibleRandom = createRandom((seed ^ COLLECTIBLE_SEED_SALT) >>> 0);
+    const profile = getJumpProfile(physics);
+    let levelIndex = 0;
+
+    // The climb starts on the ground
+    let reached = [toSurface(0, GROUND_POSITION_Y, GROUND_WIDTH, GROUND_HEIGHT)];
+
+    /**
+     * Lays out the next level's platforms and walls and picks the jumps up through it.
+     * @returns {Object} Layout { index, startY, platforms, walls, surfaces, jumps }:
+     *   surfaces the next level can be climbed from and the jump onto each (see findJumpTree)
+     */
+    function layOutNextLevel() {
+        const index = levelIndex++;
+        const startY = index * LEVEL_HEIGHT;
+        const layout = ramp ? getRampedLayout(baseLayout, index) : baseLayout;
+
+        let platforms;
+        let walls;
+        let reachedHere = null;
+        for (let attempt = 0; attempt < MAX_LEVEL_ATTEMPTS && !reachedHere; attempt++) {
+            platforms = generatePlatforms(getRandom, platformsPerLevel, layout.spikesPerLevel, layout); // Generate platforms first
+            walls = generateWalls(getRandom, platforms, wallsPerLevel); // Generate walls, avoiding platform overlap
+            reachedHere = solveLevel(profile, reached, platforms, walls, startY);
+        }
+
+        if (!reachedHere) {
+            // Step up to the top of the last attempt rather than ship it unclimbable
+            reachedHere = addSteppingPlatforms(profile, reached, platforms, walls, startY, layout.maxPlatformWidth);
+        }
+
+        if (reachedHere) {
+            const jumps = findJumpTree(profile, reached, reachedHere);
+            reached = reachedHere;
+            return { index, startY, platforms, walls, surfaces: reached, jumps };
+        }
+
+        // Keep the last attempt and carry on from all of its platforms
+        console.warn(`Level ${index + 1} of seed ${seed} may not be climbable on ${difficulty}`);
+        const surfaces = getLevelSurfaces(platforms, walls, startY);
+        reached = [...surfaces.platforms, ...surfaces.walls];
+        return { index, startY, platforms, walls, surfaces: reached, jumps: new Map() };
+    }
+
+    // Levels are laid out one ahead, so a level's extra platforms can keep clear of the jumps into the next
+    let nextLevel = layOutNextLevel();
+
+    return function generateNextLevel() {
+        const level = nextLevel;
+        nextLevel = layOutNextLevel();
+
+        const { index: i, startY, platforms, walls } = level;
+        // Colors repeat for towers taller than the configured levels
+        const config = LEVEL_CONFIGS[i % LEVEL_CONFIGS.length];
+
+        // Extra platforms go wherever there's room left out of the way of the climb
+        const obstacles = [...platforms, ...walls];
+        const jumpAreas = getRouteAreas(level, nextLevel);
+
+        return {
+            ...config, // Spread the color and backgroundColor
+            number: i + 1,
+            startY,
+            platforms: platforms,
+            walls: walls,
+            movingPlatforms: generateMovingPlatforms(getExtraRandom, obstacles, jumpAreas, movingPlatformsPerLevel),
+            crumblingPlatforms: generateCrumblingPlatforms(getExtraRandom, obstacles, jumpAreas, crumblingPlatformsPerLevel),
+            blinkingPlatforms: generateBlinkingPlatforms(getExtraRandom, obstacles, jumpAreas, blinkingPlatformsPerLevel),
+            collectibles: generateCollectibles(getCollectibleRandom, platforms, obstacles, collectiblesPerLevel)
+        };
+    };
+}
+
+/**
+ * Gets an endless tower's layout for a level: the difficulty's layout at
+ * the bottom, moving towards ENDLESS_PEAK_LAYOUT until ENDLESS_RAMP_LEVELS.
+ * @param {Object} layout - Difficulty layout { spikesPerLevel, minPlatformWidth, maxPlatformWidth, minConsecutiveXGap }
+ * @param {number} levelIndex - Level index (0 for level 1)
+ * @returns {Object} Layout for the level
+ */
+function getRampedLayout(layout, levelIndex) {
+    const t = Math.min(1, levelIndex / ENDLESS_RAMP_LEVELS);
+    const ramp = (key) => layout[key] + (ENDLESS_PEAK_LAYOUT[key] - layout[key]) * t;
+
+    return {
+        spikesPerLevel: Math.round(ramp('spikesPerLevel')),
+        minPlatformWidth: ramp('minPlatformWidth'),
+        maxPlatformWidth: ramp('maxPlatformWidth'),
+        minConsecutiveXGap: ramp('minConsecutiveXGap')
+    };
+}
+
+// ========================================
+// SEED HELPERS
+// ========================================
+
+/**
+ * Gets the seed of the day: the UTC date as YYYYMMDD.
+ * Everyone playing on the same day gets the same tower.
+ * @param {Date} [date=new Date()] - Day to get the seed for
+ * @returns {number} Daily seed
+ */
+function getDailySeed(date = new Date()) {
+    return date.getUTCFullYear() * 10000 + (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+}
+
+/**
+ * Picks a new random seed.
+ * @returns {number} Random unsigned 32-bit seed
+ */
+function getRandomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Turns text typed by the player into a seed.
+ * Whole numbers in range are used as-is; any other text is hashed (FNV-1a),
+ * so words and phrases work as seeds too.
+ * @param {string} text - Seed text
+ * @returns {number} Unsigned 32-bit seed
+ * @throws {Error} If the text is empty
+ */
+function parseSeed(text) {
+    const trimmed = String(text ?? '').trim();
+    if (trimmed === '') {
+        throw new Error('Enter a seed');
+    }
+
+    if (/^\d+$/.test(trimmed) && Number(trimmed) <= MAX_SEED) {
+        return Number(trimmed);
+    }
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
 }
 
-export { LEVELS, LEVEL_HEIGHT };
+export { generateLevels, createLevelGenerator, getDailySeed, getRandomSeed, parseSeed, LEVEL_COUNT, LEVEL_HEIGHT, LEVEL_ORIGIN_Y, DEFAULT_SEED };
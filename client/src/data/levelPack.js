@@ -0,0 +1,433 @@
+/**
+ * levelPack.js - Level Pack Files
+ *
+ * Reads, validates and writes level packs: hand-built level sets stored as
+ * JSON (made with the level editor or by hand) that can be played instead of
+ * a generated tower.
+ *
+ * @module data/levelPack
+ *
+ * ## Level Pack Format (version 4):
+ * ```json
+ * {
+ *   "format": "blocky-level-pack",
+ *   "version": 4,
+ *   "metadata": { "name": "My Tower", "author": "Blocky", "description": "..." },
+ *   "levels": [
+ *     {
+ *       "startY": 0,
+ *       "color": "#4488ff",
+ *       "backgroundColor": "#1a1a2e",
+ *       "platforms": [[0, 2.5, 3, 0.3]],
+ *       "spikes": [[4, 5, 2, 0.3]],
+ *       "walls": [[-6, 4, 0.3, 4]],
+ *       "movingPlatforms": [[8, 9, 2.5, 0.3, "x", 4, 2]],
+ *       "crumblingPlatforms": [[-3, 7, 2.5, 0.3]],
+ *       "blinkingPlatforms": [[2, 11, 3, 0.3, 2, 1, 0]],
+ *       "collectibles": [[0, 4]]
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * ## Fields:
+ * - format/version: Always LEVEL_PACK_FORMAT and the version the pack was written in
+ * - metadata: Optional name, author and description (strings)
+ * - levels: 1 to MAX_PACK_LEVELS levels, bottom first
+ * - startY: Optional; levels are stacked LEVEL_HEIGHT apart, so level N starts at (N - 1) * LEVEL_HEIGHT
+ * - color, backgroundColor: "#rrggbb" or a number from 0 to 0xFFFFFF
+ * - platforms, spikes, walls: Boxes [x, y, width, height] with (x, y) at the
+ *   center, y relative to the level's start. platforms is required, the others are optional.
+ * - movingPlatforms: Optional boxes with a path [x, y, width, height, axis, range, speed]:
+ *   (x, y) is the path's center, axis is "x" or "y", range is the path length and
+ *   speed is at most MAX_PLATFORM_SPEED. The whole path must stay inside the level.
+ * - crumblingPlatforms: Optional boxes that fall a moment after being stood on
+ * - blinkingPlatforms: Optional boxes with a cycle [x, y, width, height, onTime, offTime, offset]
+ *   in seconds: on for onTime, then off for offTime, shifted by offset
+ * - collectibles: Optional points [x, y] where stars float
+ *
+ * ## Versions:
+ * - 1: Platforms, spikes and walls
+ * - 2: Adds movingPlatforms
+ * - 3: Adds crumblingPlatforms and blinkingPlatforms
+ * - 4: Adds collectibles (older packs still load)
+ *
+ * ## Validation:
+ * Packs are checked completely before anything is spawned. The first problem
+ * found is thrown as an Error naming the level and box it is in.
+ */
+
+import { LEVEL_HEIGHT, MAX_PLATFORM_SPEED } from '../../../shared/constants.js';
+import { PATH_AXES } from '../../../shared/movingPlatforms.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/** Format identifier written to every level pack */
+const LEVEL_PACK_FORMAT = 'blocky-level-pack';
+
+/** Current level pack version */
+const LEVEL_PACK_VERSION = 4;
+
+/** Most levels a pack may contain */
+const MAX_PACK_LEVELS = 100;
+
+/** Boxes must be centered within this distance of the tower's middle (world units) */
+const MAX_ABS_X = 50;
+
+/** Largest width or height of a box (world units) */
+const MAX_BOX_SIZE = 100;
+
+/** Longest on or off time of a blinking platform (seconds) */
+const MAX_BLINK_TIME = 60;
+
+/** Metadata fields a pack may have (all optional strings) */
+const METADATA_FIELDS = ['name', 'author', 'description'];
+
+/** Matches "#rrggbb" colors */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// ========================================
+// READING
+// ========================================
+
+/**
+ * Reads and validates a level pack file chosen by the user.
+ * @param {File} file - The level pack file
+ * @returns {Promise<Object>} The level pack { metadata, levels }
+ * @throws {Error} If the file is not a valid level pack
+ */
+export async function readLevelPackFile(file) {
+  return parseLevelPack(await file.text());
+}
+
+/**
+ * Downloads and validates a level pack.
+ * @param {string} url - Address of the level pack JSON
+ * @returns {Promise<Object>} The level pack { metadata, levels }
+ * @throws {Error} If the download fails or the file is not a valid level pack
+ */
+export async function fetchLevelPack(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    throw new Error(`Could not download ${url}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not download ${url} (HTTP ${response.status})`);
+  }
+  return parseLevelPack(await response.text());
+}
+
+/**
+ * Parses and validates level pack JSON.
+ * @param {string} text - Level pack file contents
+ * @returns {{metadata: Object, levels: Array<Object>}} Metadata and the levels in the level data format
+ * @throws {Error} With a message suitable for showing to the player
+ */
+export function parseLevelPack(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Level pack is not valid JSON');
+  }
+
+  if (data?.format !== LEVEL_PACK_FORMAT) {
+    throw new Error('File is not a Blocky level pack');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Level pack is missing its version');
+  }
+  if (data.version > LEVEL_PACK_VERSION) {
+    throw new Error(`Level pack version ${data.version} is newer than this game supports (${LEVEL_PACK_VERSION})`);
+  }
+
+  const metadata = validateMetadata(data.metadata);
+
+  if (!Array.isArray(data.levels) || data.levels.length === 0) {
+    throw new Error('Level pack has no levels');
+  }
+  if (data.levels.length > MAX_PACK_LEVELS) {
+    throw new Error(`Level pack has ${data.levels.length} levels (at most ${MAX_PACK_LEVELS} are allowed)`);
+  }
+
+  return { metadata, levels: data.levels.map(validateLevel) };
+}
+
+/**
+ * Checks a pack's metadata.
+ * @private
+ * @param {*} metadata - Metadata from the pack (may be missing)
+ * @returns {Object} Metadata with only the known fields
+ * @throws {Error} If the metadata is not an object or a field is not a string
+ */
+function validateMetadata(metadata) {
+  if (metadata === undefined) return {};
+  if (!isPlainObject(metadata)) {
+    throw new Error('Level pack metadata must be an object');
+  }
+
+  const result = {};
+  for (const field of METADATA_FIELDS) {
+    if (metadata[field] === undefined) continue;
+    if (typeof metadata[field] !== 'string') {
+      throw new Error(`Level pack metadata "${field}" must be text`);
+    }
+    result[field] = metadata[field];
+  }
+  return result;
+}
+
+/**
+ * Checks one level and converts it to the level data format.
+ * @private
+ * @param {*} level - Level from the pack
+ * @param {number} index - Index of the level in the pack
+ * @returns {Object} Level { number, startY, color, backgroundColor, platforms, walls, movingPlatforms, crumblingPlatforms, blinkingPlatforms, collectibles }
+ * @throws {Error} If anything about the level is invalid
+ */
+function validateLevel(level, index) {
+  const name = `Level ${index + 1}`;
+  const startY = index * LEVEL_HEIGHT;
+
+  if (!isPlainObject(level)) {
+    throw new Error(`${name} must be an object`);
+  }
+  if (level.startY !== undefined && level.startY !== startY) {
+    throw new Error(`${name}: startY must be ${startY} (levels are stacked ${LEVEL_HEIGHT} apart)`);
+  }
+  if (!Array.isArray(level.platforms)) {
+    throw new Error(`${name} is missing its platforms list`);
+  }
+
+  const platforms = validateBoxes(level.platforms, `${name}, platform`);
+  const spikes = validateBoxes(level.spikes ?? [], `${name}, spike`);
+  const walls = validateBoxes(level.walls ?? [], `${name}, wall`);
+  const movingPlatforms = validateMovingPlatforms(level.movingPlatforms ?? [], `${name}, moving platform`);
+  const crumblingPlatforms = validateBoxes(level.crumblingPlatforms ?? [], `${name}, crumbling platform`);
+  const blinkingPlatforms = validateBlinkingPlatforms(level.blinkingPlatforms ?? [], `${name}, blinking platform`);
+  const collectibles = validatePoints(level.collectibles ?? [], `${name}, collectible`);
+
+  return {
+    number: index + 1,
+    startY,
+    color: validateColor(level.color, `${name}: color`),
+    backgroundColor: validateColor(level.backgroundColor, `${name}: backgroundColor`),
+    platforms: [
+      ...platforms.map((box) => [...box, false]),
+      ...spikes.map((box) => [...box, true])
+    ],
+    walls,
+    movingPlatforms,
+    crumblingPlatforms,
+    blinkingPlatforms,
+    collectibles
+  };
+}
+
+/**
+ * Checks a list of boxes.
+ * @private
+ * @param {*} boxes - Box list from the pack
+ * @param {string} name - Name of a box in error messages (e.g. "Level 2, wall")
+ * @returns {Array<Array<number>>} Boxes [x, y, width, height]
+ * @throws {Error} If the list or one of its boxes is invalid
+ */
+function validateBoxes(boxes, name) {
+  if (!Array.isArray(boxes)) {
+    throw new Error(`${name} list must be an array`);
+  }
+
+  return boxes.map((box, i) => {
+    const boxName = `${name} ${i + 1}`;
+    if (!Array.isArray(box) || box.length !== 4 || !box.every(Number.isFinite)) {
+      throw new Error(`${boxName} must be [x, y, width, height] numbers`);
+    }
+
+    const [x, y, width, height] = box;
+    if (width <= 0 || height <= 0 || width > MAX_BOX_SIZE || height > MAX_BOX_SIZE) {
+      throw new Error(`${boxName}: width and height must be between 0 and ${MAX_BOX_SIZE}`);
+    }
+    if (Math.abs(x) > MAX_ABS_X) {
+      throw new Error(`${boxName}: x must be between -${MAX_ABS_X} and ${MAX_ABS_X}`);
+    }
+    if (y < 0 || y > LEVEL_HEIGHT) {
+      throw new Error(`${boxName}: y must be between 0 and ${LEVEL_HEIGHT} (inside its level)`);
+    }
+    return [x, y, width, height];
+  });
+}
+
+/**
+ * Checks a list of points.
+ * @private
+ * @param {*} points - Point list from the pack
+ * @param {string} name - Name of a point in error messages (e.g. "Level 2, collectible")
+ * @returns {Array<Array<number>>} Points [x, y]
+ * @throws {Error} If the list or one of its points is invalid
+ */
+function validatePoints(points, name) {
+  if (!Array.isArray(points)) {
+    throw new Error(`${name} list must be an array`);
+  }
+
+  return points.map((point, i) => {
+    const pointName = `${name} ${i + 1}`;
+    if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+      throw new Error(`${pointName} must be [x, y] numbers`);
+    }
+
+    const [x, y] = point;
+    if (Math.abs(x) > MAX_ABS_X) {
+      throw new Error(`${pointName}: x must be between -${MAX_ABS_X} and ${MAX_ABS_X}`);
+    }
+    if (y < 0 || y > LEVEL_HEIGHT) {
+      throw new Error(`${pointName}: y must be between 0 and ${LEVEL_HEIGHT} (inside its level)`);
+    }
+    return [x, y];
+  });
+}
+
+/**
+ * Checks a list of moving platforms.
+ * @private
+ * @param {*} movingPlatforms - Moving platform list from the pack
+ * @param {string} name - Name of a moving platform in error messages
+ * @returns {Array<Array>} Moving platforms [x, y, width, height, axis, range, speed]
+ * @throws {Error} If the list or one of its moving platforms is invalid
+ */
+function validateMovingPlatforms(movingPlatforms, name) {
+  if (!Array.isArray(movingPlatforms)) {
+    throw new Error(`${name} list must be an array`);
+  }
+
+  return movingPlatforms.map((movingPlatform, i) => {
+    const platformName = `${name} ${i + 1}`;
+    if (!Array.isArray(movingPlatform) || movingPlatform.length !== 7) {
+      throw new Error(`${platformName} must be [x, y, width, height, axis, range, speed]`);
+    }
+
+    const [box] = validateBoxes([movingPlatform.slice(0, 4)], platformName);
+    const [x, y] = box;
+    const [, , , , axis, range, speed] = movingPlatform;
+
+    if (!PATH_AXES.includes(axis)) {
+      throw new Error(`${platformName}: axis must be "x" or "y"`);
+    }
+    if (!Number.isFinite(range) || range <= 0 || range > MAX_BOX_SIZE) {
+      throw new Error(`${platformName}: range must be between 0 and ${MAX_BOX_SIZE}`);
+    }
+    if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_PLATFORM_SPEED) {
+      throw new Error(`${platformName}: speed must be between 0 and ${MAX_PLATFORM_SPEED}`);
+    }
+    if (axis === 'x' && Math.abs(x) + range / 2 > MAX_ABS_X) {
+      throw new Error(`${platformName}: its path must stay between -${MAX_ABS_X} and ${MAX_ABS_X}`);
+    }
+    if (axis === 'y' && (y - range / 2 < 0 || y + range / 2 > LEVEL_HEIGHT)) {
+      throw new Error(`${platformName}: its path must stay inside its level (y between 0 and ${LEVEL_HEIGHT})`);
+    }
+    return [...box, axis, range, speed];
+  });
+}
+
+/**
+ * Checks a list of blinking platforms.
+ * @private
+ * @param {*} blinkingPlatforms - Blinking platform list from the pack
+ * @param {string} name - Name of a blinking platform in error messages
+ * @returns {Array<Array<number>>} Blinking platforms [x, y, width, height, onTime, offTime, offset]
+ * @throws {Error} If the list or one of its blinking platforms is invalid
+ */
+function validateBlinkingPlatforms(blinkingPlatforms, name) {
+  if (!Array.isArray(blinkingPlatforms)) {
+    throw new Error(`${name} list must be an array`);
+  }
+
+  return blinkingPlatforms.map((blinkingPlatform, i) => {
+    const platformName = `${name} ${i + 1}`;
+    if (!Array.isArray(blinkingPlatform) || blinkingPlatform.length !== 7 || !blinkingPlatform.every(Number.isFinite)) {
+      throw new Error(`${platformName} must be [x, y, width, height, onTime, offTime, offset] numbers`);
+    }
+
+    const [box] = validateBoxes([blinkingPlatform.slice(0, 4)], platformName);
+    const [, , , , onTime, offTime, offset] = blinkingPlatform;
+
+    if (onTime <= 0 || offTime <= 0 || onTime > MAX_BLINK_TIME || offTime > MAX_BLINK_TIME) {
+      throw new Error(`${platformName}: onTime and offTime must be between 0 and ${MAX_BLINK_TIME} seconds`);
+    }
+    return [...box, onTime, offTime, offset];
+  });
+}
+
+/**
+ * Checks a color and converts it to a hex value.
+ * @private
+ * @param {*} color - "#rrggbb" or a number
+ * @param {string} name - Name of the color in error messages
+ * @returns {number} Color as hex value
+ * @throws {Error} If the color is missing or invalid
+ */
+function validateColor(color, name) {
+  if (typeof color === 'string' && COLOR_PATTERN.test(color)) {
+    return parseInt(color.slice(1), 16);
+  }
+  if (Number.isInteger(color) && color >= 0 && color <= 0xFFFFFF) {
+    return color;
+  }
+  throw new Error(`${name} must be a color like "#4488ff"`);
+}
+
+/**
+ * Checks whether a value is a plain object (not null or an array).
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// ========================================
+// WRITING
+// ========================================
+
+/**
+ * Creates a level pack from levels in the level data format.
+ * @param {Array<Object>} levels - Levels to save
+ * @param {Object} [metadata={}] - Pack name, author and description
+ * @returns {Object} Level pack, ready for JSON.stringify
+ */
+export function createLevelPack(levels, metadata = {}) {
+  const toBox = ([x, y, width, height]) => [x, y, width, height];
+
+  return {
+    format: LEVEL_PACK_FORMAT,
+    version: LEVEL_PACK_VERSION,
+    metadata: validateMetadata(metadata),
+    levels: levels.map((level) => ({
+      startY: level.startY,
+      color: toColorString(level.color),
+      backgroundColor: toColorString(level.backgroundColor),
+      platforms: level.platforms.filter((platform) => !platform[4]).map(toBox),
+      spikes: level.platforms.filter((platform) => platform[4]).map(toBox),
+      walls: (level.walls ?? []).map(toBox),
+      movingPlatforms: (level.movingPlatforms ?? []).map((movingPlatform) => [...movingPlatform]),
+      crumblingPlatforms: (level.crumblingPlatforms ?? []).map(toBox),
+      blinkingPlatforms: (level.blinkingPlatforms ?? []).map((blinkingPlatform) => [...blinkingPlatform]),
+      collectibles: (level.collectibles ?? []).map(([x, y]) => [x, y])
+    }))
+  };
+}
+
+/**
+ * Formats a hex color as "#rrggbb".
+ * @private
+ * @param {number} color - Color as hex value
+ * @returns {string} Color string
+ */
+function toColorString(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
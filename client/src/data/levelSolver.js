@@ -0,0 +1,346 @@
+/**
+ * levelSolver.js - Level Reachability Solver
+ *
+ * Checks which platforms of a generated tower can actually be landed on
+ * with jumps, double jumps, gliding and climbing the level's walls, so the
+ * generator can reject or repair levels that would need unintended tricks
+ * (like wall jumping off the side of a platform).
+ *
+ * @module data/levelSolver
+ *
+ * ## Jump Model:
+ * Jumps are simulated with the shared physics step (the same rules the game
+ * runs), once for every double jump timing, holding jump afterwards to glide.
+ * The result is a jump profile per difficulty's physics: the highest the
+ * player can rise, and for every height difference the longest time they
+ * can stay airborne before coming down onto a surface at that height.
+ * Horizontal movement is independent of vertical movement, so a surface is
+ * reachable if the horizontal gap can be covered at the difficulty's move
+ * speed in that time.
+ *
+ * ## Surfaces:
+ * Plain objects { left, right, top } in world units (see toSurface). Walls
+ * also have a bottom (see toWallSurface): touching one anywhere along its
+ * height lets the player climb it and take off from its top.
+ *
+ * ## Jump Areas:
+ * getJumpArea gives a box the player's body stays inside for a jump from
+ * one surface onto another, whatever the takeoff point and timing.
+ * findJumpTree picks the jumps that routes up through a level use, and the
+ * generator keeps extra platforms out of their areas.
+ *
+ * ## Limitations:
+ * - Walls and platform undersides in the way of a jump are ignored
+ * - A platform that completely covers the one below it can't be jumped onto from it
+ * - Moving platforms are ignored; generated levels must be climbable without them
+ * - Spikes are never landed on, even for difficulties whose spikes bounce
+ */
+
+import { stepPhysics } from '../../../shared/physics.js';
+import {
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  FIXED_TIMESTEP,
+  LEVEL_HEIGHT
+} from '../../../shared/constants.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/** Height resolution of the airtime table (world units) */
+const HEIGHT_STEP = 0.05;
+
+/** Lowest height difference tracked; anything lower reuses its airtime */
+const MIN_HEIGHT_DIFF = -LEVEL_HEIGHT;
+
+/** Latest double jump tried (ticks after takeoff) */
+const MAX_DOUBLE_JUMP_TICK = 120;
+
+/** How far inside a platform's edge the player must stand or land (world units) */
+const EDGE_MARGIN = 0.1;
+
+/** Simulated jumps start high up so falling never hits the world floor */
+const SIMULATION_START_Y = 1000;
+
+// ========================================
+// JUMP PROFILES
+// ========================================
+
+/** @type {Map<Object, Object>} Jump profiles by difficulty physics */
+const profiles = new Map();
+
+/**
+ * Gets the jump profile for a difficulty's physics, simulating it on first use.
+ * @param {Object} physics - Physics of a difficulty profile (see shared/difficultyProfiles.js)
+ * @returns {Object} Profile { maxRise, airTicks, movePerTick } (airTicks indexed by height bucket, -1 if unreachable)
+ */
+export function getJumpProfile(physics) {
+  let profile = profiles.get(physics);
+  if (!profile) {
+    profile = simulateJumps(physics);
+    profiles.set(physics, profile);
+  }
+  return profile;
+}
+
+/**
+ * Simulates every double jump timing and records the airtime table.
+ * @private
+ * @param {Object} physics - Physics of a difficulty profile
+ * @returns {Object} Profile { maxRise, airTicks, movePerTick }
+ */
+function simulateJumps(physics) {
+  const trajectories = [];
+  let maxRise = 0;
+
+  // Tick the double jump is pressed on (Infinity: never)
+  const timings = [Infinity];
+  for (let tick = 2; tick <= MAX_DOUBLE_JUMP_TICK; tick++) {
+    timings.push(tick);
+  }
+
+  for (const doubleJumpTick of timings) {
+    const heights = simulateJump(physics, doubleJumpTick);
+    trajectories.push(heights);
+    maxRise = Math.max(maxRise, ...heights);
+  }
+
+  const bucketCount = Math.ceil((maxRise - MIN_HEIGHT_DIFF) / HEIGHT_STEP) + 1;
+  const airTicks = new Int16Array(bucketCount).fill(-1);
+
+  // For every height, keep the latest tick a falling player passes through it
+  for (const heights of trajectories) {
+    for (let tick = 1; tick < heights.length; tick++) {
+      const previous = heights[tick - 1];
+      const current = heights[tick];
+      if (current >= previous) continue;
+
+      const first = Math.max(0, Math.ceil((current - MIN_HEIGHT_DIFF) / HEIGHT_STEP));
+      const last = Math.min(bucketCount - 1, Math.floor((previous - MIN_HEIGHT_DIFF) / HEIGHT_STEP));
+      for (let bucket = first; bucket <= last; bucket++) {
+        // tick + 1 ticks of horizontal movement have happened by the landing
+        airTicks[bucket] = Math.max(airTicks[bucket], tick + 1);
+      }
+    }
+  }
+
+  // Horizontal distance covered per physics tick
+  const movePerTick = physics.moveSpeed * FIXED_TIMESTEP;
+
+  return { maxRise, airTicks, movePerTick };
+}
+
+/**
+ * Simulates one jump from flat ground without any colliders.
+ * @private
+ * @param {Object} physics - Physics of a difficulty profile
+ * @param {number} doubleJumpTick - Tick to double jump on (jump is released the tick before)
+ * @returns {number[]} Height of the player's feet above the takeoff point after each tick
+ */
+function simulateJump(physics, doubleJumpTick) {
+  let state = {
+    x: 0,
+    y: SIMULATION_START_Y,
+    velocityY: 0,
+    isOnGround: true,
+    jumpCount: 0,
+    canDoubleJump: false,
+    jumpKeyReleased: true,
+    isGliding: false,
+    glideDirection: 0,
+    isOnWall: false,
+    canWallJump: false,
+    wallSide: null,
+    facingDirection: 1,
+    canMove: true,
+    respawnTimer: 0,
+    jumpStrength: physics.jumpStrength
+  };
+
+  const heights = [0];
+  for (let tick = 0; heights[heights.length - 1] >= MIN_HEIGHT_DIFF; tick++) {
+    const input = { jump: tick !== doubleJumpTick - 1 };
+    state = stepPhysics(state, input, FIXED_TIMESTEP, [], physics).state;
+    heights.push(state.y - SIMULATION_START_Y);
+  }
+
+  return heights;
+}
+
+/**
+ * Gets how many ticks the player can stay airborne before landing at a height difference.
+ * @private
+ * @param {Object} profile - Jump profile
+ * @param {number} heightDiff - Target surface height minus takeoff surface height
+ * @returns {number} Ticks of airtime, or -1 if the height can't be landed on
+ */
+function getAirTicks(profile, heightDiff) {
+  if (heightDiff > profile.maxRise) return -1;
+
+  // Round up: higher surfaces never allow more airtime
+  const bucket = Math.max(0, Math.ceil((heightDiff - MIN_HEIGHT_DIFF) / HEIGHT_STEP));
+  return profile.airTicks[Math.min(bucket, profile.airTicks.length - 1)];
+}
+
+// ========================================
+// REACHABILITY
+// ========================================
+
+/**
+ * Gets the walkable top surface of a platform.
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} width - Platform width
+ * @param {number} height - Platform height
+ * @returns {{left: number, right: number, top: number}} Surface
+ */
+export function toSurface(x, y, width, height) {
+  return { left: x - width / 2, right: x + width / 2, top: y + height / 2 };
+}
+
+/**
+ * Gets the climbable extent of a wall.
+ * Once grabbed, a wall can be climbed with repeated wall jumps and left from its top.
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} width - Wall width
+ * @param {number} height - Wall height
+ * @returns {{left: number, right: number, top: number, bottom: number, isWall: boolean}} Wall surface
+ */
+export function toWallSurface(x, y, width, height) {
+  return { ...toSurface(x, y, width, height), bottom: y - height / 2, isWall: true };
+}
+
+/**
+ * Checks whether the player can get from one surface onto another in a single jump.
+ * Walls only need to be touched anywhere along their height to be grabbed.
+ * @param {Object} profile - Jump profile from getJumpProfile
+ * @param {Object} from - Surface the player takes off from (a wall's top once climbed)
+ * @param {Object} to - Surface to land on or wall to grab
+ * @returns {boolean} True if the landing is possible
+ */
+export function canReach(profile, from, to) {
+  const halfWidth = PLAYER_WIDTH / 2;
+
+  // Player center positions that stand on the takeoff surface
+  const fromLeft = from.left - halfWidth + EDGE_MARGIN;
+  const fromRight = from.right + halfWidth - EDGE_MARGIN;
+
+  if (to.isWall) {
+    // Grabbing as low as possible leaves the most time to get there
+    const lowestGrab = to.bottom - PLAYER_HEIGHT + EDGE_MARGIN;
+    const heightDiff = Math.min(Math.max(lowestGrab, from.top), to.top - EDGE_MARGIN) - from.top;
+    const airTicks = getAirTicks(profile, heightDiff);
+    if (airTicks < 0) return false;
+
+    const gap = Math.max(0, to.left - halfWidth - fromRight, fromLeft - (to.right + halfWidth));
+    return gap <= airTicks * profile.movePerTick;
+  }
+
+  const heightDiff = to.top - from.top;
+  const airTicks = getAirTicks(profile, heightDiff);
+  if (airTicks < 0) return false;
+
+  // Player center positions that land on the target surface
+  const toLeft = to.left - halfWidth + EDGE_MARGIN;
+  const toRight = to.right + halfWidth - EDGE_MARGIN;
+
+  const gap = Math.max(0, toLeft - fromRight, fromLeft - toRight);
+
+  // Jumping up onto a platform overhead needs a takeoff point clear of its edges
+  if (gap === 0 && heightDiff > 0) {
+    const clearLeft = fromLeft < to.left - halfWidth;
+    const clearRight = fromRight > to.right + halfWidth;
+    if (!clearLeft && !clearRight) return false;
+  }
+
+  return gap <= airTicks * profile.movePerTick;
+}
+
+/**
+ * Gets the area the player's body can pass through on a jump from one surface onto another.
+ * The takeoff can be anywhere on the surface close enough to the landing,
+ * and the jump can rise as high as the profile allows.
+ * @param {Object} profile - Jump profile from getJumpProfile
+ * @param {Object} from - Surface the player takes off from
+ * @param {Object} to - Surface landed on or wall grabbed
+ * @returns {{left: number, right: number, bottom: number, top: number}} Edges of the area
+ */
+export function getJumpArea(profile, from, to) {
+  const halfWidth = PLAYER_WIDTH / 2;
+  const landingBottom = to.isWall ? to.bottom - PLAYER_HEIGHT : to.top;
+
+  // Takeoff points further away than the longest jump to that height can't be used
+  const airTicks = getAirTicks(profile, Math.max(landingBottom, from.top) - from.top);
+  const reach = Math.max(0, airTicks) * profile.movePerTick + halfWidth;
+  const fromLeft = Math.max(from.left, to.left - reach);
+  const fromRight = Math.min(from.right, to.right + reach);
+
+  return {
+    left: Math.min(fromLeft, to.left) - halfWidth,
+    right: Math.max(fromRight, to.right) + halfWidth,
+    bottom: Math.min(from.top, landingBottom),
+    top: Math.max(from.top + profile.maxRise, to.top) + PLAYER_HEIGHT
+  };
+}
+
+/**
+ * Finds which candidate surfaces can be reached from the surfaces already reached.
+ * Candidates reached along the way count as takeoff points too.
+ * @param {Object} profile - Jump profile from getJumpProfile
+ * @param {Array<Object>} reached - Surfaces known to be reachable
+ * @param {Array<Object>} candidates - Platform and wall surfaces to check
+ * @returns {boolean[]} Reachability of each candidate
+ */
+export function findReachable(profile, reached, candidates) {
+  const isReachable = candidates.map(() => false);
+  const queue = [...reached];
+
+  while (queue.length > 0) {
+    const from = queue.shift();
+    candidates.forEach((to, index) => {
+      if (!isReachable[index] && canReach(profile, from, to)) {
+        isReachable[index] = true;
+        queue.push(to);
+      }
+    });
+  }
+
+  return isReachable;
+}
+
+/**
+ * Picks one jump onto each reachable surface, so that following the jumps
+ * back from any surface leads to a reached one without going in circles.
+ * Surfaces get the jump onto them with the smallest area that starts from
+ * a reached surface or one picked before them.
+ * @param {Object} profile - Jump profile from getJumpProfile
+ * @param {Array<Object>} reached - Surfaces known to be reachable
+ * @param {Array<Object>} surfaces - Surfaces that findReachable found reachable from them
+ * @returns {Map<Object, {from: Object, area: Object}>} Jump onto each surface, with its takeoff and area (see getJumpArea)
+ */
+export function findJumpTree(profile, reached, surfaces) {
+  const takeoffs = [...reached];
+  const remaining = [...surfaces];
+  const jumps = new Map();
+
+  while (remaining.length > 0) {
+    let best = null;
+    for (const from of takeoffs) {
+      remaining.forEach((to, index) => {
+        if (!canReach(profile, from, to)) return;
+        const area = getJumpArea(profile, from, to);
+        const size = (area.right - area.left) * (area.top - area.bottom);
+        if (!best || size < best.size) best = { from, area, size, index };
+      });
+    }
+    if (!best) break;
+
+    const [to] = remaining.splice(best.index, 1);
+    jumps.set(to, { from: best.from, area: best.area });
+    takeoffs.push(to);
+  }
+
+  return jumps;
+}
@@ -0,0 +1,95 @@
+/**
+ * BlinkingPlatform.js - Blinking Platform Entity
+ *
+ * A platform that switches on and off on a fixed cycle. Timing follows the
+ * run's simulated time (see shared/timedPlatforms.js).
+ *
+ * @module entities/BlinkingPlatform
+ *
+ * ## Visuals:
+ * - Flickers for BLINK_WARNING_TIME before switching off
+ * - Stays faintly visible while off, so its spot can be planned for
+ */
+
+import Platform from "./Platform.js";
+import { getBlinkState } from '../../../shared/timedPlatforms.js';
+
+/** Seconds before switching off that the platform starts flickering */
+const BLINK_WARNING_TIME = 0.6;
+
+/** Flickers per second while warning */
+const FLICKER_RATE = 10;
+
+/** Opacity while switched off */
+const OFF_OPACITY = 0.15;
+
+/**
+ * BlinkingPlatform class - Switches on and off on a timer
+ * @extends Platform
+ */
+class BlinkingPlatform extends Platform {
+  /**
+   * Creates a new blinking platform.
+   * @param {number} width - Width of the platform
+   * @param {number} height - Height of the platform
+   * @param {number|string} color - Color of the platform (hex or color name)
+   * @param {number} [depth=2] - Depth of the platform
+   * @param {number} [level=1] - Level number for texture assignment
+   * @param {Object} [timing] - Cycle { onTime, offTime, offset } in seconds
+   */
+  constructor(width, height, color = "blue", depth = 2, level = 1, timing = { onTime: 2, offTime: 1, offset: 0 }) {
+    super(width, height, color, depth, level);
+    this.material.transparent = true;
+
+    this.onTime = timing.onTime;
+    this.offTime = timing.offTime;
+    this.offset = timing.offset;
+  }
+
+  /**
+   * Adds the blinking platform to the scene, switched on or off as at the start of a run.
+   * @param {THREE.Scene} scene - The scene to add to
+   * @param {number} [x_pos=0] - X position
+   * @param {number} [y_pos=0] - Y position
+   * @param {number} [z_pos=0] - Z position
+   */
+  add(scene, x_pos = 0, y_pos = 0, z_pos = 0) {
+    super.add(scene, x_pos, y_pos, z_pos);
+    this.updateCollider(0);
+  }
+
+  /**
+   * Gets whether the platform is on at a point in the run.
+   * @param {number} time - Run time in seconds
+   * @returns {{isOn: boolean, timeLeft: number}} Blink state
+   */
+  getStateAt(time) {
+    return getBlinkState(this.onTime, this.offTime, this.offset, time);
+  }
+
+  /**
+   * Switches the collider on or off for the end of a physics tick.
+   * @param {number} time - Simulated run time at the end of the tick
+   */
+  updateCollider(time) {
+    this.collider.isSolid = this.getStateAt(time).isOn;
+  }
+
+  /**
+   * Shows the platform on, flickering or off at a point in the run.
+   * @param {number} time - Run time in seconds, may fall between physics ticks
+   */
+  showAt(time) {
+    const { isOn, timeLeft } = this.getStateAt(time);
+
+    if (!isOn) {
+      this.material.opacity = OFF_OPACITY;
+    } else if (timeLeft < BLINK_WARNING_TIME) {
+      this.material.opacity = Math.floor(timeLeft * FLICKER_RATE) % 2 === 0 ? 1 : 0.4;
+    } else {
+      this.material.opacity = 1;
+    }
+  }
+}
+
+export default BlinkingPlatform;
@@ -0,0 +1,75 @@
+/**
+ * Checkpoint.js - Checkpoint Flag Entity
+ *
+ * A flag on the first platform of a level. In practice runs, reaching the
+ * level makes it the point the player respawns at after dying.
+ *
+ * @module entities/Checkpoint
+ *
+ * ## Visuals:
+ * - Gray flag until the checkpoint is reached, green afterwards
+ */
+
+import * as THREE from "three";
+
+/** Height of the flag pole */
+const POLE_HEIGHT = 1.6;
+
+/** Flag cloth size */
+const FLAG_WIDTH = 0.7;
+const FLAG_HEIGHT = 0.45;
+
+/** Flag colors */
+const INACTIVE_COLOR = 0x888888;
+const ACTIVE_COLOR = 0x33dd66;
+
+/**
+ * Checkpoint class - A flag marking a respawn point
+ *
+ * @extends THREE.Mesh
+ */
+class Checkpoint extends THREE.Mesh {
+  /**
+   * Creates a new checkpoint flag.
+   * @param {number} levelNumber - Level the checkpoint belongs to (1-indexed)
+   */
+  constructor(levelNumber) {
+    const geometry = new THREE.CylinderGeometry(0.05, 0.05, POLE_HEIGHT);
+    const material = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.5, roughness: 0.4 });
+
+    super(geometry, material);
+
+    this.levelNumber = levelNumber;
+    this.castShadow = true;
+
+    this.flag = new THREE.Mesh(
+      new THREE.PlaneGeometry(FLAG_WIDTH, FLAG_HEIGHT),
+      new THREE.MeshStandardMaterial({ color: INACTIVE_COLOR, side: THREE.DoubleSide })
+    );
+    this.flag.position.set(FLAG_WIDTH / 2, (POLE_HEIGHT - FLAG_HEIGHT) / 2, 0);
+    // add() places the flag in a scene; Object3D's add() attaches a child
+    THREE.Object3D.prototype.add.call(this, this.flag);
+  }
+
+  /**
+   * Adds the flag to the scene standing at the specified position.
+   * @param {THREE.Scene} scene - The scene to add to
+   * @param {number} [x_pos=0] - X position of the pole
+   * @param {number} [y_pos=0] - Y position of the pole's foot
+   * @param {number} [z_pos=0] - Z position
+   */
+  add(scene, x_pos = 0, y_pos = 0, z_pos = 0) {
+    this.position.set(x_pos, y_pos + POLE_HEIGHT / 2, z_pos);
+    scene.add(this);
+  }
+
+  /**
+   * Shows whether the checkpoint has been reached.
+   * @param {boolean} isActive - True once the player reached it
+   */
+  setActive(isActive) {
+    this.flag.material.color.setHex(isActive ? ACTIVE_COLOR : INACTIVE_COLOR);
+  }
+}
+
+export default Checkpoint;
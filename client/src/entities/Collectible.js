@@ -0,0 +1,76 @@
+/**
+ * Collectible.js - Collectible Star Entity
+ *
+ * A spinning star floating above a platform. Touching it with the player's
+ * box picks it up; which ones were picked up is tracked in gameState.
+ *
+ * @module entities/Collectible
+ */
+
+import * as THREE from "three";
+import { COLLECTIBLE_SIZE } from '../../../shared/constants.js';
+
+/** Star color */
+const COLLECTIBLE_COLOR = 0xffd700;
+
+/** Spin speed (radians per second) */
+const SPIN_SPEED = 2.5;
+
+/**
+ * Collectible class - A star the player can pick up
+ *
+ * @extends THREE.Mesh
+ */
+class Collectible extends THREE.Mesh {
+  /**
+   * Creates a new collectible.
+   * @param {number} levelNumber - Level the collectible belongs to (1-indexed)
+   * @param {number} index - Index of the collectible in its level
+   */
+  constructor(levelNumber, index) {
+    const geometry = new THREE.OctahedronGeometry(COLLECTIBLE_SIZE / 2);
+    const material = new THREE.MeshStandardMaterial({
+      color: COLLECTIBLE_COLOR,
+      emissive: COLLECTIBLE_COLOR,
+      emissiveIntensity: 0.4,
+      roughness: 0.3,
+      metalness: 0.6
+    });
+
+    super(geometry, material);
+
+    this.levelNumber = levelNumber;
+    this.index = index;
+    this.castShadow = true;
+  }
+
+  /**
+   * Adds the collectible to the scene at the specified position.
+   * @param {THREE.Scene} scene - The scene to add to
+   * @param {number} [x_pos=0] - X position
+   * @param {number} [y_pos=0] - Y position
+   * @param {number} [z_pos=0] - Z position
+   */
+  add(scene, x_pos = 0, y_pos = 0, z_pos = 0) {
+    this.position.set(x_pos, y_pos, z_pos);
+    scene.add(this);
+  }
+
+  /**
+   * Gets the key identifying this collectible in gameState.collectedItems.
+   * @returns {string} Key "<level>:<index>"
+   */
+  getKey() {
+    return `${this.levelNumber}:${this.index}`;
+  }
+
+  /**
+   * Spins the star.
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  spin(deltaTime) {
+    this.rotation.y += SPIN_SPEED * deltaTime;
+  }
+}
+
+export default Collectible;
@@ -0,0 +1,146 @@
+/**
+ * CrumblingPlatform.js - Crumbling Platform Entity
+ *
+ * A platform that cracks when the player lands on it, falls away a moment
+ * later and comes back after a while. Timing follows the run's simulated
+ * time (see shared/timedPlatforms.js).
+ *
+ * @module entities/CrumblingPlatform
+ *
+ * ## Visuals:
+ * - Crack lines across the front face mark it as crumbling from the start
+ * - Shakes and glows red while cracking
+ * - Drops and fades out when it falls
+ */
+
+import * as THREE from "three";
+import Platform from "./Platform.js";
+import { getCrumbleState } from '../../../shared/timedPlatforms.js';
+import { CRUMBLE_DELAY } from '../../../shared/constants.js';
+
+/** How far the platform shakes while cracking (world units) */
+const SHAKE_DISTANCE = 0.05;
+
+/** How fast the platform shakes while cracking (radians per second) */
+const SHAKE_SPEED = 60;
+
+/** Downward acceleration of the falling platform (visual only) */
+const FALL_ACCELERATION = 12;
+
+/** Seconds the falling platform takes to fade out */
+const FADE_TIME = 0.4;
+
+/** Color of the crack lines */
+const CRACK_COLOR = 0x222222;
+
+/**
+ * CrumblingPlatform class - Falls a short time after being stood on
+ * @extends Platform
+ */
+class CrumblingPlatform extends Platform {
+  /**
+   * Creates a new crumbling platform.
+   * @param {number} width - Width of the platform
+   * @param {number} height - Height of the platform
+   * @param {number|string} color - Color of the platform (hex or color name)
+   * @param {number} [depth=2] - Depth of the platform
+   * @param {number} [level=1] - Level number for texture assignment
+   */
+  constructor(width, height, color = "blue", depth = 2, level = 1) {
+    super(width, height, color, depth, level);
+    this.material.transparent = true;
+
+    /** @type {number|null} Run time the player first stood on it (null while untouched) */
+    this.crackTime = null;
+  }
+
+  /**
+   * Adds the crumbling platform to the scene with its crack lines.
+   * @param {THREE.Scene} scene - The scene to add to
+   * @param {number} [x_pos=0] - X position
+   * @param {number} [y_pos=0] - Y position
+   * @param {number} [z_pos=0] - Z position
+   */
+  add(scene, x_pos = 0, y_pos = 0, z_pos = 0) {
+    this.homeX = x_pos;
+    this.homeY = y_pos;
+
+    super.add(scene, x_pos, y_pos, z_pos);
+    this.collider.isSolid = true;
+    this.collider.isCrumbling = true;
+    this.addCrackVisuals();
+  }
+
+  /**
+   * Adds a zigzag crack across the platform's front face.
+   * @private
+   */
+  addCrackVisuals() {
+    const points = [];
+    const segments = Math.max(2, Math.round(this.width / 0.5));
+    for (let i = 0; i <= segments; i++) {
+      const x = -this.width / 2 + (this.width * i) / segments;
+      const y = (i % 2 === 0 ? -1 : 1) * this.height * 0.25;
+      points.push(new THREE.Vector3(x, y, this.depth / 2 + 0.01));
+    }
+
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const crack = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: CRACK_COLOR }));
+    // Platform.add() places the platform in a scene; Object3D's add() attaches a child
+    THREE.Object3D.prototype.add.call(this, crack);
+  }
+
+  /**
+   * Starts cracking, unless it already is.
+   * @param {number} time - Run time the player stood on it
+   */
+  crumble(time) {
+    if (this.crackTime === null) {
+      this.crackTime = time;
+    }
+  }
+
+  /**
+   * Makes the platform whole again (a new run started).
+   */
+  reset() {
+    this.crackTime = null;
+    this.collider.isSolid = true;
+  }
+
+  /**
+   * Updates whether the collider can be stood on at the end of a physics tick.
+   * @param {number} time - Simulated run time at the end of the tick
+   */
+  updateCollider(time) {
+    const { phase } = getCrumbleState(this.crackTime, time);
+    if (phase === 'solid') {
+      this.crackTime = null;
+    }
+    this.collider.isSolid = phase !== 'fallen';
+  }
+
+  /**
+   * Shows the platform cracking or falling at a point in the run.
+   * @param {number} time - Run time in seconds, may fall between physics ticks
+   */
+  showAt(time) {
+    const { phase, elapsed } = getCrumbleState(this.crackTime, time);
+
+    this.position.set(this.homeX, this.homeY, this.position.z);
+    this.material.opacity = 1;
+    this.material.emissive.setRGB(0, 0, 0);
+    this.visible = true;
+
+    if (phase === 'cracking') {
+      this.position.x += Math.sin(elapsed * SHAKE_SPEED) * SHAKE_DISTANCE;
+      this.material.emissive.setRGB(0.4 * (elapsed / CRUMBLE_DELAY), 0, 0);
+    } else if (phase === 'fallen') {
+      this.position.y -= 0.5 * FALL_ACCELERATION * elapsed * elapsed;
+      this.material.opacity = Math.max(0, 1 - elapsed / FADE_TIME);
+      this.visible = this.material.opacity > 0;
+    }
+  }
+}
+
+export default CrumblingPlatform;
@@ -0,0 +1,77 @@
+/**
+ * GhostPlayer.js - Personal Best Ghost Entity
+ *
+ * A translucent replay of the player's fastest run on the current difficulty.
+ * Driven by recorded frames instead of network updates, so positions are set
+ * directly rather than interpolated towards a target.
+ *
+ * @module entities/GhostPlayer
+ *
+ * ## Visuals:
+ * - Same model as the run it was recorded with
+ * - Translucent, no shadows
+ * - Tilts while gliding and turns against walls like the local player
+ */
+
+import RemotePlayer from "./RemotePlayer.js";
+import { glideRotationAngle } from "../config/constants.js";
+
+/** Opacity of the ghost model */
+const GHOST_OPACITY = 0.35;
+
+/** How quickly the ghost turns towards its target rotation */
+const ROTATION_SPEED = 15;
+
+/**
+ * GhostPlayer class - Plays back a recorded run
+ * @class
+ * @extends RemotePlayer
+ */
+export default class GhostPlayer extends RemotePlayer {
+  /**
+   * Makes the loaded model translucent.
+   * Materials are cloned so other players using the same model are unaffected.
+   * @param {THREE.Object3D} model - The loaded model
+   */
+  onModelLoaded(model) {
+    model.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = false;
+        child.material = child.material.clone();
+        child.material.transparent = true;
+        child.material.opacity = GHOST_OPACITY;
+        child.material.depthWrite = false;
+      }
+    });
+  }
+
+  /**
+   * Moves the ghost to a recorded frame.
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {Object} state - Recorded state { glideDirection, wallSide }
+   * @param {number} deltaTime - Seconds since the last frame (for rotation smoothing)
+   */
+  setFrame(x, y, state, deltaTime) {
+    this.group.position.x = x;
+    this.group.position.y = y;
+    this.targetX = x;
+    this.targetY = y;
+    this.state = state;
+
+    let targetRotationZ = 0;
+    let targetRotationY = 0;
+
+    if (state.wallSide === "left") {
+      targetRotationY = Math.PI / 2;
+    } else if (state.wallSide === "right") {
+      targetRotationY = -Math.PI / 2;
+    } else if (state.glideDirection !== 0) {
+      targetRotationZ = state.glideDirection * glideRotationAngle;
+    }
+
+    const t = Math.min(ROTATION_SPEED * deltaTime, 1);
+    this.group.rotation.z += (targetRotationZ - this.group.rotation.z) * t;
+    this.group.rotation.y += (targetRotationY - this.group.rotation.y) * t;
+  }
+}
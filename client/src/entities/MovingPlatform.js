@@ -0,0 +1,103 @@
+/**
+ * MovingPlatform.js
+ *
+ * A platform that travels back and forth along a horizontal or vertical
+ * path, carrying the player standing on it. Where it is depends only on the
+ * run's simulated time (see shared/movingPlatforms.js).
+ *
+ * @module entities/MovingPlatform
+ */
+
+import Platform from './Platform.js';
+import { getPathOffset } from '../../../shared/movingPlatforms.js';
+import { getBounds } from '../../../shared/collision.js';
+
+/**
+ * MovingPlatform class - A platform following a back-and-forth path
+ *
+ * @extends Platform
+ */
+class MovingPlatform extends Platform {
+  /**
+   * Creates a new moving platform
+   * @param {number} width - Width of the platform
+   * @param {number} height - Height of the platform
+   * @param {number|string} color - Color of the platform (hex or color name)
+   * @param {number} depth - Depth of the platform (z-axis)
+   * @param {number} level - Level number for texture assignment
+   * @param {Object} path - Path { axis: 'x'|'y', range, speed }
+   */
+  constructor(width, height, color = "blue", depth = 2, level = 1, path = { axis: 'x', range: 0, speed: 0 }) {
+    super(width, height, color, depth, level);
+
+    this.axis = path.axis;
+    this.range = path.range;
+    this.speed = path.speed;
+  }
+
+  /**
+   * Adds the platform to the scene with its path centered on the given position
+   * @param {THREE.Scene} scene - The scene to add to
+   * @param {number} x_pos - X position of the path's center
+   * @param {number} y_pos - Y position of the path's center
+   * @param {number} z_pos - Z position
+   */
+  add(scene, x_pos = 0, y_pos = 0, z_pos = 0) {
+    this.pathCenterX = x_pos;
+    this.pathCenterY = y_pos;
+
+    super.add(scene, x_pos, y_pos, z_pos);
+    this.collider.moveX = 0;
+    this.collider.moveY = 0;
+  }
+
+  /**
+   * Gets where the platform is at a point in the run
+   * @param {number} time - Simulated run time in seconds
+   * @returns {{x: number, y: number}} Center position
+   */
+  getPositionAt(time) {
+    const offset = getPathOffset(this.range, this.speed, time);
+    return this.axis === 'y'
+      ? { x: this.pathCenterX, y: this.pathCenterY + offset }
+      : { x: this.pathCenterX + offset, y: this.pathCenterY };
+  }
+
+  /**
+   * Gets the edges of the area the platform covers anywhere along its path
+   * @returns {{left: number, right: number, bottom: number, top: number}} Path edges
+   */
+  getPathBounds() {
+    const { width, height } = this.collider;
+    return this.axis === 'y'
+      ? getBounds(this.pathCenterX, this.pathCenterY, width, height + this.range)
+      : getBounds(this.pathCenterX, this.pathCenterY, width + this.range, height);
+  }
+
+  /**
+   * Moves the collider to the end of a physics tick and records how far it moved
+   * @param {number} time - Simulated run time at the end of the tick
+   * @param {number} dt - Tick length in seconds
+   */
+  updateCollider(time, dt) {
+    const current = this.getPositionAt(time);
+    const previous = this.getPositionAt(time - dt);
+
+    this.collider.x = current.x;
+    this.collider.y = current.y;
+    this.collider.moveX = current.x - previous.x;
+    this.collider.moveY = current.y - previous.y;
+  }
+
+  /**
+   * Moves the mesh to where the platform is at a point in the run (for rendering)
+   * @param {number} time - Run time in seconds, may fall between physics ticks
+   */
+  showAt(time) {
+    const { x, y } = this.getPositionAt(time);
+    this.position.x = x;
+    this.position.y = y;
+  }
+}
+
+export default MovingPlatform;
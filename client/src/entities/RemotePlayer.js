@@ -48,6 +48,9 @@ export default class RemotePlayer {
     this.depth = depth;
     this.skinId = skinId;
 
+    /** @type {number|null} Room slot assigned by the server (for HUD labels) */
+    this.playerNumber = null;
+
     // Invisible hitbox for collision detection only (not rendered)
     const geometry = new THREE.BoxGeometry(width, height, depth);
     const material = new THREE.MeshBasicMaterial({
@@ -164,12 +167,20 @@ export default class RemotePlayer {
         });
 
         this.group.add(this.model);
+        this.onModelLoaded(this.model);
       },
       undefined,
       (error) => console.error("Error loading remote player model:", error)
     );
   }
 
+  /**
+   * Called after the model has been added to the group.
+   * Subclasses override this to restyle the model.
+   * @param {THREE.Object3D} model - The loaded model
+   */
+  onModelLoaded() {}
+
   /**
    * Add the remote player to the scene
    */
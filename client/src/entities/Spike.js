@@ -15,6 +15,7 @@
  * - Gray platform base
  * - Grid of cone-shaped spikes on top surface
  * - Spikes automatically fill the platform area
+ * - Spike cones are children of the platform, so they move and get removed with it
  */
 
 import * as THREE from "three";
@@ -48,15 +49,14 @@ class Spike extends Platform {
    */
   add(scene, x_pos = 0, y_pos = 0, z_pos = 0) {
     super.add(scene, x_pos, y_pos, z_pos);
-    this.addSpikeVisuals(scene);
+    this.addSpikeVisuals();
   }
 
   /**
    * Adds cone-shaped spike visuals across the platform surface.
    * @private
-   * @param {THREE.Scene} scene - The scene to add spikes to
    */
-  addSpikeVisuals(scene) {
+  addSpikeVisuals() {
     const spikeSpacing = 0.4;
     const spikeCountX = Math.floor(this.width / spikeSpacing);
     const spikeCountZ = Math.floor(this.depth / spikeSpacing);
@@ -72,13 +72,10 @@ class Spike extends Platform {
         const offsetX = (i - (spikeCountX - 1) / 2) * spikeSpacing;
         const offsetZ = (j - (spikeCountZ - 1) / 2) * spikeSpacing;
 
-        spike.position.set(
-          this.position.x + offsetX,
-          this.position.y + this.height / 2 + 0.125,
-          this.position.z + offsetZ
-        );
+        spike.position.set(offsetX, this.height / 2 + 0.125, offsetZ);
         spike.castShadow = true;
-        scene.add(spike);
+        // Platform.add() places the platform in a scene; Object3D's add() attaches a child
+        THREE.Object3D.prototype.add.call(this, spike);
       }
     }
   }
@@ -67,6 +67,16 @@ class Wall extends THREE.Mesh {
       height: this.height,
       depth: this.depth,
     };
+
+    /** @type {Object} Plain box used by the shared physics step */
+    this.collider = {
+      x: x_pos,
+      y: y_pos,
+      width: this.width,
+      height: this.height,
+      isSpike: false,
+    };
+
     scene.add(this);
   }
 }
@@ -10,55 +10,120 @@
  * 1. Calculate delta time
  * 2. Update particle effects
  * 3. If paused: render only, skip physics
- * 4. Process horizontal movement input
+ * 4. Run as many fixed physics ticks (stepPhysics) as the elapsed time allows
  * 5. Handle attacks
- * 6. Check horizontal collisions (walls)
- * 7. Process jump/wall-jump input
- * 8. Apply gravity/gliding physics
- * 9. Update player rotation visuals
- * 10. Move player vertically
- * 11. Check vertical collisions (platforms, spikes)
- * 12. Detect current level, load ahead
- * 13. Update camera and UI
- * 14. Send multiplayer position updates
- * 15. Render scene
+ * 6. Update player rotation visuals
+ * 7. Record the run and update the PB ghost (solo)
+ * 8. Send multiplayer position updates
+ * 9. Detect current level (recording splits)
+ * 10. Update camera and UI
+ * 11. Render scene with the player interpolated between ticks
+ *
+ * ## Physics Tick (every FIXED_TIMESTEP):
+ * 1. Read the held actions (keyboard and gamepad, or the replay being watched)
+ * 2. Load the levels around the player and unload the rest (see LevelManager.updateLevelWindow)
+ * 3. Update moving, crumbling and blinking platforms to the tick's run time
+ * 4. Run stepPhysics (see shared/physics.js) on a copy of the player's state,
+ *    against the colliders in reach this tick (getSweptBounds, looked up in
+ *    LevelManager's collider grid)
+ * 5. Move a respawned player to the last checkpoint (practice runs)
+ * 6. Write the result back and apply its events (particles, crumbling, respawn)
+ * 7. Pick up collectibles the player touches
+ * 8. Reach the checkpoint of a new level (practice runs)
+ *
+ * Levels are streamed at the start of every tick rather than every frame,
+ * so the geometry a tick sees never depends on the frame rate and replays
+ * stay deterministic.
+ *
+ * ## Practice and Hardcore:
+ * In hardcore runs dying sends the player back to the start and restarts
+ * the clock. Practice runs (see managers/PracticeManager.js) may start on
+ * any level; reaching a level reaches its checkpoint flag, and dying
+ * returns the player there while the clock and collectibles carry on.
+ * Practice runs never set personal bests, ghosts, replays or collectible
+ * bests, so those stay comparable.
+ *
+ * ## Endless:
+ * Endless runs (see managers/EndlessManager.js) climb a tower that keeps
+ * generating levels. There is no top to win at: dying or falling below the
+ * levels still loaded ends the run and puts its height on the leaderboard.
+ *
+ * ## Collectibles:
+ * Picking collectibles up is part of the tick, so replays collect the same
+ * ones. A new run or a respawn puts them all back. Each level's best count
+ * is saved for generated towers in hardcore solo play (not replays or play-tests).
+ *
+ * ## Splits:
+ * Climbing into a higher level records the run time the level below was
+ * finished at, and reaching the top records the last one. Each split is
+ * compared with the fastest complete run on the tower, and the time spent
+ * in each level with the best ever; both are only kept when collectible
+ * bests are.
+ *
+ * ## Rendering:
+ * Physics runs at a fixed rate independent of the display. Each frame the
+ * player and animated platforms are drawn between the previous and current
+ * tick positions, so movement looks smooth on any refresh rate.
  *
  * ## Physics:
  * - Gravity: Constant downward acceleration
  * - Gliding: Reduced gravity when holding jump while falling
  * - Wall stick: Zero velocity when touching wall
  * - Double jump: Available after first jump, before landing
+ * - Fixed timestep: the same inputs always produce the same run
  */
 
 import {
-  gravity,
-  fastFall,
-  moveSpeed,
-  glideGravity,
-  glideMaxSpeed,
   glideRotationAngle,
-  playerWidth,
-  playerHeight,
-  playerStartPositionX,
-  playerStartPositionY,
   groundPositionY,
   POSITION_SEND_INTERVAL,
-  ATTACK_DURATION
+  ATTACK_DURATION,
+  FIXED_TIMESTEP,
+  MAX_FRAME_TIME
 } from '../config/constants.js';
-import { gameState, resetPhysicsState } from '../state/gameState.js';
+import {
+  gameState,
+  checkAndSavePersonalBest,
+  checkAndSaveCollectibleBest,
+  checkAndSaveBestSegment,
+  checkAndSavePBSplits,
+  getSplitBests,
+  getCollectibleBest,
+  getCollectedCount
+} from '../state/gameState.js';
 import { multiplayerState } from '../state/multiplayerState.js';
-import { getKeys } from '../managers/InputManager.js';
-import { checkCollision, checkPlayerCollision } from '../managers/CollisionManager.js';
+import { getActions } from '../managers/InputManager.js';
+import { checkPlayerCollision } from '../managers/CollisionManager.js';
+import { stepPhysics, getSweptBounds, PHYSICS_STATE_FIELDS } from '../../../shared/physics.js';
+import { getDifficultyProfile } from '../../../shared/difficultyProfiles.js';
 import {
-  getPlatforms,
+  getColliders,
+  updateAnimatedPlatforms,
+  showAnimatedPlatformsAt,
+  crumblePlatform,
+  resetCrumblingPlatforms,
+  collectTouching,
+  getCheckpointPosition,
+  showCheckpoints,
+  resetCollectibles,
+  spinCollectibles,
+  getLevelCollectibleCount,
+  getTotalCollectibles,
   detectCurrentLevel,
-  loadLevelsAhead,
+  updateLevelWindow,
   getTotalLevels,
-  getLevelHeight
+  getLevelHeight,
+  getLevelSeed
 } from '../managers/LevelManager.js';
 import * as UIManager from '../managers/UIManager.js';
 import * as SceneManager from '../managers/SceneManager.js';
 import * as MultiplayerManager from '../managers/MultiplayerManager.js';
+import * as GhostManager from '../managers/GhostManager.js';
+import * as ReplayManager from '../managers/ReplayManager.js';
+import * as EditorManager from '../managers/EditorManager.js';
+import * as PracticeManager from '../managers/PracticeManager.js';
+import * as EndlessManager from '../managers/EndlessManager.js';
+import { getSelectedModelName } from '../managers/ModelPreviewManager.js';
 import { particleEffects } from '../managers/ParticleEffectsManager.js';
 
 // ========================================
@@ -68,6 +133,16 @@ import { particleEffects } from '../managers/ParticleEffectsManager.js';
 /** @type {number} Timestamp of last frame (for delta time calculation) */
 let lastTime = performance.now();
 
+/** @type {number} Elapsed time not yet simulated by a physics tick (seconds) */
+let accumulator = 0;
+
+/** @type {number} Player position before the most recent physics tick (for render interpolation) */
+let previousTickX = 0;
+let previousTickY = 0;
+
+/** Player movement within one tick beyond this is treated as a teleport and not interpolated */
+const MAX_INTERPOLATION_DISTANCE = 2;
+
 /** @type {boolean} Whether particle effects have been initialized */
 let particleEffectsInitialized = false;
 
@@ -99,8 +174,6 @@ function gameLoop() {
   lastTime = currentTime;
 
   const player1 = SceneManager.getPlayer();
-  const platforms = getPlatforms();
-  const keys = getKeys();
 
   // Initialize particle effects once we have the scene
   if (!particleEffectsInitialized) {
@@ -114,24 +187,36 @@ function gameLoop() {
   // Pause all gameplay updates until the user starts the game
   if (gameState.isPaused) {
     // Still update remote player interpolation when paused (during countdown)
-    if (multiplayerState.remotePlayer && multiplayerState.state === 'countdown') {
-      multiplayerState.remotePlayer.update();
+    if (multiplayerState.state === 'countdown') {
+      for (const remotePlayer of multiplayerState.remotePlayers.values()) {
+        remotePlayer.update();
+      }
     }
+    // Time spent paused is never simulated
+    accumulator = 0;
     SceneManager.render();
     return;
   }
 
-  const prevX = player1.position.x;
-  const prevY = player1.position.y;
+  // Run the physics in fixed ticks so results don't depend on frame rate
+  let replayEnded = false;
+  accumulator += Math.min(deltaTime, MAX_FRAME_TIME);
+  while (accumulator >= FIXED_TIMESTEP) {
+    accumulator -= FIXED_TIMESTEP;
+
+    let actions;
+    if (ReplayManager.isPlaying()) {
+      actions = ReplayManager.nextTickActions();
+      if (!actions) {
+        replayEnded = true;
+        break;
+      }
+    } else {
+      actions = getActions();
+      ReplayManager.recordTick(actions);
+    }
 
-  // Horizontal movement
-  if ((keys["KeyA"] || keys["ArrowLeft"]) && gameState.canMove) {
-    player1.position.x -= moveSpeed * deltaTime;
-    gameState.facingDirection = -1; // Facing left
-  }
-  if ((keys["KeyD"] || keys["ArrowRight"]) && gameState.canMove) {
-    player1.position.x += moveSpeed * deltaTime;
-    gameState.facingDirection = 1; // Facing right
+    physicsTick(player1, actions, FIXED_TIMESTEP);
   }
 
   // Handle attack state and visual
@@ -161,96 +246,6 @@ function gameLoop() {
     }
   }
 
-  // Check horizontal collisions
-  gameState.isOnWall = false;
-  gameState.wallSide = null;
-  for (const platform of platforms) {
-    const collision = checkCollision(platform, player1, prevX, prevY);
-    if (
-      collision &&
-      (collision.side === "left" || collision.side === "right")
-    ) {
-      player1.position.x =
-        collision.side === "left"
-          ? collision.position - playerWidth / 2
-          : collision.position + playerWidth / 2;
-
-      // Check if player should stick to wall (only when falling or moving slowly)
-      if (!gameState.isOnGround && gameState.velocityY <= 0) {
-        gameState.isOnWall = true;
-        gameState.canWallJump = true;
-        gameState.wallSide = collision.side;
-        gameState.velocityY = 0;
-      }
-    }
-  }
-
-  // Jump
-  if ((keys["KeyW"] || keys["ArrowUp"] || keys["Space"]) && gameState.canMove && gameState.jumpKeyReleased) {
-    // Wall jump (when on wall)
-    if (gameState.isOnWall && gameState.canWallJump) {
-      gameState.velocityY = gameState.jumpStrength;
-      gameState.isOnWall = false;
-      gameState.canWallJump = false;
-      gameState.wallSide = null;
-      gameState.jumpKeyReleased = false;
-      gameState.jumpCount = 1;
-      gameState.canDoubleJump = true;
-    }
-    // First jump (on ground)
-    else if (gameState.isOnGround) {
-      gameState.velocityY = gameState.jumpStrength;
-      gameState.isOnGround = false;
-      gameState.jumpCount = 1;
-      gameState.canDoubleJump = true;
-      gameState.jumpKeyReleased = false;
-    }
-    // Second jump (in air - either after first jump OR after falling off platform)
-    else if (!gameState.isOnGround && !gameState.isOnWall && gameState.jumpCount < 2) {
-      gameState.velocityY = gameState.jumpStrength * 0.7;
-      gameState.jumpCount = 2;
-      gameState.canDoubleJump = false;
-      gameState.jumpKeyReleased = false;
-
-      // Spawn double jump particles
-      particleEffects.spawnDoubleJumpParticles(player1.position.x, player1.position.y);
-    }
-  }
-
-  // Gliding mechanics - allow gliding when falling (not on wall, not on ground)
-  if ((keys["KeyW"] || keys["ArrowUp"] || keys["Space"]) && !gameState.isOnGround && !gameState.isOnWall && gameState.velocityY <= 0 && gameState.canMove) {
-    gameState.isGliding = true;
-
-    // Track glide direction based on horizontal movement
-    if ((keys["KeyA"] || keys["ArrowLeft"]) && (keys["KeyD"] || keys["ArrowRight"])) {
-      gameState.glideDirection = 0;
-    } else if (keys["KeyA"] || keys["ArrowLeft"]) {
-      gameState.glideDirection = -1;
-    } else if (keys["KeyD"] || keys["ArrowRight"]) {
-      gameState.glideDirection = 1;
-    } else {
-      gameState.glideDirection = 0;
-    }
-
-    // Spawn glide particles when moving to the sides
-    if (gameState.glideDirection !== 0) {
-      particleEffects.spawnGlideParticles(player1.position.x, player1.position.y, gameState.glideDirection);
-    }
-
-    // Apply reduced gravity while gliding
-    gameState.velocityY += glideGravity * deltaTime;
-    if (gameState.velocityY < glideMaxSpeed) {
-      gameState.velocityY = glideMaxSpeed;
-    }
-  } else {
-    gameState.isGliding = false;
-    gameState.glideDirection = 0;
-    // Apply normal gravity when not gliding and not on wall
-    if (!gameState.isOnWall) {
-      gameState.velocityY += gravity * deltaTime;
-    }
-  }
-
   // Player rotation based on gliding and wall sticking
   if (player1.group) {
     let targetRotationZ = 0;
@@ -271,76 +266,11 @@ function gameLoop() {
     player1.group.rotation.y += (targetRotationY - player1.group.rotation.y) * rotationSpeed * deltaTime;
   }
 
-  // Fast fall and wall drop
-  if ((keys["KeyS"] || keys["ArrowDown"]) && gameState.canMove) {
-    if (gameState.isOnWall) {
-      gameState.isOnWall = false;
-      gameState.canWallJump = false;
-      gameState.wallSide = null;
-      gameState.velocityY = fastFall;
-    } else if (!gameState.isOnGround && !gameState.isGliding) {
-      gameState.velocityY = fastFall;
-    }
-  }
-
-  // Apply vertical movement
-  player1.position.y += gameState.velocityY * deltaTime;
-
-  // Check vertical collisions
-  gameState.isOnGround = false;
-  for (const platform of platforms) {
-    const collision = checkCollision(platform, player1, prevX, prevY);
-    if (collision) {
-      // Check if this is a spike platform and player is landing on top
-      if (platform.isSpike && collision.side === "top") {
-        SceneManager.showSpikeHitFeedback();
-        gameState.canMove = false;
-        gameState.velocityY = 0;
-
-        setTimeout(() => {
-          player1.position.x = playerStartPositionX;
-          player1.position.y = playerStartPositionY;
-          gameState.canMove = true;
-          resetPhysicsState();
-          // Reset timer on death
-          gameState.gameStartTime = performance.now();
-          gameState.totalPausedTime = 0;
-        }, 500);
-        SceneManager.render();
-        return;
-      }
-
-      if (collision.side === "top") {
-        player1.position.y = collision.position + playerHeight / 2;
-        gameState.velocityY = 0;
-        gameState.isOnGround = true;
-        gameState.jumpCount = 0;
-        gameState.canDoubleJump = false;
-        gameState.jumpKeyReleased = true;
-        gameState.isGliding = false;
-      } else if (collision.side === "bottom") {
-        player1.position.y = collision.position - playerHeight / 2;
-        gameState.velocityY = 0;
-      }
-    }
-  }
-
-  // Death condition (fall below screen)
-  if (player1.position.y - playerHeight / 2 < groundPositionY) {
-    player1.position.y = groundPositionY + playerHeight / 2;
-    gameState.canMove = false;
-    gameState.velocityY = 0;
-    gameState.isOnGround = true;
-
-    setTimeout(() => {
-      player1.position.x = playerStartPositionX;
-      player1.position.y = playerStartPositionY;
-      gameState.canMove = true;
-      resetPhysicsState();
-      // Reset timer on death
-      gameState.gameStartTime = performance.now();
-      gameState.totalPausedTime = 0;
-    }, 500);
+  // Record the run and move the ghost (solo only)
+  const runTime = currentTime - gameState.gameStartTime - gameState.totalPausedTime;
+  if (!multiplayerState.isMultiplayerMode) {
+    GhostManager.recordFrame(runTime, player1.position.x, player1.position.y, gameState);
+    GhostManager.updatePlayback(runTime);
   }
 
   // ========================================
@@ -358,14 +288,17 @@ function gameLoop() {
     }
 
     // Update remote player interpolation
-    if (multiplayerState.remotePlayer) {
-      multiplayerState.remotePlayer.update();
-      checkPlayerCollision(player1);
+    for (const remotePlayer of multiplayerState.remotePlayers.values()) {
+      remotePlayer.update();
     }
+    checkPlayerCollision(player1);
   }
 
-  // Camera following Player 1
-  SceneManager.updateCamera(player1.position.x, player1.position.y);
+  // Camera following Player 1 (drawn between the last two physics ticks)
+  const alpha = accumulator / FIXED_TIMESTEP;
+  const renderPosition = getRenderPosition(player1, alpha);
+  showAnimatedPlatformsAt(Math.max(0, gameState.runTicks - 1 + alpha) * FIXED_TIMESTEP);
+  SceneManager.updateCamera(renderPosition.x, renderPosition.y);
 
   // Detect which level the player is currently in
   const levelInBounds = detectCurrentLevel(player1.position.y);
@@ -375,38 +308,442 @@ function gameLoop() {
     gameState.currentLevel = levelInBounds;
     UIManager.updateLevelDisplay(gameState.currentLevel, getTotalLevels(), gameState.selectedDifficultyLabel);
     SceneManager.updateBackgroundForLevel(gameState.currentLevel);
+    updateCollectibleDisplay();
+    recordSplits(gameState.currentLevel, runTime);
   }
 
-  // Load current level and next 2 levels ahead
-  loadLevelsAhead(SceneManager.getScene(), gameState.currentLevel, 2);
+  // Height shown in the HUD
+  const playerCurrentY = player1.position.y + 6.9;
+
+  // Endless runs have no top; they end on death or a long fall
+  if (EndlessManager.isEndlessRun()) {
+    EndlessManager.trackProgress(gameState.currentLevel, playerCurrentY);
+    if (EndlessManager.isRunOver(gameState.currentLevel)) {
+      finishEndlessRun(runTime);
+    }
+  }
 
   // Win detection
   if (!gameState.hasWon && player1.position.y - groundPositionY >= getLevelHeight() * getTotalLevels()) {
     gameState.hasWon = true;
 
     if (multiplayerState.isMultiplayerMode) {
-      const completionTime = performance.now() - gameState.gameStartTime - gameState.totalPausedTime;
-      MultiplayerManager.sendReachedTop(completionTime);
+      // The server validates the finish against our last position, so make sure it is current
+      MultiplayerManager.sendPosition(player1.position.x, player1.position.y, gameState.velocityY);
+      MultiplayerManager.sendReachedTop(runTime);
+    } else if (ReplayManager.isPlaying()) {
+      // Watching a replay never counts as a run
+      finishReplay(runTime);
+    } else if (EditorManager.isPlayTesting()) {
+      // Neither do play-tests of levels in the editor
+      EditorManager.stopPlayTest(runTime);
+    } else if (PracticeManager.isPracticeRun()) {
+      // Practice runs never set personal bests, so their times stay comparable
+      GhostManager.stopRecording();
+      UIManager.showWinOverlay(runTime, false, true);
+      gameState.isPaused = true;
     } else {
-      UIManager.showWinOverlay();
+      // Reaching the top finishes the last level
+      recordSplits(getTotalLevels() + 1, runTime);
+      if (canKeepBests()) {
+        checkAndSavePBSplits(gameState.difficulty, getLevelSeed(), gameState.splits);
+      }
+
+      // Personal bests and ghosts are only kept for generated towers, not level packs
+      const isNewRecord = getLevelSeed() !== null && checkAndSavePersonalBest(runTime, gameState.difficulty, getLevelSeed());
+      if (isNewRecord) {
+        GhostManager.saveRecording(gameState.difficulty, runTime, getSelectedModelName(), getLevelSeed());
+        UIManager.updateGhostOption(GhostManager.getGhostTime(gameState.difficulty, getLevelSeed()));
+      }
+      GhostManager.stopRecording();
+      ReplayManager.stopRecording(runTime);
+      UIManager.showWinOverlay(runTime, isNewRecord);
+      UIManager.updateReplayButtons(ReplayManager.hasReplay());
       gameState.isPaused = true;
     }
   }
 
+  // The replay ran out of input before reaching the top
+  if (replayEnded && ReplayManager.isPlaying()) {
+    finishReplay(null);
+  }
+
   // Update HUD
-  const playerCurrentY = player1.position.y + 6.9;
   UIManager.updateCounter(playerCurrentY);
 
-  if (multiplayerState.isMultiplayerMode && multiplayerState.state === 'racing' && multiplayerState.remotePlayer) {
-    const opponentY = multiplayerState.remotePlayer.position.y + 6.9;
-    UIManager.updateOpponentHeight(opponentY);
+  if (multiplayerState.isMultiplayerMode && multiplayerState.state === 'racing') {
+    const opponents = [];
+    for (const remotePlayer of multiplayerState.remotePlayers.values()) {
+      opponents.push({ playerNumber: remotePlayer.playerNumber, height: remotePlayer.position.y + 6.9 });
+    }
+    UIManager.updateOpponentHeights(opponents);
   }
 
   UIManager.updateTimer(currentTime, gameState.gameStartTime, gameState.totalPausedTime);
+  updateLiveSplit(runTime);
 
   // Handle spike hit visual feedback timing
   SceneManager.resetSpikeHitFeedback(currentTime);
 
+  spinCollectibles(deltaTime);
+
+  renderAt(player1, renderPosition);
+}
+
+// ========================================
+// PHYSICS
+// ========================================
+
+/**
+ * Advances the local player's physics by one fixed tick.
+ * Copies the player's state out of gameState, runs the pure physics step
+ * and writes the result back, then applies the step's side effects.
+ * @private
+ * @param {Player} player1 - The local player
+ * @param {Object.<string, boolean>} actions - Actions held this tick (see InputManager.getActions)
+ * @param {number} dt - Tick length in seconds
+ */
+function physicsTick(player1, actions, dt) {
+  previousTickX = player1.position.x;
+  previousTickY = player1.position.y;
+
+  // Crumbled platforms, collectibles and checkpoints from the last run reset when a new one starts
+  if (gameState.runTicks === 0) {
+    resetCrumblingPlatforms();
+    resetCollection();
+    resetSplits();
+    gameState.checkpointLevel = gameState.startLevel;
+    showCheckpoints(PracticeManager.isPracticeRun(), gameState.checkpointLevel);
+  }
+  gameState.runTicks++;
+
+  // Only the levels around the player are loaded
+  updateLevelWindow(SceneManager.getScene(), detectCurrentLevel(player1.position.y));
+  updateAnimatedPlatforms(gameState.runTicks * dt, dt);
+
+  // Only the colliders the player can reach this tick are checked
+  const physicsState = readPhysicsState(player1);
+  const rules = getDifficultyProfile(gameState.difficulty).physics;
+  const { state, events } = stepPhysics(
+    physicsState,
+    readInput(actions),
+    dt,
+    getColliders(getSweptBounds(physicsState, dt, rules)),
+    rules
+  );
+  // Practice runs respawn at the last checkpoint instead of the start
+  if (PracticeManager.isPracticeRun() && events.some((event) => event.type === 'respawn')) {
+    moveToCheckpoint(state);
+  }
+  writePhysicsState(player1, state);
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'doubleJump':
+        particleEffects.spawnDoubleJumpParticles(event.x, event.y);
+        break;
+      case 'glide':
+        particleEffects.spawnGlideParticles(event.x, event.y, event.direction);
+        break;
+      case 'spikeHit':
+        SceneManager.showSpikeHitFeedback();
+        break;
+      case 'crumble':
+        crumblePlatform(event.collider, gameState.runTicks * dt);
+        break;
+      case 'respawn':
+        // Practice runs keep their time and collectibles
+        if (PracticeManager.isPracticeRun()) break;
+
+        // Reset timer on death
+        gameState.gameStartTime = performance.now();
+        gameState.totalPausedTime = 0;
+        GhostManager.startRecording();
+        resetCollection();
+        resetSplits();
+        break;
+    }
+  }
+
+  // Pick up collectibles
+  const collected = collectTouching(state.x, state.y);
+  for (const collectible of collected) {
+    particleEffects.spawnDoubleJumpParticles(collectible.position.x, collectible.position.y);
+    if (canKeepBests()) {
+      const { levelNumber } = collectible;
+      checkAndSaveCollectibleBest(gameState.difficulty, getLevelSeed(), levelNumber, getCollectedCount(levelNumber));
+    }
+  }
+  if (collected.length > 0) {
+    updateCollectibleDisplay();
+  }
+
+  // Reaching a new level reaches its checkpoint
+  if (PracticeManager.isPracticeRun() && state.canMove) {
+    reachCheckpoint(detectCurrentLevel(state.y));
+  }
+}
+
+/**
+ * Picks the physics step's input flags out of the held actions.
+ * @private
+ * @param {Object.<string, boolean>} actions - Held actions
+ * @returns {Object} Input { left, right, jump, down }
+ */
+function readInput(actions) {
+  return {
+    left: Boolean(actions.left),
+    right: Boolean(actions.right),
+    jump: Boolean(actions.jump),
+    down: Boolean(actions.down)
+  };
+}
+
+/**
+ * Collects the player's physics state from gameState and the player position.
+ * @private
+ * @param {Player} player1 - The local player
+ * @returns {Object} Physics state for stepPhysics
+ */
+function readPhysicsState(player1) {
+  const state = { x: player1.position.x, y: player1.position.y };
+  for (const field of PHYSICS_STATE_FIELDS) {
+    state[field] = gameState[field];
+  }
+  return state;
+}
+
+/**
+ * Writes a physics state back to gameState and the player position.
+ * @private
+ * @param {Player} player1 - The local player
+ * @param {Object} state - State returned by stepPhysics
+ */
+function writePhysicsState(player1, state) {
+  player1.position.x = state.x;
+  player1.position.y = state.y;
+  for (const field of PHYSICS_STATE_FIELDS) {
+    gameState[field] = state[field];
+  }
+}
+
+// ========================================
+// CHECKPOINTS
+// ========================================
+
+/**
+ * Makes a level's checkpoint the respawn point if it is higher than the current one.
+ * @private
+ * @param {number} levelNumber - Level the player is in
+ */
+function reachCheckpoint(levelNumber) {
+  if (levelNumber <= gameState.checkpointLevel) return;
+
+  const checkpoint = getCheckpointPosition(levelNumber);
+  if (!checkpoint) return;
+
+  gameState.checkpointLevel = levelNumber;
+  showCheckpoints(true, levelNumber);
+  particleEffects.spawnDoubleJumpParticles(checkpoint.x, checkpoint.y);
+}
+
+/**
+ * Moves a just-respawned physics state from the start to the last checkpoint.
+ * @private
+ * @param {Object} state - State returned by stepPhysics
+ */
+function moveToCheckpoint(state) {
+  const checkpoint = getCheckpointPosition(gameState.checkpointLevel);
+  if (checkpoint) {
+    state.x = checkpoint.x;
+    state.y = checkpoint.y;
+  }
+}
+
+// ========================================
+// COLLECTIBLES
+// ========================================
+
+/**
+ * Puts every collectible back (a new run started or the player respawned).
+ * @private
+ */
+function resetCollection() {
+  gameState.collectedItems.clear();
+  resetCollectibles();
+  updateCollectibleDisplay();
+}
+
+/**
+ * Checks whether this run may set collectible and split bests.
+ * Like personal bests, they're only kept for generated towers in hardcore solo play.
+ * @private
+ * @returns {boolean} True if bests are kept
+ */
+function canKeepBests() {
+  return (
+    getLevelSeed() !== null &&
+    gameState.runMode === 'hardcore' &&
+    !multiplayerState.isMultiplayerMode &&
+    !ReplayManager.isPlaying() &&
+    !EditorManager.isPlayTesting()
+  );
+}
+
+/**
+ * Shows the run's collection counts for the current level in the HUD.
+ * @private
+ */
+function updateCollectibleDisplay() {
+  const levelNumber = gameState.currentLevel;
+  UIManager.updateCollectibleCounter({
+    collected: gameState.collectedItems.size,
+    total: getTotalCollectibles(),
+    levelCollected: getCollectedCount(levelNumber),
+    levelTotal: getLevelCollectibleCount(levelNumber),
+    levelBest: canKeepBests()
+      ? getCollectibleBest(gameState.difficulty, getLevelSeed(), levelNumber)
+      : null
+  });
+}
+
+// ========================================
+// SPLITS
+// ========================================
+
+/**
+ * Forgets the run's splits (a new run started or the clock restarted).
+ * @private
+ */
+function resetSplits() {
+  gameState.splits = [];
+  updateSplitDisplay();
+}
+
+/**
+ * Records a split for every level finished below the one the player climbed into.
+ * Falling back down and climbing up again doesn't record a level twice.
+ * @private
+ * @param {number} levelNumber - Level the player is now in (one past the last for the top)
+ * @param {number} runTime - Current run time in ms
+ */
+function recordSplits(levelNumber, runTime) {
+  if (!canKeepBests() || gameState.splits.length >= levelNumber - 1) return;
+
+  const difficulty = gameState.difficulty;
+  while (gameState.splits.length < levelNumber - 1) {
+    const previousSplit = gameState.splits[gameState.splits.length - 1] ?? 0;
+    gameState.splits.push(runTime);
+    checkAndSaveBestSegment(difficulty, getLevelSeed(), gameState.splits.length, runTime - previousSplit);
+  }
+  updateSplitDisplay();
+}
+
+/**
+ * Shows the run's splits compared with the PB run's in the HUD.
+ * @private
+ */
+function updateSplitDisplay() {
+  if (!canKeepBests()) {
+    UIManager.showSplits([]);
+    return;
+  }
+
+  const { pbSplits, bestSegments } = getSplitBests(gameState.difficulty, getLevelSeed());
+  UIManager.showSplits(gameState.splits.map((time, index) => ({
+    level: index + 1,
+    time,
+    delta: pbSplits[index] !== undefined ? time - pbSplits[index] : null,
+    isBestSegment: time - (gameState.splits[index - 1] ?? 0) <= bestSegments[index]
+  })));
+}
+
+/**
+ * Shows how far ahead of or behind the PB run the level being climbed is.
+ * @private
+ * @param {number} runTime - Current run time in ms
+ */
+function updateLiveSplit(runTime) {
+  const levelNumber = gameState.splits.length + 1;
+  const pbSplit = canKeepBests() && !gameState.hasWon
+    ? getSplitBests(gameState.difficulty, getLevelSeed()).pbSplits[levelNumber - 1]
+    : undefined;
+
+  if (pbSplit === undefined) {
+    UIManager.updateLiveSplit(null, null);
+  } else {
+    UIManager.updateLiveSplit(levelNumber, runTime - pbSplit);
+  }
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Gets where to draw the player, between the last two physics ticks.
+ * Large jumps (respawns, network knockback) are not smoothed.
+ * @private
+ * @param {Player} player1 - The local player
+ * @param {number} alpha - Fraction of a tick elapsed since the last tick (0-1)
+ * @returns {{x: number, y: number}} Interpolated position
+ */
+function getRenderPosition(player1, alpha) {
+  const { x, y } = player1.position;
+
+  if (
+    Math.abs(x - previousTickX) > MAX_INTERPOLATION_DISTANCE ||
+    Math.abs(y - previousTickY) > MAX_INTERPOLATION_DISTANCE
+  ) {
+    return { x, y };
+  }
+
+  return {
+    x: previousTickX + (x - previousTickX) * alpha,
+    y: previousTickY + (y - previousTickY) * alpha
+  };
+}
+
+/**
+ * Renders the scene with the player drawn at an interpolated position.
+ * The physics position is restored afterwards so game logic never sees it.
+ * @private
+ * @param {Player} player1 - The local player
+ * @param {{x: number, y: number}} renderPosition - Where to draw the player
+ */
+function renderAt(player1, renderPosition) {
+  const physicsX = player1.position.x;
+  const physicsY = player1.position.y;
+
+  player1.position.x = renderPosition.x;
+  player1.position.y = renderPosition.y;
   SceneManager.render();
+
+  player1.position.x = physicsX;
+  player1.position.y = physicsY;
 }
 
+/**
+ * Ends an endless run and shows how high it got.
+ * @private
+ * @param {number} runTime - Run time in ms
+ */
+function finishEndlessRun(runTime) {
+  const { height, level, rank } = EndlessManager.finishRun(runTime, getLevelSeed());
+  gameState.isPaused = true;
+  gameState.canMove = false;
+  UIManager.showEndlessRunOverlay(height, level, runTime, rank);
+}
+
+/**
+ * Ends replay playback and shows the result.
+ * @private
+ * @param {number|null} completionTime - Run time if the replay reached the top
+ */
+function finishReplay(completionTime) {
+  ReplayManager.stopPlayback();
+  gameState.isPaused = true;
+  gameState.canMove = false;
+  UIManager.showReplayFinishedOverlay(completionTime);
+  UIManager.updateReplayButtons(ReplayManager.hasReplay());
+}
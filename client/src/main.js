@@ -12,13 +12,14 @@
  * - Configure music and volume controls
  * - Handle game state transitions (start, pause, resume, restart)
  * - Set up UI event listeners
+ * - Set up the level editor
  * - Start the main game loop
  *
  * ## Game Flow:
  * 1. Scene initialization (3D environment, player, ground)
- * 2. Load saved preferences (personal bests, selected model, volume)
+ * 2. Load saved preferences (personal bests, collectible and split bests, selected model, volume)
  * 3. Display start overlay and wait for user input
- * 4. On start: begin gameplay with selected difficulty
+ * 4. On start: begin gameplay with selected difficulty, mode and level seed (or level pack)
  * 5. Game loop handles physics, rendering, and input
  *
  * @author CSCI 310 Project 2 Team
@@ -30,15 +31,30 @@ import {
   playerStartPositionY,
   bgColor
 } from './config/constants.js';
-import { gameState, loadPersonalBests, resetPhysicsState } from './state/gameState.js';
-import { LEVELS } from './data/levelData.js';
+import { getDifficultyProfile, DEFAULT_DIFFICULTY } from '../../shared/difficultyProfiles.js';
+import {
+  gameState,
+  loadPersonalBests,
+  loadCollectibleBests,
+  loadSplitBests,
+  loadEndlessLeaderboard,
+  resetPhysicsState,
+  applyDifficulty
+} from './state/gameState.js';
+import { DEFAULT_SEED, LEVEL_COUNT, getDailySeed, getRandomSeed, parseSeed } from './data/levelData.js';
+import { readLevelPackFile, fetchLevelPack } from './data/levelPack.js';
 import * as SceneManager from './managers/SceneManager.js';
 import * as UIManager from './managers/UIManager.js';
 import * as LevelManager from './managers/LevelManager.js';
 import * as MultiplayerManager from './managers/MultiplayerManager.js';
 import * as ModelPreviewManager from './managers/ModelPreviewManager.js';
+import * as GhostManager from './managers/GhostManager.js';
+import * as ReplayManager from './managers/ReplayManager.js';
+import * as EditorManager from './managers/EditorManager.js';
+import * as PracticeManager from './managers/PracticeManager.js';
+import * as EndlessManager from './managers/EndlessManager.js';
 import { musicManager } from './managers/MusicManager.js';
-import { setupInputHandlers } from './managers/InputManager.js';
+import * as InputManager from './managers/InputManager.js';
 import { startGameLoop } from './game/GameLoop.js';
 
 // ========================================
@@ -51,9 +67,17 @@ const { scene, player1 } = SceneManager.initScene();
 // Initialize multiplayer manager
 MultiplayerManager.initMultiplayerManager(scene, player1);
 
-// Load personal bests
+// Load personal bests, collectible bests, split bests and the endless leaderboard
 loadPersonalBests();
-UIManager.updatePBDisplay();
+loadCollectibleBests();
+loadSplitBests();
+loadEndlessLeaderboard();
+
+// Load key bindings
+InputManager.loadBindings();
+
+// Load personal best ghosts
+GhostManager.loadGhostRuns();
 
 // Initialize model preview and load saved selection
 ModelPreviewManager.loadSelectedModel();
@@ -108,28 +132,109 @@ document.addEventListener('click', startMusicOnInteraction, { once: true });
 document.addEventListener('keydown', startMusicOnInteraction, { once: true });
 
 // ========================================
-// GAME CONTROL FUNCTIONS
+// LEVEL SEED SELECTION
 // ========================================
 
+/** @type {number} Seed used in "random seed" mode until the player re-rolls it */
+let randomSeed = getRandomSeed();
+
+/** @type {Object|null} Level pack played in "level pack" mode { metadata, levels } */
+let levelPack = null;
+
 /**
- * Starts a new game session.
- * - Reads difficulty selection and adjusts jump strength
- * - Applies selected character model
- * - Initializes timer and resets player position
- * - Hides overlay and enables player movement
+ * Gets the level seed chosen on the start overlay.
+ * @returns {number|null} Seed for the next run, or null if a level pack is selected
+ * @throws {Error} If a custom seed is selected but none was typed
  */
-function startGame() {
-  const select = document.getElementById("difficulty");
-  if (select) {
-    const v = select.value;
-    gameState.jumpStrength = v === "easy" ? 15 : v === "hard" ? 10 : 13.5;
-    gameState.selectedDifficultyLabel = v === "easy" ? "Easy" : v === "hard" ? "Hard" : "Medium";
+function getSelectedSeed() {
+  const mode = document.getElementById("seed-mode")?.value;
+
+  switch (mode) {
+    case "daily":
+      return getDailySeed();
+    case "random":
+      return randomSeed;
+    case "custom":
+      return parseSeed(document.getElementById("seed-input")?.value);
+    case "pack":
+      return null;
+    default:
+      return DEFAULT_SEED;
   }
+}
 
-  // Apply the selected character model
-  const selectedModelPath = ModelPreviewManager.getSelectedModelPath();
-  SceneManager.changePlayerModel(selectedModelPath);
+/**
+ * Refreshes the difficulty, seed, ghost, practice and endless options for the current selection.
+ * The ghost is only offered when it was recorded on the selected tower.
+ * @private
+ */
+function updateRunOptions() {
+  const mode = document.getElementById("seed-mode")?.value ?? "classic";
+  const difficulty = document.getElementById("difficulty")?.value ?? DEFAULT_DIFFICULTY;
+  const runMode = document.getElementById("run-mode")?.value;
+
+  let seed = null;
+  try {
+    seed = getSelectedSeed();
+  } catch {
+    // No custom seed typed yet
+  }
+
+  UIManager.updateDifficultyInfo(getDifficultyProfile(difficulty).description);
+  UIManager.updateSeedOption(mode, seed, levelPack);
+  UIManager.updatePracticeOption(runMode === "practice", mode === "pack" ? (levelPack?.levels.length ?? 1) : LEVEL_COUNT);
+  UIManager.updateEndlessOption(runMode === "endless");
+  UIManager.updateGhostOption(seed === null ? null : GhostManager.getGhostTime(difficulty, seed));
+}
+
+/**
+ * Selects a level pack as the tower for the next run.
+ * On the start screen its first level is shown (and can be opened in the editor).
+ * @param {Object} pack - Level pack from data/levelPack.js
+ */
+function useLevelPack(pack) {
+  levelPack = pack;
+  if (elements.seedMode) elements.seedMode.value = "pack";
+
+  if (gameState.isPaused && !gameState.isPauseMenuOpen) {
+    LevelManager.loadLevelPack(scene, pack);
+  }
+  updateRunOptions();
+}
+
+/**
+ * Downloads a level pack and selects it.
+ * @param {string} url - Address of the level pack JSON
+ */
+async function loadLevelPackFromUrl(url) {
+  try {
+    useLevelPack(await fetchLevelPack(url));
+  } catch (error) {
+    UIManager.showLevelPackError(error.message);
+  }
+}
+
+// ========================================
+// GAME CONTROL FUNCTIONS
+// ========================================
+
+/**
+ * Applies a run mode.
+ * @param {string} mode - 'hardcore', 'practice' (checkpoints, no personal bests) or 'endless' (infinite tower)
+ */
+function applyRunMode(mode) {
+  gameState.runMode = mode === "practice" || mode === "endless" ? mode : "hardcore";
+}
 
+/**
+ * Puts the player at the start and begins a run.
+ * - Initializes timer and resets player position
+ * - Hides overlay and enables player movement
+ * - Practice runs may start on a higher level, which is loaded with the levels around it
+ * @private
+ * @param {number} [startLevel=1] - Level to start on (1-indexed)
+ */
+function beginRun(startLevel = 1) {
   // Initialize timer
   gameState.gameStartTime = performance.now();
   gameState.totalPausedTime = 0;
@@ -145,7 +250,144 @@ function startGame() {
   player1.position.y = playerStartPositionY;
   resetPhysicsState();
 
-  UIManager.updateLevelDisplay(1, LEVELS.length, gameState.selectedDifficultyLabel);
+  gameState.startLevel = startLevel;
+  PracticeManager.clearSaveState();
+  EndlessManager.resetRun();
+  UIManager.showPracticeStatus(PracticeManager.isPracticeRun() ? "Practice • K save state • L load state" : "");
+
+  if (startLevel > 1) {
+    LevelManager.updateLevelWindow(scene, startLevel);
+    const start = PracticeManager.getLevelStartPosition(startLevel);
+    player1.position.x = start.x;
+    player1.position.y = start.y;
+    SceneManager.setCameraView(start.x, start.y + 4);
+  }
+
+  gameState.currentLevel = LevelManager.detectCurrentLevel(player1.position.y);
+  UIManager.updateLevelDisplay(gameState.currentLevel, LevelManager.getTotalLevels(), gameState.selectedDifficultyLabel);
+  SceneManager.updateBackgroundForLevel(gameState.currentLevel);
+}
+
+/**
+ * Gets the level chosen to start a practice run on.
+ * @private
+ * @returns {number} Level number, clamped to the loaded tower
+ */
+function getSelectedStartLevel() {
+  const level = parseInt(document.getElementById("practice-level")?.value, 10) || 1;
+  return Math.max(1, Math.min(LevelManager.getTotalLevels(), level));
+}
+
+/**
+ * Starts a new game session.
+ * - Reads the difficulty selection and applies its profile
+ * - Reads the run mode (hardcore, practice with checkpoints and a starting level, or endless)
+ * - Generates the tower for the selected level seed and difficulty (or loads the level pack);
+ *   endless runs get an endless tower from the seed
+ * - Applies selected character model
+ * - Spawns the PB ghost if "race your ghost" is checked
+ * - Starts recording the ghost path and the replay inputs (hardcore runs only keep them)
+ */
+function startGame() {
+  let seed;
+  try {
+    seed = getSelectedSeed();
+  } catch (error) {
+    UIManager.showSeedError(error.message);
+    return;
+  }
+  const isLevelPack = seed === null;
+  const isEndless = document.getElementById("run-mode")?.value === "endless";
+  if (isLevelPack && isEndless) {
+    UIManager.showLevelPackError("endless mode needs a generated tower");
+    return;
+  }
+  if (isLevelPack && !levelPack) {
+    UIManager.showLevelPackError("no file chosen");
+    return;
+  }
+
+  const select = document.getElementById("difficulty");
+  if (select) {
+    applyDifficulty(select.value);
+  }
+  applyRunMode(document.getElementById("run-mode")?.value);
+  if (isLevelPack) {
+    LevelManager.loadLevelPack(scene, levelPack);
+  } else if (isEndless) {
+    LevelManager.loadEndlessTower(scene, seed, gameState.difficulty);
+  } else {
+    LevelManager.loadLevelSet(scene, seed, gameState.difficulty);
+  }
+
+  // Race against the saved PB run for this difficulty (level packs and endless towers have none)
+  const ghostToggle = document.getElementById("ghost-toggle");
+  if (ghostToggle?.checked && !isLevelPack && !isEndless) {
+    GhostManager.startPlayback(scene, gameState.difficulty, seed);
+  } else {
+    GhostManager.stopPlayback(scene);
+  }
+
+  // Apply the selected character model
+  const selectedModelPath = ModelPreviewManager.getSelectedModelPath();
+  SceneManager.changePlayerModel(selectedModelPath);
+
+  // Endless runs never finish, so they have no ghost to save
+  if (isEndless) {
+    GhostManager.stopRecording();
+  } else {
+    GhostManager.startRecording();
+  }
+  if (isLevelPack || gameState.runMode !== "hardcore") {
+    // Replays regenerate their tower from its seed and respawn at the start,
+    // so level pack, practice and endless runs aren't recorded
+    ReplayManager.stopRecording();
+  } else {
+    ReplayManager.startRecording({
+      seed,
+      difficulty: gameState.difficulty,
+      skinId: ModelPreviewManager.getSelectedModelName()
+    });
+  }
+
+  beginRun(gameState.runMode === "practice" ? getSelectedStartLevel() : 1);
+}
+
+/**
+ * Starts watching a replay from the beginning of its run.
+ * The tower is regenerated from the replay's level seed and difficulty.
+ * Ghosts, personal bests and recording are all off while watching.
+ * @param {Object} replay - Replay returned by ReplayManager.parseReplay
+ */
+function watchReplay(replay) {
+  applyDifficulty(replay.difficulty);
+  applyRunMode("hardcore");
+  LevelManager.loadLevelSet(scene, replay.seed, gameState.difficulty);
+
+  GhostManager.stopPlayback(scene);
+  GhostManager.stopRecording();
+  ReplayManager.startPlayback(replay);
+
+  beginRun();
+}
+
+/**
+ * Starts a play-test run on the levels loaded by the level editor.
+ * Uses the selected difficulty; ghosts, personal bests and recording are all off.
+ */
+function startPlayTest() {
+  const select = document.getElementById("difficulty");
+  if (select) {
+    applyDifficulty(select.value);
+  }
+  applyRunMode("hardcore");
+
+  GhostManager.stopPlayback(scene);
+  GhostManager.stopRecording();
+  ReplayManager.stopPlayback();
+  ReplayManager.stopRecording();
+
+  beginRun();
 }
 
 /**
@@ -183,6 +425,10 @@ function restartGame() {
   // Clear all levels
   LevelManager.clearAllLevels(scene);
 
+  // Remove the ghost and drop the unfinished recording
+  GhostManager.stopPlayback(scene);
+  GhostManager.stopRecording();
+
   // Reset player state
   player1.position.x = playerStartPositionX;
   player1.position.y = playerStartPositionY;
@@ -191,8 +437,16 @@ function restartGame() {
   // Reset background color
   SceneManager.setBackgroundColor(bgColor);
 
+  // Stop watching any replay (a recorded run stays available for export)
+  ReplayManager.stopPlayback();
+  ReplayManager.stopRecording();
+
+  PracticeManager.clearSaveState();
+  UIManager.showPracticeStatus("");
+
   // Show start overlay
   UIManager.showStartOverlay();
+  UIManager.updateReplayButtons(ReplayManager.hasReplay());
 
   // Reload the first level
   LevelManager.spawnLevel(scene, 1);
@@ -218,43 +472,174 @@ if (elements.restartGameBtn) {
   elements.restartGameBtn.addEventListener("click", restartGame);
 }
 
+// Keep the seed and ghost options in sync with the selected difficulty and tower
+const difficultySelect = document.getElementById("difficulty");
+if (difficultySelect) {
+  difficultySelect.addEventListener("change", updateRunOptions);
+}
+
+if (elements.seedMode) {
+  elements.seedMode.addEventListener("change", updateRunOptions);
+}
+
+if (elements.runMode) {
+  elements.runMode.addEventListener("change", updateRunOptions);
+}
+
+if (elements.seedInput) {
+  elements.seedInput.addEventListener("input", updateRunOptions);
+}
+
+if (elements.rerollSeedBtn) {
+  elements.rerollSeedBtn.addEventListener("click", () => {
+    randomSeed = getRandomSeed();
+    updateRunOptions();
+  });
+}
+
+// Level packs, from a file or the ?pack= URL parameter
+if (elements.loadPackBtn && elements.levelPackFileInput) {
+  elements.loadPackBtn.addEventListener("click", () => elements.levelPackFileInput.click());
+
+  elements.levelPackFileInput.addEventListener("change", async () => {
+    const file = elements.levelPackFileInput.files[0];
+    elements.levelPackFileInput.value = "";
+    if (!file) return;
+
+    try {
+      useLevelPack(await readLevelPackFile(file));
+    } catch (error) {
+      UIManager.showLevelPackError(error.message);
+    }
+  });
+}
+
+const levelPackUrl = new URLSearchParams(window.location.search).get("pack");
+if (levelPackUrl) {
+  loadLevelPackFromUrl(levelPackUrl);
+}
+
+updateRunOptions();
+
+// Replay export and import
+if (elements.exportReplayBtn) {
+  elements.exportReplayBtn.addEventListener("click", () => ReplayManager.exportReplay());
+}
+
+if (elements.watchReplayBtn && elements.replayFileInput) {
+  elements.watchReplayBtn.addEventListener("click", () => elements.replayFileInput.click());
+
+  elements.replayFileInput.addEventListener("change", async () => {
+    const file = elements.replayFileInput.files[0];
+    elements.replayFileInput.value = "";
+    if (!file) return;
+
+    try {
+      watchReplay(await ReplayManager.readReplayFile(file));
+    } catch (error) {
+      UIManager.showReplayError(error.message);
+    }
+  });
+}
+
+// Level editor
+EditorManager.initEditor(scene, {
+  onPlayTest: startPlayTest,
+  onClose: restartGame
+});
+
 // Controls modal event listeners
 const controlsBtn = document.getElementById('controls-btn');
 const controlsModal = document.getElementById('controls-modal');
 const closeControlsBtn = document.getElementById('close-controls-btn');
+const controlBindings = document.getElementById('control-bindings');
+const resetBindingsBtn = document.getElementById('reset-bindings-btn');
+
+/**
+ * Shows the current key bindings in the controls modal.
+ * @private
+ */
+function updateControlBindings() {
+  UIManager.updateControlBindings(InputManager.getBindings(), InputManager.getPendingRebind());
+}
+
+/**
+ * Hides the controls modal, dropping a rebind that is still waiting for a key.
+ * @private
+ */
+function closeControlsModal() {
+  InputManager.cancelRebinding();
+  controlsModal.style.display = 'none';
+}
 
 if (controlsBtn && controlsModal) {
   controlsBtn.addEventListener('click', () => {
+    updateControlBindings();
     controlsModal.style.display = 'flex';
   });
 }
 
 if (closeControlsBtn && controlsModal) {
-  closeControlsBtn.addEventListener('click', () => {
-    controlsModal.style.display = 'none';
-  });
+  closeControlsBtn.addEventListener('click', closeControlsModal);
 }
 
 // Close modal when clicking outside
 if (controlsModal) {
   controlsModal.addEventListener('click', (e) => {
     if (e.target === controlsModal) {
-      controlsModal.style.display = 'none';
+      closeControlsModal();
     }
   });
 }
 
+// Clicking a key waits for the key to bind in its place
+if (controlBindings) {
+  controlBindings.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    InputManager.startRebinding(button.dataset.action, Number(button.dataset.index), updateControlBindings);
+    updateControlBindings();
+  });
+}
+
+if (resetBindingsBtn) {
+  resetBindingsBtn.addEventListener('click', () => {
+    InputManager.resetBindings();
+    updateControlBindings();
+  });
+}
+
 // ========================================
 // INPUT HANDLERS
 // ========================================
 
-setupInputHandlers({
-  onPause: () => UIManager.showPauseMenu(),
+InputManager.setupInputHandlers({
+  onPause: () => {
+    // ESC ends a play-test instead of pausing it
+    if (EditorManager.isPlayTesting()) {
+      EditorManager.stopPlayTest();
+      return;
+    }
+    UIManager.showPauseMenu(LevelManager.getLevelSeed());
+    UIManager.updateReplayButtons(ReplayManager.hasReplay());
+  },
   onResume: resumeGame,
-  onStart: startGame,
+  onStart: () => {
+    if (!EditorManager.isEditing()) startGame();
+  },
   onAttack: () => {
     // Attack callback - visual feedback is handled in GameLoop
     console.log('Attack triggered!');
+  },
+  onSaveState: () => {
+    if (PracticeManager.storeSaveState(player1)) {
+      UIManager.showPracticeStatus("State saved • L to load it");
+    }
+  },
+  onLoadState: () => {
+    if (PracticeManager.restoreSaveState(player1)) {
+      UIManager.showPracticeStatus("State loaded • K to save a new one");
+    }
   }
 });
 
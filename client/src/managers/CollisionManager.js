@@ -1,29 +1,25 @@
 /**
- * CollisionManager.js - Collision Detection System
+ * CollisionManager.js - Multiplayer Collision Detection
  *
- * Handles all collision detection between game entities:
- * - Player vs Platform/Wall collisions
- * - Player vs Player collisions (multiplayer)
+ * Handles collisions between the local player and other racers:
+ * - Player vs Player collisions (multiplayer, every remote player)
  * - Attack hitbox vs Player collisions
  *
+ * Player vs platform/wall/spike collisions are part of the shared physics
+ * step (shared/collision.js, shared/physics.js).
+ *
  * @module managers/CollisionManager
  *
  * ## Collision Types:
- * - Platform: Returns collision side (top, bottom, left, right)
- * - Spike: Triggers respawn
  * - Player: Knockback in multiplayer
  * - Attack: Damage and knockback
  *
  * ## Algorithm:
  * Uses AABB (Axis-Aligned Bounding Box) collision detection.
- * Determines collision side by checking previous position.
  */
 
-import {
-  playerWidth,
-  playerHeight,
-  COLLISION_COOLDOWN
-} from '../config/constants.js';
+import { COLLISION_COOLDOWN } from '../config/constants.js';
+import { getPlayerBounds, boundsOverlap } from '../../../shared/collision.js';
 import { gameState } from '../state/gameState.js';
 import { multiplayerState } from '../state/multiplayerState.js';
 
@@ -34,106 +30,12 @@ import { multiplayerState } from '../state/multiplayerState.js';
 /** @type {number} Timestamp of last attack hit (prevents multi-hits) */
 let lastAttackHitTime = 0;
 
-// ========================================
-// PLATFORM COLLISION
-// ========================================
-
-/**
- * Checks collision between player and a platform/wall.
- * Uses previous position to determine which side was hit.
- *
- * @param {Platform|Wall} platform - The platform to check against
- * @param {Player} player - The player entity
- * @param {number} prevX - Player's previous X position
- * @param {number} prevY - Player's previous Y position
- * @returns {Object|null} Collision info {side, position} or null if no collision
- *
- * @example
- * const collision = checkCollision(platform, player, prevX, prevY);
- * if (collision?.side === 'top') {
- *   // Player landed on platform
- * }
- */
-export function checkCollision(platform, player, prevX, prevY) {
-  const pBottom = player.position.y - playerHeight / 2;
-  const pTop = player.position.y + playerHeight / 2;
-  const pLeft = player.position.x - playerWidth / 2;
-  const pRight = player.position.x + playerWidth / 2;
-
-  const prevBottom = prevY - playerHeight / 2;
-  const prevTop = prevY + playerHeight / 2;
-  const prevLeft = prevX - playerWidth / 2;
-  const prevRight = prevX + playerWidth / 2;
-
-  const platTop = platform.position.y + platform.userData.height / 2;
-  const platBottom = platform.position.y - platform.userData.height / 2;
-  const platLeft = platform.position.x - platform.userData.width / 2;
-  const platRight = platform.position.x + platform.userData.width / 2;
-
-  const isOverlapping =
-    pRight > platLeft &&
-    pLeft < platRight &&
-    pBottom < platTop &&
-    pTop > platBottom;
-
-  if (!isOverlapping) return null;
-
-  // Use a small tolerance for edge cases
-  const tolerance = 0.01;
-
-  const wasAbove = prevBottom >= platTop - tolerance;
-  const wasBelow = prevTop <= platBottom + tolerance;
-  const wasLeft = prevRight <= platLeft + tolerance;
-  const wasRight = prevLeft >= platRight - tolerance;
-
-  // If none of the directional checks pass, determine collision side based on overlap amounts
-  if (!wasAbove && !wasBelow && !wasLeft && !wasRight) {
-    // Calculate overlap amounts for each side
-    const overlapTop = pTop - platTop;
-    const overlapBottom = platBottom - pBottom;
-    const overlapLeft = pLeft - platLeft;
-    const overlapRight = platRight - pRight;
-
-    // Find the smallest overlap (closest to the surface)
-    const minOverlap = Math.min(
-      Math.abs(overlapTop),
-      Math.abs(overlapBottom),
-      Math.abs(overlapLeft),
-      Math.abs(overlapRight)
-    );
-
-    // Determine collision side based on smallest overlap and velocity
-    if (Math.abs(overlapTop) === minOverlap && gameState.velocityY <= 0) {
-      return { side: "top", position: platTop };
-    } else if (Math.abs(overlapBottom) === minOverlap && gameState.velocityY >= 0) {
-      return { side: "bottom", position: platBottom };
-    } else if (Math.abs(overlapLeft) === minOverlap) {
-      return { side: "left", position: platLeft };
-    } else if (Math.abs(overlapRight) === minOverlap) {
-      return { side: "right", position: platRight };
-    }
-  }
-
-  // Original logic with velocity checks
-  if (wasAbove && gameState.velocityY <= 0) {
-    return { side: "top", position: platTop };
-  } else if (wasBelow && gameState.velocityY >= 0) {
-    return { side: "bottom", position: platBottom };
-  } else if (wasLeft) {
-    return { side: "left", position: platLeft };
-  } else if (wasRight) {
-    return { side: "right", position: platRight };
-  }
-
-  return null;
-}
-
 // ========================================
 // PLAYER-TO-PLAYER COLLISION
 // ========================================
 
 /**
- * Checks collision between local player and remote player in multiplayer.
+ * Checks collision between local player and every remote player in multiplayer.
  * Applies knockback to local player on collision.
  * Has cooldown to prevent rapid repeated collisions.
  *
@@ -141,31 +43,19 @@ export function checkCollision(platform, player, prevX, prevY) {
  * @returns {void}
  */
 export function checkPlayerCollision(player) {
-  const remotePlayer = multiplayerState.remotePlayer;
-  if (!remotePlayer || !remotePlayer.position) return;
-
   const currentTime = performance.now();
   if (currentTime - multiplayerState.lastCollisionTime < COLLISION_COOLDOWN) return;
 
-  // Get player bounding boxes
-  const p1Left = player.position.x - playerWidth / 2;
-  const p1Right = player.position.x + playerWidth / 2;
-  const p1Bottom = player.position.y - playerHeight / 2;
-  const p1Top = player.position.y + playerHeight / 2;
+  // Get local player bounding box
+  const localBounds = getPlayerBounds(player.position.x, player.position.y);
 
-  const p2Left = remotePlayer.position.x - playerWidth / 2;
-  const p2Right = remotePlayer.position.x + playerWidth / 2;
-  const p2Bottom = remotePlayer.position.y - playerHeight / 2;
-  const p2Top = remotePlayer.position.y + playerHeight / 2;
+  for (const remotePlayer of multiplayerState.remotePlayers.values()) {
+    if (!remotePlayer.position) continue;
 
-  // Check AABB overlap
-  const isColliding =
-    p1Right > p2Left &&
-    p1Left < p2Right &&
-    p1Bottom < p2Top &&
-    p1Top > p2Bottom;
+    // Check AABB overlap
+    const remoteBounds = getPlayerBounds(remotePlayer.position.x, remotePlayer.position.y);
+    if (!boundsOverlap(localBounds, remoteBounds)) continue;
 
-  if (isColliding) {
     multiplayerState.lastCollisionTime = currentTime;
 
     // Calculate knockback direction (push away from remote player)
@@ -197,6 +87,9 @@ export function checkPlayerCollision(player) {
         }, 100);
       }
     }
+
+    // One bump per cooldown window
+    return;
   }
 }
 
@@ -205,16 +98,13 @@ export function checkPlayerCollision(player) {
 // ========================================
 
 /**
- * Checks if player's attack hits the remote player.
+ * Checks if player's attack hits any remote player.
  * Applies visual feedback on hit and prevents multi-hits.
  *
  * @param {Player} player - The local player entity performing the attack
- * @returns {boolean} True if the attack hit the remote player, false otherwise
+ * @returns {boolean} True if the attack hit a remote player, false otherwise
  */
 export function checkAttackCollision(player) {
-  const remotePlayer = multiplayerState.remotePlayer;
-  if (!remotePlayer || !remotePlayer.position) return false;
-
   // Must have an attack direction
   if (!gameState.attackDirection) return false;
 
@@ -226,24 +116,16 @@ export function checkAttackCollision(player) {
   const attackBounds = player.getAttackBounds(gameState.attackDirection);
   if (!attackBounds) return false;
 
-  // Get remote player bounds
-  const p2Left = remotePlayer.position.x - playerWidth / 2;
-  const p2Right = remotePlayer.position.x + playerWidth / 2;
-  const p2Bottom = remotePlayer.position.y - playerHeight / 2;
-  const p2Top = remotePlayer.position.y + playerHeight / 2;
+  let hitAny = false;
 
-  // Check AABB overlap between attack and remote player
-  const isHit =
-    attackBounds.right > p2Left &&
-    attackBounds.left < p2Right &&
-    attackBounds.bottom < p2Top &&
-    attackBounds.top > p2Bottom;
+  for (const remotePlayer of multiplayerState.remotePlayers.values()) {
+    if (!remotePlayer.position) continue;
 
-  if (isHit) {
-    lastAttackHitTime = currentTime;
+    // Check AABB overlap between attack and remote player
+    const remoteBounds = getPlayerBounds(remotePlayer.position.x, remotePlayer.position.y);
+    if (!boundsOverlap(attackBounds, remoteBounds)) continue;
 
-    // Apply knockback to the local player's velocity as recoil (small)
-    gameState.velocityY = Math.max(gameState.velocityY, 2);
+    hitAny = true;
 
     // Flash the remote player to indicate hit
     if (remotePlayer.group) {
@@ -268,10 +150,14 @@ export function checkAttackCollision(player) {
         });
       }, 200);
     }
+  }
 
-    return true;
+  if (hitAny) {
+    lastAttackHitTime = currentTime;
+
+    // Apply knockback to the local player's velocity as recoil (small)
+    gameState.velocityY = Math.max(gameState.velocityY, 2);
   }
 
-  return false;
+  return hitAny;
 }
-
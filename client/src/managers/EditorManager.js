@@ -0,0 +1,916 @@
+/**
+ * EditorManager.js - In-Browser Level Editor
+ *
+ * Lets designers build levels by hand: place, drag and resize platforms,
+ * spikes, walls, moving, crumbling and blinking platforms and collectibles, pick each level's colors, play-test the result right
+ * away and save it as a level pack (see data/levelPack.js).
+ *
+ * @module managers/EditorManager
+ *
+ * ## Editing:
+ * - One level is shown at a time, framed by a fixed camera
+ * - With a piece type chosen under "Place", clicking empty space adds one
+ * - Dragging a piece moves it; dragging near its ends resizes it
+ * - Delete / Backspace removes the selected piece
+ * - Moving platforms are drawn at the center of their path, with a line
+ *   showing the path; its length and speed are set in the panel
+ * - Blinking platforms' on/off cycle is set in the panel
+ * - Positions and sizes snap to GRID_SIZE
+ *
+ * ## Level Data:
+ * The editor opens on a copy of the current level set (the tower shown on the
+ * start screen, or the selected level pack) in LevelManager's level
+ * data format (platforms [x, y, width, height, isSpike], walls
+ * [x, y, width, height], movingPlatforms [x, y, width, height, axis, range,
+ * speed], crumblingPlatforms [x, y, width, height], blinkingPlatforms
+ * [x, y, width, height, onTime, offTime, offset], collectibles [x, y], color,
+ * backgroundColor, startY) and draws it with the same entities the game spawns. Each piece edits the entry of the level list
+ * named by its `list`.
+ *
+ * ## Play-testing:
+ * The edited levels are loaded as a custom level set. The run starts on the
+ * highest platform of the level below the one being edited (on the ground
+ * for level 1); dying still respawns at the bottom. Reaching the top or
+ * pressing ESC returns to the editor. Play-tests never count as runs.
+ */
+
+import * as THREE from "three";
+import { playerHeight, playerStartPositionX, playerStartPositionY } from '../config/constants.js';
+import { gameState, resetPhysicsState, formatTime } from '../state/gameState.js';
+import { getBounds } from '../../../shared/collision.js';
+import { COLLECTIBLE_SIZE } from '../../../shared/constants.js';
+import { LEVEL_HEIGHT } from '../data/levelData.js';
+import { createLevelPack, parseLevelPack } from '../data/levelPack.js';
+import * as LevelManager from './LevelManager.js';
+import * as SceneManager from './SceneManager.js';
+import * as UIManager from './UIManager.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/** Positions and sizes snap to multiples of this (world units) */
+const GRID_SIZE = 0.25;
+
+/** How close to a piece's end a drag resizes instead of moving it (world units) */
+const HANDLE_SIZE = 0.4;
+
+/** Extra distance around a piece that still picks it (thin pieces are hard to hit) */
+const PICK_MARGIN = 0.15;
+
+/** Smallest width or height a piece can be resized to */
+const MIN_PIECE_SIZE = 0.25;
+
+/** Camera distance that fits a whole level on screen */
+const EDITOR_CAMERA_DISTANCE = 26;
+
+/** Z of the pieces' front faces (entities are 2 deep), where the pointer is projected */
+const PIECE_FRONT_Z = 1;
+
+/** Size of newly placed pieces by type */
+const NEW_PIECE_SIZES = {
+  platform: { width: 3, height: 0.3 },
+  spike: { width: 3, height: 0.3 },
+  wall: { width: 0.3, height: 4 },
+  'moving-x': { width: 3, height: 0.3 },
+  'moving-y': { width: 3, height: 0.3 },
+  crumbling: { width: 3, height: 0.3 },
+  blinking: { width: 3, height: 0.3 },
+  collectible: { width: COLLECTIBLE_SIZE, height: COLLECTIBLE_SIZE }
+};
+
+/** Path of newly placed moving platforms */
+const NEW_PATH = { range: 4, speed: 2 };
+
+/** Cycle of newly placed blinking platforms */
+const NEW_BLINK = { onTime: 2, offTime: 1, offset: 0 };
+
+/** Level lists pieces can be in */
+const PIECE_LISTS = ['platforms', 'walls', 'movingPlatforms', 'crumblingPlatforms', 'blinkingPlatforms', 'collectibles'];
+
+/** Color of the line showing a moving platform's path */
+const PATH_COLOR = 0xffffff;
+
+/** Glow added to the selected piece */
+const SELECTED_EMISSIVE = 0x444444;
+
+/** Color of the lines marking the bottom and top of the level */
+const BOUNDS_COLOR = 0xffffff;
+
+/** Mouse cursor for each drag mode */
+const DRAG_CURSORS = {
+  move: 'move',
+  left: 'ew-resize',
+  right: 'ew-resize',
+  bottom: 'ns-resize',
+  top: 'ns-resize'
+};
+
+/** Help text shown while editing */
+const EDITOR_HINT = 'Choose a piece under "Place" and click to add it. Drag pieces to move them, or drag their ends to resize. Delete removes the selected piece.';
+
+// ========================================
+// MODULE STATE
+// ========================================
+
+/** @type {THREE.Scene|null} Scene the editor draws in */
+let scene = null;
+
+/** @type {Object} Callbacks { onPlayTest, onClose } from initEditor */
+let callbacks = {};
+
+/** @type {boolean} Whether the editor is open (editing or play-testing) */
+let isOpen = false;
+
+/** @type {boolean} Whether the edited levels are being play-tested */
+let isTesting = false;
+
+/** @type {Array<Object>} Levels being edited */
+let editLevels = [];
+
+/** @type {Object} Metadata saved with the levels (kept from the level pack being edited) */
+let packMetadata = {};
+
+/** @type {number} Index of the level being edited */
+let levelIndex = 0;
+
+/** @type {Array<{entry: Array, list: string, mesh: THREE.Mesh, emissive: number}>} Pieces of the level being edited */
+let pieces = [];
+
+/** @type {Object|null} Selected piece */
+let selected = null;
+
+/** @type {Object|null} Drag in progress { piece, mode, offsetX, offsetY } */
+let drag = null;
+
+/** @type {THREE.LineSegments|null} Lines marking the level's bottom and top */
+let boundsLines = null;
+
+/** Raycaster used to project the pointer onto the level plane */
+const raycaster = new THREE.Raycaster();
+
+/** Plane the pieces' front faces lie in */
+const editPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -PIECE_FRONT_Z);
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Sets up the editor panel and pointer handling.
+ * @param {THREE.Scene} gameScene - The game scene
+ * @param {Object} editorCallbacks - Game flow hooks
+ * @param {Function} editorCallbacks.onPlayTest - Starts a run on the loaded levels
+ * @param {Function} editorCallbacks.onClose - Returns to the start overlay
+ */
+export function initEditor(gameScene, editorCallbacks) {
+  scene = gameScene;
+  callbacks = editorCallbacks;
+
+  const elements = UIManager.getUIElements();
+
+  if (elements.editorBtn) {
+    elements.editorBtn.addEventListener('click', openEditor);
+  }
+  if (elements.editorPrevLevelBtn) {
+    elements.editorPrevLevelBtn.addEventListener('click', () => showLevel(levelIndex - 1));
+  }
+  if (elements.editorNextLevelBtn) {
+    elements.editorNextLevelBtn.addEventListener('click', () => showLevel(levelIndex + 1));
+  }
+  if (elements.editorAddLevelBtn) {
+    elements.editorAddLevelBtn.addEventListener('click', addLevel);
+  }
+  if (elements.editorRemoveLevelBtn) {
+    elements.editorRemoveLevelBtn.addEventListener('click', removeLevel);
+  }
+  if (elements.editorColor) {
+    elements.editorColor.addEventListener('input', () => {
+      getLevel().color = parseColorInput(elements.editorColor.value);
+      rebuildPieces();
+    });
+  }
+  if (elements.editorBackgroundColor) {
+    elements.editorBackgroundColor.addEventListener('input', () => {
+      getLevel().backgroundColor = parseColorInput(elements.editorBackgroundColor.value);
+      SceneManager.setBackgroundColor(getLevel().backgroundColor);
+    });
+  }
+  if (elements.editorPathRange) {
+    elements.editorPathRange.addEventListener('change', () => setSelectedValue('movingPlatforms', 5, elements.editorPathRange.value));
+  }
+  if (elements.editorPathSpeed) {
+    elements.editorPathSpeed.addEventListener('change', () => setSelectedValue('movingPlatforms', 6, elements.editorPathSpeed.value));
+  }
+  if (elements.editorBlinkOn) {
+    elements.editorBlinkOn.addEventListener('change', () => setSelectedValue('blinkingPlatforms', 4, elements.editorBlinkOn.value));
+  }
+  if (elements.editorBlinkOff) {
+    elements.editorBlinkOff.addEventListener('change', () => setSelectedValue('blinkingPlatforms', 5, elements.editorBlinkOff.value));
+  }
+  if (elements.editorBlinkOffset) {
+    elements.editorBlinkOffset.addEventListener('change', () => setSelectedValue('blinkingPlatforms', 6, elements.editorBlinkOffset.value, true));
+  }
+  if (elements.editorDeleteBtn) {
+    elements.editorDeleteBtn.addEventListener('click', deleteSelected);
+  }
+  if (elements.editorClearLevelBtn) {
+    elements.editorClearLevelBtn.addEventListener('click', clearLevel);
+  }
+  if (elements.editorPlayTestBtn) {
+    elements.editorPlayTestBtn.addEventListener('click', startPlayTest);
+  }
+  if (elements.editorSaveBtn) {
+    elements.editorSaveBtn.addEventListener('click', saveLevels);
+  }
+  if (elements.editorExitBtn) {
+    elements.editorExitBtn.addEventListener('click', closeEditor);
+  }
+
+  const canvas = SceneManager.getRenderer().domElement;
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+
+  window.addEventListener('keydown', (e) => {
+    if (!isEditing() || e.target instanceof HTMLInputElement) return;
+    if (e.code === 'Delete' || e.code === 'Backspace') {
+      e.preventDefault();
+      deleteSelected();
+    }
+  });
+}
+
+/**
+ * Opens the editor on a copy of the current level set.
+ */
+export function openEditor() {
+  if (isOpen) return;
+
+  isOpen = true;
+  isTesting = false;
+  editLevels = structuredClone(LevelManager.getLevels()).map((level) => ({
+    ...level,
+    walls: level.walls ?? [],
+    movingPlatforms: level.movingPlatforms ?? [],
+    crumblingPlatforms: level.crumblingPlatforms ?? [],
+    blinkingPlatforms: level.blinkingPlatforms ?? [],
+    collectibles: level.collectibles ?? []
+  }));
+  packMetadata = LevelManager.getLevelPackMetadata() ?? {};
+
+  LevelManager.clearAllLevels(scene);
+  UIManager.hideOverlay();
+  UIManager.showEditorPanel();
+  UIManager.showEditorStatus(EDITOR_HINT);
+  showLevel(0);
+}
+
+/**
+ * Checks whether levels are being edited (the editor is open and not play-testing).
+ * @returns {boolean} True while editing
+ */
+export function isEditing() {
+  return isOpen && !isTesting;
+}
+
+/**
+ * Checks whether the edited levels are being play-tested.
+ * @returns {boolean} True during a play-test run
+ */
+export function isPlayTesting() {
+  return isTesting;
+}
+
+/**
+ * Ends the play-test and returns to the level that was being edited.
+ * @param {number|null} [completionTime=null] - Run time if the play-test reached the top
+ */
+export function stopPlayTest(completionTime = null) {
+  if (!isTesting) return;
+
+  isTesting = false;
+  gameState.isPaused = true;
+  gameState.canMove = false;
+
+  const player = SceneManager.getPlayer();
+  player.position.x = playerStartPositionX;
+  player.position.y = playerStartPositionY;
+  resetPhysicsState();
+
+  LevelManager.clearAllLevels(scene);
+  UIManager.showEditorPanel();
+  UIManager.showEditorStatus(completionTime !== null
+    ? `Play-test reached the top in ${formatTime(completionTime)}.`
+    : 'Play-test stopped.');
+  showLevel(levelIndex);
+}
+
+// ========================================
+// LEVELS
+// ========================================
+
+/**
+ * Gets the level being edited.
+ * @private
+ * @returns {Object} Level in the level data format
+ */
+function getLevel() {
+  return editLevels[levelIndex];
+}
+
+/**
+ * Shows a level for editing: its pieces, bounds, colors and a camera framing it.
+ * @private
+ * @param {number} index - Index of the level to show (clamped to the level set)
+ */
+function showLevel(index) {
+  levelIndex = Math.max(0, Math.min(editLevels.length - 1, index));
+  const level = getLevel();
+  const originY = LevelManager.getLevelOriginY(level);
+
+  drag = null;
+  selected = null;
+  rebuildPieces();
+  drawLevelBounds(originY);
+
+  SceneManager.setCameraView(0, originY + LEVEL_HEIGHT / 2, EDITOR_CAMERA_DISTANCE);
+  SceneManager.setBackgroundColor(level.backgroundColor);
+}
+
+/**
+ * Inserts an empty level above the one being edited, with the same colors.
+ * @private
+ */
+function addLevel() {
+  const level = getLevel();
+  editLevels.splice(levelIndex + 1, 0, {
+    number: 0,
+    startY: 0,
+    color: level.color,
+    backgroundColor: level.backgroundColor,
+    platforms: [],
+    walls: [],
+    movingPlatforms: [],
+    crumblingPlatforms: [],
+    blinkingPlatforms: [],
+    collectibles: []
+  });
+  renumberLevels();
+  showLevel(levelIndex + 1);
+}
+
+/**
+ * Removes the level being edited (a level set always keeps one level).
+ * @private
+ */
+function removeLevel() {
+  if (editLevels.length <= 1) return;
+
+  editLevels.splice(levelIndex, 1);
+  renumberLevels();
+  showLevel(levelIndex);
+}
+
+/**
+ * Removes every piece from the level being edited.
+ * @private
+ */
+function clearLevel() {
+  for (const list of PIECE_LISTS) {
+    getLevel()[list].length = 0;
+  }
+  selected = null;
+  rebuildPieces();
+}
+
+/**
+ * Restacks the levels after one is added or removed.
+ * @private
+ */
+function renumberLevels() {
+  editLevels.forEach((level, i) => {
+    level.number = i + 1;
+    level.startY = i * LEVEL_HEIGHT;
+  });
+}
+
+// ========================================
+// PIECES
+// ========================================
+
+/**
+ * Recreates the meshes of every piece in the level being edited.
+ * Called when the level changes or its color does; keeps the selection.
+ * @private
+ */
+function rebuildPieces() {
+  const selectedEntry = selected?.entry;
+  clearPieces();
+
+  const level = getLevel();
+  for (const list of PIECE_LISTS) {
+    for (const entry of level[list]) {
+      pieces.push(createPiece(entry, list));
+    }
+  }
+
+  select(pieces.find((piece) => piece.entry === selectedEntry) ?? null);
+}
+
+/**
+ * Removes all piece meshes from the scene.
+ * @private
+ */
+function clearPieces() {
+  for (const piece of pieces) {
+    scene.remove(piece.mesh);
+  }
+  pieces = [];
+}
+
+/**
+ * Creates the entity for a level entry and adds it to the scene.
+ * @private
+ * @param {Array} entry - Entry of the level list
+ * @param {string} list - Level list the entry is in (one of PIECE_LISTS)
+ * @returns {{entry: Array, list: string, mesh: THREE.Mesh, emissive: number}} The piece
+ */
+function createPiece(entry, list) {
+  const level = getLevel();
+  let mesh;
+  if (list === 'walls') {
+    mesh = LevelManager.createWallEntity(entry, level, levelIndex + 1);
+  } else if (list === 'movingPlatforms') {
+    mesh = LevelManager.createMovingPlatformEntity(entry, level, levelIndex + 1);
+  } else if (list === 'crumblingPlatforms') {
+    mesh = LevelManager.createCrumblingPlatformEntity(entry, level, levelIndex + 1);
+  } else if (list === 'blinkingPlatforms') {
+    mesh = LevelManager.createBlinkingPlatformEntity(entry, level, levelIndex + 1);
+  } else if (list === 'collectibles') {
+    mesh = LevelManager.createCollectibleEntity(levelIndex + 1, level.collectibles.indexOf(entry));
+  } else {
+    mesh = LevelManager.createPlatformEntity(entry, level, levelIndex + 1);
+  }
+
+  mesh.add(scene, entry[0], LevelManager.getLevelOriginY(level) + entry[1]);
+  if (list === 'movingPlatforms') {
+    addPathLine(mesh, entry);
+  }
+  return { entry, list, mesh, emissive: mesh.material.emissive.getHex() };
+}
+
+/**
+ * Draws a moving platform's path through its mesh.
+ * The line is a child of the mesh, so it follows when the piece is dragged.
+ * @private
+ * @param {THREE.Mesh} mesh - The moving platform's mesh
+ * @param {Array} entry - Moving platform [x, y, width, height, axis, range, speed]
+ */
+function addPathLine(mesh, entry) {
+  const [, , , , axis, range] = entry;
+  const end = axis === 'y'
+    ? new THREE.Vector3(0, range / 2, PIECE_FRONT_Z)
+    : new THREE.Vector3(range / 2, 0, PIECE_FRONT_Z);
+  const start = end.clone().setComponent(axis === 'y' ? 1 : 0, -range / 2);
+
+  const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+  const material = new THREE.LineBasicMaterial({ color: PATH_COLOR, transparent: true, opacity: 0.6 });
+
+  // Platform overrides add(), so attach the line the way Object3D does
+  THREE.Object3D.prototype.add.call(mesh, new THREE.Line(geometry, material));
+}
+
+/**
+ * Replaces a piece's mesh after it was resized.
+ * @private
+ * @param {Object} piece - The piece
+ */
+function rebuildPiece(piece) {
+  scene.remove(piece.mesh);
+  piece.mesh = createPiece(piece.entry, piece.list).mesh;
+  if (piece === selected) {
+    piece.mesh.material.emissive.setHex(SELECTED_EMISSIVE);
+  }
+}
+
+/**
+ * Adds a new piece to the level being edited.
+ * @private
+ * @param {string} type - A key of NEW_PIECE_SIZES
+ * @param {number} x - Center X
+ * @param {number} y - Center Y relative to the level
+ * @returns {Object} The new piece
+ */
+function addPiece(type, x, y) {
+  const { width, height } = NEW_PIECE_SIZES[type];
+
+  let entry;
+  let list;
+  if (type === 'wall') {
+    entry = [x, y, width, height];
+    list = 'walls';
+  } else if (type === 'moving-x' || type === 'moving-y') {
+    entry = [x, y, width, height, type === 'moving-y' ? 'y' : 'x', NEW_PATH.range, NEW_PATH.speed];
+    list = 'movingPlatforms';
+  } else if (type === 'crumbling') {
+    entry = [x, y, width, height];
+    list = 'crumblingPlatforms';
+  } else if (type === 'blinking') {
+    entry = [x, y, width, height, NEW_BLINK.onTime, NEW_BLINK.offTime, NEW_BLINK.offset];
+    list = 'blinkingPlatforms';
+  } else if (type === 'collectible') {
+    entry = [x, y];
+    list = 'collectibles';
+  } else {
+    entry = [x, y, width, height, type === 'spike'];
+    list = 'platforms';
+  }
+  getLevel()[list].push(entry);
+
+  const piece = createPiece(entry, list);
+  pieces.push(piece);
+  return piece;
+}
+
+/**
+ * Removes the selected piece from the level.
+ * @private
+ */
+function deleteSelected() {
+  if (!selected) return;
+
+  const list = getLevel()[selected.list];
+  list.splice(list.indexOf(selected.entry), 1);
+  scene.remove(selected.mesh);
+  pieces.splice(pieces.indexOf(selected), 1);
+  select(null);
+}
+
+/**
+ * Selects a piece (or nothing) and highlights it.
+ * @private
+ * @param {Object|null} piece - Piece to select
+ */
+function select(piece) {
+  if (selected) selected.mesh.material.emissive.setHex(selected.emissive);
+  selected = piece;
+  if (selected) selected.mesh.material.emissive.setHex(SELECTED_EMISSIVE);
+
+  const level = getLevel();
+  UIManager.updateEditorPanel({
+    levelNumber: levelIndex + 1,
+    totalLevels: editLevels.length,
+    color: level.color,
+    backgroundColor: level.backgroundColor,
+    hasSelection: selected !== null,
+    path: selected?.list === 'movingPlatforms' ? { range: selected.entry[5], speed: selected.entry[6] } : null,
+    blink: selected?.list === 'blinkingPlatforms'
+      ? { onTime: selected.entry[4], offTime: selected.entry[5], offset: selected.entry[6] }
+      : null
+  });
+}
+
+/**
+ * Changes a setting of the selected piece (a moving platform's path or a blinking platform's cycle).
+ * Values that aren't positive numbers are ignored.
+ * @private
+ * @param {string} list - Level list the setting belongs to
+ * @param {number} index - Entry index to change
+ * @param {string} value - Value typed in the panel
+ * @param {boolean} [canBeZero=false] - Whether 0 is allowed too
+ */
+function setSelectedValue(list, index, value, canBeZero = false) {
+  if (selected?.list !== list) return;
+
+  const number = Number(value);
+  if (Number.isFinite(number) && (number > 0 || (canBeZero && number === 0))) {
+    selected.entry[index] = number;
+    rebuildPiece(selected);
+  }
+  select(selected);
+}
+
+/**
+ * Gets the size of a piece (collectibles have a fixed size).
+ * @private
+ * @param {Object} piece - The piece
+ * @returns {{width: number, height: number}} Size in world units
+ */
+function getPieceSize(piece) {
+  if (piece.list === 'collectibles') {
+    return { width: COLLECTIBLE_SIZE, height: COLLECTIBLE_SIZE };
+  }
+  return { width: piece.entry[2], height: piece.entry[3] };
+}
+
+/**
+ * Draws lines at the bottom and top of the level being edited.
+ * @private
+ * @param {number} originY - World Y of the level's origin
+ */
+function drawLevelBounds(originY) {
+  if (boundsLines) scene.remove(boundsLines);
+
+  const halfWidth = EDITOR_CAMERA_DISTANCE * 2;
+  const geometry = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(-halfWidth, originY, 0),
+    new THREE.Vector3(halfWidth, originY, 0),
+    new THREE.Vector3(-halfWidth, originY + LEVEL_HEIGHT, 0),
+    new THREE.Vector3(halfWidth, originY + LEVEL_HEIGHT, 0)
+  ]);
+  const material = new THREE.LineBasicMaterial({ color: BOUNDS_COLOR, transparent: true, opacity: 0.4 });
+  boundsLines = new THREE.LineSegments(geometry, material);
+  scene.add(boundsLines);
+}
+
+// ========================================
+// POINTER INPUT
+// ========================================
+
+/**
+ * Gets the point under the pointer on the level plane.
+ * @private
+ * @param {PointerEvent} event - Pointer event on the canvas
+ * @returns {{x: number, y: number}|null} Point with Y relative to the level, or null if off the plane
+ */
+function getPointerPoint(event) {
+  const rect = event.target.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, SceneManager.getCamera());
+
+  const point = raycaster.ray.intersectPlane(editPlane, new THREE.Vector3());
+  if (!point) return null;
+
+  return { x: point.x, y: point.y - LevelManager.getLevelOriginY(getLevel()) };
+}
+
+/**
+ * Finds the topmost piece at a point.
+ * @private
+ * @param {number} x - X position
+ * @param {number} y - Y position relative to the level
+ * @returns {Object|null} The piece, or null if there is none
+ */
+function findPieceAt(x, y) {
+  for (let i = pieces.length - 1; i >= 0; i--) {
+    const [pieceX, pieceY] = pieces[i].entry;
+    const { width, height } = getPieceSize(pieces[i]);
+    const bounds = getBounds(pieceX, pieceY, width + PICK_MARGIN * 2, height + PICK_MARGIN * 2);
+    if (x >= bounds.left && x <= bounds.right && y >= bounds.bottom && y <= bounds.top) {
+      return pieces[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Decides whether grabbing a piece at a point moves it or resizes one of its ends.
+ * Pieces too thin for handles along an axis can only be moved along it.
+ * @private
+ * @param {Object} piece - The piece
+ * @param {number} x - X position
+ * @param {number} y - Y position relative to the level
+ * @returns {string} Drag mode ('move', 'left', 'right', 'bottom' or 'top')
+ */
+function getDragMode(piece, x, y) {
+  const [pieceX, pieceY] = piece.entry;
+  const { width, height } = getPieceSize(piece);
+  const bounds = getBounds(pieceX, pieceY, width, height);
+
+  if (width > HANDLE_SIZE * 3) {
+    if (x <= bounds.left + HANDLE_SIZE) return 'left';
+    if (x >= bounds.right - HANDLE_SIZE) return 'right';
+  }
+  if (height > HANDLE_SIZE * 3) {
+    if (y <= bounds.bottom + HANDLE_SIZE) return 'bottom';
+    if (y >= bounds.top - HANDLE_SIZE) return 'top';
+  }
+  return 'move';
+}
+
+/**
+ * Rounds a position or size to the editor grid.
+ * @private
+ * @param {number} value - Value in world units
+ * @returns {number} Snapped value
+ */
+function snap(value) {
+  return Math.round(value / GRID_SIZE) * GRID_SIZE;
+}
+
+/**
+ * Selects, places or starts dragging a piece.
+ * @private
+ * @param {PointerEvent} event - Pointer event on the canvas
+ */
+function onPointerDown(event) {
+  if (!isEditing() || event.button !== 0) return;
+
+  const point = getPointerPoint(event);
+  if (!point) return;
+
+  let piece = findPieceAt(point.x, point.y);
+  const tool = UIManager.getUIElements().editorTool?.value ?? 'select';
+
+  if (!piece && tool !== 'select') {
+    piece = addPiece(tool, snap(point.x), snap(point.y));
+  }
+
+  select(piece);
+  if (!piece) return;
+
+  drag = {
+    piece,
+    mode: getDragMode(piece, point.x, point.y),
+    offsetX: point.x - piece.entry[0],
+    offsetY: point.y - piece.entry[1]
+  };
+  event.target.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Moves or resizes the dragged piece, or updates the cursor while hovering.
+ * @private
+ * @param {PointerEvent} event - Pointer event on the canvas
+ */
+function onPointerMove(event) {
+  if (!isEditing()) return;
+
+  const point = getPointerPoint(event);
+  if (!point) return;
+
+  if (!drag) {
+    const piece = findPieceAt(point.x, point.y);
+    event.target.style.cursor = piece ? DRAG_CURSORS[getDragMode(piece, point.x, point.y)] : '';
+    return;
+  }
+
+  const { piece, mode } = drag;
+  const entry = piece.entry;
+  const bounds = getBounds(entry[0], entry[1], entry[2], entry[3]);
+
+  switch (mode) {
+    case 'move': {
+      entry[0] = snap(point.x - drag.offsetX);
+      entry[1] = snap(point.y - drag.offsetY);
+      piece.mesh.position.x = entry[0];
+      piece.mesh.position.y = LevelManager.getLevelOriginY(getLevel()) + entry[1];
+      return;
+    }
+    case 'left':
+    case 'right': {
+      const left = mode === 'left' ? Math.min(snap(point.x), bounds.right - MIN_PIECE_SIZE) : bounds.left;
+      const right = mode === 'right' ? Math.max(snap(point.x), bounds.left + MIN_PIECE_SIZE) : bounds.right;
+      entry[0] = (left + right) / 2;
+      entry[2] = right - left;
+      break;
+    }
+    case 'bottom':
+    case 'top': {
+      const bottom = mode === 'bottom' ? Math.min(snap(point.y), bounds.top - MIN_PIECE_SIZE) : bounds.bottom;
+      const top = mode === 'top' ? Math.max(snap(point.y), bounds.bottom + MIN_PIECE_SIZE) : bounds.top;
+      entry[1] = (bottom + top) / 2;
+      entry[3] = top - bottom;
+      break;
+    }
+  }
+
+  // A new size needs new geometry
+  rebuildPiece(piece);
+}
+
+/**
+ * Ends a drag.
+ * @private
+ */
+function onPointerUp() {
+  drag = null;
+}
+
+// ========================================
+// PLAY-TEST / SAVE / CLOSE
+// ========================================
+
+/**
+ * Gets where a play-test of the level being edited starts.
+ * @private
+ * @returns {{x: number, y: number}|null} Player position, or null to start on the ground
+ */
+function getPlayTestStart() {
+  if (levelIndex === 0) return null;
+
+  const below = editLevels[levelIndex - 1];
+  const landings = below.platforms.filter(([, , , , isSpike]) => !isSpike);
+  if (landings.length === 0) return null;
+
+  const [x, y, , height] = landings.reduce((highest, platform) => (platform[1] > highest[1] ? platform : highest));
+  return { x, y: LevelManager.getLevelOriginY(below) + y + height / 2 + playerHeight / 2 };
+}
+
+/**
+ * Plays the edited levels from the level being edited.
+ * @private
+ */
+function startPlayTest() {
+  if (!checkLevels("Can't play-test")) return;
+
+  drag = null;
+  select(null);
+  clearPieces();
+  if (boundsLines) scene.remove(boundsLines);
+
+  isTesting = true;
+  UIManager.hideEditorPanel();
+  LevelManager.loadCustomLevels(scene, structuredClone(editLevels));
+
+  const start = getPlayTestStart();
+  callbacks.onPlayTest();
+
+  const player = SceneManager.getPlayer();
+  if (start) {
+    // The start platform belongs to the level below
+    LevelManager.spawnLevel(scene, levelIndex);
+    player.position.x = start.x;
+    player.position.y = start.y;
+  }
+
+  gameState.currentLevel = LevelManager.detectCurrentLevel(player.position.y);
+  UIManager.updateLevelDisplay(gameState.currentLevel, LevelManager.getTotalLevels(), gameState.selectedDifficultyLabel);
+  SceneManager.updateBackgroundForLevel(gameState.currentLevel);
+  SceneManager.setCameraView(player.position.x, player.position.y + 4);
+}
+
+/**
+ * Checks that the edited levels would load as a level pack.
+ * Shows the first problem in the editor panel.
+ * @private
+ * @param {string} action - What the problem prevents, for the message
+ * @returns {boolean} True if the levels are valid
+ */
+function checkLevels(action) {
+  try {
+    parseLevelPack(JSON.stringify(createLevelPack(editLevels, packMetadata)));
+    return true;
+  } catch (error) {
+    UIManager.showEditorStatus(`${action}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Downloads the edited levels as a level pack file.
+ * @private
+ */
+function saveLevels() {
+  if (!checkLevels("Can't save")) return;
+
+  const pack = createLevelPack(editLevels, packMetadata);
+  const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `blocky-level-pack-${timestamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  UIManager.showEditorStatus('Level pack saved.');
+}
+
+/**
+ * Closes the editor and returns to the start overlay.
+ * Unsaved changes are dropped.
+ * @private
+ */
+function closeEditor() {
+  drag = null;
+  selected = null;
+  clearPieces();
+  if (boundsLines) {
+    scene.remove(boundsLines);
+    boundsLines = null;
+  }
+
+  isOpen = false;
+  UIManager.hideEditorPanel();
+  SceneManager.getRenderer().domElement.style.cursor = '';
+  SceneManager.setCameraView(playerStartPositionX, playerStartPositionY + 4);
+  callbacks.onClose();
+}
+
+/**
+ * Converts a color input value to a hex color.
+ * @private
+ * @param {string} value - Color as '#rrggbb'
+ * @returns {number} Color as hex value
+ */
+function parseColorInput(value) {
+  return parseInt(value.slice(1), 16);
+}
@@ -0,0 +1,105 @@
+/**
+ * EndlessManager.js - Endless Runs
+ *
+ * Endless runs climb an infinite tower generated from the level seed (see
+ * LevelManager.loadEndlessTower), getting harder the higher the player
+ * gets. There is no top: a run ends when the player dies or falls too far,
+ * and its height goes on the local leaderboard.
+ *
+ * @module managers/EndlessManager
+ *
+ * ## Falling:
+ * Falling more than MAX_FALL_LEVELS below the highest level reached ends
+ * the run. Levels far below the player are unloaded like in any other run
+ * (see LevelManager.updateLevelWindow), so the scene stays the same size
+ * however high the run goes.
+ *
+ * ## Bests:
+ * Endless runs never set personal bests, ghosts, replays, collectible or
+ * split bests; the leaderboard is their only record.
+ */
+
+import { gameState, addEndlessScore } from '../state/gameState.js';
+import { multiplayerState } from '../state/multiplayerState.js';
+import * as ReplayManager from './ReplayManager.js';
+import * as EditorManager from './EditorManager.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/** Levels the player may fall below the highest level reached before the run ends */
+const MAX_FALL_LEVELS = 2;
+
+// ========================================
+// MODULE STATE
+// ========================================
+
+/** @type {number} Highest level reached this run */
+let highestLevel = 1;
+
+/** @type {number} Greatest height reached this run (HUD meters) */
+let bestHeight = 0;
+
+// ========================================
+// ENDLESS RUNS
+// ========================================
+
+/**
+ * Checks whether the current run is an endless run.
+ * Only solo runs can be; replays and play-tests never are.
+ * @returns {boolean} True for endless runs
+ */
+export function isEndlessRun() {
+  return (
+    gameState.runMode === 'endless' &&
+    !multiplayerState.isMultiplayerMode &&
+    !ReplayManager.isPlaying() &&
+    !EditorManager.isPlayTesting()
+  );
+}
+
+/**
+ * Forgets the progress of the last run (a new run started).
+ */
+export function resetRun() {
+  highestLevel = 1;
+  bestHeight = 0;
+}
+
+/**
+ * Records how far up the player is.
+ * @param {number} levelNumber - Level the player is in
+ * @param {number} height - Player height in HUD meters
+ */
+export function trackProgress(levelNumber, height) {
+  highestLevel = Math.max(highestLevel, levelNumber);
+  bestHeight = Math.max(bestHeight, height);
+}
+
+/**
+ * Checks whether the run is over: the player died or fell too far.
+ * @param {number} levelNumber - Level the player is in
+ * @returns {boolean} True if the run has ended
+ */
+export function isRunOver(levelNumber) {
+  return gameState.respawnTimer > 0 || levelNumber < highestLevel - MAX_FALL_LEVELS;
+}
+
+/**
+ * Ends the run and puts it on the leaderboard if it's high enough.
+ * @param {number} runTime - Run time in ms
+ * @param {number|null} seed - Level seed of the tower
+ * @returns {{height: number, level: number, rank: number|null}} The run and its leaderboard place
+ */
+export function finishRun(runTime, seed) {
+  const rank = addEndlessScore({
+    height: bestHeight,
+    level: highestLevel,
+    time: runTime,
+    difficulty: gameState.difficulty,
+    seed,
+    date: new Date().toISOString()
+  });
+  return { height: bestHeight, level: highestLevel, rank };
+}
@@ -0,0 +1,344 @@
+/**
+ * GhostManager.js - Personal Best Ghost Recording and Playback
+ *
+ * Records the local player's path during a solo run and keeps the path of
+ * the personal-best run per tower (difficulty and level seed). In "race your
+ * ghost" mode the saved path is played back as a translucent GhostPlayer
+ * alongside the player.
+ *
+ * @module managers/GhostManager
+ *
+ * ## Recording:
+ * - Sampled at a fixed interval of run time (pauses excluded)
+ * - Restarted whenever the run timer restarts (new game, death)
+ * - Only kept when the run sets a new personal best
+ *
+ * ## Storage Format (localStorage 'blocky-ghost-runs'):
+ * One entry per tower, keyed by getTowerKey (see state/gameState.js) like the personal bests:
+ * { version, time, interval, skinId, seed, frames }
+ * - Older saves kept one entry per difficulty profile, recorded on a tower
+ *   that is no longer generated the same way; those are dropped
+ * - frames: flat array of [dx, dy, flags] per sample
+ * - dx/dy: change in position since the previous sample, in hundredths of a unit
+ * - flags: bit field of glide direction and wall side (see STATE_FLAGS)
+ */
+
+import GhostPlayer from '../entities/GhostPlayer.js';
+import { playerWidth, playerHeight, playerDepth } from '../config/constants.js';
+import { DIFFICULTY_PROFILES } from '../../../shared/difficultyProfiles.js';
+import { getTowerKey } from '../state/gameState.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/** localStorage key for saved ghost runs */
+const STORAGE_KEY = 'blocky-ghost-runs';
+
+/** Version of the stored ghost format (bump when the encoding changes) */
+const GHOST_FORMAT_VERSION = 1;
+
+/** Milliseconds of run time between recorded samples */
+const SAMPLE_INTERVAL = 50;
+
+/** Positions are stored as integers in units of 1 / POSITION_SCALE */
+const POSITION_SCALE = 100;
+
+/** Values stored per sample (dx, dy, flags) */
+const VALUES_PER_SAMPLE = 3;
+
+/** Bit flags for the recorded player state */
+const STATE_FLAGS = {
+  GLIDE_LEFT: 1,
+  GLIDE_RIGHT: 2,
+  WALL_LEFT: 4,
+  WALL_RIGHT: 8
+};
+
+// ========================================
+// MODULE STATE
+// ========================================
+
+/**
+ * Saved ghost runs, keyed by getTowerKey.
+ * @type {Object.<string, Object>}
+ */
+const ghostRuns = {};
+
+/** @type {Object|null} Run currently being recorded { frames, lastX, lastY, nextSampleTime } */
+let recording = null;
+
+/** @type {GhostPlayer|null} Ghost entity currently in the scene */
+let ghost = null;
+
+/** @type {Object|null} Decoded run being played back { xs, ys, flags, interval } */
+let playback = null;
+
+/** @type {number} Run time of the last playback update (for rotation smoothing) */
+let lastPlaybackTime = 0;
+
+// ========================================
+// PERSISTENCE
+// ========================================
+
+/**
+ * Loads saved ghost runs from localStorage.
+ * Entries written with an older format version or keyed by difficulty alone
+ * are dropped.
+ * Called on game initialization.
+ */
+export function loadGhostRuns() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (!saved) return;
+
+  try {
+    for (const [key, run] of Object.entries(JSON.parse(saved))) {
+      if (run?.version !== GHOST_FORMAT_VERSION || key in DIFFICULTY_PROFILES) continue;
+      ghostRuns[key] = run;
+    }
+  } catch {
+    console.warn('Failed to load ghost runs from localStorage');
+  }
+}
+
+/**
+ * Saves ghost runs to localStorage.
+ * @returns {boolean} True if the runs were written
+ */
+function saveGhostRuns() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ghostRuns));
+    return true;
+  } catch {
+    console.warn('Failed to save ghost runs to localStorage');
+    return false;
+  }
+}
+
+/**
+ * Gets the saved ghost run for a tower.
+ * @private
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @returns {Object|null} Stored ghost run, or null if none was recorded there
+ */
+function getGhostRun(difficulty, seed) {
+  return ghostRuns[getTowerKey(difficulty, seed)] ?? null;
+}
+
+/**
+ * Gets the completion time of the saved ghost for a tower.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower to race on
+ * @returns {number|null} Time in milliseconds, or null if no ghost is saved for that tower
+ */
+export function getGhostTime(difficulty, seed) {
+  return getGhostRun(difficulty, seed)?.time ?? null;
+}
+
+// ========================================
+// RECORDING
+// ========================================
+
+/**
+ * Starts recording a new run, discarding any run in progress.
+ * Called whenever the run timer restarts.
+ */
+export function startRecording() {
+  recording = {
+    frames: [],
+    lastX: 0,
+    lastY: 0,
+    nextSampleTime: 0
+  };
+}
+
+/**
+ * Records the player's position and state if a sample is due.
+ * Frame hitches longer than the sample interval repeat the current sample.
+ * @param {number} runTime - Milliseconds since the run started (pauses excluded)
+ * @param {number} x - Player X position
+ * @param {number} y - Player Y position
+ * @param {Object} state - Physics state ({ glideDirection, isGliding, isOnWall, wallSide })
+ */
+export function recordFrame(runTime, x, y, state) {
+  if (!recording) return;
+
+  const qx = Math.round(x * POSITION_SCALE);
+  const qy = Math.round(y * POSITION_SCALE);
+  const flags = encodeFlags(state);
+
+  while (runTime >= recording.nextSampleTime) {
+    const isFirst = recording.frames.length === 0;
+    recording.frames.push(
+      isFirst ? qx : qx - recording.lastX,
+      isFirst ? qy : qy - recording.lastY,
+      flags
+    );
+    recording.lastX = qx;
+    recording.lastY = qy;
+    recording.nextSampleTime += SAMPLE_INTERVAL;
+  }
+}
+
+/**
+ * Saves the current recording as the ghost for a tower.
+ * Called when a run sets a new personal best.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} completionTime - Run time in milliseconds
+ * @param {string} skinId - Model the run was played with
+ * @param {number} seed - Level seed the run was played on
+ * @returns {boolean} True if the ghost was saved
+ */
+export function saveRecording(difficulty, completionTime, skinId, seed) {
+  if (!recording || recording.frames.length === 0) return false;
+
+  ghostRuns[getTowerKey(difficulty, seed)] = {
+    version: GHOST_FORMAT_VERSION,
+    time: Math.round(completionTime),
+    interval: SAMPLE_INTERVAL,
+    skinId,
+    seed,
+    frames: recording.frames
+  };
+  recording = null;
+
+  return saveGhostRuns();
+}
+
+/**
+ * Stops recording without saving.
+ */
+export function stopRecording() {
+  recording = null;
+}
+
+// ========================================
+// PLAYBACK
+// ========================================
+
+/**
+ * Spawns the ghost for a tower, replacing any ghost already playing.
+ * @param {THREE.Scene} scene - The scene to add the ghost to
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower being raced
+ * @returns {boolean} True if a ghost was found and spawned
+ */
+export function startPlayback(scene, difficulty, seed) {
+  stopPlayback(scene);
+
+  const run = getGhostRun(difficulty, seed);
+  if (!run) return false;
+
+  playback = decodeFrames(run);
+  lastPlaybackTime = 0;
+
+  ghost = new GhostPlayer(playerWidth, playerHeight, playerDepth, run.skinId);
+  ghost.add(scene, playback.xs[0], playback.ys[0]);
+  return true;
+}
+
+/**
+ * Moves the ghost to where it was at the given run time.
+ * Positions are interpolated between samples; the ghost stays at the
+ * end of its path once its run is over.
+ * @param {number} runTime - Milliseconds since the run started (pauses excluded)
+ */
+export function updatePlayback(runTime) {
+  if (!ghost || !playback) return;
+
+  const lastIndex = playback.xs.length - 1;
+  const position = Math.max(runTime, 0) / playback.interval;
+  const index = Math.min(Math.floor(position), lastIndex);
+  const nextIndex = Math.min(index + 1, lastIndex);
+  const t = index === lastIndex ? 0 : position - index;
+
+  const x = playback.xs[index] + (playback.xs[nextIndex] - playback.xs[index]) * t;
+  const y = playback.ys[index] + (playback.ys[nextIndex] - playback.ys[index]) * t;
+
+  // Run time jumps back to zero when the player respawns
+  const deltaTime = Math.max(runTime - lastPlaybackTime, 0) / 1000;
+  lastPlaybackTime = runTime;
+
+  ghost.setFrame(x, y, decodeFlags(playback.flags[index]), deltaTime);
+}
+
+/**
+ * Removes the ghost from the scene.
+ * @param {THREE.Scene} scene - The scene containing the ghost
+ */
+export function stopPlayback(scene) {
+  if (ghost) {
+    ghost.remove(scene);
+    ghost = null;
+  }
+  playback = null;
+}
+
+// ========================================
+// ENCODING HELPERS
+// ========================================
+
+/**
+ * Packs the visually relevant physics state into bit flags.
+ * @private
+ * @param {Object} state - Physics state
+ * @returns {number} Bit field of STATE_FLAGS
+ */
+function encodeFlags(state) {
+  let flags = 0;
+
+  if (state.isOnWall) {
+    if (state.wallSide === 'left') flags |= STATE_FLAGS.WALL_LEFT;
+    if (state.wallSide === 'right') flags |= STATE_FLAGS.WALL_RIGHT;
+  } else if (state.isGliding) {
+    if (state.glideDirection < 0) flags |= STATE_FLAGS.GLIDE_LEFT;
+    if (state.glideDirection > 0) flags |= STATE_FLAGS.GLIDE_RIGHT;
+  }
+
+  return flags;
+}
+
+/**
+ * Unpacks bit flags into the state shape GhostPlayer expects.
+ * @private
+ * @param {number} flags - Bit field of STATE_FLAGS
+ * @returns {Object} State { glideDirection, wallSide }
+ */
+function decodeFlags(flags) {
+  let glideDirection = 0;
+  if (flags & STATE_FLAGS.GLIDE_LEFT) glideDirection = -1;
+  if (flags & STATE_FLAGS.GLIDE_RIGHT) glideDirection = 1;
+
+  let wallSide = null;
+  if (flags & STATE_FLAGS.WALL_LEFT) wallSide = 'left';
+  if (flags & STATE_FLAGS.WALL_RIGHT) wallSide = 'right';
+
+  return { glideDirection, wallSide };
+}
+
+/**
+ * Expands delta-encoded frames into absolute positions.
+ * @private
+ * @param {Object} run - Stored ghost run
+ * @returns {Object} Decoded run { xs, ys, flags, interval }
+ */
+function decodeFrames(run) {
+  const count = Math.floor(run.frames.length / VALUES_PER_SAMPLE);
+  const xs = new Float32Array(count);
+  const ys = new Float32Array(count);
+  const flags = new Uint8Array(count);
+
+  let qx = 0;
+  let qy = 0;
+  for (let i = 0; i < count; i++) {
+    const offset = i * VALUES_PER_SAMPLE;
+    qx += run.frames[offset];
+    qy += run.frames[offset + 1];
+    xs[i] = qx / POSITION_SCALE;
+    ys[i] = qy / POSITION_SCALE;
+    flags[i] = run.frames[offset + 2];
+  }
+
+  return { xs, ys, flags, interval: run.interval };
+}
@@ -1,20 +1,47 @@
 /**
- * InputManager.js - Keyboard and Mouse Input Handling
+ * InputManager.js - Keyboard, Mouse and Gamepad Input Handling
  *
- * Manages all user input including keyboard and mouse events.
- * Tracks key states and triggers appropriate game actions.
+ * Manages all user input including keyboard, mouse and gamepad events.
+ * Turns key and button states into named actions and triggers the
+ * appropriate game actions.
  *
  * @module managers/InputManager
  *
- * ## Controls:
- * - WASD / Arrow Keys: Movement
- * - W / Up Arrow (hold while falling): Glide
- * - J / Left Click + Direction: Attack
- * - Space: Start game / Resume from pause
- * - Escape: Pause menu
+ * ## Actions:
+ * The game only ever asks whether an action is held (see getActions):
+ * - left, right, down: Movement
+ * - jump: Jump / Double jump, glide when held while falling, start game / resume
+ * - attack: Attack in the held direction
+ * - pause: Pause menu
+ *
+ * ## Default Keys:
+ * - A / D, Left / Right Arrow: Left / Right
+ * - W / Up Arrow / Space: Jump
+ * - S / Down Arrow: Down
+ * - J: Attack (Left Click also attacks)
+ * - Escape: Pause
+ * - K / L: Save / load state (practice runs, not rebindable)
+ *
+ * ## Bindings:
+ * Each action is bound to one to MAX_KEYS_PER_ACTION key codes. Codes are
+ * physical key positions, so the defaults sit in the same place on every
+ * layout; players can rebind them in the controls modal. Bindings are
+ * saved to localStorage. The save / load state keys (RESERVED_KEYS) can't
+ * be bound to an action.
+ *
+ * ## Gamepad (standard mapping):
+ * - Left stick / D-pad: Movement and attack direction
+ * - A (bottom button): Jump
+ * - X (left button): Attack
+ * - Start: Pause / Start game / Resume
+ *
+ * Connected gamepads are polled every animation frame. The stick has a
+ * deadzone and reads as one of eight directions. Gamepad buttons hold the
+ * same actions as keys, so the game loop and replays see both alike.
+ * Stick or D-pad up only aims attacks; jumping is the A button.
  *
  * ## Attack System:
- * - Requires directional input to attack
+ * - Requires directional input to attack (jump counts as up)
  * - Attack direction is locked when triggered
  * - Cooldown prevents spam attacks
  */
@@ -22,6 +49,71 @@
 import { gameState } from '../state/gameState.js';
 import { ATTACK_COOLDOWN } from '../config/constants.js';
 
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/** Actions keys can be bound to, in the order the controls modal lists them */
+export const ACTIONS = ['left', 'right', 'jump', 'down', 'attack', 'pause'];
+
+/** Most keys one action can be bound to */
+export const MAX_KEYS_PER_ACTION = 3;
+
+/** Key codes bound to each action until the player changes them */
+const DEFAULT_BINDINGS = {
+  left: ['KeyA', 'ArrowLeft'],
+  right: ['KeyD', 'ArrowRight'],
+  jump: ['KeyW', 'ArrowUp', 'Space'],
+  down: ['KeyS', 'ArrowDown'],
+  attack: ['KeyJ'],
+  pause: ['Escape']
+};
+
+/** Key that saves the practice state */
+const SAVE_STATE_KEY = 'KeyK';
+
+/** Key that loads the practice state */
+const LOAD_STATE_KEY = 'KeyL';
+
+/** Keys that can't be bound to an action (Backspace removes a binding instead) */
+const RESERVED_KEYS = [SAVE_STATE_KEY, LOAD_STATE_KEY, 'Backspace'];
+
+/** localStorage key for the key bindings */
+const STORAGE_KEY = 'blocky-key-bindings';
+
+/** Display names of keys whose code doesn't read well */
+const KEY_NAMES = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'ESC',
+  Space: 'Space',
+  ShiftLeft: 'L-Shift',
+  ShiftRight: 'R-Shift',
+  ControlLeft: 'L-Ctrl',
+  ControlRight: 'R-Ctrl',
+  AltLeft: 'L-Alt',
+  AltRight: 'R-Alt'
+};
+
+/** Stick deflection (0 to 1) below which the stick counts as centered */
+const STICK_DEADZONE = 0.35;
+
+/** Share of the stick's deflection an axis needs to count (sin 22.5°, giving eight directions) */
+const STICK_DIRECTION_THRESHOLD = 0.38;
+
+/** Standard mapping button indices for each gamepad input */
+const GAMEPAD_BUTTONS = {
+  jump: 0,
+  attack: 2,
+  pause: 9,
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15
+};
+
 // ========================================
 // INPUT STATE
 // ========================================
@@ -29,31 +121,195 @@ import { ATTACK_COOLDOWN } from '../config/constants.js';
 /** @type {Object.<string, boolean>} Current state of all keys */
 const keys = {};
 
+/** @type {Object.<string, string[]>} Key codes bound to each action */
+let bindings = structuredClone(DEFAULT_BINDINGS);
+
+/** @type {Object|null} Binding waiting for a key press { action, index, onDone } */
+let rebinding = null;
+
+/** @type {Map<string, string>|null} Key labels of the player's keyboard layout, where the browser provides them */
+let keyLabels = null;
+
 /** @type {Function|null} Callback when attack is triggered */
 let onAttackCallback = null;
 
 /** @type {boolean} Whether attack key has been released (prevents hold-spam) */
 let attackKeyReleased = true;
 
+/** @type {Object} Input callbacks passed to setupInputHandlers */
+let inputCallbacks = {};
+
+/** @type {Object.<string, boolean>} Gamepad inputs held on the last poll { left, right, up, down, jump, attack, pause } */
+let gamepad = {};
+
+/** @type {boolean} Whether the gamepad polling loop is running */
+let isPollingGamepads = false;
+
 // ========================================
 // PUBLIC API
 // ========================================
 
 /**
- * Gets the current state of all keys.
- * @returns {Object.<string, boolean>} Object mapping key codes to pressed state
+ * Gets which actions are held, by key or gamepad.
+ * @returns {Object.<string, boolean>} Held state of every action in ACTIONS
  */
-export function getKeys() {
-  return keys;
+export function getActions() {
+  const held = {};
+  for (const action of ACTIONS) {
+    held[action] = Boolean(gamepad[action]) || bindings[action].some((code) => keys[code]);
+  }
+  return held;
 }
 
 /**
- * Checks if a specific key is currently pressed.
- * @param {string} keyCode - The key code to check (e.g., 'KeyW', 'ArrowUp')
- * @returns {boolean} True if the key is pressed
+ * Checks if an action is currently held.
+ * @param {string} action - Action name (see ACTIONS)
+ * @returns {boolean} True if a key or gamepad button bound to it is held
  */
-export function isKeyPressed(keyCode) {
-  return keys[keyCode] === true;
+export function isActionHeld(action) {
+  return getActions()[action] === true;
+}
+
+// ========================================
+// BINDINGS
+// ========================================
+
+/**
+ * Gets the key codes bound to each action.
+ * @returns {Object.<string, string[]>} Copy of the bindings by action
+ */
+export function getBindings() {
+  return structuredClone(bindings);
+}
+
+/**
+ * Gets the action a key press would rebind, if the player is rebinding one.
+ * @returns {{action: string, index: number}|null} The binding waiting for a key
+ */
+export function getPendingRebind() {
+  return rebinding && { action: rebinding.action, index: rebinding.index };
+}
+
+/**
+ * Waits for the next key press and binds it to an action.
+ * Binding a key takes it away from any other action; if it was that
+ * action's only key, the two actions swap keys (or the key is refused when
+ * nothing is being replaced). Backspace removes the binding instead, as
+ * long as the action keeps at least one key. Reserved keys are refused.
+ * @param {string} action - Action to bind (see ACTIONS)
+ * @param {number} index - Which of the action's keys to replace; its key count adds one
+ * @param {Function} [onDone] - Called once the key press was handled (bound, removed or refused)
+ */
+export function startRebinding(action, index, onDone) {
+  if (!ACTIONS.includes(action)) return;
+  rebinding = { action, index: Math.min(index, bindings[action].length, MAX_KEYS_PER_ACTION - 1), onDone };
+}
+
+/**
+ * Stops waiting for a key press without changing any binding.
+ */
+export function cancelRebinding() {
+  rebinding = null;
+}
+
+/**
+ * Puts every action back on its default keys.
+ */
+export function resetBindings() {
+  bindings = structuredClone(DEFAULT_BINDINGS);
+  rebinding = null;
+  saveBindings();
+}
+
+/**
+ * Gets the name of a key to show the player.
+ * Uses the key's label on the player's keyboard layout where the browser
+ * provides it, so AZERTY players see Z where QWERTY players see W.
+ * @param {string} code - Key code (e.g. 'KeyW')
+ * @returns {string} Display name
+ */
+export function formatKeyCode(code) {
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  const label = keyLabels?.get(code);
+  if (label) return label.toUpperCase();
+  return code.replace(/^(Key|Digit)/, '');
+}
+
+/**
+ * Loads saved key bindings from localStorage.
+ * Actions with missing or invalid bindings keep their default keys.
+ * Called on game initialization.
+ */
+export function loadBindings() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (!saved) return;
+
+  try {
+    const parsed = JSON.parse(saved);
+    for (const action of ACTIONS) {
+      const codes = parsed[action];
+      if (
+        Array.isArray(codes) &&
+        codes.length > 0 &&
+        codes.length <= MAX_KEYS_PER_ACTION &&
+        codes.every((code) => typeof code === 'string' && !RESERVED_KEYS.includes(code))
+      ) {
+        bindings[action] = codes;
+      }
+    }
+  } catch {
+    console.warn('Failed to load key bindings from localStorage');
+  }
+}
+
+/**
+ * Saves the key bindings to localStorage.
+ * @private
+ */
+function saveBindings() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+}
+
+/**
+ * Binds the pressed key to the action being rebound.
+ * @private
+ * @param {string} code - Key code that was pressed
+ */
+function finishRebinding(code) {
+  const { action, index, onDone } = rebinding;
+  rebinding = null;
+
+  // Every action keeps at least one key: another action losing its only
+  // key gets the replaced one in exchange, or the key stays where it is
+  const replaced = bindings[action][index];
+  const owners = ACTIONS.filter((other) => other !== action && bindings[other].includes(code));
+  const leavesActionKeyless = owners.some((other) => bindings[other].length === 1) && !replaced;
+
+  if (code === 'Backspace') {
+    if (bindings[action].length > 1) bindings[action].splice(index, 1);
+  } else if (!RESERVED_KEYS.includes(code) && !leavesActionKeyless) {
+    const codes = [...bindings[action]];
+    codes[index] = code;
+    for (const other of owners) {
+      bindings[other] = bindings[other].length === 1
+        ? [replaced]
+        : bindings[other].filter((bound) => bound !== code);
+    }
+    bindings[action] = codes.filter((bound, i) => bound !== code || i === index);
+  }
+
+  saveBindings();
+  if (onDone) onDone();
+}
+
+/**
+ * Gets the actions a key is bound to.
+ * @private
+ * @param {string} code - Key code
+ * @returns {string[]} Action names
+ */
+function getKeyActions(code) {
+  return ACTIONS.filter((action) => bindings[action].includes(code));
 }
 
 // ========================================
@@ -66,10 +322,8 @@ export function isKeyPressed(keyCode) {
  * @returns {Object|null} Direction object {x, y} or null if no direction
  */
 function getAttackDirection() {
-  const left = keys["KeyA"] || keys["ArrowLeft"];
-  const right = keys["KeyD"] || keys["ArrowRight"];
-  const up = keys["KeyW"] || keys["ArrowUp"];
-  const down = keys["KeyS"] || keys["ArrowDown"];
+  const { left, right, jump, down } = getActions();
+  const up = jump || gamepad.up;
 
   // Prioritize horizontal directions, then vertical
   if (left && !right) return { x: -1, y: 0 };
@@ -115,6 +369,104 @@ function triggerAttack() {
   }
 }
 
+/**
+ * Opens the pause menu during play, or closes it when it's open.
+ * @private
+ */
+function togglePauseMenu() {
+  const { onPause, onResume } = inputCallbacks;
+
+  if (!gameState.isPaused && !gameState.hasWon) {
+    if (onPause) onPause();
+  } else if (gameState.isPauseMenuOpen) {
+    if (onResume) onResume();
+  }
+}
+
+/**
+ * Starts the game or resumes it (only when paused, not during gameplay).
+ * @private
+ */
+function startOrResume() {
+  const { onResume, onStart } = inputCallbacks;
+
+  if (!gameState.isPaused) return;
+  if (gameState.isPauseMenuOpen) {
+    if (onResume) onResume();
+  } else if (gameState.hasWon || !gameState.canMove) {
+    // Only start/restart if won or at start screen
+    if (onStart) onStart();
+  }
+}
+
+// ========================================
+// GAMEPAD
+// ========================================
+
+/**
+ * Reads the held inputs of every connected gamepad, combined.
+ * @private
+ * @returns {Object.<string, boolean>} Held inputs { left, right, up, down, jump, attack, pause }
+ */
+function readGamepads() {
+  const held = {};
+
+  for (const pad of navigator.getGamepads()) {
+    if (!pad || !pad.connected) continue;
+
+    for (const [input, index] of Object.entries(GAMEPAD_BUTTONS)) {
+      if (pad.buttons[index]?.pressed) held[input] = true;
+    }
+
+    // Left stick, ignoring small deflections (axis 1 points down)
+    const x = pad.axes[0] ?? 0;
+    const y = pad.axes[1] ?? 0;
+    const deflection = Math.hypot(x, y);
+    if (deflection >= STICK_DEADZONE) {
+      if (x / deflection < -STICK_DIRECTION_THRESHOLD) held.left = true;
+      if (x / deflection > STICK_DIRECTION_THRESHOLD) held.right = true;
+      if (y / deflection < -STICK_DIRECTION_THRESHOLD) held.up = true;
+      if (y / deflection > STICK_DIRECTION_THRESHOLD) held.down = true;
+    }
+  }
+
+  return held;
+}
+
+/**
+ * Polls the gamepads once and acts on buttons pressed since the last poll.
+ * Keeps polling every animation frame while a gamepad is connected.
+ * @private
+ */
+function pollGamepads() {
+  const previous = gamepad;
+  gamepad = readGamepads();
+
+  // Buttons act once per press, like their keys; Start also starts and resumes
+  if (gamepad.jump && !previous.jump) {
+    startOrResume();
+  }
+  if (gamepad.attack && !previous.attack) {
+    triggerAttack();
+  } else if (!gamepad.attack && previous.attack) {
+    attackKeyReleased = true;
+  }
+  if (gamepad.pause && !previous.pause) {
+    if (gameState.isPaused) {
+      startOrResume();
+    } else {
+      togglePauseMenu();
+    }
+  }
+
+  if (Array.from(navigator.getGamepads()).some((pad) => pad?.connected)) {
+    requestAnimationFrame(pollGamepads);
+  } else {
+    gamepad = {};
+    isPollingGamepads = false;
+  }
+}
+
 // ========================================
 // SETUP
 // ========================================
@@ -126,57 +478,71 @@ function triggerAttack() {
  * @param {Function} [callbacks.onResume] - Called when game resumes
  * @param {Function} [callbacks.onStart] - Called when game starts
  * @param {Function} [callbacks.onAttack] - Called when attack is triggered
+ * @param {Function} [callbacks.onSaveState] - Called when save state is pressed during play
+ * @param {Function} [callbacks.onLoadState] - Called when load state is pressed during play
  */
 export function setupInputHandlers(callbacks = {}) {
-  const { onPause, onResume, onStart, onAttack } = callbacks;
+  const { onAttack, onSaveState, onLoadState } = callbacks;
 
+  inputCallbacks = callbacks;
   onAttackCallback = onAttack;
 
+  // Key labels of the player's layout (Chromium browsers only)
+  navigator.keyboard?.getLayoutMap?.()
+    .then((layoutMap) => {
+      keyLabels = layoutMap;
+    })
+    .catch(() => {});
+
   // Keyboard down events
   window.addEventListener("keydown", (e) => {
-    // Prevent default scrolling for arrow keys and space
-    if (e.code === "ArrowUp" || e.code === "ArrowDown" || e.code === "Space") {
+    // Let text fields (level seed, room code) receive their keys
+    if (e.target instanceof HTMLInputElement && e.target.type === "text") return;
+
+    // A key pressed while rebinding only changes the binding
+    if (rebinding) {
+      e.preventDefault();
+      finishRebinding(e.code);
+      return;
+    }
+
+    const actions = getKeyActions(e.code);
+
+    // Prevent default scrolling for movement keys (arrows, space)
+    if (actions.some((action) => action !== "pause" && action !== "attack")) {
       e.preventDefault();
     }
 
     keys[e.code] = true;
 
-    // ESC: Toggle pause menu
-    if (e.code === "Escape") {
-      if (!gameState.isPaused && !gameState.hasWon) {
-        if (onPause) onPause();
-      } else if (gameState.isPauseMenuOpen) {
-        if (onResume) onResume();
-      }
+    // Pause: Toggle pause menu
+    if (actions.includes("pause")) {
+      togglePauseMenu();
     }
 
-    // Space: Start or resume game (only when paused, not during gameplay)
-    if (gameState.isPaused && e.code === "Space") {
-      if (gameState.isPauseMenuOpen) {
-        if (onResume) onResume();
-      } else if (gameState.hasWon || !gameState.canMove) {
-        // Only start/restart if won or at start screen
-        if (onStart) onStart();
-      }
+    // Jump: Start or resume game (only when paused, not during gameplay)
+    if (actions.includes("jump")) {
+      startOrResume();
     }
 
-    // J: Attack
-    if (e.code === "KeyJ") {
+    // Attack
+    if (actions.includes("attack")) {
       triggerAttack();
     }
+
+    // K / L: Save / load state (ignoring key repeat)
+    if (!gameState.isPaused && !e.repeat) {
+      if (e.code === SAVE_STATE_KEY && onSaveState) onSaveState();
+      if (e.code === LOAD_STATE_KEY && onLoadState) onLoadState();
+    }
   });
 
   // Keyboard up events
   window.addEventListener("keyup", (e) => {
     keys[e.code] = false;
 
-    // Track jump key release for double jump (W, Up Arrow, or Space)
-    if (e.code === "KeyW" || e.code === "ArrowUp" || e.code === "Space") {
-      gameState.jumpKeyReleased = true;
-    }
-
-    // Allow new attack after J is released
-    if (e.code === "KeyJ") {
+    // Allow new attack after the attack key is released
+    if (getKeyActions(e.code).includes("attack")) {
       attackKeyReleased = true;
     }
   });
@@ -194,5 +560,12 @@ export function setupInputHandlers(callbacks = {}) {
       attackKeyReleased = true;
     }
   });
-}
 
+  // Gamepad connected: Start polling (browsers only expose gamepads after a button press)
+  window.addEventListener("gamepadconnected", () => {
+    if (!isPollingGamepads) {
+      isPollingGamepads = true;
+      requestAnimationFrame(pollGamepads);
+    }
+  });
+}
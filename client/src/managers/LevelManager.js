@@ -8,25 +8,55 @@
  *
  * ## Features:
  * - Dynamic level spawning based on player position
- * - Lazy loading (only loads levels when needed)
+ * - Level streaming: only a window of levels around the player is loaded,
+ *   and levels that leave it are unloaded (see updateLevelWindow)
+ * - A spatial grid of the loaded colliders, so collision queries only
+ *   touch the geometry near the player (see shared/spatialGrid.js)
  * - Level clearing for game restart
- * - Platform, wall, and spike creation
+ * - Endless towers, generated a level at a time as the player climbs
+ * - Switching between generated level sets (seeds), level packs and editor levels
+ * - Platform, wall, spike, moving, crumbling and blinking platform creation
+ * - Collectibles and picking them up
+ * - Checkpoint flags on the first platform of each level above the first
  * - Level-based textures for visual variety
  *
  * ## Level Data Format:
- * Each level in LEVELS contains:
+ * Each level in the current level set contains:
  * - platforms: Array of [x, y, width, height, isSpike]
  * - walls: Array of [x, y, width, height]
+ * - movingPlatforms: Optional array of [x, y, width, height, axis, range, speed]
+ *   (path centered on x, y along axis 'x' or 'y'; see shared/movingPlatforms.js)
+ * - crumblingPlatforms: Optional array of [x, y, width, height]
+ * - blinkingPlatforms: Optional array of [x, y, width, height, onTime, offTime, offset]
+ *   (see shared/timedPlatforms.js)
+ * - collectibles: Optional array of [x, y]
  * - color: Platform color for this level
  * - backgroundColor: Scene background color
  * - startY: Y offset for level positioning
+ *
+ * Level packs (see data/levelPack.js) are validated and converted to this
+ * format before they get here.
  */
 
 import Platform from '../entities/Platform.js';
 import Wall from '../entities/Wall.js';
 import Spike from '../entities/Spike.js';
-import { LEVELS, LEVEL_HEIGHT } from '../data/levelData.js';
-import { groundPositionY } from '../config/constants.js';
+import MovingPlatform from '../entities/MovingPlatform.js';
+import CrumblingPlatform from '../entities/CrumblingPlatform.js';
+import BlinkingPlatform from '../entities/BlinkingPlatform.js';
+import Collectible from '../entities/Collectible.js';
+import Checkpoint from '../entities/Checkpoint.js';
+import { generateLevels, createLevelGenerator, LEVEL_HEIGHT, LEVEL_ORIGIN_Y, DEFAULT_SEED } from '../data/levelData.js';
+import {
+  groundPositionY,
+  playerHeight,
+  LEVELS_LOADED_AHEAD,
+  LEVELS_LOADED_BEHIND
+} from '../config/constants.js';
+import { DEFAULT_DIFFICULTY } from '../../../shared/difficultyProfiles.js';
+import { getBounds, getPlayerBounds, boundsOverlap } from '../../../shared/collision.js';
+import { createSpatialGrid } from '../../../shared/spatialGrid.js';
+import { COLLECTIBLE_SIZE } from '../../../shared/constants.js';
 import { gameState } from '../state/gameState.js';
 
 // ========================================
@@ -36,9 +66,45 @@ import { gameState } from '../state/gameState.js';
 /** @type {Array<Platform|Wall|Spike>} All platforms, walls, and spikes in the game */
 const platforms = [];
 
+/** @type {Array<MovingPlatform|CrumblingPlatform|BlinkingPlatform>} Platforms that change during a run (also in platforms) */
+const animatedPlatforms = [];
+
+/** @type {Array<Collectible>} Collectibles of the loaded levels (collected ones are hidden) */
+const collectibles = [];
+
+/** @type {Array<Checkpoint>} Checkpoint flags of the loaded levels */
+const checkpoints = [];
+
+/** @type {boolean} Whether checkpoint flags are shown (practice runs) */
+let checkpointsShown = false;
+
+/** @type {number} Highest level whose checkpoint the player has reached */
+let activeCheckpointLevel = 1;
+
 /** @type {Platform|null} Reference to the ground platform (not cleared on restart) */
 let groundPlatform = null;
 
+/** @type {number|null} Seed the current level set was generated from (null for custom levels) */
+let levelSeed = DEFAULT_SEED;
+
+/** @type {string|null} Difficulty profile the current level set was generated for */
+let levelDifficulty = DEFAULT_DIFFICULTY;
+
+/** @type {Object|null} Metadata of the loaded level pack (null unless a pack is loaded) */
+let levelPackMetadata = null;
+
+/** @type {Array<Object>} Current level set (starts as the classic tower) */
+let levels = generateLevels(levelSeed, { difficulty: levelDifficulty });
+
+/** @type {Function|null} Generates the next level of an endless tower (null unless one is loaded) */
+let generateNextLevel = null;
+
+/** @type {Map<number, Array<THREE.Object3D>>} Entities spawned for each loaded level, for unloading it */
+const levelEntities = new Map();
+
+/** @type {Object} Colliders of the ground (level 0) and the loaded levels, by grid cell */
+const colliderGrid = createSpatialGrid();
+
 // ========================================
 // PLATFORM ACCESS
 // ========================================
@@ -51,12 +117,69 @@ export function getPlatforms() {
   return platforms;
 }
 
+/**
+ * Gets the plain collision boxes in an area (for the physics step).
+ * Looks them up in the collider grid, so only geometry near the area is
+ * visited. They come in level order, as they would from a full scan.
+ * @param {Object} bounds - Edges { left, right, bottom, top } of the area, e.g. from getSweptBounds
+ * @returns {Array<Object>} Colliders { x, y, width, height, isSpike, moveX?, moveY?, isSolid?, isCrumbling? }
+ */
+export function getColliders(bounds) {
+  return colliderGrid.query(bounds);
+}
+
+/**
+ * Updates the colliders of moving, crumbling and blinking platforms for the end of a physics tick.
+ * @param {number} time - Simulated run time at the end of the tick (seconds)
+ * @param {number} dt - Tick length in seconds
+ */
+export function updateAnimatedPlatforms(time, dt) {
+  for (const platform of animatedPlatforms) {
+    platform.updateCollider(time, dt);
+  }
+}
+
+/**
+ * Draws moving, crumbling and blinking platforms as they are at a point in the run.
+ * @param {number} time - Run time in seconds (may fall between physics ticks)
+ */
+export function showAnimatedPlatformsAt(time) {
+  for (const platform of animatedPlatforms) {
+    platform.showAt(time);
+  }
+}
+
+/**
+ * Starts a crumbling platform cracking (the player stood on it).
+ * @param {Object} collider - Collider reported by the physics step's crumble event
+ * @param {number} time - Simulated run time of the tick
+ */
+export function crumblePlatform(collider, time) {
+  const platform = animatedPlatforms.find((candidate) => candidate.collider === collider);
+  if (platform instanceof CrumblingPlatform) {
+    platform.crumble(time);
+  }
+}
+
+/**
+ * Makes every crumbling platform whole again (at the start of a run).
+ */
+export function resetCrumblingPlatforms() {
+  for (const platform of animatedPlatforms) {
+    if (platform instanceof CrumblingPlatform) {
+      platform.reset();
+    }
+  }
+}
+
 /**
  * Sets the ground platform reference.
  * @param {Platform} ground - The ground platform
  */
 export function setGroundPlatform(ground) {
   groundPlatform = ground;
+  colliderGrid.removeLevel(0);
+  colliderGrid.insert(ground.collider, 0);
 }
 
 /**
@@ -67,6 +190,236 @@ export function getGroundPlatform() {
   return groundPlatform;
 }
 
+// ========================================
+// COLLECTIBLES
+// ========================================
+
+/**
+ * Picks up every collectible the player's box touches.
+ * Marks them in gameState.collectedItems and hides them.
+ * @param {number} playerX - Player center X
+ * @param {number} playerY - Player center Y
+ * @returns {Array<Collectible>} Collectibles picked up
+ */
+export function collectTouching(playerX, playerY) {
+  const player = getPlayerBounds(playerX, playerY);
+  const picked = [];
+
+  for (const collectible of collectibles) {
+    if (!collectible.visible) continue;
+
+    const { x, y } = collectible.position;
+    if (boundsOverlap(player, getBounds(x, y, COLLECTIBLE_SIZE, COLLECTIBLE_SIZE))) {
+      collectible.visible = false;
+      gameState.collectedItems.add(collectible.getKey());
+      picked.push(collectible);
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Shows every collectible not picked up this run (after gameState.collectedItems was cleared).
+ */
+export function resetCollectibles() {
+  for (const collectible of collectibles) {
+    collectible.visible = !gameState.collectedItems.has(collectible.getKey());
+  }
+}
+
+/**
+ * Spins the collectibles.
+ * @param {number} deltaTime - Seconds since the last frame
+ */
+export function spinCollectibles(deltaTime) {
+  for (const collectible of collectibles) {
+    collectible.spin(deltaTime);
+  }
+}
+
+/**
+ * Gets how many collectibles a level has.
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @returns {number} Collectible count
+ */
+export function getLevelCollectibleCount(levelNumber) {
+  return levels[levelNumber - 1]?.collectibles?.length ?? 0;
+}
+
+/**
+ * Gets how many collectibles the whole level set has.
+ * @returns {number} Collectible count
+ */
+export function getTotalCollectibles() {
+  return levels.reduce((total, level) => total + (level.collectibles?.length ?? 0), 0);
+}
+
+// ========================================
+// CHECKPOINTS
+// ========================================
+
+/**
+ * Gets the platform entry a level's checkpoint stands on: its lowest
+ * platform that isn't a spike. Level 1 starts on the ground and has none.
+ * @private
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @returns {Array|null} Platform entry [x, y, width, height, isSpike], or null
+ */
+function getCheckpointPlatform(levelNumber) {
+  if (levelNumber <= 1) return null;
+
+  const level = levels[levelNumber - 1];
+  let lowest = null;
+  for (const platformData of level?.platforms ?? []) {
+    if (!platformData[4] && (!lowest || platformData[1] < lowest[1])) {
+      lowest = platformData;
+    }
+  }
+  return lowest;
+}
+
+/**
+ * Gets where the player respawns after reaching a level's checkpoint.
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @returns {{x: number, y: number}|null} Player center standing on the checkpoint's platform, or null if the level has no checkpoint
+ */
+export function getCheckpointPosition(levelNumber) {
+  const platformData = getCheckpointPlatform(levelNumber);
+  if (!platformData) return null;
+
+  const [x, y, , height] = platformData;
+  return {
+    x,
+    y: getLevelOriginY(levels[levelNumber - 1]) + y + height / 2 + playerHeight / 2
+  };
+}
+
+/**
+ * Shows or hides the checkpoint flags and marks the ones reached.
+ * @param {boolean} isShown - Whether the flags are shown (practice runs)
+ * @param {number} activeLevel - Highest level whose checkpoint was reached
+ */
+export function showCheckpoints(isShown, activeLevel) {
+  checkpointsShown = isShown;
+  activeCheckpointLevel = activeLevel;
+
+  for (const checkpoint of checkpoints) {
+    checkpoint.visible = isShown;
+    checkpoint.setActive(checkpoint.levelNumber <= activeLevel);
+  }
+}
+
+// ========================================
+// LEVEL SETS
+// ========================================
+
+/**
+ * Switches to the level set generated from a seed.
+ * Levels are laid out with the difficulty's platform widths, gaps and spikes,
+ * and checked (and repaired) to be climbable with its physics, so each
+ * difficulty gets its own tower for a seed.
+ * Clears every loaded level and spawns the first level of the new set.
+ * Does nothing if that set is already in use.
+ * @param {THREE.Scene} scene - The scene to spawn levels in
+ * @param {number} seed - Level generation seed
+ * @param {string} [difficulty=DEFAULT_DIFFICULTY] - Difficulty profile id
+ * @returns {boolean} True if the level set changed
+ */
+export function loadLevelSet(scene, seed, difficulty = DEFAULT_DIFFICULTY) {
+  if (!generateNextLevel && seed === levelSeed && difficulty === levelDifficulty) return false;
+
+  clearAllLevels(scene);
+  levels = generateLevels(seed, { difficulty });
+  levelSeed = seed;
+  levelDifficulty = difficulty;
+  levelPackMetadata = null;
+  generateNextLevel = null;
+  spawnLevel(scene, 1);
+
+  return true;
+}
+
+/**
+ * Switches to an endless tower generated from a seed.
+ * Levels are generated as loadLevelsAhead needs them, getting harder the
+ * higher they are (see createLevelGenerator). Always starts a fresh tower,
+ * since levels below an earlier run's highest point may have been unloaded.
+ * @param {THREE.Scene} scene - The scene to spawn levels in
+ * @param {number} seed - Level generation seed
+ * @param {string} [difficulty=DEFAULT_DIFFICULTY] - Difficulty profile id
+ */
+export function loadEndlessTower(scene, seed, difficulty = DEFAULT_DIFFICULTY) {
+  clearAllLevels(scene);
+  generateNextLevel = createLevelGenerator(seed, { difficulty, ramp: true });
+  levels = [generateNextLevel()];
+  levelSeed = seed;
+  levelDifficulty = difficulty;
+  levelPackMetadata = null;
+  spawnLevel(scene, 1);
+}
+
+/**
+ * Checks whether the loaded tower is an endless one.
+ * @returns {boolean} True if levels are generated as the player climbs
+ */
+export function isEndlessTower() {
+  return generateNextLevel !== null;
+}
+
+/**
+ * Switches to a custom level set (such as levels built in the editor).
+ * Clears every loaded level and spawns the first level of the new set.
+ * The next loadLevelSet call always regenerates its tower.
+ * @param {THREE.Scene} scene - The scene to spawn levels in
+ * @param {Array<Object>} customLevels - Levels in the level data format
+ */
+export function loadCustomLevels(scene, customLevels) {
+  clearAllLevels(scene);
+  levels = customLevels;
+  levelSeed = null;
+  levelDifficulty = null;
+  levelPackMetadata = null;
+  generateNextLevel = null;
+  spawnLevel(scene, 1);
+}
+
+/**
+ * Switches to the levels of a level pack.
+ * Clears every loaded level and spawns the first level of the pack.
+ * @param {THREE.Scene} scene - The scene to spawn levels in
+ * @param {{metadata: Object, levels: Array<Object>}} pack - Level pack from data/levelPack.js
+ */
+export function loadLevelPack(scene, pack) {
+  loadCustomLevels(scene, pack.levels);
+  levelPackMetadata = pack.metadata;
+}
+
+/**
+ * Gets the metadata of the loaded level pack.
+ * @returns {Object|null} Pack name, author and description, or null if no pack is loaded
+ */
+export function getLevelPackMetadata() {
+  return levelPackMetadata;
+}
+
+/**
+ * Gets the seed the current level set was generated from.
+ * @returns {number|null} Level generation seed, or null for a custom level set
+ */
+export function getLevelSeed() {
+  return levelSeed;
+}
+
+/**
+ * Gets the data of the current level set.
+ * The returned levels are shared; copy them before making changes.
+ * @returns {Array<Object>} Levels in the level data format
+ */
+export function getLevels() {
+  return levels;
+}
+
 // ========================================
 // LEVEL SPAWNING
 // ========================================
@@ -78,55 +431,223 @@ export function getGroundPlatform() {
  * @param {number} levelNumber - Level number (1-indexed)
  */
 export function spawnLevel(scene, levelNumber) {
-  if (levelNumber < 1 || levelNumber > LEVELS.length) return;
+  if (levelNumber < 1 || levelNumber > levels.length) return;
   if (gameState.loadedLevels.has(levelNumber)) return;
 
-  const level = LEVELS[levelNumber - 1];
+  const level = levels[levelNumber - 1];
+  const entities = [];
 
   // Spawn platforms
   for (let platformData of level.platforms) {
-    const [x, yRelative, width, height, isSpike] = platformData;
-    let new_platform;
-
-    if (isSpike) {
-      new_platform = new Spike(width, height);
-    } else {
-      new_platform = new Platform(width, height, level.color, 2, levelNumber);
-    }
-
-    new_platform.add(scene, x, yRelative + level.startY + groundPositionY + 1);
+    const new_platform = createPlatformEntity(platformData, level, levelNumber);
+    new_platform.add(scene, platformData[0], getLevelOriginY(level) + platformData[1]);
     platforms.push(new_platform);
+    entities.push(new_platform);
   }
 
   // Spawn walls
   if (level.walls) {
     for (let wallData of level.walls) {
-      const [x, yRelative, width, height] = wallData;
-      const new_wall = new Wall(width, height, level.color, 2, levelNumber);
-
-      new_wall.add(scene, x, yRelative + level.startY + groundPositionY + 1);
+      const new_wall = createWallEntity(wallData, level, levelNumber);
+      new_wall.add(scene, wallData[0], getLevelOriginY(level) + wallData[1]);
       platforms.push(new_wall);
+      entities.push(new_wall);
+    }
+  }
+
+  // Spawn moving platforms
+  if (level.movingPlatforms) {
+    for (let movingData of level.movingPlatforms) {
+      const new_moving = createMovingPlatformEntity(movingData, level, levelNumber);
+      new_moving.add(scene, movingData[0], getLevelOriginY(level) + movingData[1]);
+      platforms.push(new_moving);
+      entities.push(new_moving);
+      animatedPlatforms.push(new_moving);
+    }
+  }
+
+  // Spawn crumbling platforms
+  if (level.crumblingPlatforms) {
+    for (let crumblingData of level.crumblingPlatforms) {
+      const new_crumbling = createCrumblingPlatformEntity(crumblingData, level, levelNumber);
+      new_crumbling.add(scene, crumblingData[0], getLevelOriginY(level) + crumblingData[1]);
+      platforms.push(new_crumbling);
+      entities.push(new_crumbling);
+      animatedPlatforms.push(new_crumbling);
     }
   }
 
+  // Spawn blinking platforms
+  if (level.blinkingPlatforms) {
+    for (let blinkingData of level.blinkingPlatforms) {
+      const new_blinking = createBlinkingPlatformEntity(blinkingData, level, levelNumber);
+      new_blinking.add(scene, blinkingData[0], getLevelOriginY(level) + blinkingData[1]);
+      platforms.push(new_blinking);
+      entities.push(new_blinking);
+      animatedPlatforms.push(new_blinking);
+    }
+  }
+
+  // Spawn collectibles (ones already picked up this run stay hidden)
+  if (level.collectibles) {
+    level.collectibles.forEach((collectibleData, index) => {
+      const new_collectible = createCollectibleEntity(levelNumber, index);
+      new_collectible.add(scene, collectibleData[0], getLevelOriginY(level) + collectibleData[1]);
+      new_collectible.visible = !gameState.collectedItems.has(new_collectible.getKey());
+      collectibles.push(new_collectible);
+      entities.push(new_collectible);
+    });
+  }
+
+  // Spawn the checkpoint flag (off to the side of the respawn point)
+  const checkpointPlatform = getCheckpointPlatform(levelNumber);
+  if (checkpointPlatform) {
+    const [x, y, width, height] = checkpointPlatform;
+    const new_checkpoint = new Checkpoint(levelNumber);
+    new_checkpoint.add(scene, x - width / 2 + 0.2, getLevelOriginY(level) + y + height / 2);
+    new_checkpoint.visible = checkpointsShown;
+    new_checkpoint.setActive(levelNumber <= activeCheckpointLevel);
+    checkpoints.push(new_checkpoint);
+    entities.push(new_checkpoint);
+  }
+
+  // Moving platforms are filed under every cell along their path
+  for (const entity of entities) {
+    if (entity.collider) {
+      colliderGrid.insert(entity.collider, levelNumber, entity.getPathBounds?.());
+    }
+  }
+
+  levelEntities.set(levelNumber, entities);
   gameState.loadedLevels.add(levelNumber);
 }
 
+/**
+ * Creates the entity for a level's platform entry (not yet added to a scene).
+ * @param {Array} platformData - Platform entry [x, y, width, height, isSpike]
+ * @param {Object} level - Level the platform belongs to
+ * @param {number} levelNumber - Level number (1-indexed, picks the texture)
+ * @returns {Platform|Spike} The platform entity
+ */
+export function createPlatformEntity(platformData, level, levelNumber) {
+  const [, , width, height, isSpike] = platformData;
+  if (isSpike) {
+    return new Spike(width, height);
+  }
+  return new Platform(width, height, level.color, 2, levelNumber);
+}
+
+/**
+ * Creates the entity for a level's wall entry (not yet added to a scene).
+ * @param {Array} wallData - Wall entry [x, y, width, height]
+ * @param {Object} level - Level the wall belongs to
+ * @param {number} levelNumber - Level number (1-indexed, picks the texture)
+ * @returns {Wall} The wall entity
+ */
+export function createWallEntity(wallData, level, levelNumber) {
+  const [, , width, height] = wallData;
+  return new Wall(width, height, level.color, 2, levelNumber);
+}
+
+/**
+ * Creates the entity for a level's moving platform entry (not yet added to a scene).
+ * @param {Array} movingData - Moving platform entry [x, y, width, height, axis, range, speed]
+ * @param {Object} level - Level the platform belongs to
+ * @param {number} levelNumber - Level number (1-indexed, picks the texture)
+ * @returns {MovingPlatform} The moving platform entity
+ */
+export function createMovingPlatformEntity(movingData, level, levelNumber) {
+  const [, , width, height, axis, range, speed] = movingData;
+  return new MovingPlatform(width, height, level.color, 2, levelNumber, { axis, range, speed });
+}
+
+/**
+ * Creates the entity for a level's crumbling platform entry (not yet added to a scene).
+ * @param {Array} crumblingData - Crumbling platform entry [x, y, width, height]
+ * @param {Object} level - Level the platform belongs to
+ * @param {number} levelNumber - Level number (1-indexed, picks the texture)
+ * @returns {CrumblingPlatform} The crumbling platform entity
+ */
+export function createCrumblingPlatformEntity(crumblingData, level, levelNumber) {
+  const [, , width, height] = crumblingData;
+  return new CrumblingPlatform(width, height, level.color, 2, levelNumber);
+}
+
+/**
+ * Creates the entity for a level's blinking platform entry (not yet added to a scene).
+ * @param {Array} blinkingData - Blinking platform entry [x, y, width, height, onTime, offTime, offset]
+ * @param {Object} level - Level the platform belongs to
+ * @param {number} levelNumber - Level number (1-indexed, picks the texture)
+ * @returns {BlinkingPlatform} The blinking platform entity
+ */
+export function createBlinkingPlatformEntity(blinkingData, level, levelNumber) {
+  const [, , width, height, onTime, offTime, offset] = blinkingData;
+  return new BlinkingPlatform(width, height, level.color, 2, levelNumber, { onTime, offTime, offset });
+}
+
+/**
+ * Creates the entity for a level's collectible entry (not yet added to a scene).
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @param {number} index - Index of the entry in the level's collectibles
+ * @returns {Collectible} The collectible entity
+ */
+export function createCollectibleEntity(levelNumber, index) {
+  return new Collectible(levelNumber, index);
+}
+
+/**
+ * Gets the world Y that a level's relative Y values are measured from.
+ * @param {Object} level - Level in the level data format
+ * @returns {number} World Y of the level's origin
+ */
+export function getLevelOriginY(level) {
+  return level.startY + LEVEL_ORIGIN_Y;
+}
+
 /**
  * Clears all levels from the scene (except ground).
+ * Each level is unloaded like one left behind, so its geometries and
+ * materials are disposed too.
  * Called when restarting the game.
  * @param {THREE.Scene} scene - The scene to clear from
  */
 export function clearAllLevels(scene) {
-  for (let i = platforms.length - 1; i >= 0; i--) {
-    const platform = platforms[i];
-    if (platform !== groundPlatform) {
-      scene.remove(platform);
-      platforms.splice(i, 1);
+  for (const levelNumber of [...levelEntities.keys()]) {
+    unloadLevel(scene, levelNumber);
+  }
+
+  checkpointsShown = false;
+  activeCheckpointLevel = 1;
+}
+
+/**
+ * Removes a level's entities from the scene and the entity lists.
+ * Geometries and materials are disposed; textures are shared between
+ * levels (see platformTextures.js) and stay cached.
+ * @private
+ * @param {THREE.Scene} scene - The scene to remove elements from
+ * @param {number} levelNumber - Level number (1-indexed)
+ */
+function unloadLevel(scene, levelNumber) {
+  const entities = new Set(levelEntities.get(levelNumber));
+
+  for (const list of [platforms, animatedPlatforms, collectibles, checkpoints]) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (entities.has(list[i])) list.splice(i, 1);
     }
   }
 
-  gameState.loadedLevels.clear();
+  for (const entity of entities) {
+    scene.remove(entity);
+    entity.traverse((object) => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+  }
+
+  colliderGrid.removeLevel(levelNumber);
+  levelEntities.delete(levelNumber);
+  gameState.loadedLevels.delete(levelNumber);
 }
 
 // ========================================
@@ -141,17 +662,46 @@ export function clearAllLevels(scene) {
 export function detectCurrentLevel(playerY) {
   const adjustedY = playerY - groundPositionY;
   const detectedLevel = Math.floor(adjustedY / LEVEL_HEIGHT) + 1;
-  return Math.max(1, Math.min(LEVELS.length, detectedLevel));
+  return Math.max(1, Math.min(levels.length, detectedLevel));
+}
+
+/**
+ * Keeps the levels around the player loaded and unloads the rest.
+ * Levels from LEVELS_LOADED_BEHIND below the current level up to
+ * LEVELS_LOADED_AHEAD above it are spawned if needed; loaded levels outside
+ * that window are unloaded, so the scene only ever holds a few levels.
+ * Unloaded levels spawn again, as they were generated, when the player
+ * gets back to them.
+ * @param {THREE.Scene} scene - The scene to add elements to
+ * @param {number} currentLevel - Current level number
+ */
+export function updateLevelWindow(scene, currentLevel) {
+  const lowestLevel = Math.max(1, currentLevel - LEVELS_LOADED_BEHIND);
+  const highestLevel = currentLevel + LEVELS_LOADED_AHEAD;
+
+  for (const loadedLevel of [...gameState.loadedLevels]) {
+    if (loadedLevel < lowestLevel || loadedLevel > highestLevel) {
+      unloadLevel(scene, loadedLevel);
+    }
+  }
+  loadLevelsAhead(scene, lowestLevel, highestLevel - lowestLevel);
 }
 
 /**
  * Pre-loads levels ahead of the player for smooth gameplay.
+ * Endless towers generate the levels first if they don't exist yet.
  * @param {THREE.Scene} scene - The scene to add elements to
  * @param {number} currentLevel - Current level number
- * @param {number} [count=2] - Number of levels ahead to load
+ * @param {number} [count=LEVELS_LOADED_AHEAD] - Number of levels ahead to load
  */
-export function loadLevelsAhead(scene, currentLevel, count = 2) {
-  const maxLevelToLoad = Math.min(currentLevel + count, LEVELS.length);
+export function loadLevelsAhead(scene, currentLevel, count = LEVELS_LOADED_AHEAD) {
+  if (generateNextLevel) {
+    while (levels.length < currentLevel + count) {
+      levels.push(generateNextLevel());
+    }
+  }
+
+  const maxLevelToLoad = Math.min(currentLevel + count, levels.length);
   for (let level = currentLevel; level <= maxLevelToLoad; level++) {
     if (!gameState.loadedLevels.has(level)) {
       spawnLevel(scene, level);
@@ -169,16 +719,16 @@ export function loadLevelsAhead(scene, currentLevel, count = 2) {
  * @returns {number|null} Hex color value or null if not defined
  */
 export function getLevelBackgroundColor(levelNumber) {
-  const level = LEVELS[levelNumber - 1];
+  const level = levels[levelNumber - 1];
   return level?.backgroundColor || null;
 }
 
 /**
  * Gets the total number of levels in the game.
- * @returns {number} Total level count
+ * @returns {number} Total level count (Infinity for endless towers)
  */
 export function getTotalLevels() {
-  return LEVELS.length;
+  return generateNextLevel ? Infinity : levels.length;
 }
 
 /**
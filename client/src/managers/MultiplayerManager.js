@@ -15,13 +15,13 @@
  * - Rematch functionality
  *
  * ## Multiplayer Flow:
- * 1. Player clicks "Multiplayer" button
+ * 1. Player clicks "Multiplayer" button (or creates/joins a private room by code)
  * 2. Connect to WebSocket server
- * 3. Wait for opponent (matchmaking)
- * 4. Countdown starts when both players ready
+ * 3. Wait for opponent (matchmaking or a friend with the code)
+ * 4. Countdown starts when the room fills (or after a lobby wait with 2+ racers)
  * 5. Race begins - positions sync continuously
- * 6. First to top wins
- * 7. Show results, offer rematch
+ * 6. Racers finish in order; first to top wins
+ * 7. Show standings, offer rematch
  *
  * ## Network Events:
  * - playerJoined: Opponent connected
@@ -34,7 +34,7 @@
 
 import RemotePlayer from '../entities/RemotePlayer.js';
 import { networkManager } from '../network/NetworkManager.js';
-import { gameState, resetPhysicsState } from '../state/gameState.js';
+import { gameState, resetPhysicsState, applyDifficulty } from '../state/gameState.js';
 import { multiplayerState, resetMultiplayerState } from '../state/multiplayerState.js';
 import { getSelectedModelName, getSelectedModelPath } from './ModelPreviewManager.js';
 import * as SceneManager from './SceneManager.js';
@@ -46,8 +46,12 @@ import {
   playerStartPositionX,
   playerStartPositionY
 } from '../config/constants.js';
-import { LEVELS } from '../data/levelData.js';
+import { DEFAULT_DIFFICULTY } from '../../../shared/difficultyProfiles.js';
+import { DEFAULT_SEED } from '../data/levelData.js';
 import * as UIManager from './UIManager.js';
+import * as GhostManager from './GhostManager.js';
+import * as ReplayManager from './ReplayManager.js';
+import * as LevelManager from './LevelManager.js';
 
 // ========================================
 // MODULE STATE
@@ -90,6 +94,30 @@ function setupUIEventListeners() {
     elements.multiplayerBtn.addEventListener('click', startMultiplayer);
   }
 
+  if (elements.privateRoomBtn) {
+    elements.privateRoomBtn.addEventListener('click', openPrivateRoomMenu);
+  }
+
+  if (elements.createPrivateRoomBtn) {
+    elements.createPrivateRoomBtn.addEventListener('click', createPrivateGame);
+  }
+
+  if (elements.joinByCodeBtn && elements.roomCodeInput) {
+    elements.joinByCodeBtn.addEventListener('click', () => {
+      joinPrivateGame(elements.roomCodeInput.value);
+    });
+  }
+
+  if (elements.roomCodeInput) {
+    elements.roomCodeInput.addEventListener('keydown', (e) => {
+      // Keep typing out of the game's keyboard handlers (Space starts a game)
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        joinPrivateGame(elements.roomCodeInput.value);
+      }
+    });
+  }
+
   if (elements.cancelMatchmakingBtn) {
     elements.cancelMatchmakingBtn.addEventListener('click', cancelMultiplayer);
   }
@@ -108,60 +136,179 @@ function setupUIEventListeners() {
  * Connects to server and waits for an opponent.
  */
 export async function startMultiplayer() {
+  try {
+    await connectAndJoin((skinId) => networkManager.joinGame(skinId), 'Waiting for opponent...');
+  } catch (error) {
+    handleConnectionFailure(error);
+  }
+}
+
+/**
+ * Opens the private room menu where the player can create a room
+ * or enter a friend's join code.
+ */
+export function openPrivateRoomMenu() {
+  multiplayerState.isMultiplayerMode = true;
+  UIManager.hideOverlay();
+  UIManager.showPrivateRoomMenu('Race your friends');
+  UIManager.showCancelMatchmaking();
+}
+
+/**
+ * Creates a private room and shows its join code while waiting for a friend.
+ */
+export async function createPrivateGame() {
+  try {
+    const maxPlayers = parseInt(UIManager.getUIElements().roomSizeSelect?.value, 10) || 2;
+    const result = await connectAndJoin(
+      (skinId) => networkManager.createPrivateRoom(skinId, maxPlayers),
+      'Share this code with your friends:'
+    );
+    if (multiplayerState.state === 'waiting') {
+      UIManager.showRoomCode(result.code);
+    }
+  } catch (error) {
+    handleConnectionFailure(error);
+  }
+}
+
+/**
+ * Joins a private room by its code.
+ * An unknown or full room keeps the private room menu open so the player can retry.
+ * @param {string} code - The join code entered by the player
+ */
+export async function joinPrivateGame(code) {
+  const roomCode = (code || '').trim().toUpperCase();
+  if (!roomCode) {
+    UIManager.showPrivateRoomMenu('Enter a room code to join.');
+    return;
+  }
+
+  try {
+    await connectAndJoin((skinId) => networkManager.joinByCode(roomCode, skinId), 'Joining room...');
+  } catch (error) {
+    if (networkManager.isConnected()) {
+      // The server rejected the code, not the connection
+      multiplayerState.state = 'none';
+      UIManager.showPrivateRoomMenu(`${error.message}. Check the code and try again.`);
+    } else {
+      handleConnectionFailure(error);
+    }
+  }
+}
+
+/**
+ * Connects to the server (if needed) and joins a room.
+ * Places the local player and spawns any opponents already in the room.
+ * @private
+ * @param {Function} requestJoin - Called with the skin ID, returns the join promise
+ * @param {string} waitingMessage - Status shown while waiting for an opponent
+ * @returns {Promise<Object>} The server's join result
+ */
+async function connectAndJoin(requestJoin, waitingMessage) {
   multiplayerState.isMultiplayerMode = true;
   multiplayerState.state = 'connecting';
   UIManager.hideOverlay();
+  UIManager.hidePrivateRoomSection();
   UIManager.showConnectionOverlay('Connecting to server...');
 
+  // Ghosts and replays are solo features
+  GhostManager.stopPlayback(scene);
+  GhostManager.stopRecording();
+  ReplayManager.stopPlayback();
+  ReplayManager.stopRecording();
+
+  // Every racer climbs the same classic tower from the bottom with the same
+  // physics, whatever difficulty they last played solo
+  applyDifficulty(DEFAULT_DIFFICULTY);
+  gameState.startLevel = 1;
+  LevelManager.loadLevelSet(scene, DEFAULT_SEED, gameState.difficulty);
+
   // Apply the selected character model to local player
   const selectedModelPath = getSelectedModelPath();
   SceneManager.changePlayerModel(selectedModelPath);
 
-  try {
-    // Connect to server
+  // Connect to server (a private room retry reuses the open connection)
+  if (!networkManager.isConnected()) {
     await networkManager.connect(SERVER_URL);
 
     // Set up network event handlers
     setupNetworkHandlers();
+  }
 
-    // Join a game with selected skin
-    multiplayerState.state = 'waiting';
-    UIManager.showConnectionOverlay('Waiting for opponent...');
-    UIManager.showCancelMatchmaking();
+  // Join a game with selected skin
+  multiplayerState.state = 'waiting';
+  UIManager.showConnectionOverlay(waitingMessage);
+  UIManager.showCancelMatchmaking();
 
-    const skinId = getSelectedModelName().toLowerCase();
-    const result = await networkManager.joinGame(skinId);
+  const skinId = getSelectedModelName().toLowerCase();
+  const result = await requestJoin(skinId);
 
-    // Set up local player position based on server assignment
-    multiplayerState.localPlayerNumber = result.playerNumber;
-    player1.position.x = result.startX;
-    player1.position.y = playerStartPositionY;
+  applyJoinResult(result);
 
-    // If there are already other players, create remote player with their skin
-    for (const p of result.players) {
-      if (p.id !== result.playerId) {
-        createRemotePlayer(p.x, p.y, p.skinId);
-      }
-    }
+  // If room is already full, countdown will start via event
+  if (result.state === 'countdown') {
+    multiplayerState.state = 'countdown';
+    UIManager.hideConnectionOverlay();
+  } else {
+    updateWaitingStatus();
+  }
 
-    // If room is already full, countdown will start via event
-    if (result.state === 'countdown') {
-      multiplayerState.state = 'countdown';
-      UIManager.hideConnectionOverlay();
-    } else if (result.state === 'waiting' && result.players.length === 1) {
-      // Still waiting for opponent
-      UIManager.showConnectionOverlay('Waiting for opponent...');
+  return result;
+}
+
+/**
+ * Places the local player at its assigned spawn and spawns everyone already in the room.
+ * @private
+ * @param {Object} result - The server's join result
+ */
+function applyJoinResult(result) {
+  // Set up local player position based on server assignment
+  multiplayerState.localPlayerNumber = result.playerNumber;
+  multiplayerState.maxPlayers = result.maxPlayers;
+  player1.position.x = result.startX;
+  player1.position.y = playerStartPositionY;
+
+  // If there are already other players, create remote players with their skins
+  for (const p of result.players) {
+    if (p.id !== result.playerId) {
+      createRemotePlayer(p.id, p.x, p.y, p.skinId, p.playerNumber);
     }
+  }
+}
 
-  } catch (error) {
-    console.error('Failed to start multiplayer:', error);
-    UIManager.showConnectionOverlay('Connection failed. Please try again.');
-    setTimeout(() => {
-      cancelMultiplayer();
-    }, 2000);
+/**
+ * Shows how many racers are in the room while waiting for the race to start.
+ * @private
+ */
+function updateWaitingStatus() {
+  if (multiplayerState.state !== 'waiting') return;
+
+  const playerCount = multiplayerState.remotePlayers.size + 1;
+  const message = `Waiting for racers (${playerCount}/${multiplayerState.maxPlayers})...`;
+
+  // Keep the join code visible for the host of a private room
+  if (networkManager.roomCode) {
+    UIManager.showConnectionOverlay(`${message} Share this code:`);
+  } else {
+    UIManager.showConnectionOverlay(message);
   }
 }
 
+/**
+ * Shows a connection failure message and returns to the menu.
+ * @private
+ * @param {Error} error - The connection or join error
+ */
+function handleConnectionFailure(error) {
+  console.error('Failed to start multiplayer:', error);
+  UIManager.hidePrivateRoomSection();
+  UIManager.showConnectionOverlay('Connection failed. Please try again.');
+  setTimeout(() => {
+    cancelMultiplayer();
+  }, 2000);
+}
+
 /**
  * Sets up all network event handlers for multiplayer.
  * @private
@@ -169,31 +316,62 @@ export async function startMultiplayer() {
 function setupNetworkHandlers() {
   networkManager.onPlayerJoined = (playerData) => {
     console.log('Opponent joined:', playerData);
-    createRemotePlayer(playerData.x, playerData.y, playerData.skinId);
+    createRemotePlayer(playerData.id, playerData.x, playerData.y, playerData.skinId, playerData.playerNumber);
+    updateWaitingStatus();
   };
 
   networkManager.onPlayerLeft = (data) => {
     console.log('Opponent left:', data.id);
-    removeRemotePlayer();
+    removeRemotePlayer(data.id);
+    updateWaitingStatus();
   };
 
   networkManager.onPlayerPosition = (data) => {
-    if (multiplayerState.remotePlayer) {
-      multiplayerState.remotePlayer.setTargetPosition(data.x, data.y, data.velocityY, data.state);
+    const remotePlayer = multiplayerState.remotePlayers.get(data.id);
+    if (remotePlayer) {
+      remotePlayer.setTargetPosition(data.x, data.y, data.velocityY, data.state);
     }
   };
 
   networkManager.onPlayerSkinChanged = (data) => {
     console.log('Opponent skin changed:', data);
-    if (multiplayerState.remotePlayer && data.id !== networkManager.playerId) {
-      multiplayerState.remotePlayer.setSkin(data.skinId);
+    const remotePlayer = multiplayerState.remotePlayers.get(data.id);
+    if (remotePlayer) {
+      remotePlayer.setSkin(data.skinId);
     }
   };
 
   networkManager.onPlayerAttack = (data) => {
-    // Show attack particles on the remote player
-    if (multiplayerState.remotePlayer && data.attackerId !== networkManager.playerId) {
-      multiplayerState.remotePlayer.showAttack(data.direction);
+    // Show attack particles on the attacking remote player
+    const remotePlayer = multiplayerState.remotePlayers.get(data.attackerId);
+    if (remotePlayer) {
+      remotePlayer.showAttack(data.direction);
+    }
+  };
+
+  networkManager.onLobbyTimer = (data) => {
+    if (multiplayerState.state !== 'waiting') return;
+    const seconds = Math.round(data.startsIn / 1000);
+    const playerCount = multiplayerState.remotePlayers.size + 1;
+    UIManager.showConnectionOverlay(`Race starts in ${seconds}s (${playerCount}/${multiplayerState.maxPlayers} racers)...`);
+  };
+
+  networkManager.onPlayerFinished = (data) => {
+    if (data.id === networkManager.playerId) {
+      // Stop climbing and wait for the rest of the room
+      gameState.canMove = false;
+      gameState.velocityY = 0;
+      if (levelDiv) levelDiv.textContent = `Finished #${data.place} • Waiting for other racers`;
+    } else {
+      console.log(`Player ${data.playerNumber} finished #${data.place}`);
+    }
+  };
+
+  networkManager.onPlayerDisqualified = (data) => {
+    if (data.id === networkManager.playerId) {
+      gameState.canMove = false;
+      gameState.velocityY = 0;
+      if (levelDiv) levelDiv.textContent = 'Finish rejected • Waiting for other racers';
     }
   };
 
@@ -223,7 +401,7 @@ function setupNetworkHandlers() {
     // Reset physics state
     resetPhysicsState();
 
-    if (levelDiv) levelDiv.textContent = `Level 1/${LEVELS.length} • Multiplayer`;
+    if (levelDiv) levelDiv.textContent = `Level 1/${LevelManager.getTotalLevels()} • Multiplayer`;
   };
 
   networkManager.onGameOver = (data) => {
@@ -233,7 +411,7 @@ function setupNetworkHandlers() {
     UIManager.hideOpponentHud();
 
     const isWinner = data.winnerId === networkManager.playerId;
-    UIManager.showRaceResult(isWinner, data.reason);
+    UIManager.showRaceResult(isWinner, data.reason, data.standings, networkManager.playerId);
   };
 
   networkManager.onDisconnect = (reason) => {
@@ -281,57 +459,72 @@ function setupNetworkHandlers() {
   };
 
   networkManager.onPlayerHit = (data) => {
-    // Visual feedback when remote player is hit
-    if (data.hitPlayerId !== networkManager.playerId && multiplayerState.remotePlayer) {
+    // Visual feedback when a remote player is hit
+    const remotePlayer = multiplayerState.remotePlayers.get(data.hitPlayerId);
+    if (remotePlayer && remotePlayer.group) {
       // Flash the remote player
-      if (multiplayerState.remotePlayer.group) {
-        const meshes = [];
-        multiplayerState.remotePlayer.group.traverse((child) => {
-          if (child.isMesh && child.material && child.material.color) {
-            meshes.push({ mesh: child, originalColor: child.material.color.getHex() });
-          }
-        });
+      const meshes = [];
+      remotePlayer.group.traverse((child) => {
+        if (child.isMesh && child.material && child.material.color) {
+          meshes.push({ mesh: child, originalColor: child.material.color.getHex() });
+        }
+      });
 
-        meshes.forEach(({ mesh }) => {
+      meshes.forEach(({ mesh }) => {
+        if (mesh.material.color) {
+          mesh.material.color.setHex(0xff0000);
+        }
+      });
+
+      setTimeout(() => {
+        meshes.forEach(({ mesh, originalColor }) => {
           if (mesh.material.color) {
-            mesh.material.color.setHex(0xff0000);
+            mesh.material.color.setHex(originalColor);
           }
         });
-
-        setTimeout(() => {
-          meshes.forEach(({ mesh, originalColor }) => {
-            if (mesh.material.color) {
-              mesh.material.color.setHex(originalColor);
-            }
-          });
-        }, 200);
-      }
+      }, 200);
     }
   };
 }
 
 /**
  * Creates a remote player entity at the specified position.
+ * Replaces any existing entity for the same player.
+ * @param {string} id - The remote player's socket ID
  * @param {number} x - Initial X position
  * @param {number} y - Initial Y position
  * @param {string} skinId - The skin/model ID for the remote player
+ * @param {number} playerNumber - The remote player's room slot
  */
-export function createRemotePlayer(x, y, skinId = "player") {
-  if (multiplayerState.remotePlayer) {
-    multiplayerState.remotePlayer.remove(scene);
+export function createRemotePlayer(id, x, y, skinId = "player", playerNumber = null) {
+  removeRemotePlayer(id);
+
+  const remotePlayer = new RemotePlayer(playerWidth, playerHeight, playerDepth, skinId);
+  remotePlayer.playerNumber = playerNumber;
+  remotePlayer.add(scene, x, y);
+  multiplayerState.remotePlayers.set(id, remotePlayer);
+}
+
+/**
+ * Removes a remote player entity from the scene.
+ * @param {string} id - The remote player's socket ID
+ */
+export function removeRemotePlayer(id) {
+  const remotePlayer = multiplayerState.remotePlayers.get(id);
+  if (remotePlayer) {
+    remotePlayer.remove(scene);
+    multiplayerState.remotePlayers.delete(id);
   }
-  multiplayerState.remotePlayer = new RemotePlayer(playerWidth, playerHeight, playerDepth, skinId);
-  multiplayerState.remotePlayer.add(scene, x, y);
 }
 
 /**
- * Removes the remote player entity from the scene.
+ * Removes every remote player entity from the scene.
  */
-export function removeRemotePlayer() {
-  if (multiplayerState.remotePlayer) {
-    multiplayerState.remotePlayer.remove(scene);
-    multiplayerState.remotePlayer = null;
+export function removeAllRemotePlayers() {
+  for (const remotePlayer of multiplayerState.remotePlayers.values()) {
+    remotePlayer.remove(scene);
   }
+  multiplayerState.remotePlayers.clear();
 }
 
 /**
@@ -339,8 +532,8 @@ export function removeRemotePlayer() {
  */
 export function cancelMultiplayer() {
   networkManager.disconnect();
+  removeAllRemotePlayers();
   resetMultiplayerState();
-  removeRemotePlayer();
   UIManager.hideConnectionOverlay();
   UIManager.hideCountdown();
   UIManager.hideOpponentHud();
@@ -368,30 +561,42 @@ export function returnToMenuFromMultiplayer() {
 export function rematch() {
   UIManager.hideRaceResult();
 
+  // Private rooms are not matched, so go back to the room menu to share a new code
+  if (networkManager.roomCode) {
+    networkManager.leaveGame();
+    removeAllRemotePlayers();
+    multiplayerState.state = 'none';
+    openPrivateRoomMenu();
+    return;
+  }
+
   // Apply the selected character model to local player
   const selectedModelPath = getSelectedModelPath();
   SceneManager.changePlayerModel(selectedModelPath);
 
+  // Leave the finished room and clear its racers
+  networkManager.leaveGame();
+  removeAllRemotePlayers();
+
   // Reset game state for new match
-  player1.position.x = multiplayerState.localPlayerNumber === 1 ? -2 : 2;
+  player1.position.x = playerStartPositionX;
   player1.position.y = playerStartPositionY;
   gameState.velocityY = 0;
   gameState.isOnGround = false;
 
   // Request to join a new game with current skin
   multiplayerState.state = 'waiting';
-  UIManager.showConnectionOverlay('Finding new opponent...');
+  UIManager.showConnectionOverlay('Finding new opponents...');
   UIManager.showCancelMatchmaking();
 
   const skinId = getSelectedModelName().toLowerCase();
   networkManager.joinGame(skinId).then((result) => {
-    multiplayerState.localPlayerNumber = result.playerNumber;
-    player1.position.x = result.startX;
-
-    for (const p of result.players) {
-      if (p.id !== result.playerId) {
-        createRemotePlayer(p.x, p.y, p.skinId);
-      }
+    applyJoinResult(result);
+    if (result.state === 'countdown') {
+      multiplayerState.state = 'countdown';
+      UIManager.hideConnectionOverlay();
+    } else {
+      updateWaitingStatus();
     }
   }).catch((error) => {
     console.error('Failed to rematch:', error);
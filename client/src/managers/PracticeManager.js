@@ -0,0 +1,117 @@
+/**
+ * PracticeManager.js - Practice Runs and Save States
+ *
+ * Practice runs can start on any level of the tower, respawn at the last
+ * checkpoint reached instead of the start, and let the player save and
+ * restore their state with hotkeys. They never set personal bests, ghosts,
+ * replays or collectible bests.
+ *
+ * @module managers/PracticeManager
+ *
+ * ## Save States:
+ * A save state holds the player's position, the gameState physics fields
+ * (see PHYSICS_STATE_FIELDS in shared/physics.js) and the run tick, so
+ * moving and blinking platforms are back where they were as well. Crumbled
+ * platforms are made whole again on restore. Save states last until the
+ * next run starts.
+ */
+
+import { playerStartPositionX, playerStartPositionY } from '../config/constants.js';
+import { gameState } from '../state/gameState.js';
+import { multiplayerState } from '../state/multiplayerState.js';
+import { PHYSICS_STATE_FIELDS } from '../../../shared/physics.js';
+import { getCheckpointPosition, resetCrumblingPlatforms } from './LevelManager.js';
+import * as ReplayManager from './ReplayManager.js';
+import * as EditorManager from './EditorManager.js';
+
+// ========================================
+// MODULE STATE
+// ========================================
+
+/** @type {Object|null} Saved player state { x, y, runTicks, ...physics fields } */
+let saveState = null;
+
+// ========================================
+// PRACTICE RUNS
+// ========================================
+
+/**
+ * Checks whether the current run is a practice run.
+ * Only solo runs can be; replays and play-tests never are.
+ * @returns {boolean} True for practice runs
+ */
+export function isPracticeRun() {
+  return (
+    gameState.runMode === 'practice' &&
+    !multiplayerState.isMultiplayerMode &&
+    !ReplayManager.isPlaying() &&
+    !EditorManager.isPlayTesting()
+  );
+}
+
+/**
+ * Gets where a run starting on a level puts the player: on the level's
+ * checkpoint platform, or on the ground for level 1.
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @returns {{x: number, y: number}} Player center position
+ */
+export function getLevelStartPosition(levelNumber) {
+  return getCheckpointPosition(levelNumber) ?? { x: playerStartPositionX, y: playerStartPositionY };
+}
+
+// ========================================
+// SAVE STATES
+// ========================================
+
+/**
+ * Saves the player's position and physics state.
+ * Only possible while alive and moving in a practice run.
+ * @param {Player} player - The local player
+ * @returns {boolean} True if the state was saved
+ */
+export function storeSaveState(player) {
+  if (!isPracticeRun() || gameState.isPaused || !gameState.canMove || gameState.runTicks === 0) {
+    return false;
+  }
+
+  saveState = { x: player.position.x, y: player.position.y, runTicks: gameState.runTicks };
+  for (const field of PHYSICS_STATE_FIELDS) {
+    saveState[field] = gameState[field];
+  }
+  return true;
+}
+
+/**
+ * Puts the player back to the saved state.
+ * @param {Player} player - The local player
+ * @returns {boolean} True if a save state was restored
+ */
+export function restoreSaveState(player) {
+  if (!saveState || !isPracticeRun() || gameState.isPaused) {
+    return false;
+  }
+
+  player.position.x = saveState.x;
+  player.position.y = saveState.y;
+  gameState.runTicks = saveState.runTicks;
+  for (const field of PHYSICS_STATE_FIELDS) {
+    gameState[field] = saveState[field];
+  }
+  resetCrumblingPlatforms();
+  return true;
+}
+
+/**
+ * Checks whether a save state exists.
+ * @returns {boolean} True if one was saved this run
+ */
+export function hasSaveState() {
+  return saveState !== null;
+}
+
+/**
+ * Forgets the save state (a new run started).
+ */
+export function clearSaveState() {
+  saveState = null;
+}
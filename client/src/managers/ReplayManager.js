@@ -0,0 +1,257 @@
+/**
+ * ReplayManager.js - Replay Recording, Export and Playback
+ *
+ * Records the movement actions fed into every fixed physics tick of a solo run.
+ * Because the physics step is deterministic, replaying the same inputs on
+ * the same levels and difficulty reproduces the run exactly.
+ *
+ * @module managers/ReplayManager
+ *
+ * ## Replay File (JSON):
+ * - format/version: 'blocky-replay', REPLAY_VERSION
+ * - seed: Level generation seed the run was played on
+ * - difficulty: 'easy' | 'medium' | 'hard'
+ * - tickRate: Physics ticks per second
+ * - actions: Movement actions, in bit order of the input masks (see InputManager);
+ *   recording actions rather than keys keeps replays independent of key bindings
+ * - inputs: Run-length encoded [mask, tickCount, mask, tickCount, ...]
+ * - time: Completion time in milliseconds (null if the run did not finish)
+ * - skinId, recordedAt: Informational only
+ *
+ * ## Limitations:
+ * Attacks are not recorded; they don't affect movement in solo play.
+ */
+
+import { FIXED_TIMESTEP } from '../config/constants.js';
+import { DIFFICULTY_PROFILES } from '../../../shared/difficultyProfiles.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/** Format identifier written to every replay file */
+const REPLAY_FORMAT = 'blocky-replay';
+
+/** Current replay file version (bumped whenever generated towers, difficulty rules, collision rules or the recorded inputs change, since older runs no longer play back the same) */
+const REPLAY_VERSION = 6;
+
+/** Physics ticks per second the replay was recorded at */
+const TICK_RATE = Math.round(1 / FIXED_TIMESTEP);
+
+/** Actions that affect movement (the physics step's input flags), recorded as one bit each */
+const REPLAY_ACTIONS = ['left', 'right', 'jump', 'down'];
+
+/** Valid difficulty values (difficulty profile ids) */
+const DIFFICULTIES = Object.keys(DIFFICULTY_PROFILES);
+
+// ========================================
+// MODULE STATE
+// ========================================
+
+/** @type {Object|null} Replay being recorded or watched (the one that gets exported) */
+let replay = null;
+
+/** @type {boolean} Whether ticks are currently being recorded into the replay */
+let isRecording = false;
+
+/** @type {Object|null} Playback cursor { runIndex, ticksLeft } */
+let cursor = null;
+
+// ========================================
+// RECORDING
+// ========================================
+
+/**
+ * Starts recording a new replay, replacing any previous one.
+ * @param {Object} options - Run settings
+ * @param {number} options.seed - Level generation seed
+ * @param {string} options.difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {string} options.skinId - Model the run is played with
+ */
+export function startRecording({ seed, difficulty, skinId }) {
+  cursor = null;
+  replay = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed,
+    difficulty: difficulty.toLowerCase(),
+    tickRate: TICK_RATE,
+    skinId,
+    recordedAt: new Date().toISOString(),
+    time: null,
+    actions: REPLAY_ACTIONS,
+    inputs: []
+  };
+  isRecording = true;
+}
+
+/**
+ * Appends one tick of input to the replay being recorded.
+ * @param {Object.<string, boolean>} actions - Actions held this tick
+ */
+export function recordTick(actions) {
+  if (!isRecording) return;
+
+  let mask = 0;
+  REPLAY_ACTIONS.forEach((action, bit) => {
+    if (actions[action]) mask |= 1 << bit;
+  });
+
+  const inputs = replay.inputs;
+  if (inputs.length > 0 && inputs[inputs.length - 2] === mask) {
+    inputs[inputs.length - 1]++;
+  } else {
+    inputs.push(mask, 1);
+  }
+}
+
+/**
+ * Stops recording. The replay stays available for export.
+ * @param {number|null} [completionTime=null] - Run time if the run reached the top
+ */
+export function stopRecording(completionTime = null) {
+  if (!isRecording) return;
+
+  isRecording = false;
+  replay.time = completionTime === null ? null : Math.round(completionTime);
+}
+
+// ========================================
+// EXPORT / IMPORT
+// ========================================
+
+/**
+ * Checks whether there is a replay to export.
+ * @returns {boolean} True if a replay has been recorded or loaded
+ */
+export function hasReplay() {
+  return replay !== null && replay.inputs.length > 0;
+}
+
+/**
+ * Downloads the current replay as a JSON file.
+ * @returns {boolean} True if a file was offered for download
+ */
+export function exportReplay() {
+  if (!hasReplay()) return false;
+
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const timestamp = replay.recordedAt.replace(/[:.]/g, '-');
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `blocky-replay-${replay.difficulty}-${timestamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  return true;
+}
+
+/**
+ * Reads and validates a replay file chosen by the user.
+ * @param {File} file - The replay file
+ * @returns {Promise<Object>} The parsed replay
+ * @throws {Error} If the file is not a valid replay
+ */
+export async function readReplayFile(file) {
+  return parseReplay(await file.text());
+}
+
+/**
+ * Parses and validates replay JSON.
+ * @param {string} text - Replay file contents
+ * @returns {Object} The parsed replay
+ * @throws {Error} With a message suitable for showing to the player
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (data?.format !== REPLAY_FORMAT) {
+    throw new Error('File is not a Blocky replay');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`);
+  }
+  if (!Number.isInteger(data.seed)) {
+    throw new Error('Replay is missing its level seed');
+  }
+  if (!DIFFICULTIES.includes(data.difficulty)) {
+    throw new Error(`Unknown replay difficulty "${data.difficulty}"`);
+  }
+  if (data.tickRate !== TICK_RATE) {
+    throw new Error(`Replay was recorded at ${data.tickRate} ticks per second (expected ${TICK_RATE})`);
+  }
+  if (!Array.isArray(data.actions) || !data.actions.every((action) => REPLAY_ACTIONS.includes(action))) {
+    throw new Error('Replay action list is invalid');
+  }
+  if (
+    !Array.isArray(data.inputs) ||
+    data.inputs.length === 0 ||
+    data.inputs.length % 2 !== 0 ||
+    !data.inputs.every((value) => Number.isInteger(value) && value >= 0)
+  ) {
+    throw new Error('Replay inputs are invalid');
+  }
+
+  return data;
+}
+
+// ========================================
+// PLAYBACK
+// ========================================
+
+/**
+ * Starts watching a replay from its first tick.
+ * @param {Object} loadedReplay - Replay returned by parseReplay
+ */
+export function startPlayback(loadedReplay) {
+  isRecording = false;
+  replay = loadedReplay;
+  cursor = { runIndex: 0, ticksLeft: replay.inputs[1] };
+}
+
+/**
+ * Checks whether a replay is being watched.
+ * @returns {boolean} True during playback
+ */
+export function isPlaying() {
+  return cursor !== null;
+}
+
+/**
+ * Gets the actions held on the next tick of the replay.
+ * @returns {Object.<string, boolean>|null} Held actions, or null once the replay has run out
+ */
+export function nextTickActions() {
+  if (!cursor) return null;
+
+  // Skip exhausted (or empty) runs
+  while (cursor.ticksLeft <= 0) {
+    cursor.runIndex += 2;
+    if (cursor.runIndex >= replay.inputs.length) return null;
+    cursor.ticksLeft = replay.inputs[cursor.runIndex + 1];
+  }
+  cursor.ticksLeft--;
+
+  const mask = replay.inputs[cursor.runIndex];
+  const actions = {};
+  replay.actions.forEach((action, bit) => {
+    actions[action] = (mask & (1 << bit)) !== 0;
+  });
+  return actions;
+}
+
+/**
+ * Stops watching the current replay.
+ */
+export function stopPlayback() {
+  cursor = null;
+}
@@ -15,6 +15,7 @@
  * - Waterfall particle system
  * - Star particle system
  * - Camera following and smooth movement
+ * - Fixed camera views (level editor)
  * - Window resize handling
  *
  * ## Visual Effects:
@@ -40,9 +41,8 @@ import {
 } from '../config/constants.js';
 import Player from '../entities/Player.js';
 import Platform from '../entities/Platform.js';
-import { setGroundPlatform, getPlatforms } from './LevelManager.js';
+import { setGroundPlatform, getPlatforms, getLevelBackgroundColor } from './LevelManager.js';
 import { gameState } from '../state/gameState.js';
-import { LEVELS } from '../data/levelData.js';
 import { getSelectedModelPath } from './ModelPreviewManager.js';
 
 // ========================================
@@ -86,6 +86,9 @@ const WATERFALL_PARTICLE_COUNT = 1500;
 /** @constant {number} Number of star particles */
 const STAR_PARTICLE_COUNT = 400;
 
+/** @constant {number} Distance of the gameplay camera from the level plane */
+const CAMERA_DISTANCE = 15;
+
 // ========================================
 // BACKGROUND GENERATION
 // ========================================
@@ -377,7 +380,7 @@ export function initScene() {
   const near = 0.1;
   const far = 1000;
   camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
-  camera.position.set(playerStartPositionX, playerStartPositionY + 4, 15);
+  camera.position.set(playerStartPositionX, playerStartPositionY + 4, CAMERA_DISTANCE);
 
   // Renderer
   renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -482,6 +485,28 @@ export function updateCamera(targetX, targetY) {
   camera.position.x += (targetX - camera.position.x) * 0.08;
   camera.lookAt(targetX, targetY, 0);
 
+  updateBackgroundPosition();
+}
+
+/**
+ * Points the camera straight at a spot on the level plane from a fixed distance.
+ * Gameplay camera following (updateCamera) keeps the distance.
+ * @param {number} x - X position to look at
+ * @param {number} y - Y position to look at
+ * @param {number} [distance=CAMERA_DISTANCE] - Distance from the level plane
+ */
+export function setCameraView(x, y, distance = CAMERA_DISTANCE) {
+  camera.position.set(x, y, distance);
+  camera.lookAt(x, y, 0);
+
+  updateBackgroundPosition();
+}
+
+/**
+ * Keeps the background behind the camera and scrolls its color blobs.
+ * @private
+ */
+function updateBackgroundPosition() {
   // Update background position to follow camera
   if (backgroundMesh) {
     backgroundMesh.position.x = camera.position.x;
@@ -515,11 +540,11 @@ export function setBackgroundColor(hexColor) {
  * @param {number} levelNumber - The current level number
  */
 export function updateBackgroundForLevel(levelNumber) {
-  const level = LEVELS[levelNumber - 1];
-  if (level && level.backgroundColor) {
-    scene.background.setHex(level.backgroundColor);
+  const levelColor = getLevelBackgroundColor(levelNumber);
+  if (levelColor) {
+    scene.background.setHex(levelColor);
     if (backgroundUniforms) {
-      backgroundUniforms.uBaseColor.value.setHex(level.backgroundColor);
+      backgroundUniforms.uBaseColor.value.setHex(levelColor);
     }
   } else {
     scene.background.setHex(bgColor);
@@ -8,8 +8,11 @@
  *
  * ## UI Sections:
  * - Main overlay (start/pause/win screens)
- * - HUD (timer, height counter, level display)
+ * - HUD (timer, splits, height counter, level display)
  * - Personal best table
+ * - Replay controls
+ * - Controls modal key bindings
+ * - Level editor panel
  * - Multiplayer UI (connection status, opponent HUD, results)
  *
  * ## Overlay States:
@@ -19,7 +22,17 @@
  * - Multiplayer: Connection and race result overlays
  */
 
-import { gameState, personalBests, formatTime, checkAndSavePersonalBest } from '../state/gameState.js';
+import { gameState, getPersonalBest, endlessLeaderboard, formatTime } from '../state/gameState.js';
+import { DIFFICULTY_PROFILES } from '../../../shared/difficultyProfiles.js';
+import { ACTIONS, MAX_KEYS_PER_ACTION, formatKeyCode } from './InputManager.js';
+
+/** Number of finished splits listed in the HUD */
+const MAX_SPLIT_ROWS = 5;
+
+/** Split delta colors */
+const SPLIT_AHEAD_COLOR = "#33dd66";
+const SPLIT_BEHIND_COLOR = "#ff5555";
+const SPLIT_BEST_SEGMENT_COLOR = "#ffd700";
 
 // ========================================
 // UI ELEMENT CACHE
@@ -45,23 +58,101 @@ const elements = {
   counterDiv: document.getElementById("counter"),
   timerDiv: document.getElementById("timer"),
   levelDiv: document.getElementById("level"),
+  collectiblesDiv: document.getElementById("collectibles"),
+  practiceStatus: document.getElementById("practice-status"),
+  splitRows: document.getElementById("split-rows"),
+  splitLive: document.getElementById("split-live"),
 
   // Personal best table
   pbTableSection: document.getElementById("pb-table-section"),
 
+  // Ghost option
+  difficultyInfo: document.getElementById("difficulty-info"),
+  ghostToggle: document.getElementById("ghost-toggle"),
+  ghostInfo: document.getElementById("ghost-info"),
+
+  // Run mode option
+  runMode: document.getElementById("run-mode"),
+  practiceLevel: document.getElementById("practice-level"),
+  endlessLeaderboardSection: document.getElementById("endless-leaderboard-section"),
+  endlessLeaderboard: document.getElementById("endless-leaderboard"),
+
+  // Level seed option
+  seedMode: document.getElementById("seed-mode"),
+  seedInput: document.getElementById("seed-input"),
+  rerollSeedBtn: document.getElementById("reroll-seed-btn"),
+  seedInfo: document.getElementById("seed-info"),
+  loadPackBtn: document.getElementById("load-pack-btn"),
+  levelPackFileInput: document.getElementById("level-pack-file-input"),
+
+  // Replay controls
+  watchReplayBtn: document.getElementById("watch-replay-btn"),
+  exportReplayBtn: document.getElementById("export-replay-btn"),
+  replayFileInput: document.getElementById("replay-file-input"),
+
+  // Level editor
+  editorBtn: document.getElementById("editor-btn"),
+  editorPanel: document.getElementById("editor-panel"),
+  editorLevelLabel: document.getElementById("editor-level-label"),
+  editorPrevLevelBtn: document.getElementById("editor-prev-level-btn"),
+  editorNextLevelBtn: document.getElementById("editor-next-level-btn"),
+  editorAddLevelBtn: document.getElementById("editor-add-level-btn"),
+  editorRemoveLevelBtn: document.getElementById("editor-remove-level-btn"),
+  editorTool: document.getElementById("editor-tool"),
+  editorColor: document.getElementById("editor-color"),
+  editorBackgroundColor: document.getElementById("editor-background-color"),
+  editorPathSettings: document.getElementById("editor-path-settings"),
+  editorPathRange: document.getElementById("editor-path-range"),
+  editorPathSpeed: document.getElementById("editor-path-speed"),
+  editorBlinkSettings: document.getElementById("editor-blink-settings"),
+  editorBlinkOn: document.getElementById("editor-blink-on"),
+  editorBlinkOff: document.getElementById("editor-blink-off"),
+  editorBlinkOffset: document.getElementById("editor-blink-offset"),
+  editorDeleteBtn: document.getElementById("editor-delete-btn"),
+  editorClearLevelBtn: document.getElementById("editor-clear-level-btn"),
+  editorPlayTestBtn: document.getElementById("editor-play-test-btn"),
+  editorSaveBtn: document.getElementById("editor-save-btn"),
+  editorExitBtn: document.getElementById("editor-exit-btn"),
+  editorStatus: document.getElementById("editor-status"),
+
   // Multiplayer UI elements
   connectionOverlay: document.getElementById('connection-overlay'),
   connectionStatus: document.getElementById('connection-status'),
+  connectionSpinner: document.getElementById('connection-spinner'),
+  privateRoomSection: document.getElementById('private-room-section'),
+  privateRoomControls: document.getElementById('private-room-controls'),
+  roomCodeDisplay: document.getElementById('room-code-display'),
+  roomCodeSpan: document.getElementById('room-code'),
+  roomCodeInput: document.getElementById('room-code-input'),
+  createPrivateRoomBtn: document.getElementById('create-private-room-btn'),
+  joinByCodeBtn: document.getElementById('join-by-code-btn'),
+  privateRoomBtn: document.getElementById('private-room-btn'),
   cancelMatchmakingBtn: document.getElementById('cancel-matchmaking'),
   countdownDisplay: document.getElementById('countdown-display'),
   opponentHud: document.getElementById('opponent-hud'),
-  opponentHeightSpan: document.getElementById('opponent-height'),
+  opponentList: document.getElementById('opponent-list'),
   raceResultOverlay: document.getElementById('race-result-overlay'),
   raceResultTitle: document.getElementById('race-result-title'),
   raceResultMessage: document.getElementById('race-result-message'),
+  raceStandings: document.getElementById('race-standings'),
+  raceStandingsBody: document.getElementById('race-standings-body'),
+  roomSizeSelect: document.getElementById('room-size'),
   rematchBtn: document.getElementById('rematch-btn'),
   backToMenuBtn: document.getElementById('back-to-menu-btn'),
   multiplayerBtn: document.getElementById('multiplayer-btn'),
+
+  // Controls modal
+  controlBindings: document.getElementById('control-bindings'),
+};
+
+/** Names of the rebindable actions in the controls modal */
+const ACTION_LABELS = {
+  left: "Move Left",
+  right: "Move Right",
+  jump: "Jump / Double Jump",
+  down: "Fast Fall / Drop",
+  attack: "Attack + Direction",
+  pause: "Pause"
 };
 
 /**
@@ -95,16 +186,132 @@ export function showOverlay() {
 // ========================================
 
 /**
- * Updates the personal best display table with current values.
+ * Updates the personal best display table with a tower's times.
+ * Each difficulty profile has a "pb-<id>" cell.
+ * @param {number|null} seed - Level seed of the tower (null for level packs, which keep no bests)
  */
-export function updatePBDisplay() {
-  const pbEasy = document.getElementById('pb-easy');
-  const pbMedium = document.getElementById('pb-medium');
-  const pbHard = document.getElementById('pb-hard');
+export function updatePBDisplay(seed) {
+  for (const id of Object.keys(DIFFICULTY_PROFILES)) {
+    const cell = document.getElementById(`pb-${id}`);
+    if (cell) cell.textContent = (seed !== null && formatTime(getPersonalBest(id, seed))) || '-';
+  }
+}
+
+/**
+ * Shows what the selected difficulty changes.
+ * @param {string} description - Description of the selected difficulty profile
+ */
+export function updateDifficultyInfo(description) {
+  if (elements.difficultyInfo) elements.difficultyInfo.textContent = description;
+}
 
-  if (pbEasy) pbEasy.textContent = formatTime(personalBests.easy) || '-';
-  if (pbMedium) pbMedium.textContent = formatTime(personalBests.medium) || '-';
-  if (pbHard) pbHard.textContent = formatTime(personalBests.hard) || '-';
+/**
+ * Updates the "race your ghost" option for the selected difficulty.
+ * The toggle is disabled until a ghost has been recorded on the selected tower.
+ * @param {number|null} ghostTime - Time of the saved ghost in milliseconds
+ */
+export function updateGhostOption(ghostTime) {
+  if (elements.ghostToggle) {
+    elements.ghostToggle.disabled = !ghostTime;
+    if (!ghostTime) elements.ghostToggle.checked = false;
+  }
+  if (elements.ghostInfo) {
+    elements.ghostInfo.textContent = ghostTime
+      ? `(PB ${formatTime(ghostTime)})`
+      : '(set a PB on this tower to record one)';
+  }
+}
+
+/**
+ * Updates the practice start level option for the selected run mode.
+ * The level list is rebuilt for the selected tower, keeping the chosen level if it still exists.
+ * @param {boolean} isPractice - Whether practice mode is selected
+ * @param {number} levelCount - Number of levels in the selected tower
+ */
+export function updatePracticeOption(isPractice, levelCount) {
+  if (!elements.practiceLevel) return;
+
+  elements.practiceLevel.style.display = isPractice ? "inline-block" : "none";
+  if (elements.practiceLevel.options.length === levelCount) return;
+
+  const selected = Math.min(parseInt(elements.practiceLevel.value, 10) || 1, levelCount);
+  elements.practiceLevel.replaceChildren();
+  for (let level = 1; level <= levelCount; level++) {
+    elements.practiceLevel.add(new Option(`Start on level ${level}`, String(level), false, level === selected));
+  }
+}
+
+/**
+ * Shows the endless leaderboard while endless mode is selected.
+ * @param {boolean} isEndless - Whether endless mode is selected
+ */
+export function updateEndlessOption(isEndless) {
+  if (elements.endlessLeaderboardSection) {
+    elements.endlessLeaderboardSection.style.display = isEndless ? "block" : "none";
+  }
+  if (!elements.endlessLeaderboard) return;
+
+  elements.endlessLeaderboard.replaceChildren();
+  for (const entry of endlessLeaderboard) {
+    const item = document.createElement("li");
+    const difficulty = DIFFICULTY_PROFILES[entry.difficulty]?.label ?? entry.difficulty;
+    item.textContent = `${entry.height.toFixed(2)} m • Level ${entry.level} • ${difficulty} • seed ${entry.seed}`;
+    elements.endlessLeaderboard.appendChild(item);
+  }
+  if (endlessLeaderboard.length === 0) {
+    const item = document.createElement("li");
+    item.textContent = "No endless runs yet";
+    elements.endlessLeaderboard.appendChild(item);
+  }
+}
+
+/**
+ * Updates the level seed option for the selected seed mode.
+ * Shows the seed text field for custom seeds, the re-roll button for random
+ * ones and the file button for level packs.
+ * @param {string} mode - Seed mode ('classic', 'daily', 'random', 'custom', 'pack')
+ * @param {number|null} seed - Seed the next run will use, or null if the typed seed is invalid
+ * @param {Object|null} [pack=null] - Loaded level pack { metadata, levels }
+ */
+export function updateSeedOption(mode, seed, pack = null) {
+  if (elements.seedInput) elements.seedInput.style.display = mode === "custom" ? "inline-block" : "none";
+  if (elements.rerollSeedBtn) elements.rerollSeedBtn.style.display = mode === "random" ? "inline-block" : "none";
+  if (elements.loadPackBtn) elements.loadPackBtn.style.display = mode === "pack" ? "inline-block" : "none";
+  if (elements.seedInfo) {
+    if (mode === "pack") {
+      elements.seedInfo.textContent = pack ? describeLevelPack(pack) : "No level pack loaded";
+    } else {
+      elements.seedInfo.textContent = seed !== null ? `Seed ${seed}` : "";
+    }
+  }
+}
+
+/**
+ * Describes a level pack for the seed option.
+ * @private
+ * @param {Object} pack - Level pack { metadata, levels }
+ * @returns {string} Pack name, author and level count
+ */
+function describeLevelPack({ metadata, levels }) {
+  const name = metadata.name ? `"${metadata.name}"` : "Untitled pack";
+  const author = metadata.author ? ` by ${metadata.author}` : "";
+  return `${name}${author} • ${levels.length} ${levels.length === 1 ? "level" : "levels"}`;
+}
+
+/**
+ * Shows why the chosen level seed can't be used.
+ * @param {string} message - Error message
+ */
+export function showSeedError(message) {
+  if (elements.overlayMsg) elements.overlayMsg.textContent = `Invalid seed: ${message}`;
+}
+
+/**
+ * Shows why a level pack could not be loaded.
+ * @param {string} message - Error message
+ */
+export function showLevelPackError(message) {
+  if (elements.overlayMsg) elements.overlayMsg.textContent = `Could not load level pack: ${message}`;
 }
 
 // ========================================
@@ -119,10 +326,41 @@ export function updatePBDisplay() {
  */
 export function updateLevelDisplay(currentLevel, totalLevels, difficultyLabel) {
   if (elements.levelDiv) {
-    elements.levelDiv.textContent = `Level ${currentLevel}/${totalLevels} • ${difficultyLabel}`;
+    const levelText = Number.isFinite(totalLevels) ? `${currentLevel}/${totalLevels}` : `${currentLevel} • Endless`;
+    elements.levelDiv.textContent = `Level ${levelText} • ${difficultyLabel}`;
   }
 }
 
+/**
+ * Updates the collectible counter display.
+ * Hidden when the level set has no collectibles.
+ * @param {Object} counts - Collection counts
+ * @param {number} counts.collected - Collectibles picked up this run
+ * @param {number} counts.total - Collectibles in the level set
+ * @param {number} counts.levelCollected - Collectibles picked up in the current level this run
+ * @param {number} counts.levelTotal - Collectibles in the current level
+ * @param {number|null} counts.levelBest - Best count for the current level (null if bests aren't kept)
+ */
+export function updateCollectibleCounter({ collected, total, levelCollected, levelTotal, levelBest }) {
+  if (!elements.collectiblesDiv) return;
+
+  if (total === 0) {
+    elements.collectiblesDiv.textContent = "";
+    return;
+  }
+
+  const best = levelBest !== null ? ` • best ${levelBest}` : "";
+  elements.collectiblesDiv.textContent = `★ ${collected}/${total} (level ${levelCollected}/${levelTotal}${best})`;
+}
+
+/**
+ * Shows a practice run hint or save state message in the HUD.
+ * @param {string} message - Text to show (empty to hide)
+ */
+export function showPracticeStatus(message) {
+  if (elements.practiceStatus) elements.practiceStatus.textContent = message;
+}
+
 /**
  * Updates the height counter display.
  * @param {number} playerY - Player's Y position
@@ -153,14 +391,80 @@ export function updateTimer(currentTime, gameStartTime, totalPausedTime) {
 }
 
 /**
- * Updates the opponent height display in multiplayer.
- * @param {number} opponentY - Opponent's Y position
+ * Shows the run's finished level splits in the HUD (the last few of them).
+ * @param {Array<Object>} rows - Splits { level, time, delta, isBestSegment }; delta is
+ *   the difference to the PB run's split in ms (null without one)
  */
-export function updateOpponentHeight(opponentY) {
-  if (elements.opponentHeightSpan) {
-    const displayOpponentY = opponentY > 0 ? opponentY : 0;
-    elements.opponentHeightSpan.textContent = displayOpponentY.toFixed(2);
+export function showSplits(rows) {
+  if (!elements.splitRows) return;
+
+  elements.splitRows.replaceChildren(...rows.slice(-MAX_SPLIT_ROWS).map(({ level, time, delta, isBestSegment }) => {
+    const row = document.createElement("div");
+    row.textContent = `L${level} ${formatTime(time)}`;
+    if (delta !== null) {
+      const deltaSpan = document.createElement("span");
+      deltaSpan.textContent = ` ${formatDelta(delta)}`;
+      deltaSpan.style.color = isBestSegment ? SPLIT_BEST_SEGMENT_COLOR : getDeltaColor(delta);
+      row.appendChild(deltaSpan);
+    }
+    return row;
+  }));
+}
+
+/**
+ * Shows the live delta to the PB run for the level being climbed.
+ * @param {number|null} level - Level being climbed (null hides the delta)
+ * @param {number|null} delta - Run time minus the PB run's split for that level in ms
+ */
+export function updateLiveSplit(level, delta) {
+  if (!elements.splitLive) return;
+
+  if (level === null || delta === null) {
+    elements.splitLive.textContent = "";
+    return;
   }
+  elements.splitLive.textContent = `L${level} ${formatDelta(delta)}`;
+  elements.splitLive.style.color = getDeltaColor(delta);
+}
+
+/**
+ * Formats a split delta as signed seconds.
+ * @private
+ * @param {number} delta - Delta in ms
+ * @returns {string} Delta like "+1.25" or "-0.40"
+ */
+function formatDelta(delta) {
+  return `${delta < 0 ? "-" : "+"}${(Math.abs(delta) / 1000).toFixed(2)}`;
+}
+
+/**
+ * Gets the color of a split delta.
+ * @private
+ * @param {number} delta - Delta in ms
+ * @returns {string} CSS color (green when ahead, red when behind)
+ */
+function getDeltaColor(delta) {
+  return delta < 0 ? SPLIT_AHEAD_COLOR : SPLIT_BEHIND_COLOR;
+}
+
+/**
+ * Updates the opponent height display in multiplayer.
+ * Shows one line per opponent, highest first.
+ * @param {Array<{playerNumber: number, height: number}>} opponents - Opponent heights
+ */
+export function updateOpponentHeights(opponents) {
+  if (!elements.opponentList) return;
+
+  const lines = opponents
+    .slice()
+    .sort((a, b) => b.height - a.height)
+    .map(({ playerNumber, height }) => {
+      const displayHeight = height > 0 ? height : 0;
+      return `P${playerNumber}: ${displayHeight.toFixed(2)}m`;
+    });
+
+  elements.opponentList.textContent = lines.join('\n');
+  elements.opponentList.style.whiteSpace = 'pre';
 }
 
 // ========================================
@@ -170,8 +474,9 @@ export function updateOpponentHeight(opponentY) {
 /**
  * Shows the pause menu overlay.
  * Records pause time for accurate timer calculation.
+ * @param {number|null} seed - Level seed of the current tower (for the personal best table)
  */
-export function showPauseMenu() {
+export function showPauseMenu(seed) {
   gameState.pausedTime = performance.now();
   gameState.isPauseMenuOpen = true;
   gameState.isPaused = true;
@@ -185,20 +490,22 @@ export function showPauseMenu() {
   if (elements.modelSection) elements.modelSection.style.display = "none";
   if (elements.pbTableSection) elements.pbTableSection.style.display = "block";
 
-  updatePBDisplay();
+  updatePBDisplay(seed);
   showOverlay();
 }
 
 /**
  * Shows the win overlay with completion time and potential new record.
- * Saves personal best if applicable.
+ * @param {number|null} [completionTime=null] - Run time in milliseconds
+ * @param {boolean} [isNewRecord=false] - Whether the run set a new personal best
+ * @param {boolean} [isPractice=false] - Whether it was a practice run (never a record)
  */
-export function showWinOverlay() {
-  if (gameState.gameStartTime > 0) {
-    const completionTime = performance.now() - gameState.gameStartTime - gameState.totalPausedTime;
-    const isNewRecord = checkAndSavePersonalBest(completionTime, gameState.selectedDifficultyLabel);
-
-    if (isNewRecord) {
+export function showWinOverlay(completionTime = null, isNewRecord = false, isPractice = false) {
+  if (completionTime !== null) {
+    if (isPractice) {
+      if (elements.overlayTitle) elements.overlayTitle.textContent = "Practice Complete!";
+      if (elements.overlayText) elements.overlayText.textContent = `You reached the top of ${gameState.selectedDifficultyLabel} difficulty in ${formatTime(completionTime)} using checkpoints. Practice runs don't set personal bests - switch to Hardcore when you're ready.`;
+    } else if (isNewRecord) {
       if (elements.overlayTitle) elements.overlayTitle.textContent = "New Personal Best!";
       if (elements.overlayText) elements.overlayText.textContent = `Congratulations! You completed ${gameState.selectedDifficultyLabel} difficulty in ${formatTime(completionTime)}. Want to try again or attempt a different difficulty?`;
     } else {
@@ -220,6 +527,65 @@ export function showWinOverlay() {
   showOverlay();
 }
 
+/**
+ * Shows the overlay for the end of an endless run, with the leaderboard.
+ * @param {number} height - Greatest height reached (HUD meters)
+ * @param {number} level - Highest level reached
+ * @param {number} runTime - Run time in milliseconds
+ * @param {number|null} rank - Place on the leaderboard, or null if it didn't make it
+ */
+export function showEndlessRunOverlay(height, level, runTime, rank) {
+  const placeText = rank !== null ? ` That's #${rank} on your leaderboard.` : "";
+  if (elements.overlayTitle) elements.overlayTitle.textContent = rank === 1 ? "New Height Record!" : "Run Over";
+  if (elements.overlayText) elements.overlayText.textContent = `You climbed ${height.toFixed(2)} m to level ${level} in ${formatTime(runTime)}.${placeText}`;
+  if (elements.overlayMsg) elements.overlayMsg.textContent = "Press Space or Click Restart";
+  if (elements.startBtn) elements.startBtn.textContent = "Restart";
+  if (elements.restartGameBtn) elements.restartGameBtn.style.display = "none";
+  if (elements.difficultySection) elements.difficultySection.style.display = "block";
+  if (elements.modelSection) elements.modelSection.style.display = "block";
+  if (elements.pbTableSection) elements.pbTableSection.style.display = "none";
+
+  updateEndlessOption(true);
+  showOverlay();
+}
+
+/**
+ * Shows the overlay after a replay has finished playing.
+ * @param {number|null} completionTime - Run time if the replay reached the top
+ */
+export function showReplayFinishedOverlay(completionTime) {
+  if (elements.overlayTitle) elements.overlayTitle.textContent = "Replay Finished";
+  if (elements.overlayText) {
+    elements.overlayText.textContent = completionTime !== null
+      ? `The replayed run reached the top in ${formatTime(completionTime)}.`
+      : "The replayed run ended before reaching the top.";
+  }
+  if (elements.overlayMsg) elements.overlayMsg.textContent = "Press Space or Click Start";
+  if (elements.startBtn) elements.startBtn.textContent = "Start";
+  if (elements.restartGameBtn) elements.restartGameBtn.style.display = "none";
+  if (elements.difficultySection) elements.difficultySection.style.display = "block";
+  if (elements.modelSection) elements.modelSection.style.display = "block";
+  if (elements.pbTableSection) elements.pbTableSection.style.display = "none";
+
+  showOverlay();
+}
+
+/**
+ * Shows why a replay file could not be loaded.
+ * @param {string} message - Error message
+ */
+export function showReplayError(message) {
+  if (elements.overlayMsg) elements.overlayMsg.textContent = `Could not load replay: ${message}`;
+}
+
+/**
+ * Enables or disables the replay export button.
+ * @param {boolean} canExport - Whether there is a replay to export
+ */
+export function updateReplayButtons(canExport) {
+  if (elements.exportReplayBtn) elements.exportReplayBtn.disabled = !canExport;
+}
+
 /**
  * Shows the initial start overlay with game introduction.
  */
@@ -236,6 +602,116 @@ export function showStartOverlay() {
   showOverlay();
 }
 
+// ========================================
+// CONTROLS MODAL
+// ========================================
+
+/**
+ * Shows the key bindings in the controls modal, one row per action.
+ * Every key is a button (data-action, data-index) that rebinds it; actions
+ * with room for another key get a "+" button as well.
+ * @param {Object.<string, string[]>} bindings - Key codes bound to each action
+ * @param {{action: string, index: number}|null} pending - Binding waiting for a key press
+ */
+export function updateControlBindings(bindings, pending) {
+  if (!elements.controlBindings) return;
+
+  elements.controlBindings.replaceChildren();
+  for (const action of ACTIONS) {
+    const row = document.createElement("tr");
+    const label = document.createElement("td");
+    label.style.cssText = "padding: 8px; text-align: left;";
+    label.textContent = ACTION_LABELS[action];
+
+    const keysCell = document.createElement("td");
+    keysCell.style.cssText = "padding: 8px; text-align: right;";
+    const codes = bindings[action];
+    const slots = codes.length < MAX_KEYS_PER_ACTION ? codes.length + 1 : codes.length;
+    for (let index = 0; index < slots; index++) {
+      const isPending = pending?.action === action && pending.index === index;
+      const button = document.createElement("button");
+      button.dataset.action = action;
+      button.dataset.index = String(index);
+      button.style.cssText =
+        "margin-left: 4px; padding: 2px 6px; border-radius: 3px; border: 1px solid #666; " +
+        `font-family: inherit; cursor: pointer; color: #fff; background: ${isPending ? "#4fc3f7" : "#444"};`;
+      if (isPending) {
+        button.textContent = "Press a key…";
+      } else {
+        button.textContent = index < codes.length ? formatKeyCode(codes[index]) : "+";
+      }
+      keysCell.appendChild(button);
+    }
+
+    row.append(label, keysCell);
+    elements.controlBindings.appendChild(row);
+  }
+}
+
+// ========================================
+// LEVEL EDITOR
+// ========================================
+
+/**
+ * Formats a hex color for a color input.
+ * @private
+ * @param {number} hexColor - Color as hex value
+ * @returns {string} Color as '#rrggbb'
+ */
+function toColorInputValue(hexColor) {
+  return `#${hexColor.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Shows the level editor panel.
+ */
+export function showEditorPanel() {
+  if (elements.editorPanel) elements.editorPanel.style.display = "block";
+}
+
+/**
+ * Hides the level editor panel.
+ */
+export function hideEditorPanel() {
+  if (elements.editorPanel) elements.editorPanel.style.display = "none";
+}
+
+/**
+ * Updates the level editor panel for the level being edited.
+ * @param {Object} info - Editor state to show
+ * @param {number} info.levelNumber - Level being edited (1-indexed)
+ * @param {number} info.totalLevels - Number of levels in the set
+ * @param {number} info.color - Platform color of the level
+ * @param {number} info.backgroundColor - Background color of the level
+ * @param {boolean} info.hasSelection - Whether a piece is selected
+ * @param {Object|null} [info.path=null] - Path { range, speed } of the selected moving platform
+ * @param {Object|null} [info.blink=null] - Cycle { onTime, offTime, offset } of the selected blinking platform
+ */
+export function updateEditorPanel({ levelNumber, totalLevels, color, backgroundColor, hasSelection, path = null, blink = null }) {
+  if (elements.editorLevelLabel) elements.editorLevelLabel.textContent = `Level ${levelNumber}/${totalLevels}`;
+  if (elements.editorPrevLevelBtn) elements.editorPrevLevelBtn.disabled = levelNumber <= 1;
+  if (elements.editorNextLevelBtn) elements.editorNextLevelBtn.disabled = levelNumber >= totalLevels;
+  if (elements.editorRemoveLevelBtn) elements.editorRemoveLevelBtn.disabled = totalLevels <= 1;
+  if (elements.editorColor) elements.editorColor.value = toColorInputValue(color);
+  if (elements.editorBackgroundColor) elements.editorBackgroundColor.value = toColorInputValue(backgroundColor);
+  if (elements.editorDeleteBtn) elements.editorDeleteBtn.disabled = !hasSelection;
+  if (elements.editorPathSettings) elements.editorPathSettings.style.display = path ? "block" : "none";
+  if (path && elements.editorPathRange) elements.editorPathRange.value = path.range;
+  if (path && elements.editorPathSpeed) elements.editorPathSpeed.value = path.speed;
+  if (elements.editorBlinkSettings) elements.editorBlinkSettings.style.display = blink ? "block" : "none";
+  if (blink && elements.editorBlinkOn) elements.editorBlinkOn.value = blink.onTime;
+  if (blink && elements.editorBlinkOff) elements.editorBlinkOff.value = blink.offTime;
+  if (blink && elements.editorBlinkOffset) elements.editorBlinkOffset.value = blink.offset;
+}
+
+/**
+ * Shows a message (hints, play-test results) in the level editor panel.
+ * @param {string} message - Message to show
+ */
+export function showEditorStatus(message) {
+  if (elements.editorStatus) elements.editorStatus.textContent = message;
+}
+
 // ========================================
 // MULTIPLAYER UI
 // ========================================
@@ -251,9 +727,44 @@ export function showConnectionOverlay(message) {
 
 /**
  * Hides the connection overlay.
+ * Also resets the private room section so matchmaking shows only the status.
  */
 export function hideConnectionOverlay() {
   if (elements.connectionOverlay) elements.connectionOverlay.style.display = 'none';
+  hidePrivateRoomSection();
+}
+
+/**
+ * Shows the private room menu (create a room or enter a join code).
+ * @param {string} message - Status message to display above the controls
+ */
+export function showPrivateRoomMenu(message) {
+  showConnectionOverlay(message);
+  if (elements.connectionSpinner) elements.connectionSpinner.style.display = 'none';
+  if (elements.privateRoomSection) elements.privateRoomSection.style.display = 'block';
+  if (elements.privateRoomControls) elements.privateRoomControls.style.display = 'block';
+  if (elements.roomCodeDisplay) elements.roomCodeDisplay.style.display = 'none';
+  if (elements.roomCodeInput) elements.roomCodeInput.focus();
+}
+
+/**
+ * Shows the join code of the private room the player is hosting.
+ * @param {string} code - The room's join code
+ */
+export function showRoomCode(code) {
+  if (elements.connectionSpinner) elements.connectionSpinner.style.display = 'block';
+  if (elements.privateRoomSection) elements.privateRoomSection.style.display = 'block';
+  if (elements.privateRoomControls) elements.privateRoomControls.style.display = 'none';
+  if (elements.roomCodeSpan) elements.roomCodeSpan.textContent = code;
+  if (elements.roomCodeDisplay) elements.roomCodeDisplay.style.display = 'block';
+}
+
+/**
+ * Hides the private room section and restores the connection spinner.
+ */
+export function hidePrivateRoomSection() {
+  if (elements.privateRoomSection) elements.privateRoomSection.style.display = 'none';
+  if (elements.connectionSpinner) elements.connectionSpinner.style.display = 'block';
 }
 
 /**
@@ -289,29 +800,84 @@ export function hideOpponentHud() {
 }
 
 /**
- * Shows the race result overlay (win/lose).
+ * Shows the race result overlay (win/lose) with the final standings.
  * @param {boolean} isWinner - Whether the local player won
- * @param {string} reason - Reason for game end ('reached_top', 'opponent_disconnected')
+ * @param {string} reason - Reason for game end ('reached_top', 'opponent_disconnected', 'cheatSuspected', 'time_up')
+ * @param {Array<Object>} [standings] - Final standings from the server
+ * @param {string|null} [localId] - The local player's socket ID (highlighted in the table)
  */
-export function showRaceResult(isWinner, reason) {
+export function showRaceResult(isWinner, reason, standings = [], localId = null) {
+  const localEntry = standings.find(entry => entry.id === localId);
+
   if (elements.raceResultTitle) {
     elements.raceResultTitle.textContent = isWinner ? '🎉 You Win!' : '😔 You Lose';
     elements.raceResultTitle.style.color = isWinner ? '#00ff88' : '#ff6666';
   }
   if (elements.raceResultMessage) {
-    if (reason === 'opponent_disconnected') {
-      elements.raceResultMessage.textContent = 'Your opponent disconnected.';
+    if (localEntry?.disqualified) {
+      elements.raceResultMessage.textContent = 'Your finish could not be verified by the server.';
+    } else if (reason === 'opponent_disconnected') {
+      elements.raceResultMessage.textContent = 'Your opponents disconnected.';
     } else if (reason === 'reached_top') {
       elements.raceResultMessage.textContent = isWinner
         ? 'You reached the top first!'
-        : 'Your opponent reached the top first.';
+        : localEntry ? `You placed #${localEntry.place}.` : 'Another racer reached the top first.';
+    } else if (reason === 'cheatSuspected') {
+      elements.raceResultMessage.textContent = "A racer's finish could not be verified.";
+    } else if (reason === 'time_up') {
+      elements.raceResultMessage.textContent = localEntry
+        ? `Time's up! You placed #${localEntry.place}.`
+        : "Time's up!";
     } else {
       elements.raceResultMessage.textContent = '';
     }
   }
+
+  updateStandingsTable(standings, localId);
+
   if (elements.raceResultOverlay) elements.raceResultOverlay.style.display = 'flex';
 }
 
+/**
+ * Fills the standings table in the race result overlay.
+ * @private
+ * @param {Array<Object>} standings - Final standings from the server
+ * @param {string|null} localId - The local player's socket ID
+ */
+function updateStandingsTable(standings, localId) {
+  if (!elements.raceStandings || !elements.raceStandingsBody) return;
+
+  elements.raceStandingsBody.replaceChildren();
+
+  for (const entry of standings) {
+    const row = document.createElement('tr');
+    if (entry.id === localId) row.style.color = '#00ff88';
+
+    let result;
+    if (entry.disqualified) {
+      result = 'DQ';
+    } else if (entry.finished) {
+      result = formatTime(entry.finishTime);
+    } else {
+      result = `${Math.max(0, entry.height + 6.9).toFixed(2)} m`;
+    }
+
+    const name = entry.id === localId ? `P${entry.playerNumber} (you)` : `P${entry.playerNumber}`;
+
+    for (const text of [`#${entry.place}`, name, result]) {
+      const cell = document.createElement('td');
+      cell.style.border = '1px solid #666';
+      cell.style.padding = '6px 12px';
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+
+    elements.raceStandingsBody.appendChild(row);
+  }
+
+  elements.raceStandings.style.display = standings.length > 0 ? 'table' : 'none';
+}
+
 /**
  * Hides the race result overlay.
  */
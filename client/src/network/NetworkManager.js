@@ -17,12 +17,17 @@
  * - playerPosition: Remote player position update
  * - countdown: Race countdown tick (3, 2, 1)
  * - raceStart: Race has begun
- * - gameOver: Race ended (win/disconnect)
+ * - lobbyTimer: Room has enough racers, race starts after a short wait
+ * - playerFinished: A racer reached the top (with their place)
+ * - playerDisqualified: A racer's finish failed server validation
+ * - gameOver: Race ended, with final standings
  * - knockback: This player was hit
  * - playerHit: Any player was hit (for effects)
  *
  * ## Client Events (Outgoing):
  * - findMatch: Request to join matchmaking
+ * - createPrivateRoom: Create a code-protected room
+ * - joinByCode: Join a private room by its code
  * - cancelMatch: Cancel matchmaking
  * - playerPosition: Send local position update
  * - playerAttack: Send attack action
@@ -55,12 +60,15 @@ class NetworkManager {
     /** @type {string|null} This player's socket ID */
     this.playerId = null;
 
-    /** @type {number|null} This player's number (1 or 2) */
+    /** @type {number|null} This player's number (1 to room capacity) */
     this.playerNumber = null;
 
     /** @type {string|null} Current room ID */
     this.roomId = null;
 
+    /** @type {string|null} Join code of the current room (private rooms only) */
+    this.roomCode = null;
+
     /** @type {number|null} Starting X position for this player */
     this.startX = null;
 
@@ -81,9 +89,18 @@ class NetworkManager {
     /** @type {Function|null} Called when race starts (countdown finished) */
     this.onRaceStart = null;
 
-    /** @type {Function|null} Called when game ends (win/disconnect) */
+    /** @type {Function|null} Called when game ends, with the final standings */
     this.onGameOver = null;
 
+    /** @type {Function|null} Called when a non-full room starts its lobby wait */
+    this.onLobbyTimer = null;
+
+    /** @type {Function|null} Called when any player reaches the top (with their place) */
+    this.onPlayerFinished = null;
+
+    /** @type {Function|null} Called when a player's finish is rejected by the server */
+    this.onPlayerDisqualified = null;
+
     /** @type {Function|null} Called on connection error */
     this.onError = null;
 
@@ -164,6 +181,21 @@ class NetworkManager {
         if (this.onGameOver) this.onGameOver(data);
       });
 
+      this.socket.on("lobbyTimer", (data) => {
+        console.log(`[Network] Lobby wait: race starts in ${data.startsIn}ms`);
+        if (this.onLobbyTimer) this.onLobbyTimer(data);
+      });
+
+      this.socket.on("playerFinished", (data) => {
+        console.log("[Network] Player finished:", data);
+        if (this.onPlayerFinished) this.onPlayerFinished(data);
+      });
+
+      this.socket.on("playerDisqualified", (data) => {
+        console.log("[Network] Player disqualified:", data);
+        if (this.onPlayerDisqualified) this.onPlayerDisqualified(data);
+      });
+
       this.socket.on("knockback", (data) => {
         console.log("[Network] Received knockback:", data);
         if (this.onKnockback) this.onKnockback(data);
@@ -192,15 +224,46 @@ class NetworkManager {
    * @param {string} skinId - The player's selected skin/model ID
    */
   joinGame(skinId = "player") {
+    console.log(`[Network] Requesting to join game with skin: ${skinId}...`);
+    return this.requestRoom("joinGame", { skinId });
+  }
+
+  /**
+   * Create a private room that is hidden from matchmaking
+   * The resolved response contains the room's shareable join code
+   * @param {string} skinId - The player's selected skin/model ID
+   * @param {number} maxPlayers - Room capacity (2-8)
+   */
+  createPrivateRoom(skinId = "player", maxPlayers = 2) {
+    console.log(`[Network] Creating private room for ${maxPlayers} racers...`);
+    return this.requestRoom("createPrivateRoom", { skinId, maxPlayers });
+  }
+
+  /**
+   * Join a private room using its join code
+   * @param {string} code - The room code shared by the host
+   * @param {string} skinId - The player's selected skin/model ID
+   */
+  joinByCode(code, skinId = "player") {
+    console.log(`[Network] Joining private room ${code}...`);
+    return this.requestRoom("joinByCode", { code, skinId });
+  }
+
+  /**
+   * Emit a room request and store the assignment from the server's response
+   * @private
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event payload
+   * @returns {Promise<Object>} Resolves with the join result, rejects with the server's error
+   */
+  requestRoom(event, payload) {
     return new Promise((resolve, reject) => {
       if (!this.socket) {
         reject(new Error("Not connected to server"));
         return;
       }
 
-      console.log(`[Network] Requesting to join game with skin: ${skinId}...`);
-
-      this.socket.emit("joinGame", { skinId }, (response) => {
+      this.socket.emit(event, payload, (response) => {
         if (response.error) {
           console.error("[Network] Failed to join:", response.error);
           reject(new Error(response.error));
@@ -210,6 +273,7 @@ class NetworkManager {
         this.playerId = response.playerId;
         this.playerNumber = response.playerNumber;
         this.roomId = response.roomId;
+        this.roomCode = response.code || null;
         this.startX = response.startX;
 
         console.log(
@@ -274,6 +338,7 @@ class NetworkManager {
     this.playerId = null;
     this.playerNumber = null;
     this.roomId = null;
+    this.roomCode = null;
     this.startX = null;
   }
 
@@ -290,6 +355,7 @@ class NetworkManager {
     this.playerId = null;
     this.playerNumber = null;
     this.roomId = null;
+    this.roomCode = null;
     this.startX = null;
   }
 
@@ -8,18 +8,36 @@
  *
  * ## State Categories:
  * - Core game state (paused, won, etc.)
+ * - Run mode, starting level and checkpoint reached
  * - Physics state (velocity, grounded, etc.)
  * - Attack state (attacking, direction, cooldown)
  * - Level tracking
+ * - Collectibles picked up this run
+ * - Level splits of this run
  * - Timer tracking
  *
  * ## Personal Bests:
- * - Stored per difficulty level
+ * - Stored per tower (difficulty and seed), keyed by getTowerKey; bumping a
+ *   difficulty profile's version leaves older bests behind
  * - Persisted to localStorage
  * - Formatted as MM:SS.MS
+ *
+ * ## Collectible Bests:
+ * - Most collectibles picked up per level, stored per tower (difficulty and seed)
+ * - Persisted to localStorage next to the personal bests
+ *
+ * ## Split Bests:
+ * - Level splits of the fastest complete run and the best time for each level,
+ *   stored per tower (difficulty and seed)
+ * - Persisted to localStorage next to the personal bests
+ *
+ * ## Endless Leaderboard:
+ * - Highest endless runs on any tower and difficulty
+ * - Persisted to localStorage next to the personal bests
  */
 
 import { defaultJumpStrength } from '../config/constants.js';
+import { DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY, getDifficultyProfile } from '../../../shared/difficultyProfiles.js';
 
 // ========================================
 // GAME STATE
@@ -41,6 +59,14 @@ export const gameState = {
   /** @type {boolean} Whether the player has won the game */
   hasWon: false,
 
+  // ---- Run Mode ----
+  /** @type {string} 'hardcore' (dying restarts the run), 'practice' (dying returns to the last checkpoint; never sets bests) or 'endless' (infinite tower; dying ends the run) */
+  runMode: 'hardcore',
+  /** @type {number} Level the run started in (practice runs may start above level 1) */
+  startLevel: 1,
+  /** @type {number} Highest level whose checkpoint was reached this run (1 = the start) */
+  checkpointLevel: 1,
+
   // ---- Physics State ----
   /** @type {number} Current vertical velocity */
   velocityY: 0,
@@ -62,6 +88,10 @@ export const gameState = {
   canWallJump: false,
   /** @type {string|null} Which side of wall player is on ('left' or 'right') */
   wallSide: null,
+  /** @type {number} Seconds left until the player respawns after dying (0 when alive) */
+  respawnTimer: 0,
+  /** @type {number} Physics ticks simulated since the run started (moving and timed platforms follow it) */
+  runTicks: 0,
 
   // ---- Attack State ----
   /** @type {boolean} Whether player is currently attacking */
@@ -75,7 +105,9 @@ export const gameState = {
   /** @type {number} Direction player is facing (1 right, -1 left) */
   facingDirection: 1,
 
-  // ---- Jump Settings ----
+  // ---- Difficulty ----
+  /** @type {string} Id of the selected difficulty profile (physics rules, tower layout and bests) */
+  difficulty: DEFAULT_DIFFICULTY,
   /** @type {number} Current jump strength (varies by difficulty) */
   jumpStrength: defaultJumpStrength,
   /** @type {string} Display label for selected difficulty */
@@ -87,6 +119,14 @@ export const gameState = {
   /** @type {Set<number>} Set of level numbers that have been loaded */
   loadedLevels: new Set(),
 
+  // ---- Collectibles ----
+  /** @type {Set<string>} Collectibles picked up this run, as "<level>:<index>" keys */
+  collectedItems: new Set(),
+
+  // ---- Splits ----
+  /** @type {Array<number>} Run time (ms) each level was finished at this run; index 0 is level 1 */
+  splits: [],
+
   // ---- Timer Tracking ----
   /** @type {number} Timestamp when game started */
   gameStartTime: 0,
@@ -102,31 +142,52 @@ export const gameState = {
   isShowingSpikeHit: false,
 };
 
+// ========================================
+// TOWER KEYS
+// ========================================
+
+/**
+ * Gets the key a tower's bests and ghost are stored under.
+ * The key includes the difficulty profile's version, so bests set before
+ * its physics or generation changed are never compared against.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @returns {string} "<difficulty>@<version>:<seed>" key
+ */
+export function getTowerKey(difficulty, seed) {
+  const profile = getDifficultyProfile(difficulty);
+  return `${profile.id}@${profile.version}:${seed}`;
+}
+
 // ========================================
 // PERSONAL BEST TRACKING
 // ========================================
 
 /**
- * Personal best times for each difficulty level.
- * Times are stored in milliseconds.
- * @type {Object}
+ * Personal best times per tower, keyed by getTowerKey like
+ * collectibleBests. Times are stored in milliseconds.
+ * @type {Object.<string, number>}
  */
-export const personalBests = {
-  easy: null,
-  medium: null,
-  hard: null
-};
+export const personalBests = {};
 
 /**
  * Loads personal bests from localStorage.
+ * Older saves kept one time per difficulty profile, set on a tower that is
+ * no longer generated the same way; those are kept under "legacy:<difficulty>"
+ * and never compared against.
  * Called on game initialization.
  */
 export function loadPersonalBests() {
   const saved = localStorage.getItem('blocky-personal-bests');
   if (saved) {
     try {
-      const parsed = JSON.parse(saved);
-      Object.assign(personalBests, parsed);
+      for (const [key, time] of Object.entries(JSON.parse(saved))) {
+        if (!time) continue;
+        const towerKey = key in DIFFICULTY_PROFILES ? `legacy:${key}` : key;
+        if (!personalBests[towerKey] || time < personalBests[towerKey]) {
+          personalBests[towerKey] = time;
+        }
+      }
     } catch {
       console.warn('Failed to load personal bests from localStorage');
     }
@@ -158,24 +219,268 @@ export function formatTime(timeMs) {
   return `${minutes.toString().padStart(2, '0')}:${displaySeconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Gets the personal best time on a tower.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @returns {number|null} Time in milliseconds, or null if never finished
+ */
+export function getPersonalBest(difficulty, seed) {
+  return personalBests[getTowerKey(difficulty, seed)] ?? null;
+}
+
 /**
  * Checks if a completion time is a new personal best and saves it.
  * @param {number} completionTime - Time in milliseconds
  * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
  * @returns {boolean} True if this is a new record, false otherwise
  */
-export function checkAndSavePersonalBest(completionTime, difficulty) {
-  const difficultyKey = difficulty.toLowerCase();
-  const currentBest = personalBests[difficultyKey];
+export function checkAndSavePersonalBest(completionTime, difficulty, seed) {
+  const towerKey = getTowerKey(difficulty, seed);
+  const currentBest = personalBests[towerKey];
 
   if (!currentBest || completionTime < currentBest) {
-    personalBests[difficultyKey] = completionTime;
+    personalBests[towerKey] = completionTime;
     savePersonalBests();
     return true; // New record!
   }
   return false; // No new record
 }
 
+// ========================================
+// COLLECTIBLE BEST TRACKING
+// ========================================
+
+/**
+ * Most collectibles picked up in a single run, per level.
+ * Keyed by getTowerKey (each difficulty gets its own version of a
+ * tower), then by level number.
+ * @type {Object.<string, Object.<number, number>>}
+ */
+export const collectibleBests = {};
+
+/**
+ * Loads collectible bests from localStorage.
+ * Called on game initialization.
+ */
+export function loadCollectibleBests() {
+  const saved = localStorage.getItem('blocky-collectible-bests');
+  if (saved) {
+    try {
+      Object.assign(collectibleBests, JSON.parse(saved));
+    } catch {
+      console.warn('Failed to load collectible bests from localStorage');
+    }
+  }
+}
+
+/**
+ * Saves collectible bests to localStorage.
+ * Called when a level's best collection count goes up.
+ */
+export function saveCollectibleBests() {
+  localStorage.setItem('blocky-collectible-bests', JSON.stringify(collectibleBests));
+}
+
+/**
+ * Gets the most collectibles picked up in a level of a tower.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @returns {number} Best count (0 if never played)
+ */
+export function getCollectibleBest(difficulty, seed, levelNumber) {
+  return collectibleBests[getTowerKey(difficulty, seed)]?.[levelNumber] ?? 0;
+}
+
+/**
+ * Checks if a level's collection count this run is a new best and saves it.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @param {number} count - Collectibles picked up in the level this run
+ * @returns {boolean} True if this is a new best
+ */
+export function checkAndSaveCollectibleBest(difficulty, seed, levelNumber, count) {
+  if (count <= getCollectibleBest(difficulty, seed, levelNumber)) return false;
+
+  const towerKey = getTowerKey(difficulty, seed);
+  collectibleBests[towerKey] = { ...collectibleBests[towerKey], [levelNumber]: count };
+  saveCollectibleBests();
+  return true;
+}
+
+/**
+ * Counts the collectibles picked up in a level this run.
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @returns {number} Collected count
+ */
+export function getCollectedCount(levelNumber) {
+  let count = 0;
+  for (const key of gameState.collectedItems) {
+    if (key.startsWith(`${levelNumber}:`)) count++;
+  }
+  return count;
+}
+
+// ========================================
+// SPLIT BEST TRACKING
+// ========================================
+
+/**
+ * Best splits per tower, keyed by getTowerKey like collectibleBests.
+ * - pbSplits: splits of the fastest complete run (ms, index 0 is level 1)
+ * - bestSegments: fastest time spent in each level over all runs (ms)
+ * @type {Object.<string, {pbSplits: Array<number>, bestSegments: Array<number>}>}
+ */
+export const splitBests = {};
+
+/**
+ * Loads split bests from localStorage.
+ * Called on game initialization.
+ */
+export function loadSplitBests() {
+  const saved = localStorage.getItem('blocky-split-bests');
+  if (saved) {
+    try {
+      Object.assign(splitBests, JSON.parse(saved));
+    } catch {
+      console.warn('Failed to load split bests from localStorage');
+    }
+  }
+}
+
+/**
+ * Saves split bests to localStorage.
+ * Called when a split or segment best improves.
+ */
+export function saveSplitBests() {
+  localStorage.setItem('blocky-split-bests', JSON.stringify(splitBests));
+}
+
+/**
+ * Gets the best splits of a tower.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @returns {{pbSplits: Array<number>, bestSegments: Array<number>}} Best splits (empty arrays if never played)
+ */
+export function getSplitBests(difficulty, seed) {
+  return splitBests[getTowerKey(difficulty, seed)] ?? { pbSplits: [], bestSegments: [] };
+}
+
+/**
+ * Checks if a level's segment this run is a new best and saves it.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @param {number} levelNumber - Level number (1-indexed)
+ * @param {number} segmentTime - Time spent in the level this run (ms)
+ * @returns {boolean} True if this is a new best segment
+ */
+export function checkAndSaveBestSegment(difficulty, seed, levelNumber, segmentTime) {
+  const bests = getSplitBests(difficulty, seed);
+  const currentBest = bests.bestSegments[levelNumber - 1];
+  if (currentBest && segmentTime >= currentBest) return false;
+
+  const bestSegments = [...bests.bestSegments];
+  bestSegments[levelNumber - 1] = segmentTime;
+  splitBests[getTowerKey(difficulty, seed)] = { ...bests, bestSegments };
+  saveSplitBests();
+  return true;
+}
+
+/**
+ * Checks if a complete run is the fastest on its tower and keeps its splits.
+ * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+ * @param {number} seed - Level seed of the tower
+ * @param {Array<number>} splits - Splits of the complete run (ms)
+ * @returns {boolean} True if these are the new PB splits
+ */
+export function checkAndSavePBSplits(difficulty, seed, splits) {
+  const bests = getSplitBests(difficulty, seed);
+  const currentFinal = bests.pbSplits[bests.pbSplits.length - 1];
+  if (currentFinal && splits[splits.length - 1] >= currentFinal) return false;
+
+  splitBests[getTowerKey(difficulty, seed)] = { ...bests, pbSplits: [...splits] };
+  saveSplitBests();
+  return true;
+}
+
+// ========================================
+// ENDLESS LEADERBOARD
+// ========================================
+
+/** @constant {number} Runs kept on the endless leaderboard */
+const ENDLESS_LEADERBOARD_SIZE = 10;
+
+/**
+ * Highest endless runs, highest first.
+ * Each entry: { height, level, time, difficulty, seed, date }, with the
+ * height in the HUD's meters, the time in ms and the date as an ISO string.
+ * @type {Array<Object>}
+ */
+export const endlessLeaderboard = [];
+
+/**
+ * Loads the endless leaderboard from localStorage.
+ * Called on game initialization.
+ */
+export function loadEndlessLeaderboard() {
+  const saved = localStorage.getItem('blocky-endless-leaderboard');
+  if (saved) {
+    try {
+      endlessLeaderboard.push(...JSON.parse(saved));
+    } catch {
+      console.warn('Failed to load the endless leaderboard from localStorage');
+    }
+  }
+}
+
+/**
+ * Saves the endless leaderboard to localStorage.
+ * Called when a run makes the leaderboard.
+ */
+export function saveEndlessLeaderboard() {
+  localStorage.setItem('blocky-endless-leaderboard', JSON.stringify(endlessLeaderboard));
+}
+
+/**
+ * Adds a finished endless run to the leaderboard if it's high enough.
+ * Ties keep the earlier run ahead.
+ * @param {Object} entry - Run { height, level, time, difficulty, seed, date }
+ * @returns {number|null} Place on the leaderboard (1 for the top), or null if it didn't make it
+ */
+export function addEndlessScore(entry) {
+  let index = endlessLeaderboard.findIndex((other) => entry.height > other.height);
+  if (index === -1) index = endlessLeaderboard.length;
+  if (index >= ENDLESS_LEADERBOARD_SIZE) return null;
+
+  endlessLeaderboard.splice(index, 0, entry);
+  endlessLeaderboard.length = Math.min(endlessLeaderboard.length, ENDLESS_LEADERBOARD_SIZE);
+  saveEndlessLeaderboard();
+  return index + 1;
+}
+
+// ========================================
+// DIFFICULTY
+// ========================================
+
+/**
+ * Applies a difficulty profile to the physics rules, jump strength and HUD label.
+ * Unknown difficulties fall back to the default profile.
+ * @param {string} difficulty - Difficulty profile id ('easy', 'medium', 'hard')
+ */
+export function applyDifficulty(difficulty) {
+  const profile = getDifficultyProfile(difficulty);
+  gameState.difficulty = profile.id;
+  gameState.jumpStrength = profile.physics.jumpStrength;
+  gameState.selectedDifficultyLabel = profile.label;
+}
+
+// ========================================
+// PHYSICS STATE RESET
+// ========================================
+
 /**
  * Resets all physics-related state to initial values.
  * Called when restarting or respawning the player.
@@ -191,5 +496,7 @@ export function resetPhysicsState() {
   gameState.isOnWall = false;
   gameState.canWallJump = false;
   gameState.wallSide = null;
+  gameState.respawnTimer = 0;
+  gameState.runTicks = 0;
 }
 
@@ -9,9 +9,9 @@
  * ## State Flow:
  * 1. none → connecting (player clicks multiplayer)
  * 2. connecting → waiting (connected to server)
- * 3. waiting → countdown (opponent found)
+ * 3. waiting → countdown (room full or lobby wait over)
  * 4. countdown → racing (countdown finished)
- * 5. racing → finished (someone wins or disconnects)
+ * 5. racing → finished (everyone but one racer finished, or players left)
  */
 
 // ========================================
@@ -32,12 +32,15 @@ export const multiplayerState = {
    */
   state: 'none',
 
-  /** @type {RemotePlayer|null} Reference to the remote player entity */
-  remotePlayer: null,
+  /** @type {Map<string, RemotePlayer>} Remote player entities keyed by socket ID */
+  remotePlayers: new Map(),
 
-  /** @type {number} This player's number (1 or 2) */
+  /** @type {number} This player's number (1 to maxPlayers) */
   localPlayerNumber: 1,
 
+  /** @type {number} Capacity of the current room */
+  maxPlayers: 2,
+
   /** @type {number} Timestamp of last position update sent to server */
   lastPositionSendTime: 0,
 
@@ -52,8 +55,9 @@ export const multiplayerState = {
 export function resetMultiplayerState() {
   multiplayerState.isMultiplayerMode = false;
   multiplayerState.state = 'none';
-  multiplayerState.remotePlayer = null;
+  multiplayerState.remotePlayers.clear();
   multiplayerState.localPlayerNumber = 1;
+  multiplayerState.maxPlayers = 2;
   multiplayerState.lastPositionSendTime = 0;
   multiplayerState.lastCollisionTime = 0;
 }
@@ -2,5 +2,7 @@ import eslint from 'vite-plugin-eslint';
 
 export default {
     plugins: [eslint()],
-    base: "/Platformer/"
+    base: "/Platformer/",
+    // Let the dev server serve ../shared (physics and collision shared with the server)
+    server: { fs: { allow: ['..'] } }
 }
@@ -3,18 +3,24 @@
  * Encapsulates player state and provides serialization for network
  */
 
+import { PLAYER_START_Y } from './RaceValidator.js';
+
 export default class GamePlayer {
-  constructor(socket, playerNumber, skinId = "player") {
+  constructor(socket, playerNumber, skinId = "player", startX = 0) {
     this.id = socket.id;
     this.socket = socket;
     this.playerNumber = playerNumber;
     this.skinId = skinId; // Character skin/model ID
-    this.x = playerNumber === 1 ? -2 : 2;
-    this.y = 0;
+    this.startX = startX; // Spawn X assigned by the room
+    this.x = startX;
+    this.y = PLAYER_START_Y;
     this.state = {}; // Additional state info (e.g. jumping, moving)
     this.finished = false;
     this.finishTime = null;
+    this.disqualified = false; // Set when a finish fails server validation
     this.lastHitTime = 0; // Track when player was last hit (for cooldown)
+    this.lastPositionTime = 0; // Server time of the last accepted position (for speed checks)
+    this.speedViolations = 0; // Position updates that exceeded movement limits
   }
 
   /**
@@ -42,11 +48,14 @@ export default class GamePlayer {
    * Reset player to starting state (for rematch)
    */
   reset() {
-    this.x = this.playerNumber === 1 ? -2 : 2;
-    this.y = 0;
+    this.x = this.startX;
+    this.y = PLAYER_START_Y;
     this.state = {};
     this.finished = false;
     this.finishTime = null;
+    this.disqualified = false;
+    this.lastPositionTime = 0;
+    this.speedViolations = 0;
   }
 
   /**
@@ -63,7 +72,8 @@ export default class GamePlayer {
       y: this.y,
       state: this.state,
       finished: this.finished,
-      finishTime: this.finishTime
+      finishTime: this.finishTime,
+      disqualified: this.disqualified
     };
   }
 }
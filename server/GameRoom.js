@@ -1,26 +1,70 @@
 /**
- * GameRoom - Manages a single game room with 2 players
- * Handles player joining, countdown, position sync, and win/disconnect logic
+ * GameRoom - Manages a single game room with up to MAX_PLAYERS racers
+ * Handles player joining, lobby/countdown, position sync, standings and disconnect logic
  */
 
 import GamePlayer from './GamePlayer.js';
+import RaceValidator from './RaceValidator.js';
+import { getBounds, getPlayerBounds, boundsOverlap } from '../shared/collision.js';
+import { KNOCKBACK_X, KNOCKBACK_Y, UPWARD_KNOCKBACK_MULTIPLIER } from '../shared/constants.js';
 
-// Attack/Knockback constants
+// Room capacity
+const MIN_PLAYERS = 2; // Players needed before a race can start
+const MAX_PLAYERS = 8; // Largest room supported
+const DEFAULT_MAX_PLAYERS = MAX_PLAYERS; // Capacity of matchmaking rooms
+
+// Race timing
+const LOBBY_WAIT = 10000; // ms to wait for more players once MIN_PLAYERS have joined
+const FINISH_GRACE_PERIOD = 30000; // ms the remaining racers get after the first finish
+
+// Spawn layout
+const SPAWN_SPREAD = 12; // Total width spawn positions are spread across (ground is ~16 wide)
+const MAX_SPAWN_SPACING = 4; // Two-player rooms keep the original -2 / 2 spawns
+
+// Attack constants (knockback velocities are in shared/constants.js, which RaceValidator bounds movement by)
 const ATTACK_OFFSET = 1.0; // How far the attack hitbox center is offset from player
 const ATTACK_WIDTH = 1.6; // Width of the attack hitbox (left/right from center)
 const ATTACK_HEIGHT = 2.0; // Height of the attack hitbox (top/bottom from center)
-const KNOCKBACK_X = 12; // Horizontal knockback force (increased from 5)
-const KNOCKBACK_Y = 15; // Vertical knockback force (increased from 8)
 const HIT_COOLDOWN = 500; // ms before player can be hit again
 
 export default class GameRoom {
-  constructor(id, io) {
+  constructor(id, io, code = null, maxPlayers = DEFAULT_MAX_PLAYERS) {
     this.id = id;
     this.io = io;
+    this.code = code; // Join code for private rooms
+    this.isPrivate = code !== null; // Private rooms are hidden from matchmaking
+    this.maxPlayers = GameRoom.clampCapacity(maxPlayers);
     this.players = new Map(); // socketId maps to unique GamePlayer
     this.state = 'waiting'; //`waiting`, `countdown`, `racing`, `finished`
     this.countdownInterval = null;
+    this.lobbyTimeout = null; // Starts the countdown if the room doesn't fill up
+    this.finishTimeout = null; // Ends the race a while after the first finish
     this.winnerId = null;
+    this.finishOrder = []; // Socket IDs in the order players finished
+    this.validator = new RaceValidator();
+  }
+
+  /**
+   * Clamp a requested room size to the supported range
+   * @param {number} maxPlayers - Requested capacity
+   * @returns {number}
+   */
+  static clampCapacity(maxPlayers) {
+    const capacity = Math.floor(Number(maxPlayers));
+    if (!Number.isFinite(capacity)) return DEFAULT_MAX_PLAYERS;
+    return Math.max(MIN_PLAYERS, Math.min(MAX_PLAYERS, capacity));
+  }
+
+  /**
+   * Get the spawn X position for a player slot
+   * Slots are spread evenly and centered on the start area
+   * @param {number} playerNumber - 1-based player slot
+   * @param {number} maxPlayers - Room capacity
+   * @returns {number}
+   */
+  static getSpawnX(playerNumber, maxPlayers) {
+    const spacing = Math.min(MAX_SPAWN_SPACING, SPAWN_SPREAD / (maxPlayers - 1));
+    return (playerNumber - 1 - (maxPlayers - 1) / 2) * spacing;
   }
 
   /**
@@ -30,9 +74,10 @@ export default class GameRoom {
    * @returns {Object} Join result with player info
    */
   addPlayer(socket, skinId = "player") {
-    const playerNumber = this.players.size + 1;
+    const playerNumber = this.getFreePlayerNumber();
+    const startX = GameRoom.getSpawnX(playerNumber, this.maxPlayers);
     
-    const player = new GamePlayer(socket, playerNumber, skinId);
+    const player = new GamePlayer(socket, playerNumber, skinId, startX);
 
     this.players.set(socket.id, player);
     socket.join(this.id);
@@ -43,8 +88,10 @@ export default class GameRoom {
     // Notify other players in the room
     socket.to(this.id).emit('playerJoined', player.toJSON());
     
-    if (this.players.size === 2) {
+    if (this.isFull()) {
       this.startCountdown();
+    } else if (this.players.size >= MIN_PLAYERS) {
+      this.startLobbyTimer();
     }
     
     return {
@@ -53,10 +100,25 @@ export default class GameRoom {
       playerNumber,
       startX: player.x,
       players: this.getPlayersArray(),
-      state: this.state
+      maxPlayers: this.maxPlayers,
+      state: this.state,
+      code: this.code
     };
   }
 
+  /**
+   * Get the lowest player slot not taken by anyone in the room
+   * @returns {number}
+   */
+  getFreePlayerNumber() {
+    const taken = new Set(Array.from(this.players.values()).map(p => p.playerNumber));
+    let playerNumber = 1;
+    while (taken.has(playerNumber)) {
+      playerNumber++;
+    }
+    return playerNumber;
+  }
+
   /**
    * Update a player's skin and broadcast to others
    * @param {string} socketId - The player's socket ID
@@ -86,34 +148,20 @@ export default class GameRoom {
     console.log(`Player ${player.playerNumber} (${socketId}) left room ${this.id}`);
     
     this.players.delete(socketId);
-    
-    // If game was in progress, opponent wins by forfeit
-    if (this.state === 'racing' || this.state === 'countdown') {
-      this.clearCountdown();
-      
-      // Find remaining player and declare them winner
-      const remainingPlayer = this.players.values().next().value;
-      if (remainingPlayer) {
-        this.state = 'finished';
-        this.winnerId = remainingPlayer.id;
-        
-        this.io.to(this.id).emit('gameOver', {
-          winnerId: remainingPlayer.id,
-          winnerNumber: remainingPlayer.playerNumber,
-          reason: 'opponent_disconnected'
-        });
-      }
-    }
+    player.socket.leave(this.id);
     
     // Notify remaining players
     this.io.to(this.id).emit('playerLeft', { id: socketId });
-    
-    // If waiting state and player left, reset for new player
-    if (this.state === 'waiting') {
-      for (const p of this.players.values()) {
-        p.playerNumber = 1;
-        p.x = -2;
+
+    if (this.state === 'countdown') {
+      // Not enough racers left to start: the last one wins by forfeit
+      if (this.players.size < MIN_PLAYERS) {
+        this.endRace('opponent_disconnected');
       }
+    } else if (this.state === 'racing') {
+      this.checkRaceOver('opponent_disconnected');
+    } else if (this.state === 'waiting' && this.players.size < MIN_PLAYERS) {
+      this.clearLobbyTimer();
     }
     
     return this.players.size === 0;
@@ -121,13 +169,24 @@ export default class GameRoom {
 
   /**
    * Update a player's position and broadcast to others
+   * Positions outside the world are dropped; moves that are too fast only
+   * advance the server's copy as far as the speed limits allow
    * @param {string} socketId - The player's socket ID
    * @param {Object} data - Position data { x, y, velocityY, state }
    */
   updatePosition(socketId, data) {
     const player = this.players.get(socketId);
     if (!player) return;
-    
+
+    const check = this.validator.checkPosition(player, data, Date.now());
+    if (!check.valid) {
+      console.warn(`Rejected position from player ${player.playerNumber} in room ${this.id}: ${check.reason}`);
+      if (check.clamped) {
+        player.updatePosition(check.clamped.x, check.clamped.y, data.state);
+      }
+      return;
+    }
+
     player.updatePosition(data.x, data.y, data.state);
     
     // Broadcast to other players in the room
@@ -142,33 +201,167 @@ export default class GameRoom {
 
   /**
    * Handle a player reaching the top
+   * The finish is validated against the player's last known position and the
+   * race clock; the client-reported time is only used for logging.
    * @param {string} socketId - The player's socket ID
-   * @param {number} time - The player's finishing time
+   * @param {number} clientTime - The finishing time reported by the client
    */
-  playerReachedTop(socketId, time) {
+  playerReachedTop(socketId, clientTime) {
     if (this.state !== 'racing') return;
     
     const player = this.players.get(socketId);
-    if (!player) return;
-    
+    if (!player || player.finished || player.disqualified) return;
+
+    const check = this.validator.checkFinish(player, Date.now());
+    if (!check.valid) {
+      this.rejectFinish(player, check.reason);
+      return;
+    }
+
+    const time = check.time;
+    console.log(`Player ${player.playerNumber} finished in ${time}ms (client reported ${clientTime}ms)`);
+
     player.finish(time);
+    this.finishOrder.push(socketId);
+    const place = this.finishOrder.length;
+
+    if (place === 1) {
+      this.winnerId = socketId;
+      console.log(`Player ${player.playerNumber} won in room ${this.id}!`);
+      this.startFinishTimer();
+    }
+
+    this.io.to(this.id).emit('playerFinished', {
+      id: socketId,
+      playerNumber: player.playerNumber,
+      place,
+      time
+    });
+
+    this.checkRaceOver('reached_top');
+  }
+
+  /**
+   * Disqualify a player whose finish claim failed validation
+   * The rest of the room keeps racing; the suspected cheater is reported to everyone
+   * @param {GamePlayer} player - The player whose finish was rejected
+   * @param {string} reason - Which validation check failed
+   */
+  rejectFinish(player, reason) {
+    console.warn(`Rejected finish from player ${player.playerNumber} in room ${this.id}: ${reason}`);
+
+    player.disqualified = true;
+
+    this.io.to(this.id).emit('playerDisqualified', {
+      id: player.id,
+      playerNumber: player.playerNumber,
+      reason: 'cheatSuspected'
+    });
+
+    this.checkRaceOver('cheatSuspected');
+  }
+
+  /**
+   * End the race once at most one racer is still climbing
+   * (everyone else finished, left or was disqualified)
+   * @param {string} reason - Why the race may be over, reported in gameOver
+   */
+  checkRaceOver(reason) {
+    if (this.state !== 'racing') return;
+
+    const stillRacing = Array.from(this.players.values())
+      .filter(p => !p.finished && !p.disqualified);
+
+    if (stillRacing.length <= 1) {
+      this.endRace(this.finishOrder.length > 0 && reason !== 'cheatSuspected' ? 'reached_top' : reason);
+    }
+  }
+
+  /**
+   * Finish the race and send the final standings to everyone
+   * Without any finisher, the highest remaining racer wins
+   * @param {string} reason - 'reached_top', 'opponent_disconnected', 'cheatSuspected' or 'time_up'
+   */
+  endRace(reason) {
+    this.clearTimers();
     this.state = 'finished';
-    this.winnerId = socketId;
-    
-    console.log(`Player ${player.playerNumber} won in room ${this.id}!`);
-    
+
+    const standings = this.getStandings();
+    const winner = standings.find(entry => !entry.disqualified) || null;
+    this.winnerId = winner ? winner.id : null;
+
+    console.log(`Race over in room ${this.id} (${reason})`);
+
     this.io.to(this.id).emit('gameOver', {
-      winnerId: socketId,
-      winnerNumber: player.playerNumber,
-      winnerTime: time,
-      reason: 'reached_top'
+      winnerId: this.winnerId,
+      winnerNumber: winner ? winner.playerNumber : null,
+      winnerTime: winner ? winner.finishTime : null,
+      reason,
+      standings
     });
   }
 
+  /**
+   * Rank every player in the room
+   * Finishers by time, then remaining racers by height, then disqualified players
+   * @returns {Array<Object>} Standings entries with a 1-based place
+   */
+  getStandings() {
+    const rank = (p) => (p.disqualified ? 2 : p.finished ? 0 : 1);
+
+    return Array.from(this.players.values())
+      .sort((a, b) => {
+        if (rank(a) !== rank(b)) return rank(a) - rank(b);
+        if (a.finished && b.finished) return a.finishTime - b.finishTime;
+        return b.y - a.y;
+      })
+      .map((p, index) => ({
+        id: p.id,
+        playerNumber: p.playerNumber,
+        skinId: p.skinId,
+        place: index + 1,
+        finished: p.finished,
+        finishTime: p.finishTime,
+        height: p.y,
+        disqualified: p.disqualified
+      }));
+  }
+
+  /**
+   * Give everyone still climbing a grace period after the first finish
+   */
+  startFinishTimer() {
+    if (this.finishTimeout) return;
+
+    this.finishTimeout = setTimeout(() => {
+      this.finishTimeout = null;
+      if (this.state === 'racing') {
+        this.endRace('time_up');
+      }
+    }, FINISH_GRACE_PERIOD);
+  }
+
+  /**
+   * Wait a while for more players before starting a race that isn't full
+   */
+  startLobbyTimer() {
+    if (this.lobbyTimeout || this.state !== 'waiting') return;
+
+    this.lobbyTimeout = setTimeout(() => {
+      this.lobbyTimeout = null;
+      if (this.state === 'waiting' && this.players.size >= MIN_PLAYERS) {
+        this.startCountdown();
+      }
+    }, LOBBY_WAIT);
+
+    this.io.to(this.id).emit('lobbyTimer', { startsIn: LOBBY_WAIT });
+  }
+
   /**
    * Start the countdown sequence
    */
   startCountdown() {
+    this.clearLobbyTimer();
     this.state = 'countdown';
     let count = 3;
     
@@ -185,6 +378,7 @@ export default class GameRoom {
       } else {
         this.clearCountdown();
         this.state = 'racing';
+        this.validator.startRace(this.players.values(), Date.now());
         this.io.to(this.id).emit('raceStart', {
           timestamp: Date.now()
         });
@@ -203,6 +397,28 @@ export default class GameRoom {
     }
   }
 
+  /**
+   * Clear the lobby wait timer
+   */
+  clearLobbyTimer() {
+    if (this.lobbyTimeout) {
+      clearTimeout(this.lobbyTimeout);
+      this.lobbyTimeout = null;
+    }
+  }
+
+  /**
+   * Clear every pending timer (countdown, lobby wait, finish grace period)
+   */
+  clearTimers() {
+    this.clearCountdown();
+    this.clearLobbyTimer();
+    if (this.finishTimeout) {
+      clearTimeout(this.finishTimeout);
+      this.finishTimeout = null;
+    }
+  }
+
   /**
    * Get players as an array for sending to clients
    */
@@ -214,7 +430,7 @@ export default class GameRoom {
    * Check if room is full
    */
   isFull() {
-    return this.players.size >= 2;
+    return this.players.size >= this.maxPlayers;
   }
 
   /**
@@ -270,26 +486,9 @@ export default class GameRoom {
       // Check hit cooldown
       if (currentTime - player.lastHitTime < HIT_COOLDOWN) continue;
 
-      // Get player bounds
-      const playerLeft = player.x - 0.4;
-      const playerRight = player.x + 0.4;
-      const playerBottom = player.y - 0.7;
-      const playerTop = player.y + 0.7;
-
-      // Get attack bounds - using larger hitbox
-      const halfWidth = ATTACK_WIDTH / 2;
-      const halfHeight = ATTACK_HEIGHT / 2;
-      const attackLeft = attackCenterX - halfWidth;
-      const attackRight = attackCenterX + halfWidth;
-      const attackBottom = attackCenterY - halfHeight;
-      const attackTop = attackCenterY + halfHeight;
-
-      // Check AABB collision
-      const isHit =
-        attackRight > playerLeft &&
-        attackLeft < playerRight &&
-        attackBottom < playerTop &&
-        attackTop > playerBottom;
+      // Check AABB collision between the attack hitbox and the player
+      const attackBounds = getBounds(attackCenterX, attackCenterY, ATTACK_WIDTH, ATTACK_HEIGHT);
+      const isHit = boundsOverlap(attackBounds, getPlayerBounds(player.x, player.y));
 
       if (isHit) {
         player.lastHitTime = currentTime;
@@ -303,7 +502,7 @@ export default class GameRoom {
           knockbackX = direction.x * KNOCKBACK_X;
         } else if (direction.y > 0) {
           // Attack upward - knock up and slightly away
-          knockbackY = KNOCKBACK_Y * 1.5;
+          knockbackY = KNOCKBACK_Y * UPWARD_KNOCKBACK_MULTIPLIER;
           knockbackX = (player.x > attacker.x ? 1 : -1) * (KNOCKBACK_X * 0.5);
         } else {
           // Attack downward - knock down and away
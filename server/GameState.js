@@ -4,20 +4,26 @@ import GameRoom from './GameRoom.js';
  * GameState - Manages all game rooms and matchmaking
  */
 
+// Private room codes avoid look-alike characters (0/O, 1/I/L)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
 export default class GameState {
   constructor(io) {
     this.io = io;
     this.rooms = new Map(); // roomId maps to a unique GameRoom
+    this.roomCodes = new Map(); // Private room code maps to roomId
     this.roomCounter = 0;
   }
 
   /**
-   * Find an available room or create a new one
+   * Find an available public room or create a new one
+   * Private rooms are never matched
    * @returns {GameRoom}
    */
   findOrCreateRoom() {
     for (const [_roomId, room] of this.rooms) {
-      if (room.isAvailable()) {
+      if (!room.isPrivate && room.isAvailable()) {
         return room;
       }
     }
@@ -27,18 +33,62 @@ export default class GameState {
 
   /**
    * Create a new game room
+   * @param {string|null} code - Join code for a private room, null for public
+   * @param {number} [maxPlayers] - Room capacity (defaults to the matchmaking size)
    * @returns {GameRoom}
    */
-  createRoom() {
+  createRoom(code = null, maxPlayers = undefined) {
     this.roomCounter++;
-    const roomId = `room_${this.roomCounter}_${Date.now()}`;
-    const room = new GameRoom(roomId, this.io);
+    const prefix = code ? 'private' : 'room';
+    const roomId = `${prefix}_${this.roomCounter}_${Date.now()}`;
+    const room = new GameRoom(roomId, this.io, code, maxPlayers);
     this.rooms.set(roomId, room);
+
+    if (code) {
+      this.roomCodes.set(code, roomId);
+    }
     
-    console.log(`Created new room: ${roomId}`);
+    console.log(`Created new room: ${roomId}${code ? ` (code ${code})` : ''}`);
     return room;
   }
 
+  /**
+   * Create a private room that can only be joined with its code
+   * @param {number} [maxPlayers] - Room capacity chosen by the host
+   * @returns {GameRoom}
+   */
+  createPrivateRoom(maxPlayers = undefined) {
+    return this.createRoom(this.generateRoomCode(), maxPlayers);
+  }
+
+  /**
+   * Generate a join code that is not used by any open room
+   * @returns {string}
+   */
+  generateRoomCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)];
+      }
+    } while (this.roomCodes.has(code));
+
+    return code;
+  }
+
+  /**
+   * Get a private room by its join code (case-insensitive)
+   * @param {string} code
+   * @returns {GameRoom|undefined}
+   */
+  getRoomByCode(code) {
+    if (typeof code !== 'string') return undefined;
+
+    const roomId = this.roomCodes.get(code.trim().toUpperCase());
+    return roomId ? this.rooms.get(roomId) : undefined;
+  }
+
   /**
    * Get a room by ID
    * @param {string} roomId
@@ -55,8 +105,11 @@ export default class GameState {
   removeRoom(roomId) {
     const room = this.rooms.get(roomId);
     if (room) {
-      room.clearCountdown();
+      room.clearTimers();
       this.rooms.delete(roomId);
+      if (room.code) {
+        this.roomCodes.delete(room.code);
+      }
       console.log(`Removed room: ${roomId}`);
     }
   }
@@ -88,6 +141,7 @@ export default class GameState {
     
     return {
       totalRooms: this.rooms.size,
+      privateRooms: this.roomCodes.size,
       waitingRooms: waiting,
       playingRooms: playing,
       totalPlayers
@@ -0,0 +1,148 @@
+/**
+ * RaceValidator - Server-side sanity checks for race movement and finishes
+ * Rejects positions that leave the world and finishes that are physically impossible
+ */
+
+import {
+  GROUND_POSITION_Y,
+  PLAYER_START_Y,
+  LEVEL_HEIGHT,
+  NUM_LEVELS,
+  MAX_PLATFORM_SPEED,
+  KNOCKBACK_X,
+  KNOCKBACK_Y,
+  UPWARD_KNOCKBACK_MULTIPLIER
+} from '../shared/constants.js';
+import { DIFFICULTY_PROFILES } from '../shared/difficultyProfiles.js';
+
+const FINISH_Y = GROUND_POSITION_Y + LEVEL_HEIGHT * NUM_LEVELS; // Same check as the client's win detection
+
+// Movement limits
+const PROFILE_PHYSICS = Object.values(DIFFICULTY_PROFILES).map((profile) => profile.physics);
+const MAX_JUMP_STRENGTH = Math.max(...PROFILE_PHYSICS.map((physics) => physics.jumpStrength)); // Easy difficulty jump strength
+const MAX_MOVE_SPEED = Math.max(...PROFILE_PHYSICS.map((physics) => physics.moveSpeed)); // Hard difficulty move speed
+const MAX_RISE_SPEED = Math.max(MAX_JUMP_STRENGTH, KNOCKBACK_Y * UPWARD_KNOCKBACK_MULTIPLIER); // Upward attack knockback is the fastest rise
+const MAX_RUN_SPEED = MAX_MOVE_SPEED + MAX_PLATFORM_SPEED; // Running along a moving platform adds its speed
+
+// World bounds (platforms span x in [-20, 20] plus half the widest platform, with room to glide past)
+const WORLD_MIN_X = -40;
+const WORLD_MAX_X = 40;
+const WORLD_MIN_Y = GROUND_POSITION_Y - 1;
+const WORLD_MAX_Y = FINISH_Y + LEVEL_HEIGHT;
+
+// Tolerances for network jitter and frame hitches
+const MIN_UPDATE_INTERVAL = 0.1; // Seconds; packets arriving closer together are treated as 100ms apart
+const MAX_UPDATE_INTERVAL = 1.0; // Seconds; longer gaps don't earn more movement (no idling then teleporting)
+const POSITION_SLACK = 1.0; // World units allowed on top of the speed limit per update
+const KNOCKBACK_GRACE_PERIOD = 1000; // ms after being hit where knockback displacement is allowed
+const MAX_SPEED_VIOLATIONS = 5; // Speed violations tolerated before a finish is rejected
+
+export default class RaceValidator {
+  constructor() {
+    this.raceStartTime = null;
+  }
+
+  /**
+   * Mark the start of the race and reset every player's movement history
+   * @param {Iterable<GamePlayer>} players - Players in the race
+   * @param {number} now - Server timestamp in milliseconds
+   */
+  startRace(players, now) {
+    this.raceStartTime = now;
+
+    for (const player of players) {
+      player.lastPositionTime = now;
+      player.speedViolations = 0;
+    }
+  }
+
+  /**
+   * Check a position update against world bounds and movement limits
+   * Records speed violations on the player. A move that is too fast is
+   * rejected with the furthest position the limits allow towards it, so a
+   * client catching up after a lag spike converges instead of being stuck
+   * @param {GamePlayer} player - The player sending the update
+   * @param {Object} data - Position data { x, y }
+   * @param {number} now - Server timestamp in milliseconds
+   * @returns {{valid: boolean, reason?: string, clamped?: {x: number, y: number}}} Invalid positions must not be applied
+   */
+  checkPosition(player, data, now) {
+    const { x, y } = data || {};
+
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    if (x < WORLD_MIN_X || x > WORLD_MAX_X || y < WORLD_MIN_Y || y > WORLD_MAX_Y) {
+      player.speedViolations++;
+      return { valid: false, reason: 'out_of_bounds' };
+    }
+
+    // Movement limits only apply once the race is running
+    if (this.raceStartTime === null) {
+      return { valid: true };
+    }
+
+    const elapsed = Math.min(
+      Math.max((now - player.lastPositionTime) / 1000, MIN_UPDATE_INTERVAL),
+      MAX_UPDATE_INTERVAL
+    );
+    player.lastPositionTime = now;
+
+    // Respawning teleports the player back to the start, which is always allowed
+    if (y <= PLAYER_START_Y + POSITION_SLACK && y < player.y) {
+      return { valid: true };
+    }
+
+    const recentlyHit = now - player.lastHitTime < KNOCKBACK_GRACE_PERIOD;
+    const knockbackX = recentlyHit ? KNOCKBACK_X : 0;
+
+    const maxDx = MAX_RUN_SPEED * elapsed + knockbackX + POSITION_SLACK;
+    const maxDy = MAX_RISE_SPEED * elapsed + POSITION_SLACK;
+
+    if (Math.abs(x - player.x) > maxDx || y - player.y > maxDy) {
+      player.speedViolations++;
+      return {
+        valid: false,
+        reason: 'too_fast',
+        clamped: {
+          x: player.x + Math.max(-maxDx, Math.min(x - player.x, maxDx)),
+          y: Math.min(y, player.y + maxDy)
+        }
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check whether a player's finish claim is believable
+   * @param {GamePlayer} player - The player claiming to have reached the top
+   * @param {number} now - Server timestamp in milliseconds
+   * @returns {{valid: boolean, reason?: string, time?: number}} Server-measured race time when valid
+   */
+  checkFinish(player, now) {
+    if (this.raceStartTime === null) {
+      return { valid: false, reason: 'race_not_started' };
+    }
+
+    if (player.y < FINISH_Y - POSITION_SLACK) {
+      return { valid: false, reason: 'not_at_top' };
+    }
+
+    const time = now - this.raceStartTime;
+    const minClimbTime = ((FINISH_Y - PLAYER_START_Y) / MAX_RISE_SPEED) * 1000;
+
+    if (time < minClimbTime) {
+      return { valid: false, reason: 'too_fast' };
+    }
+
+    if (player.speedViolations >= MAX_SPEED_VIOLATIONS) {
+      return { valid: false, reason: 'speed_violations' };
+    }
+
+    return { valid: true, time };
+  }
+}
+
+export { PLAYER_START_Y, FINISH_Y };
@@ -59,6 +59,63 @@ io.on("connection", (socket) => {
     }
   });
 
+  /**
+   * Player creates a private room
+   * The response includes a short code the player can share with friends
+   * @param {Object} data - { skinId, maxPlayers }
+   * @param {Function} callback - Response callback
+   */
+  socket.on("createPrivateRoom", (data, callback) => {
+    if (typeof callback !== "function") return;
+
+    try {
+      handlePlayerLeave(socket);
+
+      const room = gameState.createPrivateRoom(data?.maxPlayers);
+      callback(room.addPlayer(socket, data?.skinId || "player"));
+    } catch (error) {
+      console.error("Error creating private room:", error);
+      callback({ error: "Failed to create private room" });
+    }
+  });
+
+  /**
+   * Player joins a private room by its code
+   * @param {Object} data - { code, skinId }
+   * @param {Function} callback - Response callback
+   */
+  socket.on("joinByCode", (data, callback) => {
+    if (typeof callback !== "function") return;
+
+    try {
+      const room = gameState.getRoomByCode(data?.code);
+      if (!room) {
+        callback({ error: "Room not found" });
+        return;
+      }
+      if (socket.roomId === room.id) {
+        callback({ error: "Already in this room" });
+        return;
+      }
+      if (!room.isAvailable()) {
+        callback({ error: "Room is full or already racing" });
+        return;
+      }
+
+      handlePlayerLeave(socket);
+
+      // Leaving can remove an emptied room, so make sure this one still exists
+      if (gameState.getRoom(room.id) !== room) {
+        callback({ error: "Room not found" });
+        return;
+      }
+      callback(room.addPlayer(socket, data?.skinId || "player"));
+    } catch (error) {
+      console.error("Error joining private room:", error);
+      callback({ error: "Failed to join private room" });
+    }
+  });
+
   /**
    * Player updates their skin selection
    */
@@ -0,0 +1,49 @@
+/**
+ * GamePlayer tests - spawn state, reset and serialization
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GamePlayer from '../GamePlayer.js';
+import { PLAYER_START_Y } from '../RaceValidator.js';
+import { FakeIo } from './helpers/fakeIo.js';
+
+describe('GamePlayer', () => {
+  it('spawns at the assigned X on the ground', () => {
+    const socket = new FakeIo().connect('abc');
+    const player = new GamePlayer(socket, 2, 'robot', 4);
+
+    assert.equal(player.id, 'abc');
+    assert.equal(player.x, 4);
+    assert.equal(player.y, PLAYER_START_Y);
+  });
+
+  it('resets to its spawn point for a rematch', () => {
+    const player = new GamePlayer(new FakeIo().connect(), 1, 'player', -2);
+    player.updatePosition(3, 50, { isGliding: true });
+    player.finish(42000);
+    player.disqualified = true;
+    player.speedViolations = 3;
+
+    player.reset();
+
+    assert.equal(player.x, -2);
+    assert.equal(player.y, PLAYER_START_Y);
+    assert.deepEqual(player.state, {});
+    assert.equal(player.finished, false);
+    assert.equal(player.finishTime, null);
+    assert.equal(player.disqualified, false);
+    assert.equal(player.speedViolations, 0);
+  });
+
+  it('serializes without its socket', () => {
+    const player = new GamePlayer(new FakeIo().connect('abc'), 1);
+    const json = JSON.parse(JSON.stringify(player));
+
+    assert.equal(json.socket, undefined);
+    assert.deepEqual(Object.keys(json).sort(), [
+      'disqualified', 'finishTime', 'finished', 'id', 'playerNumber', 'skinId', 'state', 'x', 'y'
+    ]);
+  });
+});
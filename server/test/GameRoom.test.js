@@ -0,0 +1,288 @@
+/**
+ * GameRoom tests - joining, lobby/countdown timing, forfeits and attacks
+ * Runs against fake sockets with mocked timers and clock
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GameRoom from '../GameRoom.js';
+import { FakeIo } from './helpers/fakeIo.js';
+
+const START_TIME = 1_000_000;
+const LOBBY_WAIT = 10000;
+const COUNTDOWN_LENGTH = 3000;
+
+let io;
+
+/**
+ * Create a room and add a player for every socket ID
+ * @returns {{room: GameRoom, sockets: Array<FakeSocket>}}
+ */
+function createRoom(playerCount, maxPlayers = 8) {
+  const room = new GameRoom('room_test', io, null, maxPlayers);
+  const sockets = [];
+  for (let i = 0; i < playerCount; i++) {
+    const socket = io.connect();
+    room.addPlayer(socket, 'player');
+    sockets.push(socket);
+  }
+  return { room, sockets };
+}
+
+/**
+ * Create a full room and run its countdown until the race starts
+ */
+function createRacingRoom(playerCount) {
+  const result = createRoom(playerCount, playerCount);
+  mock.timers.tick(COUNTDOWN_LENGTH);
+  assert.equal(result.room.state, 'racing');
+  result.sockets.forEach(socket => socket.clearReceived());
+  return result;
+}
+
+beforeEach(() => {
+  io = new FakeIo();
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: START_TIME });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('GameRoom joining', () => {
+  it('puts the first player in slot 1 and joins the socket to the room', () => {
+    const room = new GameRoom('room_test', io);
+    const socket = io.connect();
+
+    const result = room.addPlayer(socket, 'robot');
+
+    assert.equal(result.roomId, 'room_test');
+    assert.equal(result.playerId, socket.id);
+    assert.equal(result.playerNumber, 1);
+    assert.equal(result.state, 'waiting');
+    assert.equal(result.players.length, 1);
+    assert.equal(result.players[0].skinId, 'robot');
+    assert.equal(socket.roomId, 'room_test');
+    assert.ok(socket.rooms.has('room_test'));
+  });
+
+  it('tells players already in the room about the newcomer', () => {
+    const { room, sockets: [first] } = createRoom(1);
+    const second = io.connect();
+
+    room.addPlayer(second, 'player');
+
+    assert.equal(first.lastEvent('playerJoined').id, second.id);
+    assert.equal(second.eventsNamed('playerJoined').length, 0);
+  });
+
+  it('spreads spawn positions across the start area', () => {
+    const { room } = createRoom(3, 3);
+    const xs = room.getPlayersArray().map(p => p.x);
+
+    assert.deepEqual(xs, [-4, 0, 4]);
+  });
+
+  it('reuses the slot of a player who left', () => {
+    const { room, sockets } = createRoom(3);
+    room.removePlayer(sockets[0].id);
+
+    const result = room.addPlayer(io.connect(), 'player');
+
+    assert.equal(result.playerNumber, 1);
+  });
+
+  it('stops being available once full', () => {
+    const { room } = createRoom(2, 2);
+
+    assert.equal(room.isFull(), true);
+    assert.equal(room.isAvailable(), false);
+  });
+});
+
+describe('GameRoom countdown timing', () => {
+  it('waits for more players before starting a room that is not full', () => {
+    const { room, sockets } = createRoom(2);
+
+    assert.deepEqual(sockets[0].lastEvent('lobbyTimer'), { startsIn: LOBBY_WAIT });
+
+    mock.timers.tick(LOBBY_WAIT - 1);
+    assert.equal(room.state, 'waiting');
+
+    mock.timers.tick(1);
+    assert.equal(room.state, 'countdown');
+    assert.deepEqual(sockets[0].lastEvent('countdown'), { count: 3 });
+  });
+
+  it('starts the countdown immediately when the room fills up', () => {
+    const { room, sockets } = createRoom(2, 2);
+
+    assert.equal(room.state, 'countdown');
+    assert.equal(sockets[1].eventsNamed('lobbyTimer').length, 0);
+  });
+
+  it('counts down once per second and then starts the race', () => {
+    const { room, sockets: [socket] } = createRoom(2, 2);
+
+    mock.timers.tick(1000);
+    mock.timers.tick(1000);
+    assert.deepEqual(socket.eventsNamed('countdown'), [{ count: 3 }, { count: 2 }, { count: 1 }]);
+    assert.equal(room.state, 'countdown');
+
+    mock.timers.tick(1000);
+    assert.equal(room.state, 'racing');
+    assert.deepEqual(socket.lastEvent('raceStart'), { timestamp: START_TIME + COUNTDOWN_LENGTH });
+    assert.equal(room.validator.raceStartTime, START_TIME + COUNTDOWN_LENGTH);
+  });
+
+  it('cancels the lobby wait when too few players remain', () => {
+    const { room, sockets } = createRoom(2);
+
+    room.removePlayer(sockets[1].id);
+    mock.timers.tick(LOBBY_WAIT);
+
+    assert.equal(room.state, 'waiting');
+    assert.equal(sockets[0].eventsNamed('countdown').length, 0);
+  });
+});
+
+describe('GameRoom forfeit on removePlayer', () => {
+  it('awards the race to the last player when an opponent leaves during the countdown', () => {
+    const { room, sockets } = createRoom(2, 2);
+
+    room.removePlayer(sockets[1].id);
+
+    assert.equal(room.state, 'finished');
+    const gameOver = sockets[0].lastEvent('gameOver');
+    assert.equal(gameOver.reason, 'opponent_disconnected');
+    assert.equal(gameOver.winnerId, sockets[0].id);
+
+    // The countdown must not go on to start a race
+    mock.timers.tick(COUNTDOWN_LENGTH);
+    assert.equal(sockets[0].eventsNamed('raceStart').length, 0);
+  });
+
+  it('awards the race to the last racer when an opponent leaves mid-race', () => {
+    const { room, sockets } = createRacingRoom(2);
+
+    room.removePlayer(sockets[0].id);
+
+    assert.equal(room.state, 'finished');
+    assert.equal(sockets[1].lastEvent('playerLeft').id, sockets[0].id);
+    const gameOver = sockets[1].lastEvent('gameOver');
+    assert.equal(gameOver.reason, 'opponent_disconnected');
+    assert.equal(gameOver.winnerId, sockets[1].id);
+    assert.equal(gameOver.standings.length, 1);
+  });
+
+  it('keeps racing while at least two racers remain', () => {
+    const { room, sockets } = createRacingRoom(3);
+
+    room.removePlayer(sockets[0].id);
+
+    assert.equal(room.state, 'racing');
+    assert.equal(sockets[1].eventsNamed('gameOver').length, 0);
+  });
+
+  it('reports whether the room is empty afterwards', () => {
+    const { room, sockets } = createRoom(2);
+
+    assert.equal(room.removePlayer(sockets[0].id), false);
+    assert.equal(room.removePlayer(sockets[1].id), true);
+    assert.equal(room.removePlayer('unknown'), false);
+  });
+
+  it('removes the socket from the room', () => {
+    const { room, sockets } = createRoom(2);
+
+    room.removePlayer(sockets[0].id);
+
+    assert.equal(sockets[0].rooms.has(room.id), false);
+    assert.equal(sockets[0].eventsNamed('playerLeft').length, 0);
+  });
+});
+
+describe('GameRoom handleAttack', () => {
+  /**
+   * Place the target right next to the attacker
+   */
+  function standNextTo(room, attacker, target, dx, dy = 0) {
+    const attackerPlayer = room.players.get(attacker.id);
+    const targetPlayer = room.players.get(target.id);
+    targetPlayer.x = attackerPlayer.x + dx;
+    targetPlayer.y = attackerPlayer.y + dy;
+  }
+
+  function attack(room, attacker, direction) {
+    const player = room.players.get(attacker.id);
+    room.handleAttack(attacker.id, { x: player.x, y: player.y, direction });
+  }
+
+  it('knocks back a player inside the hitbox', () => {
+    const { room, sockets: [attacker, target] } = createRacingRoom(2);
+    standNextTo(room, attacker, target, 1);
+
+    attack(room, attacker, { x: 1, y: 0 });
+
+    assert.deepEqual(target.lastEvent('knockback'), { x: 12, y: 15, attackerId: attacker.id });
+    assert.equal(attacker.eventsNamed('knockback').length, 0);
+    for (const socket of [attacker, target]) {
+      assert.equal(socket.lastEvent('playerHit').hitPlayerId, target.id);
+    }
+  });
+
+  it('knocks players hit by an upward attack higher and away from the attacker', () => {
+    const { room, sockets: [attacker, target] } = createRacingRoom(2);
+    standNextTo(room, attacker, target, -0.5, 1);
+
+    attack(room, attacker, { x: 0, y: 1 });
+
+    assert.deepEqual(target.lastEvent('knockback'), { x: -6, y: 22.5, attackerId: attacker.id });
+  });
+
+  it('misses a player outside the hitbox', () => {
+    const { room, sockets: [attacker, target] } = createRacingRoom(2);
+    standNextTo(room, attacker, target, 1);
+
+    attack(room, attacker, { x: -1, y: 0 });
+
+    assert.equal(target.eventsNamed('knockback').length, 0);
+    assert.equal(attacker.eventsNamed('playerHit').length, 0);
+  });
+
+  it('shows the attack to everyone except the attacker', () => {
+    const { room, sockets: [attacker, target] } = createRacingRoom(2);
+
+    attack(room, attacker, { x: -1, y: 0 });
+
+    assert.equal(target.lastEvent('playerAttack').attackerId, attacker.id);
+    assert.equal(attacker.eventsNamed('playerAttack').length, 0);
+  });
+
+  it('cannot hit the same player again during the hit cooldown', () => {
+    const { room, sockets: [attacker, target] } = createRacingRoom(2);
+    standNextTo(room, attacker, target, 1);
+
+    attack(room, attacker, { x: 1, y: 0 });
+    mock.timers.tick(499);
+    attack(room, attacker, { x: 1, y: 0 });
+    assert.equal(target.eventsNamed('knockback').length, 1);
+
+    mock.timers.tick(1);
+    attack(room, attacker, { x: 1, y: 0 });
+    assert.equal(target.eventsNamed('knockback').length, 2);
+  });
+
+  it('ignores attacks before the race starts', () => {
+    const { room, sockets: [attacker, target] } = createRoom(2);
+    standNextTo(room, attacker, target, 1);
+
+    attack(room, attacker, { x: 1, y: 0 });
+
+    assert.equal(target.received.some(e => e.event === 'playerAttack' || e.event === 'knockback'), false);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * GameState tests - matchmaking, private room codes and room cleanup
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GameState from '../GameState.js';
+import { FakeIo } from './helpers/fakeIo.js';
+
+let io;
+let gameState;
+
+/**
+ * Matchmake a new socket into a room, the way the joinGame handler does
+ * @returns {{room: GameRoom, socket: FakeSocket}}
+ */
+function joinGame() {
+  const socket = io.connect();
+  const room = gameState.findOrCreateRoom();
+  room.addPlayer(socket, 'player');
+  return { room, socket };
+}
+
+beforeEach(() => {
+  io = new FakeIo();
+  gameState = new GameState(io);
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 1_000_000 });
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('GameState matchmaking', () => {
+  it('creates a public room when none is open', () => {
+    const { room } = joinGame();
+
+    assert.equal(room.isPrivate, false);
+    assert.equal(gameState.rooms.size, 1);
+    assert.equal(gameState.getRoom(room.id), room);
+  });
+
+  it('puts players into the same open room until it is full', () => {
+    const rooms = new Set();
+    for (let i = 0; i < 8; i++) {
+      rooms.add(joinGame().room);
+    }
+
+    assert.equal(rooms.size, 1);
+    const [room] = rooms;
+    assert.equal(room.players.size, 8);
+    assert.equal(room.state, 'countdown');
+
+    const { room: nextRoom } = joinGame();
+    assert.notEqual(nextRoom, room);
+    assert.equal(nextRoom.players.size, 1);
+  });
+
+  it('does not match players into a room whose race has started', () => {
+    const { room } = joinGame();
+    joinGame();
+    room.startCountdown();
+
+    assert.notEqual(joinGame().room, room);
+  });
+
+  it('never matches players into private rooms', () => {
+    const privateRoom = gameState.createPrivateRoom();
+
+    const { room } = joinGame();
+
+    assert.notEqual(room, privateRoom);
+    assert.equal(gameState.rooms.size, 2);
+  });
+});
+
+describe('GameState private rooms', () => {
+  it('finds a private room by its code regardless of case and whitespace', () => {
+    const room = gameState.createPrivateRoom(4);
+
+    assert.equal(room.maxPlayers, 4);
+    assert.match(room.code, /^[A-Z2-9]{5}$/);
+    assert.equal(gameState.getRoomByCode(` ${room.code.toLowerCase()} `), room);
+    assert.equal(gameState.getRoomByCode('ZZZZZ'), undefined);
+    assert.equal(gameState.getRoomByCode(null), undefined);
+  });
+
+  it('frees the code when the room is removed', () => {
+    const room = gameState.createPrivateRoom();
+
+    gameState.removeRoom(room.id);
+
+    assert.equal(gameState.getRoomByCode(room.code), undefined);
+    assert.equal(gameState.roomCodes.size, 0);
+  });
+});
+
+describe('GameState cleanupEmptyRooms', () => {
+  it('removes empty rooms and keeps occupied ones', () => {
+    const { room: occupied } = joinGame();
+    const empty = gameState.createRoom();
+    const emptyPrivate = gameState.createPrivateRoom();
+
+    gameState.cleanupEmptyRooms();
+
+    assert.deepEqual(Array.from(gameState.rooms.values()), [occupied]);
+    assert.equal(gameState.getRoom(empty.id), undefined);
+    assert.equal(gameState.getRoomByCode(emptyPrivate.code), undefined);
+  });
+
+  it('removes rooms everyone has left', () => {
+    const { room, socket } = joinGame();
+    const { socket: other } = joinGame();
+    room.removePlayer(socket.id);
+    room.removePlayer(other.id);
+
+    gameState.cleanupEmptyRooms();
+
+    assert.equal(gameState.rooms.size, 0);
+  });
+
+  it('stops the timers of removed rooms', () => {
+    const room = gameState.createRoom();
+    room.startCountdown();
+
+    gameState.cleanupEmptyRooms();
+    mock.timers.tick(5000);
+
+    assert.equal(room.countdownInterval, null);
+    assert.equal(room.state, 'countdown');
+  });
+
+  it('updates the server stats', () => {
+    joinGame();
+    gameState.createRoom();
+    gameState.createPrivateRoom();
+
+    gameState.cleanupEmptyRooms();
+
+    assert.deepEqual(gameState.getStats(), {
+      totalRooms: 1,
+      privateRooms: 0,
+      waitingRooms: 1,
+      playingRooms: 0,
+      totalPlayers: 1
+    });
+  });
+});
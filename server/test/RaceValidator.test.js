@@ -0,0 +1,112 @@
+/**
+ * RaceValidator tests - speed limits on position updates and finish checks,
+ * both directly and through a racing room
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GameRoom from '../GameRoom.js';
+import GamePlayer from '../GamePlayer.js';
+import RaceValidator, { PLAYER_START_Y, FINISH_Y } from '../RaceValidator.js';
+import { FakeIo } from './helpers/fakeIo.js';
+
+const START_TIME = 1_000_000;
+const COUNTDOWN_LENGTH = 3000;
+const CLIMB_TIME = 60000; // Comfortably longer than the minimum climb time
+
+let io;
+
+/**
+ * Create a full two-player room and run its countdown until the race starts
+ * @returns {{room: GameRoom, sockets: Array<FakeSocket>}}
+ */
+function createRacingRoom() {
+  const room = new GameRoom('room_test', io, null, 2);
+  const sockets = [io.connect(), io.connect()];
+  sockets.forEach(socket => room.addPlayer(socket, 'player'));
+  mock.timers.tick(COUNTDOWN_LENGTH);
+  assert.equal(room.state, 'racing');
+  sockets.forEach(socket => socket.clearReceived());
+  return { room, sockets };
+}
+
+beforeEach(() => {
+  io = new FakeIo();
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: START_TIME });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('RaceValidator checkPosition', () => {
+  let validator;
+  let player;
+
+  beforeEach(() => {
+    validator = new RaceValidator();
+    player = new GamePlayer(io.connect(), 1);
+    validator.startRace([player], START_TIME);
+  });
+
+  it('accepts a move within the speed limits', () => {
+    const check = validator.checkPosition(player, { x: 0.5, y: PLAYER_START_Y + 1 }, START_TIME + 100);
+
+    assert.deepEqual(check, { valid: true });
+    assert.equal(player.speedViolations, 0);
+  });
+
+  it('rejects a teleport and only allows moving as far as the limits reach', () => {
+    const check = validator.checkPosition(player, { x: 0, y: FINISH_Y }, START_TIME + 100);
+
+    assert.equal(check.valid, false);
+    assert.equal(check.reason, 'too_fast');
+    assert.equal(check.clamped.x, 0);
+    assert.ok(check.clamped.y > PLAYER_START_Y);
+    assert.ok(check.clamped.y < PLAYER_START_Y + 5);
+    assert.equal(player.speedViolations, 1);
+  });
+
+  it('does not grant extra movement for a long silence', () => {
+    const check = validator.checkPosition(player, { x: 0, y: FINISH_Y }, START_TIME + CLIMB_TIME);
+
+    assert.equal(check.valid, false);
+    assert.equal(check.reason, 'too_fast');
+  });
+
+  it('always allows respawning at the start', () => {
+    player.updatePosition(0, 100);
+
+    const check = validator.checkPosition(player, { x: 0, y: PLAYER_START_Y }, START_TIME + 100);
+
+    assert.deepEqual(check, { valid: true });
+  });
+});
+
+describe('RaceValidator through GameRoom', () => {
+  it('disqualifies a player who teleports to the top and claims the finish', () => {
+    const { room, sockets: [cheater, other] } = createRacingRoom();
+    mock.timers.tick(CLIMB_TIME);
+
+    room.updatePosition(cheater.id, { x: 0, y: FINISH_Y });
+    room.playerReachedTop(cheater.id, 1000);
+
+    assert.equal(other.lastEvent('playerDisqualified').id, cheater.id);
+    assert.equal(other.lastEvent('playerDisqualified').reason, 'cheatSuspected');
+    assert.equal(other.eventsNamed('playerFinished').length, 0);
+  });
+
+  it('does not broadcast a rejected position', () => {
+    const { room, sockets: [cheater, other] } = createRacingRoom();
+    mock.timers.tick(100);
+
+    room.updatePosition(cheater.id, { x: 0, y: FINISH_Y });
+
+    assert.equal(other.eventsNamed('playerPosition').length, 0);
+    assert.ok(room.players.get(cheater.id).y < FINISH_Y);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Collision tests - swept hits on thin boxes and time-of-impact order
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sweepCollision } from '../../shared/collision.js';
+import { PLAYER_HEIGHT, PLAYER_WIDTH } from '../../shared/constants.js';
+
+describe('sweepCollision', () => {
+  it('hits a 0.3 platform the move passes straight through', () => {
+    const platform = { x: 0, y: 0, width: 4, height: 0.3 };
+    const startY = 0.15 + PLAYER_HEIGHT / 2 + 1;
+
+    const hit = sweepCollision(platform, 0, startY, 0, -5, -300);
+
+    assert.equal(hit.side, 'top');
+    assert.equal(hit.position, 0.15);
+    assert.ok(Math.abs(hit.time - 0.2) < 1e-9);
+  });
+
+  it('gives the nearer of two boxes the earlier time of impact', () => {
+    const near = { x: 0, y: -2, width: 4, height: 0.3 };
+    const far = { x: 0, y: -6, width: 4, height: 0.3 };
+
+    const nearHit = sweepCollision(near, 0, 0, 0, -10, -600);
+    const farHit = sweepCollision(far, 0, 0, 0, -10, -600);
+
+    assert.equal(nearHit.side, 'top');
+    assert.equal(farHit.side, 'top');
+    assert.ok(nearHit.time < farHit.time);
+  });
+
+  it('times a wall hit by how far the player moves before touching it', () => {
+    const wall = { x: 2 + PLAYER_WIDTH / 2 + 0.5, y: 0, width: 1, height: 4 };
+
+    const hit = sweepCollision(wall, 0, 0, 4, 0, 0);
+
+    assert.equal(hit.side, 'left');
+    assert.equal(hit.position, 2 + PLAYER_WIDTH / 2);
+    assert.ok(Math.abs(hit.time - 0.5) < 1e-9);
+  });
+
+  it('misses a box only reached at the very end of the move', () => {
+    const platform = { x: 0, y: 0, width: 4, height: 0.3 };
+    const startY = 0.15 + PLAYER_HEIGHT / 2 + 1;
+
+    assert.equal(sweepCollision(platform, 0, startY, 0, -1, -60), null);
+  });
+});
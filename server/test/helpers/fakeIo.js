@@ -0,0 +1,104 @@
+/**
+ * fakeIo - In-memory stand-ins for the Socket.IO server and sockets
+ * Implements just the parts of the API the game rooms use (join/leave,
+ * to/except/emit) and records every event each socket receives
+ */
+
+export class FakeSocket {
+  constructor(io, id) {
+    this.io = io;
+    this.id = id;
+    this.roomId = null; // Set by GameRoom.addPlayer, like the real socket
+    this.rooms = new Set();
+    this.received = []; // { event, data } in the order they arrived
+  }
+
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  /**
+   * Send an event to this socket only
+   */
+  emit(event, data) {
+    this.received.push({ event, data });
+  }
+
+  /**
+   * Broadcast to a room, excluding this socket
+   */
+  to(room) {
+    return this.io.to(room).except(this.id);
+  }
+
+  /**
+   * Get the payloads of every received event with the given name
+   * @param {string} event
+   * @returns {Array<Object>}
+   */
+  eventsNamed(event) {
+    return this.received.filter(e => e.event === event).map(e => e.data);
+  }
+
+  /**
+   * Get the payload of the most recent event with the given name
+   * @param {string} event
+   * @returns {Object|undefined}
+   */
+  lastEvent(event) {
+    return this.eventsNamed(event).at(-1);
+  }
+
+  clearReceived() {
+    this.received = [];
+  }
+}
+
+/**
+ * Chainable broadcast target returned by io.to() and socket.to()
+ */
+class BroadcastOperator {
+  constructor(io, room, excluded = new Set()) {
+    this.io = io;
+    this.room = room;
+    this.excluded = excluded;
+  }
+
+  except(socketId) {
+    return new BroadcastOperator(this.io, this.room, new Set([...this.excluded, socketId]));
+  }
+
+  emit(event, data) {
+    for (const socket of this.io.sockets.values()) {
+      if (socket.rooms.has(this.room) && !this.excluded.has(socket.id)) {
+        socket.emit(event, data);
+      }
+    }
+  }
+}
+
+export class FakeIo {
+  constructor() {
+    this.sockets = new Map(); // socketId maps to FakeSocket
+    this.socketCounter = 0;
+  }
+
+  /**
+   * Create a connected socket
+   * @param {string} [id] - Socket ID (generated when omitted)
+   * @returns {FakeSocket}
+   */
+  connect(id = `socket_${++this.socketCounter}`) {
+    const socket = new FakeSocket(this, id);
+    this.sockets.set(id, socket);
+    return socket;
+  }
+
+  to(room) {
+    return new BroadcastOperator(this, room);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Physics step tests - landing however fast the fall, hitting the nearest
+ * of several boxes, resting on a platform, and timed platforms that switch
+ * on around the player
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { stepPhysics } from '../../shared/physics.js';
+import { PLAYER_HEIGHT, FIXED_TIMESTEP, FAST_FALL } from '../../shared/constants.js';
+
+const NO_INPUT = { left: false, right: false, jump: false, down: false };
+const DOWN = { ...NO_INPUT, down: true };
+const RIGHT = { ...NO_INPUT, right: true };
+
+/**
+ * Create a platform collider
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} [width=4] - Width
+ * @param {number} [height=0.3] - Height
+ * @returns {Object} Collider for stepPhysics
+ */
+function createPlatform(x, y, width = 4, height = 0.3) {
+  return { x, y, width, height, isSpike: false };
+}
+
+/**
+ * Create a physics state in mid-air at a point
+ * @param {number} x - Player's X position
+ * @param {number} y - Player's Y position
+ * @param {number} [velocityY=0] - Vertical velocity
+ * @returns {Object} State for stepPhysics
+ */
+function createState(x, y, velocityY = 0) {
+  return {
+    x,
+    y,
+    velocityY,
+    isOnGround: false,
+    jumpCount: 1,
+    canDoubleJump: false,
+    jumpKeyReleased: true,
+    isGliding: false,
+    glideDirection: 0,
+    isOnWall: false,
+    canWallJump: false,
+    wallSide: null,
+    facingDirection: 1,
+    canMove: true,
+    respawnTimer: 0,
+    jumpStrength: 10
+  };
+}
+
+describe('stepPhysics collisions', () => {
+  it('lands a fast fall on a 0.3 platform it would pass in one tick', () => {
+    const platform = createPlatform(0, 10);
+    const top = platform.y + platform.height / 2;
+    const state = createState(0, top + PLAYER_HEIGHT / 2 + 0.5, FAST_FALL);
+
+    // A tenth of a second of fast fall covers 1.5, five times the platform's height
+    const { state: next, events } = stepPhysics(state, DOWN, 0.1, [platform]);
+
+    assert.equal(next.isOnGround, true);
+    assert.equal(next.y, top + PLAYER_HEIGHT / 2);
+    assert.deepEqual(events.find(event => event.type === 'hit'), { type: 'hit', side: 'top', collider: platform });
+  });
+
+  it('lands on the nearer of two platforms passed in one tick, whatever their order', () => {
+    const lower = createPlatform(0, 5);
+    const upper = createPlatform(0, 8);
+    const state = createState(0, 12, -400);
+
+    const { state: next } = stepPhysics(state, NO_INPUT, FIXED_TIMESTEP, [lower, upper]);
+
+    assert.equal(next.isOnGround, true);
+    assert.equal(next.y, upper.y + upper.height / 2 + PLAYER_HEIGHT / 2);
+  });
+
+  it('stops at the nearer of two walls walked into in one tick', () => {
+    const far = createPlatform(3, 0, 1, 4);
+    const near = createPlatform(1.5, 0, 1, 4);
+    const state = createState(0, 0);
+
+    const { events } = stepPhysics(state, RIGHT, 1, [far, near]);
+
+    assert.equal(events[0].type, 'hit');
+    assert.equal(events[0].collider, near);
+  });
+
+  it('rests on a platform without sinking or bouncing', () => {
+    const platform = createPlatform(0, 10);
+    const restY = platform.y + platform.height / 2 + PLAYER_HEIGHT / 2;
+    let state = { ...createState(0, restY), isOnGround: true, jumpCount: 0 };
+
+    for (let tick = 0; tick < 120; tick++) {
+      state = stepPhysics(state, NO_INPUT, FIXED_TIMESTEP, [platform]).state;
+      assert.equal(state.isOnGround, true);
+      assert.equal(state.y, restY);
+    }
+    assert.equal(state.velocityY, 0);
+  });
+});
+
+describe('stepPhysics timed platforms', () => {
+  it('lets the player out of a blinking platform that switched on around them', () => {
+    const platform = { ...createPlatform(0, 10), isSolid: true };
+    const state = createState(0, 10, 5);
+
+    const { state: next, events } = stepPhysics(state, NO_INPUT, FIXED_TIMESTEP, [platform]);
+
+    assert.ok(next.y > state.y);
+    assert.equal(next.isOnGround, false);
+    assert.equal(events.filter(event => event.type === 'hit').length, 0);
+  });
+
+  it('is solid again once the player is out of it', () => {
+    const platform = { ...createPlatform(0, 10), isSolid: true };
+    const top = platform.y + platform.height / 2;
+    const state = createState(0, top + PLAYER_HEIGHT / 2 + 0.05, -6);
+
+    const { state: next } = stepPhysics(state, NO_INPUT, FIXED_TIMESTEP, [platform]);
+
+    assert.equal(next.isOnGround, true);
+    assert.equal(next.y, top + PLAYER_HEIGHT / 2);
+  });
+});
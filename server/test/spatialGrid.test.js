@@ -0,0 +1,69 @@
+/**
+ * Spatial grid tests - lookups by area and the order colliders come back in
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSpatialGrid } from '../../shared/spatialGrid.js';
+import { getBounds } from '../../shared/collision.js';
+
+/**
+ * Create a collider with a name to tell it apart in assertions
+ * @param {string} name - Name of the collider
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @returns {Object} Collider { name, x, y, width, height }
+ */
+function createCollider(name, x, y) {
+  return { name, x, y, width: 2, height: 0.3 };
+}
+
+const EVERYWHERE = getBounds(0, 0, 100, 100);
+
+describe('createSpatialGrid', () => {
+  it('only returns colliders near the area', () => {
+    const grid = createSpatialGrid();
+    grid.insert(createCollider('near', 0, 0), 1);
+    grid.insert(createCollider('far', 0, 30), 1);
+
+    const found = grid.query(getBounds(0, 0, 2, 2));
+
+    assert.deepEqual(found.map(collider => collider.name), ['near']);
+  });
+
+  it('returns colliders by level and insertion order, whatever order levels were loaded in', () => {
+    const grid = createSpatialGrid();
+    grid.insert(createCollider('3a', 0, 0), 3);
+    grid.insert(createCollider('1a', 1, 0), 1);
+    grid.insert(createCollider('3b', -1, 0), 3);
+    grid.insert(createCollider('1b', 0, 1), 1);
+
+    const found = grid.query(EVERYWHERE);
+
+    assert.deepEqual(found.map(collider => collider.name), ['1a', '1b', '3a', '3b']);
+  });
+
+  it('keeps the order after a level is removed and loaded again', () => {
+    const grid = createSpatialGrid();
+    for (const level of [1, 2, 3]) {
+      grid.insert(createCollider(`${level}a`, 0, 0), level);
+      grid.insert(createCollider(`${level}b`, 1, 0), level);
+    }
+
+    grid.removeLevel(2);
+    assert.deepEqual(grid.query(EVERYWHERE).map(collider => collider.name), ['1a', '1b', '3a', '3b']);
+
+    grid.insert(createCollider('2c', 0, 0), 2);
+    grid.insert(createCollider('2d', 1, 0), 2);
+    assert.deepEqual(grid.query(EVERYWHERE).map(collider => collider.name), ['1a', '1b', '2c', '2d', '3a', '3b']);
+  });
+
+  it('finds colliders inserted with the bounds of their whole path anywhere along it', () => {
+    const grid = createSpatialGrid();
+    const mover = createCollider('mover', 0, 0);
+    grid.insert(mover, 1, getBounds(0, 10, 2, 20.3));
+
+    assert.deepEqual(grid.query(getBounds(0, 18, 1, 1)), [mover]);
+  });
+});
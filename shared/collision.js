@@ -0,0 +1,200 @@
+/**
+ * collision.js - Shared AABB Collision Math
+ *
+ * Axis-aligned bounding box helpers used by the client's physics step and
+ * the server's attack hit detection. Boxes are plain objects
+ * { x, y, width, height } with (x, y) at the center.
+ *
+ * ## Sides:
+ * Collision results name the side of the box the player hit: "top" when
+ * landing on it, "bottom" when bumping into it from below, "left" and
+ * "right" when running into it from that side.
+ *
+ * @module shared/collision
+ */
+
+import { PLAYER_WIDTH, PLAYER_HEIGHT } from './constants.js';
+
+/** Tolerance for deciding which side of a box the player came from */
+const SIDE_TOLERANCE = 0.01;
+
+/**
+ * Gets the edges of a box.
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {{left: number, right: number, bottom: number, top: number}} Box edges
+ */
+export function getBounds(x, y, width, height) {
+  return {
+    left: x - width / 2,
+    right: x + width / 2,
+    bottom: y - height / 2,
+    top: y + height / 2
+  };
+}
+
+/**
+ * Gets the edges of a player's collision box.
+ * @param {number} x - Player center X
+ * @param {number} y - Player center Y
+ * @returns {{left: number, right: number, bottom: number, top: number}} Player edges
+ */
+export function getPlayerBounds(x, y) {
+  return getBounds(x, y, PLAYER_WIDTH, PLAYER_HEIGHT);
+}
+
+/**
+ * Checks whether two sets of edges overlap (touching edges don't count).
+ * @param {Object} a - Edges { left, right, bottom, top }
+ * @param {Object} b - Edges { left, right, bottom, top }
+ * @returns {boolean} True if the boxes overlap
+ */
+export function boundsOverlap(a, b) {
+  return a.right > b.left && a.left < b.right && a.bottom < b.top && a.top > b.bottom;
+}
+
+/**
+ * Sweeps the player's box along a move and finds when it first touches a solid box.
+ * Unlike checkCollision, which only compares where the move starts and
+ * ends, this catches boxes the player would pass straight through in one
+ * move, however thin the box or fast the move.
+ *
+ * The time of impact is the fraction of the move (0 to 1) covered before
+ * the boxes touch, so hits on several boxes can be put in order. A player
+ * who already overlaps the box when the move starts is resolved by
+ * checkCollision and hit at time 0. Boxes that are only touched, or
+ * reached exactly at the end of the move, are not hit.
+ *
+ * @param {Object} box - Collider { x, y, width, height }
+ * @param {number} x - Player's X position at the start of the move
+ * @param {number} y - Player's Y position at the start of the move
+ * @param {number} dx - Horizontal distance moved
+ * @param {number} dy - Vertical distance moved
+ * @param {number} velocityY - Player's vertical velocity
+ * @returns {Object|null} Collision info {side, position, time} or null if no collision
+ *
+ * @example
+ * const hit = sweepCollision(box, x, y, 0, velocityY * dt, velocityY);
+ * if (hit?.side === 'top') {
+ *   // Player lands on the box after moving hit.time of the way
+ * }
+ */
+export function sweepCollision(box, x, y, dx, dy, velocityY) {
+  const player = getPlayerBounds(x, y);
+  const plat = getBounds(box.x, box.y, box.width, box.height);
+
+  if (boundsOverlap(player, plat)) {
+    const collision = checkCollision(box, x + dx, y + dy, x, y, velocityY);
+    return collision && { ...collision, time: 0 };
+  }
+
+  const [entryX, exitX] = getAxisTimes(player.left, player.right, plat.left, plat.right, dx);
+  const [entryY, exitY] = getAxisTimes(player.bottom, player.top, plat.bottom, plat.top, dy);
+  const entry = Math.max(entryX, entryY);
+  const exit = Math.min(exitX, exitY);
+
+  if (entry >= exit || entry < 0 || entry >= 1) return null;
+
+  if (entryX > entryY) {
+    return dx > 0
+      ? { side: "left", position: plat.left, time: entry }
+      : { side: "right", position: plat.right, time: entry };
+  }
+  return dy < 0
+    ? { side: "top", position: plat.top, time: entry }
+    : { side: "bottom", position: plat.bottom, time: entry };
+}
+
+/**
+ * Gets when a moving span starts and stops overlapping a fixed one along one axis.
+ * @private
+ * @param {number} min - Moving span's low edge at the start
+ * @param {number} max - Moving span's high edge at the start
+ * @param {number} boxMin - Fixed span's low edge
+ * @param {number} boxMax - Fixed span's high edge
+ * @param {number} delta - Distance the moving span moves
+ * @returns {number[]} [entry, exit] as fractions of the move (infinite when not moving)
+ */
+function getAxisTimes(min, max, boxMin, boxMax, delta) {
+  if (delta === 0) {
+    const overlaps = max > boxMin && min < boxMax;
+    return overlaps ? [-Infinity, Infinity] : [Infinity, -Infinity];
+  }
+  const entry = (delta > 0 ? boxMin - max : boxMax - min) / delta;
+  const exit = (delta > 0 ? boxMax - min : boxMin - max) / delta;
+  return [entry, exit];
+}
+
+/**
+ * Checks collision between the player and a solid box (platform or wall).
+ * Uses the previous position to determine which side was hit.
+ *
+ * @param {Object} box - Collider { x, y, width, height }
+ * @param {number} x - Player's X position
+ * @param {number} y - Player's Y position
+ * @param {number} prevX - Player's previous X position
+ * @param {number} prevY - Player's previous Y position
+ * @param {number} velocityY - Player's vertical velocity
+ * @returns {Object|null} Collision info {side, position} or null if no collision
+ *
+ * @example
+ * const collision = checkCollision(box, x, y, prevX, prevY, velocityY);
+ * if (collision?.side === 'top') {
+ *   // Player landed on the box
+ * }
+ */
+export function checkCollision(box, x, y, prevX, prevY, velocityY) {
+  const player = getPlayerBounds(x, y);
+  const prev = getPlayerBounds(prevX, prevY);
+  const plat = getBounds(box.x, box.y, box.width, box.height);
+
+  if (!boundsOverlap(player, plat)) return null;
+
+  const wasAbove = prev.bottom >= plat.top - SIDE_TOLERANCE;
+  const wasBelow = prev.top <= plat.bottom + SIDE_TOLERANCE;
+  const wasLeft = prev.right <= plat.left + SIDE_TOLERANCE;
+  const wasRight = prev.left >= plat.right - SIDE_TOLERANCE;
+
+  // If none of the directional checks pass, determine collision side based on overlap amounts
+  if (!wasAbove && !wasBelow && !wasLeft && !wasRight) {
+    // Calculate overlap amounts for each side
+    const overlapTop = player.top - plat.top;
+    const overlapBottom = plat.bottom - player.bottom;
+    const overlapLeft = player.left - plat.left;
+    const overlapRight = plat.right - player.right;
+
+    // Find the smallest overlap (closest to the surface)
+    const minOverlap = Math.min(
+      Math.abs(overlapTop),
+      Math.abs(overlapBottom),
+      Math.abs(overlapLeft),
+      Math.abs(overlapRight)
+    );
+
+    // Determine collision side based on smallest overlap and velocity
+    if (Math.abs(overlapTop) === minOverlap && velocityY <= 0) {
+      return { side: "top", position: plat.top };
+    } else if (Math.abs(overlapBottom) === minOverlap && velocityY >= 0) {
+      return { side: "bottom", position: plat.bottom };
+    } else if (Math.abs(overlapLeft) === minOverlap) {
+      return { side: "left", position: plat.left };
+    } else if (Math.abs(overlapRight) === minOverlap) {
+      return { side: "right", position: plat.right };
+    }
+  }
+
+  // Directional logic with velocity checks
+  if (wasAbove && velocityY <= 0) {
+    return { side: "top", position: plat.top };
+  } else if (wasBelow && velocityY >= 0) {
+    return { side: "bottom", position: plat.bottom };
+  } else if (wasLeft) {
+    return { side: "left", position: plat.left };
+  } else if (wasRight) {
+    return { side: "right", position: plat.right };
+  }
+
+  return null;
+}
@@ -0,0 +1,144 @@
+/**
+ * constants.js - Shared World and Physics Constants
+ *
+ * Gameplay rules used by both the browser client and the multiplayer
+ * server. Has no dependencies on Three.js, the DOM or Node, so either side
+ * can import it directly. Gravity, movement and jump values here are the
+ * medium difficulty's; see shared/difficultyProfiles.js for the others.
+ *
+ * @module shared/constants
+ *
+ * ## Categories:
+ * - World Dimensions
+ * - Player Dimensions
+ * - Physics Constants
+ * - Gliding Mechanics
+ * - Knockback
+ * - Moving Platforms
+ * - Timed Platforms
+ * - Collectibles
+ * - Simulation Timing
+ */
+
+// ========================================
+// WORLD DIMENSIONS
+// ========================================
+
+/** @constant {number} Height of the visible scene in world units */
+export const SCENE_HEIGHT = 15;
+
+/** @constant {number} Width of the visible scene (16:9 aspect ratio) */
+export const SCENE_WIDTH = SCENE_HEIGHT * 16 / 9;
+
+/** @constant {number} Width of the ground platform */
+export const GROUND_WIDTH = SCENE_WIDTH * 0.9;
+
+/** @constant {number} Height/thickness of the ground platform */
+export const GROUND_HEIGHT = 0.3;
+
+/** @constant {number} Y position of the ground platform center */
+export const GROUND_POSITION_Y = -SCENE_HEIGHT / 2 - 0.6;
+
+/** @constant {number} Y position of the ground's top surface */
+export const GROUND_TOP_Y = GROUND_POSITION_Y + GROUND_HEIGHT / 2;
+
+/** @constant {number} Height of each level in world units */
+export const LEVEL_HEIGHT = 15;
+
+/** @constant {number} Number of levels in the tower */
+export const NUM_LEVELS = 20;
+
+// ========================================
+// PLAYER DIMENSIONS
+// ========================================
+
+/** @constant {number} Player collision box width */
+export const PLAYER_WIDTH = 0.8;
+
+/** @constant {number} Player collision box height */
+export const PLAYER_HEIGHT = 1.4;
+
+/** @constant {number} Player starting X position */
+export const PLAYER_START_X = 0;
+
+/** @constant {number} Player starting Y position (on top of ground) */
+export const PLAYER_START_Y = GROUND_TOP_Y + PLAYER_HEIGHT / 2;
+
+// ========================================
+// PHYSICS CONSTANTS
+// ========================================
+
+/** @constant {number} Gravity acceleration (negative = downward) */
+export const GRAVITY = -25;
+
+/** @constant {number} Default jump velocity (also the easy difficulty's; see shared/difficultyProfiles.js) */
+export const DEFAULT_JUMP_STRENGTH = 15;
+
+/** @constant {number} Double jump strength as a fraction of the first jump */
+export const DOUBLE_JUMP_MULTIPLIER = 0.7;
+
+/** @constant {number} Fast fall velocity when holding down */
+export const FAST_FALL = -15;
+
+/** @constant {number} Horizontal movement speed */
+export const MOVE_SPEED = 7;
+
+/** @constant {number} Upward bounce off a spike as a fraction of the jump (profiles whose spikes bounce) */
+export const SPIKE_BOUNCE_MULTIPLIER = 0.8;
+
+// ========================================
+// GLIDING MECHANICS
+// ========================================
+
+/** @constant {number} Reduced gravity while gliding */
+export const GLIDE_GRAVITY = -8;
+
+/** @constant {number} Maximum fall speed while gliding */
+export const GLIDE_MAX_SPEED = -3;
+
+// ========================================
+// KNOCKBACK
+// ========================================
+
+/** @constant {number} Horizontal knockback velocity of a multiplayer attack (the server applies it and bounds movement by it) */
+export const KNOCKBACK_X = 12;
+
+/** @constant {number} Vertical knockback velocity of a multiplayer attack */
+export const KNOCKBACK_Y = 15;
+
+/** @constant {number} Vertical knockback of an upward attack as a multiple of KNOCKBACK_Y (the fastest knockback) */
+export const UPWARD_KNOCKBACK_MULTIPLIER = 1.5;
+
+// ========================================
+// MOVING PLATFORMS
+// ========================================
+
+/** @constant {number} Fastest a moving platform may travel (world units per second) */
+export const MAX_PLATFORM_SPEED = 4;
+
+// ========================================
+// TIMED PLATFORMS
+// ========================================
+
+/** @constant {number} Seconds a crumbling platform holds after the player lands on it */
+export const CRUMBLE_DELAY = 0.6;
+
+/** @constant {number} Seconds a crumbling platform stays gone before it comes back */
+export const CRUMBLE_RESPAWN_TIME = 3;
+
+// ========================================
+// COLLECTIBLES
+// ========================================
+
+/** @constant {number} Width and height of a collectible's pickup box */
+export const COLLECTIBLE_SIZE = 0.6;
+
+// ========================================
+// SIMULATION TIMING
+// ========================================
+
+/** @constant {number} Length of one physics tick (seconds) */
+export const FIXED_TIMESTEP = 1 / 60;
+
+/** @constant {number} Delay before respawning after a death (seconds) */
+export const RESPAWN_DELAY = 0.5;
@@ -0,0 +1,124 @@
+/**
+ * difficultyProfiles.js - Shared Difficulty Profiles
+ *
+ * Each difficulty is a profile bundling the physics rules the player moves
+ * by, the layout parameters its towers are generated with and what
+ * happens when the player touches a spike. The client plays and generates
+ * with the active profile; the server uses the profiles to bound movement.
+ *
+ * @module shared/difficultyProfiles
+ *
+ * ## Profile:
+ * - id: Key for personal bests, ghosts, replays and the difficulty select
+ * - version: Bumped whenever the physics or generation change, so bests and
+ *   ghosts set under the old rules are no longer compared against
+ * - label: Display name
+ * - description: One-line summary for the start screen
+ * - physics: Rules for stepPhysics (see shared/physics.js)
+ *   - jumpStrength: Jump velocity (copied into the physics state)
+ *   - gravity, glideGravity: Downward acceleration, normally and while gliding
+ *   - moveSpeed: Horizontal movement speed
+ *   - doubleJumpMultiplier: Double jump strength as a fraction of the first jump
+ *   - spikePolicy: What touching a spike does (see SPIKE_POLICIES)
+ * - generation: Tower layout parameters (see client data/levelData.js)
+ *   - spikesPerLevel: Platforms per level turned into spikes
+ *   - minPlatformWidth, maxPlatformWidth: Platform width range
+ *   - minConsecutiveXGap: Smallest horizontal gap between consecutive platforms
+ *
+ * ## Medium:
+ * The medium profile uses the constants in shared/constants.js and the
+ * classic layout, so its towers are the ones every version has generated.
+ */
+
+import {
+  GRAVITY,
+  GLIDE_GRAVITY,
+  MOVE_SPEED,
+  DOUBLE_JUMP_MULTIPLIER,
+  DEFAULT_JUMP_STRENGTH
+} from './constants.js';
+
+/**
+ * What touching a spike does.
+ * - bounce: Landing on one bounces the player up; spikes never kill
+ * - land: Landing on one kills; bumping into the side or underside is safe
+ * - touch: Touching one from any side kills
+ * @type {string[]}
+ */
+export const SPIKE_POLICIES = ['bounce', 'land', 'touch'];
+
+/** @type {Object.<string, Object>} Difficulty profiles by id, easiest first */
+export const DIFFICULTY_PROFILES = {
+  easy: {
+    id: 'easy',
+    version: 2,
+    label: 'Easy',
+    description: 'High jumps, floaty glides and wide platforms. Spikes bounce you back up.',
+    physics: {
+      jumpStrength: DEFAULT_JUMP_STRENGTH,
+      gravity: -23,
+      glideGravity: -6,
+      moveSpeed: MOVE_SPEED,
+      doubleJumpMultiplier: 0.75,
+      spikePolicy: 'bounce'
+    },
+    generation: {
+      spikesPerLevel: 4,
+      minPlatformWidth: 2.0,
+      maxPlatformWidth: 6.0,
+      minConsecutiveXGap: 6.5
+    }
+  },
+  medium: {
+    id: 'medium',
+    version: 1,
+    label: 'Medium',
+    description: 'The classic climb. Landing on a spike is fatal.',
+    physics: {
+      jumpStrength: 13.5,
+      gravity: GRAVITY,
+      glideGravity: GLIDE_GRAVITY,
+      moveSpeed: MOVE_SPEED,
+      doubleJumpMultiplier: DOUBLE_JUMP_MULTIPLIER,
+      spikePolicy: 'land'
+    },
+    generation: {
+      spikesPerLevel: 6,
+      minPlatformWidth: 1.5,
+      maxPlatformWidth: 5.5,
+      minConsecutiveXGap: 7.5
+    }
+  },
+  hard: {
+    id: 'hard',
+    version: 2,
+    label: 'Hard',
+    description: 'Low jumps, heavy gravity and narrow platforms. Any spike contact is fatal.',
+    physics: {
+      jumpStrength: 10,
+      gravity: -26,
+      glideGravity: -9,
+      moveSpeed: 7.5,
+      doubleJumpMultiplier: 0.65,
+      spikePolicy: 'touch'
+    },
+    generation: {
+      spikesPerLevel: 8,
+      minPlatformWidth: 1.2,
+      maxPlatformWidth: 4.5,
+      minConsecutiveXGap: 8.5
+    }
+  }
+};
+
+/** @constant {string} Profile used when none is chosen (and for multiplayer towers) */
+export const DEFAULT_DIFFICULTY = 'medium';
+
+/**
+ * Gets a difficulty profile by id.
+ * @param {string} id - Profile id ('easy', 'medium', 'hard'); case is ignored
+ * @returns {Object} The profile, or the default profile for unknown ids
+ */
+export function getDifficultyProfile(id) {
+  return DIFFICULTY_PROFILES[String(id).toLowerCase()] ?? DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+}
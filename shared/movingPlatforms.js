@@ -0,0 +1,43 @@
+/**
+ * movingPlatforms.js - Shared Moving Platform Paths
+ *
+ * Moving platforms travel back and forth along a straight horizontal or
+ * vertical path at a constant speed. Their position is a pure function of
+ * the run's simulated time, so every client (and replays) sees them in the
+ * same place on the same physics tick.
+ *
+ * @module shared/movingPlatforms
+ *
+ * ## Paths:
+ * A path is centered on the platform's level position and is `range` long.
+ * At time 0 the platform is at the center, heading right (or up).
+ *
+ * ## Colliders:
+ * A moving platform's collider has two extra fields, moveX and moveY: how
+ * far it moved during the current tick. The physics step uses them to
+ * carry a player standing on it.
+ */
+
+import { MAX_PLATFORM_SPEED } from './constants.js';
+
+/** Axes a platform can move along */
+export const PATH_AXES = ['x', 'y'];
+
+/**
+ * Gets a moving platform's offset from the center of its path.
+ * @param {number} range - Length of the path (world units)
+ * @param {number} speed - Travel speed (world units per second, at most MAX_PLATFORM_SPEED)
+ * @param {number} time - Simulated run time in seconds
+ * @returns {number} Offset along the path's axis, between -range / 2 and range / 2
+ */
+export function getPathOffset(range, speed, time) {
+  if (range <= 0 || speed <= 0) return 0;
+
+  // Distance travelled, folded back and forth over the path
+  const period = range * 2;
+  const travelled = Math.min(speed, MAX_PLATFORM_SPEED) * time + range / 2;
+  const phase = ((travelled % period) + period) % period;
+  const distanceFromStart = phase < range ? phase : period - phase;
+
+  return distanceFromStart - range / 2;
+}
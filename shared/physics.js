@@ -0,0 +1,445 @@
+/**
+ * physics.js - Deterministic Player Physics Step
+ *
+ * Advances a player's movement by one fixed tick. The step is a pure
+ * function: it reads a plain state object, input flags and the level
+ * colliders, and returns the next state plus a list of events. It has no
+ * dependencies on Three.js, the DOM or Node, so the client runs it every
+ * tick and the server can run the same rules to simulate or validate
+ * movement.
+ *
+ * @module shared/physics
+ *
+ * ## Step Order:
+ * 1. Count down the respawn delay (skips the rest of the step)
+ * 2. Ride along with the moving platform the player is standing on
+ * 3. Horizontal movement
+ * 4. Horizontal collisions (walls, wall stick)
+ * 5. Jump / wall jump / double jump
+ * 6. Gravity or gliding
+ * 7. Fast fall and wall drop
+ * 8. Vertical movement and collisions (platforms, spikes)
+ * 9. Falling below the ground
+ *
+ * ## Collisions:
+ * Movement is swept (see sweepCollision in shared/collision.js): the
+ * player's box is moved along each axis in turn, horizontal first, and
+ * stops at the first surface in its way, by time of impact. Thin platforms
+ * and spikes can't be skipped however fast the player falls or is knocked
+ * back. Each axis hits at most one surface a tick; ties go to the collider
+ * listed first.
+ *
+ * ## Moving Platforms:
+ * Colliders of moving platforms carry moveX/moveY, how far they moved this
+ * tick (see shared/movingPlatforms.js). They are already at their new
+ * position; a player who stood on one at its old position is moved along
+ * with it before anything else happens.
+ *
+ * ## Rules:
+ * Gravity, glide gravity, movement speed, the double jump multiplier and
+ * the spike policy come from the rules passed in: the physics of a
+ * difficulty profile (see shared/difficultyProfiles.js), medium by default.
+ * The jump strength is part of the state.
+ *
+ * ## Spikes:
+ * - bounce: Landing on a spike bounces the player up instead of killing them
+ * - land: Landing on a spike kills the player
+ * - touch: Touching a spike from any side kills the player
+ *
+ * ## Timed Platforms:
+ * Colliders with isSolid set to false (a blinking platform that is off, a
+ * crumbling platform that fell) are ignored. So is a timed collider (one
+ * with isSolid set) that overlaps the player when the tick starts: a
+ * platform that switched on or came back around the player lets them move
+ * out of it instead of snapping them onto or under it. Standing on a
+ * collider with isCrumbling reports a crumble event every tick; the caller
+ * decides when it falls (see shared/timedPlatforms.js).
+ *
+ * ## Nearby Colliders:
+ * The step only collides with the colliders it is given. getSweptBounds
+ * gives the area the player can reach during a tick, so callers can pass
+ * just the colliders overlapping it (see shared/spatialGrid.js).
+ *
+ * ## Events:
+ * - hit { side, collider }: Ran into a surface (side of the collider that was
+ *   hit, see shared/collision.js); a wall hit comes before a floor or
+ *   ceiling hit, so the first hit event is the first surface touched
+ * - doubleJump { x, y }: Double jump performed (for particles)
+ * - glide { x, y, direction }: Gliding sideways this tick (for particles)
+ * - spikeHit: Landed on (or, with the touch policy, bumped into) a spike
+ * - crumble { collider }: Standing on a crumbling platform
+ * - death: Player died and the respawn delay started
+ * - respawn: Player was moved back to the start
+ */
+
+import {
+  FAST_FALL,
+  GLIDE_MAX_SPEED,
+  SPIKE_BOUNCE_MULTIPLIER,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  PLAYER_START_X,
+  PLAYER_START_Y,
+  GROUND_POSITION_Y,
+  RESPAWN_DELAY,
+  MAX_PLATFORM_SPEED
+} from './constants.js';
+import { sweepCollision, getBounds, getPlayerBounds, boundsOverlap } from './collision.js';
+import { getDifficultyProfile, DEFAULT_DIFFICULTY } from './difficultyProfiles.js';
+
+/** How far the player's feet may be from a moving platform's top and still ride it */
+const RIDE_TOLERANCE = 0.01;
+
+/** Extra room around the swept bounds for the collision and riding tolerances */
+const SWEEP_MARGIN = 0.1;
+
+/**
+ * Fields of the physics state besides the position (x, y).
+ * Each one mirrors the client gameState field of the same name.
+ * @type {string[]}
+ */
+export const PHYSICS_STATE_FIELDS = [
+  'velocityY',
+  'isOnGround',
+  'jumpCount',
+  'canDoubleJump',
+  'jumpKeyReleased',
+  'isGliding',
+  'glideDirection',
+  'isOnWall',
+  'canWallJump',
+  'wallSide',
+  'facingDirection',
+  'canMove',
+  'respawnTimer',
+  'jumpStrength'
+];
+
+/**
+ * Advances player physics by one tick.
+ *
+ * @param {Object} state - Current state ({ x, y } plus PHYSICS_STATE_FIELDS); not modified
+ * @param {Object} input - Held inputs { left, right, jump, down }
+ * @param {number} dt - Tick length in seconds
+ * @param {Array<Object>} [colliders=[]] - Level geometry { x, y, width, height, isSpike, moveX?, moveY?, isSolid?, isCrumbling? }
+ * @param {Object} [rules] - Physics of a difficulty profile (default: medium)
+ * @returns {{state: Object, events: Array<Object>}} Next state and what happened during the tick
+ */
+export function stepPhysics(state, input, dt, colliders = [], rules = getDifficultyProfile(DEFAULT_DIFFICULTY).physics) {
+  const s = { ...state };
+  const events = [];
+
+  // Wait out the death delay before respawning
+  if (s.respawnTimer > 0) {
+    s.respawnTimer -= dt;
+    if (s.respawnTimer <= 0) {
+      respawn(s);
+      events.push({ type: 'respawn' });
+    }
+    return { state: s, events };
+  }
+
+  // Releasing jump allows the next (double) jump
+  if (!input.jump) {
+    s.jumpKeyReleased = true;
+  }
+
+  // Platforms that are switched off or have fallen can't be touched, and
+  // neither can one that appeared around the player until they are out of it
+  const playerBounds = getPlayerBounds(s.x, s.y);
+  const solids = colliders.filter((collider) =>
+    collider.isSolid === undefined ||
+    (collider.isSolid && !boundsOverlap(playerBounds, getBounds(collider.x, collider.y, collider.width, collider.height)))
+  );
+
+  // Moving platforms carry the player standing on them
+  if (s.isOnGround) {
+    const platform = findRiddenPlatform(s, solids);
+    if (platform) {
+      s.x += platform.moveX;
+      s.y += platform.moveY;
+    }
+  }
+
+  const prevX = s.x;
+  const prevY = s.y;
+
+  // Horizontal movement
+  if (input.left && s.canMove) {
+    s.x -= rules.moveSpeed * dt;
+    s.facingDirection = -1; // Facing left
+  }
+  if (input.right && s.canMove) {
+    s.x += rules.moveSpeed * dt;
+    s.facingDirection = 1; // Facing right
+  }
+
+  // Check horizontal collisions (the first wall in the way stops the player)
+  s.isOnWall = false;
+  s.wallSide = null;
+  const wallHit = findFirstHit(solids, prevX, prevY, s.x - prevX, 0, s.velocityY, ["left", "right"]);
+  if (wallHit) {
+    events.push({ type: 'hit', side: wallHit.side, collider: wallHit.collider });
+
+    // Bumping into a spike kills the player when any contact counts
+    if (wallHit.collider.isSpike && rules.spikePolicy === 'touch') {
+      kill(s);
+      events.push({ type: 'spikeHit' }, { type: 'death' });
+      return { state: s, events };
+    }
+
+    s.x =
+      wallHit.side === "left"
+        ? wallHit.position - PLAYER_WIDTH / 2
+        : wallHit.position + PLAYER_WIDTH / 2;
+
+    // Check if player should stick to wall (only when falling or moving slowly)
+    if (!s.isOnGround && s.velocityY <= 0) {
+      s.isOnWall = true;
+      s.canWallJump = true;
+      s.wallSide = wallHit.side;
+      s.velocityY = 0;
+    }
+  }
+
+  // Jump
+  if (input.jump && s.canMove && s.jumpKeyReleased) {
+    // Wall jump (when on wall)
+    if (s.isOnWall && s.canWallJump) {
+      s.velocityY = s.jumpStrength;
+      s.isOnWall = false;
+      s.canWallJump = false;
+      s.wallSide = null;
+      s.jumpKeyReleased = false;
+      s.jumpCount = 1;
+      s.canDoubleJump = true;
+    }
+    // First jump (on ground)
+    else if (s.isOnGround) {
+      s.velocityY = s.jumpStrength;
+      s.isOnGround = false;
+      s.jumpCount = 1;
+      s.canDoubleJump = true;
+      s.jumpKeyReleased = false;
+    }
+    // Second jump (in air - either after first jump OR after falling off platform)
+    else if (!s.isOnGround && !s.isOnWall && s.jumpCount < 2) {
+      s.velocityY = s.jumpStrength * rules.doubleJumpMultiplier;
+      s.jumpCount = 2;
+      s.canDoubleJump = false;
+      s.jumpKeyReleased = false;
+      events.push({ type: 'doubleJump', x: s.x, y: s.y });
+    }
+  }
+
+  // Gliding mechanics - allow gliding when falling (not on wall, not on ground)
+  if (input.jump && !s.isOnGround && !s.isOnWall && s.velocityY <= 0 && s.canMove) {
+    s.isGliding = true;
+
+    // Track glide direction based on horizontal movement
+    if (input.left && input.right) {
+      s.glideDirection = 0;
+    } else if (input.left) {
+      s.glideDirection = -1;
+    } else if (input.right) {
+      s.glideDirection = 1;
+    } else {
+      s.glideDirection = 0;
+    }
+
+    if (s.glideDirection !== 0) {
+      events.push({ type: 'glide', x: s.x, y: s.y, direction: s.glideDirection });
+    }
+
+    // Apply reduced gravity while gliding
+    s.velocityY += rules.glideGravity * dt;
+    if (s.velocityY < GLIDE_MAX_SPEED) {
+      s.velocityY = GLIDE_MAX_SPEED;
+    }
+  } else {
+    s.isGliding = false;
+    s.glideDirection = 0;
+    // Apply normal gravity when not gliding and not on wall
+    if (!s.isOnWall) {
+      s.velocityY += rules.gravity * dt;
+    }
+  }
+
+  // Fast fall and wall drop
+  if (input.down && s.canMove) {
+    if (s.isOnWall) {
+      s.isOnWall = false;
+      s.canWallJump = false;
+      s.wallSide = null;
+      s.velocityY = FAST_FALL;
+    } else if (!s.isOnGround && !s.isGliding) {
+      s.velocityY = FAST_FALL;
+    }
+  }
+
+  // Apply vertical movement
+  s.y += s.velocityY * dt;
+
+  // Check vertical collisions (the first floor or ceiling in the way stops the player)
+  s.isOnGround = false;
+  const floorHit = findFirstHit(solids, s.x, prevY, 0, s.y - prevY, s.velocityY, ["top", "bottom"]);
+  if (floorHit) {
+    const { collider, side, position } = floorHit;
+    events.push({ type: 'hit', side, collider });
+
+    // Landing on top of a spike bounces or kills the player; touching its underside may kill too
+    if (collider.isSpike && side === "top" && rules.spikePolicy === 'bounce') {
+      bounce(s, position);
+      events.push({ type: 'spikeHit' });
+    } else if (collider.isSpike && (side === "top" || rules.spikePolicy === 'touch')) {
+      kill(s);
+      events.push({ type: 'spikeHit' }, { type: 'death' });
+      return { state: s, events };
+    } else if (side === "top") {
+      s.y = position + PLAYER_HEIGHT / 2;
+      s.velocityY = 0;
+      s.isOnGround = true;
+      s.jumpCount = 0;
+      s.canDoubleJump = false;
+      s.jumpKeyReleased = true;
+      s.isGliding = false;
+      if (collider.isCrumbling) {
+        events.push({ type: 'crumble', collider });
+      }
+    } else {
+      s.y = position - PLAYER_HEIGHT / 2;
+      s.velocityY = 0;
+    }
+  }
+
+  // Death condition (fall below screen)
+  if (s.y - PLAYER_HEIGHT / 2 < GROUND_POSITION_Y) {
+    s.y = GROUND_POSITION_Y + PLAYER_HEIGHT / 2;
+    s.isOnGround = true;
+    kill(s);
+    events.push({ type: 'death' });
+  }
+
+  return { state: s, events };
+}
+
+/**
+ * Gets the area the player can touch during the next tick.
+ * Covers the player's box at its current position grown by the furthest
+ * it can move in one tick: riding a moving platform, walking, and falling
+ * or jumping at the fastest speed the step can give it. Colliders outside
+ * this area can't affect the step.
+ *
+ * @param {Object} state - Current state ({ x, y } plus PHYSICS_STATE_FIELDS)
+ * @param {number} dt - Tick length in seconds
+ * @param {Object} [rules] - Physics of a difficulty profile (default: medium)
+ * @returns {{left: number, right: number, bottom: number, top: number}} Swept edges
+ */
+export function getSweptBounds(state, dt, rules = getDifficultyProfile(DEFAULT_DIFFICULTY).physics) {
+  const fastestY = Math.max(
+    Math.abs(state.velocityY) + Math.abs(rules.gravity) * dt,
+    Math.abs(state.jumpStrength),
+    Math.abs(FAST_FALL)
+  );
+  const reachX = (rules.moveSpeed + MAX_PLATFORM_SPEED) * dt + SWEEP_MARGIN;
+  const reachY = (fastestY + MAX_PLATFORM_SPEED) * dt + SWEEP_MARGIN;
+
+  return getBounds(state.x, state.y, PLAYER_WIDTH + reachX * 2, PLAYER_HEIGHT + reachY * 2);
+}
+
+/**
+ * Finds the first collider the player runs into while moving, on one of the given sides.
+ * @private
+ * @param {Array<Object>} colliders - Level geometry
+ * @param {number} x - Player's X position at the start of the move
+ * @param {number} y - Player's Y position at the start of the move
+ * @param {number} dx - Horizontal distance moved
+ * @param {number} dy - Vertical distance moved
+ * @param {number} velocityY - Player's vertical velocity
+ * @param {string[]} sides - Sides of a collider that count as a hit
+ * @returns {Object|null} {collider, side, position, time} of the earliest hit, or null
+ */
+function findFirstHit(colliders, x, y, dx, dy, velocityY, sides) {
+  let first = null;
+  for (const collider of colliders) {
+    const hit = sweepCollision(collider, x, y, dx, dy, velocityY);
+    if (hit && sides.includes(hit.side) && (!first || hit.time < first.time)) {
+      first = { collider, ...hit };
+    }
+  }
+  return first;
+}
+
+/**
+ * Finds the moving platform the player was standing on before it moved this tick.
+ * @private
+ * @param {Object} s - Current state
+ * @param {Array<Object>} colliders - Level geometry
+ * @returns {Object|null} The platform's collider, or null if not riding one
+ */
+function findRiddenPlatform(s, colliders) {
+  const feetY = s.y - PLAYER_HEIGHT / 2;
+
+  for (const collider of colliders) {
+    if (!collider.moveX && !collider.moveY) continue;
+
+    const previous = getBounds(
+      collider.x - collider.moveX,
+      collider.y - collider.moveY,
+      collider.width,
+      collider.height
+    );
+    const isAbove = Math.abs(feetY - previous.top) <= RIDE_TOLERANCE;
+    const overlapsX = s.x + PLAYER_WIDTH / 2 > previous.left && s.x - PLAYER_WIDTH / 2 < previous.right;
+    if (isAbove && overlapsX) return collider;
+  }
+
+  return null;
+}
+
+/**
+ * Bounces the player up off the top of a spike, leaving the double jump available.
+ * @private
+ * @param {Object} s - State to modify
+ * @param {number} top - Y of the spike's top surface
+ */
+function bounce(s, top) {
+  s.y = top + PLAYER_HEIGHT / 2;
+  s.velocityY = s.jumpStrength * SPIKE_BOUNCE_MULTIPLIER;
+  s.jumpCount = 1;
+  s.canDoubleJump = true;
+  s.isGliding = false;
+}
+
+/**
+ * Freezes the player and starts the respawn delay.
+ * @private
+ * @param {Object} s - State to modify
+ */
+function kill(s) {
+  s.canMove = false;
+  s.velocityY = 0;
+  s.respawnTimer = RESPAWN_DELAY;
+}
+
+/**
+ * Moves the player back to the start with fresh physics state.
+ * @private
+ * @param {Object} s - State to modify
+ */
+function respawn(s) {
+  s.x = PLAYER_START_X;
+  s.y = PLAYER_START_Y;
+  s.canMove = true;
+  s.velocityY = 0;
+  s.isOnGround = false;
+  s.jumpCount = 0;
+  s.canDoubleJump = false;
+  s.jumpKeyReleased = true;
+  s.isGliding = false;
+  s.glideDirection = 0;
+  s.isOnWall = false;
+  s.canWallJump = false;
+  s.wallSide = null;
+  s.respawnTimer = 0;
+}
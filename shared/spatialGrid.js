@@ -0,0 +1,122 @@
+/**
+ * spatialGrid.js - Uniform Grid for Collider Lookups
+ *
+ * Buckets level colliders into square cells so the physics step only has
+ * to look at the ones near the player instead of every loaded platform.
+ * Like the rest of the shared collision code it works on plain boxes
+ * { x, y, width, height } with (x, y) at the center and has no
+ * dependencies on Three.js, the DOM or Node.
+ *
+ * @module shared/spatialGrid
+ *
+ * ## Cells:
+ * Cells are CELL_SIZE wide and tall; each row is a band of the tower's
+ * height. A collider is put in every cell its bounds touch. Colliders that
+ * move are inserted with the bounds of their whole path, so they never
+ * need re-bucketing.
+ *
+ * ## Levels:
+ * Every collider is inserted with the level it belongs to (0 for the
+ * ground), so a level's colliders can be removed together when the level
+ * is unloaded.
+ *
+ * ## Order:
+ * The physics step resolves collisions one collider at a time, so the
+ * order matters. Queries return colliders sorted by level and then by
+ * insertion order within the level, the order a full scan of the loaded
+ * levels would visit them in, whatever order levels were loaded in.
+ */
+
+import { getBounds, boundsOverlap } from './collision.js';
+
+/** Width and height of a grid cell (world units) */
+export const CELL_SIZE = 4;
+
+/**
+ * Creates an empty grid.
+ * @param {number} [cellSize=CELL_SIZE] - Width and height of a cell
+ * @returns {{insert: Function, removeLevel: Function, query: Function}} The grid
+ *
+ * @example
+ * const grid = createSpatialGrid();
+ * grid.insert(platform.collider, 3);
+ * const nearby = grid.query(getBounds(x, y, 4, 6));
+ */
+export function createSpatialGrid(cellSize = CELL_SIZE) {
+  /** @type {Map<string, Set<Object>>} Entries by cell key */
+  const cells = new Map();
+
+  /** @type {Map<number, Array<Object>>} Entries by level, in insertion order */
+  const levelEntries = new Map();
+
+  /**
+   * Gets the keys of the cells a set of edges touches.
+   * @param {Object} bounds - Edges { left, right, bottom, top }
+   * @returns {string[]} Cell keys
+   */
+  function getCellKeys(bounds) {
+    const keys = [];
+    const minColumn = Math.floor(bounds.left / cellSize);
+    const maxColumn = Math.floor(bounds.right / cellSize);
+    const minRow = Math.floor(bounds.bottom / cellSize);
+    const maxRow = Math.floor(bounds.top / cellSize);
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        keys.push(`${column},${row}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Adds a collider to the grid.
+   * @param {Object} collider - Collider { x, y, width, height, ... }
+   * @param {number} level - Level the collider belongs to (0 for the ground)
+   * @param {Object} [bounds] - Edges the collider can reach; defaults to its current box
+   */
+  function insert(collider, level, bounds = getBounds(collider.x, collider.y, collider.width, collider.height)) {
+    if (!levelEntries.has(level)) levelEntries.set(level, []);
+    const entries = levelEntries.get(level);
+
+    const entry = { collider, level, index: entries.length, bounds, keys: getCellKeys(bounds) };
+    entries.push(entry);
+    for (const key of entry.keys) {
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(entry);
+    }
+  }
+
+  /**
+   * Removes every collider of a level.
+   * @param {number} level - Level to remove
+   */
+  function removeLevel(level) {
+    for (const entry of levelEntries.get(level) ?? []) {
+      for (const key of entry.keys) {
+        const cell = cells.get(key);
+        cell.delete(entry);
+        if (cell.size === 0) cells.delete(key);
+      }
+    }
+    levelEntries.delete(level);
+  }
+
+  /**
+   * Gets the colliders whose bounds overlap an area.
+   * @param {Object} bounds - Edges { left, right, bottom, top } of the area
+   * @returns {Array<Object>} Colliders, by level and then insertion order
+   */
+  function query(bounds) {
+    const found = new Set();
+    for (const key of getCellKeys(bounds)) {
+      for (const entry of cells.get(key) ?? []) {
+        if (boundsOverlap(entry.bounds, bounds)) found.add(entry);
+      }
+    }
+    return [...found]
+      .sort((a, b) => a.level - b.level || a.index - b.index)
+      .map((entry) => entry.collider);
+  }
+
+  return { insert, removeLevel, query };
+}
@@ -0,0 +1,51 @@
+/**
+ * timedPlatforms.js - Shared Crumbling and Blinking Platform Timing
+ *
+ * Crumbling platforms hold for CRUMBLE_DELAY after the player lands on
+ * them, fall, and come back CRUMBLE_RESPAWN_TIME later. Blinking platforms
+ * switch on and off on a fixed cycle. Both are timed in simulated run time,
+ * so replays and every client agree on when a platform can be stood on.
+ *
+ * @module shared/timedPlatforms
+ *
+ * ## Colliders:
+ * Timed platforms set isSolid on their collider; the physics step ignores
+ * colliders that aren't solid, and ones that became solid around the player
+ * until the player is out of them. Crumbling platforms also set isCrumbling
+ * so the step reports when they are stood on (see shared/physics.js).
+ */
+
+import { CRUMBLE_DELAY, CRUMBLE_RESPAWN_TIME } from './constants.js';
+
+/**
+ * Gets what a crumbling platform is doing at a point in the run.
+ * @param {number|null} crackTime - Run time the player first stood on it (null if untouched)
+ * @param {number} time - Simulated run time in seconds
+ * @returns {{phase: string, elapsed: number}} Phase ('solid', 'cracking' or 'fallen') and seconds spent in it
+ */
+export function getCrumbleState(crackTime, time) {
+  if (crackTime === null) return { phase: 'solid', elapsed: 0 };
+
+  const elapsed = time - crackTime;
+  if (elapsed < CRUMBLE_DELAY) return { phase: 'cracking', elapsed };
+  if (elapsed < CRUMBLE_DELAY + CRUMBLE_RESPAWN_TIME) return { phase: 'fallen', elapsed: elapsed - CRUMBLE_DELAY };
+  return { phase: 'solid', elapsed: 0 };
+}
+
+/**
+ * Gets whether a blinking platform is on at a point in the run.
+ * The cycle starts switched on at time `offset`.
+ * @param {number} onTime - Seconds the platform stays on
+ * @param {number} offTime - Seconds the platform stays off
+ * @param {number} offset - Seconds the cycle is shifted by
+ * @param {number} time - Simulated run time in seconds
+ * @returns {{isOn: boolean, timeLeft: number}} Whether it's on and seconds until it switches
+ */
+export function getBlinkState(onTime, offTime, offset, time) {
+  const period = onTime + offTime;
+  const phase = (((time - offset) % period) + period) % period;
+
+  return phase < onTime
+    ? { isOn: true, timeLeft: onTime - phase }
+    : { isOn: false, timeLeft: period - phase };
+}